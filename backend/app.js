@@ -16,16 +16,26 @@ import {
 
 import routes from "./routes/index.js";
 import { errorMiddleware } from "./middleware/error_middleware.js";
+import { subscribeToDataKeyInvalidation } from "./utils/data_key_invalidation.js";
 
 const app = express();
 logger.info(`Starting application in ${env} environment`);
 
+// Behind a reverse proxy, TRUST_PROXY (hop count, or "loopback", ...) makes
+// req.ip the client address from X-Forwarded-For; per-IP rate limits need it
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // -----------------
 // Database & Redis
 // -----------------
 await DatabaseConfig.connect();
 RedisConfig.initialize();
 await RedisConfig.connect();
+// Drop data keys destroyed by account purges in the worker
+await subscribeToDataKeyInvalidation();
 
 // -----------------
 // CORS (must come BEFORE Swagger + routes)
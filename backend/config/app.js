@@ -0,0 +1,21 @@
+// --- Constants ---
+const DEFAULT_PORT = 3000;
+
+/**
+ * AppConfig
+ * @description Public settings of the running app.
+ */
+export const AppConfig = {
+  /**
+   * Public base URL (no trailing slash) used for links in emails, from
+   * APP_URL; defaults to the local server.
+   */
+  baseUrl: (process.env.APP_URL ?? `http://localhost:${process.env.PORT || DEFAULT_PORT}`).replace(/\/+$/, ''),
+
+  /**
+   * Absolute URL for a path on the app.
+   * @param {string} path - e.g. "/api/auth/verify-email"
+   * @returns {string}
+   */
+  url: (path) => `${AppConfig.baseUrl}/${String(path).replace(/^\/+/, '')}`,
+};
@@ -3,5 +3,6 @@ import { logger, appLogger, errorLogger } from "./logger.js";
 import { DatabaseConfig } from "./mongod_database.js";
 import { RedisConfig } from "./redis.js";
 import { SwaggerConfig } from "./swagger.js";
+import { AppConfig } from "./app.js";
 
-export { env, logger, appLogger, errorLogger, DatabaseConfig, RedisConfig, SwaggerConfig };
+export { env, logger, appLogger, errorLogger, DatabaseConfig, RedisConfig, SwaggerConfig, AppConfig };
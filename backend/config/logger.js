@@ -2,6 +2,7 @@ import { createLogger, transports, format } from 'winston';
 import expressWinston from 'express-winston';
 import DailyRotateFile from 'winston-daily-rotate-file';
 import fs from 'fs';
+import { redactUrl, redactRequestField } from '../utils/log_redaction.js';
 
 const LOG_DIR = 'logs';
 
@@ -69,14 +70,36 @@ process.on('unhandledRejection', (reason) => {
   logger.error(`Unhandled Rejection: ${reason}`);
 });
 
+/**
+ * Request log line in express format ("GET /url 200 12ms") built from the
+ * redacted URL. express-winston compiles a message containing "{{" as a
+ * template, so braces from the URL are escaped.
+ */
+const requestLogMessage = (req, res) =>
+  `${req.method} ${redactUrl(req.originalUrl ?? req.url).replace(/[{}]/g, encodeURIComponent)} ${res.statusCode} ${res.responseTime}ms`;
+
+/**
+ * Request/response logging middleware writing to the given logger. Chat
+ * messages, search terms and email link tokens that travel in URLs are
+ * redacted (see utils/log_redaction.js).
+ * @param {Object} winstonInstance
+ * @returns {Function}
+ */
+export const createRequestLogger = (winstonInstance) =>
+  expressWinston.logger({
+    winstonInstance,
+    meta: true,
+    statusLevels: true,
+    msg: requestLogMessage,
+    colorize: false,
+    requestFilter: redactRequestField,
+  });
+
 // Express middleware for request/response logging
-export const appLogger = expressWinston.logger({
-  winstonInstance: logger,
-  meta: true,
-  statusLevels: true,
-  expressFormat: true,
-  colorize: false,
-});
+export const appLogger = createRequestLogger(logger);
 
 // Express middleware for error logging
-export const errorLogger = expressWinston.errorLogger({ winstonInstance: logger });
+export const errorLogger = expressWinston.errorLogger({
+  winstonInstance: logger,
+  requestFilter: redactRequestField,
+});
@@ -0,0 +1,107 @@
+// controllers/account.js
+import HttpStatus from 'http-status-codes';
+import { AccountService } from '../services/index.js';
+import { responseHandler } from '../utils/index.js';
+import { logger } from '../config/index.js';
+import { sendLinkPage, wantsLinkPage } from '../utils/link_page.js';
+
+// --- Constants ---
+const ERROR_STATUSES = {
+  'User not found.': HttpStatus.NOT_FOUND,
+  'Incorrect password.': HttpStatus.UNAUTHORIZED,
+  'Authentication code is required.': HttpStatus.BAD_REQUEST,
+  'Invalid authentication code.': HttpStatus.UNAUTHORIZED,
+  'Account deletion is already scheduled.': HttpStatus.CONFLICT,
+  'Could not schedule the deletion. Please try again later.': HttpStatus.SERVICE_UNAVAILABLE,
+  'This cancellation link is invalid or has expired.': HttpStatus.NOT_FOUND,
+};
+
+const CANCEL_DELETION_TITLE = 'Account deletion';
+
+const handleError = (res, label, err) => {
+  logger.error(`${label} error: ${err.message}`);
+  const status = ERROR_STATUSES[err.message] || HttpStatus.INTERNAL_SERVER_ERROR;
+  responseHandler(res, status, 'error', err.message);
+};
+
+// Email link errors are shown as a page
+const handlePageError = (res, label, err) => {
+  logger.error(`${label} error: ${err.message}`);
+  const status = ERROR_STATUSES[err.message] || HttpStatus.INTERNAL_SERVER_ERROR;
+  sendLinkPage(res, status, { title: CANCEL_DELETION_TITLE, message: err.message });
+};
+
+/**
+ * AccountController
+ * Data export and account deletion for the authenticated user, plus the
+ * public cancellation link used in the deletion confirmation email.
+ */
+export const AccountController = {
+  /**
+   * GET /me/export
+   * Streams the archive as a file download.
+   */
+  exportData: async (req, res) => {
+    try {
+      const { data } = await AccountService.exportData({ userID: req.userID });
+      res.set({
+        'Content-Type': 'application/gzip',
+        'Content-Disposition': `attachment; filename="${data.fileName}"`,
+        'Cache-Control': 'no-store',
+      });
+      res.status(HttpStatus.OK).send(data.archive);
+    } catch (err) {
+      handleError(res, 'exportData', err);
+    }
+  },
+
+  /**
+   * DELETE /me
+   * Schedules the account for deletion; signs every device out.
+   */
+  requestDeletion: async (req, res) => {
+    try {
+      const { password, code } = req.body ?? {};
+      const result = await AccountService.requestDeletion({ userID: req.userID, password, code });
+      responseHandler(res, HttpStatus.ACCEPTED, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'requestDeletion', err);
+    }
+  },
+
+  /**
+   * GET /me/deletion/cancel/:token
+   * Public: the link in the deletion confirmation email. Only asks for
+   * confirmation.
+   */
+  confirmCancelDeletion: async (req, res) => {
+    try {
+      const result = await AccountService.checkDeletionCancel({ token: req.params.token });
+      sendLinkPage(res, HttpStatus.OK, {
+        title: CANCEL_DELETION_TITLE,
+        message: result.message,
+        button: 'Keep my account',
+      });
+    } catch (err) {
+      handlePageError(res, 'confirmCancelDeletion', err);
+    }
+  },
+
+  /**
+   * POST /me/deletion/cancel/:token
+   * Public: sent by the confirmation page's form.
+   */
+  cancelDeletion: async (req, res) => {
+    const asPage = wantsLinkPage(req);
+    try {
+      const result = await AccountService.cancelDeletion({ token: req.params.token });
+      if (asPage) return sendLinkPage(res, HttpStatus.OK, { title: CANCEL_DELETION_TITLE, message: result.message });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      if (asPage) return handlePageError(res, 'cancelDeletion', err);
+      handleError(res, 'cancelDeletion', err);
+    }
+  },
+};
+
+export default AccountController;
@@ -0,0 +1,110 @@
+// controllers/assessment.js
+import HttpStatus from 'http-status-codes';
+import { AssessmentService } from '../services/index.js';
+import { responseHandler } from '../utils/index.js';
+import { logger } from '../config/index.js';
+
+// --- Constants ---
+const ERROR_STATUSES = {
+  'Questionnaire not found.': HttpStatus.NOT_FOUND,
+  'Answers must contain one valid option value per question, in order.': HttpStatus.BAD_REQUEST,
+  'Assessment not found.': HttpStatus.NOT_FOUND,
+};
+
+const getBaseUrl = (req) => `${req.protocol}://${req.get('host')}${req.originalUrl.split('?')[0]}`;
+
+const handleError = (res, label, err) => {
+  logger.error(`${label} error: ${err.message}`);
+  const status = ERROR_STATUSES[err.message] || HttpStatus.INTERNAL_SERVER_ERROR;
+  responseHandler(res, status, 'error', err.message);
+};
+
+/**
+ * AssessmentController
+ * Self-assessment questionnaires and the user's scored history.
+ */
+export const AssessmentController = {
+  /**
+   * GET /assessments/instruments
+   */
+  listInstruments: async (req, res) => {
+    try {
+      const result = AssessmentService.listInstruments();
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'listInstruments', err);
+    }
+  },
+
+  /**
+   * GET /assessments/instruments/:id
+   * Latest version unless ?version= is given.
+   */
+  getInstrument: async (req, res) => {
+    try {
+      const result = AssessmentService.getInstrument({
+        instrumentId: req.params.id,
+        version: req.query.version,
+      });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'getInstrument', err);
+    }
+  },
+
+  /**
+   * POST /assessments
+   * Scores and stores a completed questionnaire.
+   */
+  submit: async (req, res) => {
+    try {
+      const { instrument, version, answers } = req.body ?? {};
+      const result = await AssessmentService.submit({
+        userID: req.userID,
+        instrumentId: instrument,
+        version,
+        answers,
+      });
+      responseHandler(res, HttpStatus.CREATED, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'submitAssessment', err);
+    }
+  },
+
+  /**
+   * GET /assessments
+   * The user's results, newest first.
+   */
+  listAssessments: async (req, res) => {
+    try {
+      const { instrument, page, limit } = req.query;
+      const result = await AssessmentService.listAssessments({
+        userID: req.userID,
+        instrumentId: instrument,
+        page,
+        limit,
+        baseUrl: getBaseUrl(req),
+      });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'listAssessments', err);
+    }
+  },
+
+  /**
+   * GET /assessments/:id
+   */
+  getAssessment: async (req, res) => {
+    try {
+      const result = await AssessmentService.getAssessment({
+        userID: req.userID,
+        assessmentId: req.params.id,
+      });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'getAssessment', err);
+    }
+  },
+};
+
+export default AssessmentController;
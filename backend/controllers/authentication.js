@@ -1,5 +1,5 @@
 import HttpStatus from 'http-status-codes';
-import { AuthService } from '../services/index.js';
+import { AuthService, SessionService, TwoFactorService } from '../services/index.js';
 import { responseHandler } from '../utils/index.js';
 import { logger } from '../config/index.js';
 
@@ -15,12 +15,43 @@ const ERROR_STATUSES = {
   'Invalid or expired reset token': HttpStatus.BAD_REQUEST,
   'Username, email, and password are required': HttpStatus.BAD_REQUEST,
   'Token and new password are required': HttpStatus.BAD_REQUEST,
+  'Region must be a two-letter country code.': HttpStatus.BAD_REQUEST,
+  'Locale must look like "en" or "en-GB".': HttpStatus.BAD_REQUEST,
+  'Quiet hours need a start and end time in HH:mm format.': HttpStatus.BAD_REQUEST,
+  'Provide a region, locale or quiet hours to update.': HttpStatus.BAD_REQUEST,
+  'Refresh token is required.': HttpStatus.BAD_REQUEST,
+  'Invalid or expired refresh token. Please log in again.': HttpStatus.UNAUTHORIZED,
+  'Refresh token reuse detected. Please log in again.': HttpStatus.UNAUTHORIZED,
+  'Session not found.': HttpStatus.NOT_FOUND,
+  'Token is required.': HttpStatus.BAD_REQUEST,
+  'Invalid or expired verification link.': HttpStatus.BAD_REQUEST,
+  'Email address is already verified.': HttpStatus.CONFLICT,
+  'Please wait a minute before requesting another verification email.': HttpStatus.TOO_MANY_REQUESTS,
+  'Two-factor challenge token is required.': HttpStatus.BAD_REQUEST,
+  'Invalid or expired two-factor challenge. Please log in again.': HttpStatus.UNAUTHORIZED,
+  'Set up two-factor authentication to continue.': HttpStatus.FORBIDDEN,
+  'Two-factor authentication is already enabled.': HttpStatus.CONFLICT,
+  'Two-factor authentication is not enabled.': HttpStatus.BAD_REQUEST,
+  'Start two-factor setup first.': HttpStatus.BAD_REQUEST,
+  'Authentication code is required.': HttpStatus.BAD_REQUEST,
+  'Invalid authentication code.': HttpStatus.UNAUTHORIZED,
+  'Incorrect password.': HttpStatus.UNAUTHORIZED,
+  'Two-factor authentication is required for this account.': HttpStatus.FORBIDDEN,
+  'Required must be true or false.': HttpStatus.BAD_REQUEST,
+  'User not found.': HttpStatus.NOT_FOUND,
+  'This account is scheduled for deletion. Use the link in the confirmation email to keep it.': HttpStatus.FORBIDDEN,
 };
 
+const deviceOf = (req) => ({
+  deviceName: req.body?.deviceName,
+  userAgent: req.get('user-agent'),
+  ip: req.ip,
+});
+
 export const AuthController = {
   getMe: async (req, res) => {
     try {
-      const result = await AuthService.getMe(req.userID);
+      const result = await AuthService.getMe({ userId: req.userID });
       responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
     } catch (err) {
       logger.error(`getMe failed: ${err.message}`);
@@ -29,6 +60,18 @@ export const AuthController = {
     }
   },
 
+  updatePreferences: async (req, res) => {
+    try {
+      const { region, locale, quietHours } = req.body ?? {};
+      const result = await AuthService.updatePreferences({ userId: req.userID, region, locale, quietHours });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      logger.error(`updatePreferences failed: ${err.message}`);
+      const status = ERROR_STATUSES[err.message] || HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, 'error', err.message);
+    }
+  },
+
   register: async (req, res) => {
     try {
       const result = await AuthService.createUser(req.body);
@@ -42,7 +85,8 @@ export const AuthController = {
 
   login: async (req, res) => {
     try {
-      const result = await AuthService.loginUser(req.body);
+      const { username, password } = req.body ?? {};
+      const result = await AuthService.loginUser({ username, password, ...deviceOf(req) });
       responseHandler(res, HttpStatus.OK, 'success', 'Login successful', result);
     } catch (err) {
       logger.error(`Login failed: ${err.message}`);
@@ -51,10 +95,105 @@ export const AuthController = {
     }
   },
 
+  loginTwoFactor: async (req, res) => {
+    try {
+      const { mfaToken, code } = req.body ?? {};
+      const result = await AuthService.completeMfaLogin({ mfaToken, code, ...deviceOf(req) });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      logger.error(`Two-factor login failed: ${err.message}`);
+      const status = ERROR_STATUSES[err.message] || HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, 'error', err.message);
+    }
+  },
+
+  loginTwoFactorSetup: async (req, res) => {
+    try {
+      const result = await AuthService.beginMfaEnrollment({ mfaToken: req.body?.mfaToken });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      logger.error(`Two-factor enrollment setup failed: ${err.message}`);
+      const status = ERROR_STATUSES[err.message] || HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, 'error', err.message);
+    }
+  },
+
+  loginTwoFactorEnable: async (req, res) => {
+    try {
+      const { mfaToken, code } = req.body ?? {};
+      const result = await AuthService.completeMfaEnrollment({ mfaToken, code, ...deviceOf(req) });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      logger.error(`Two-factor enrollment failed: ${err.message}`);
+      const status = ERROR_STATUSES[err.message] || HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, 'error', err.message);
+    }
+  },
+
+  setupTwoFactor: async (req, res) => {
+    try {
+      const result = await TwoFactorService.beginSetup({ userId: req.userID });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      logger.error(`setupTwoFactor failed: ${err.message}`);
+      const status = ERROR_STATUSES[err.message] || HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, 'error', err.message);
+    }
+  },
+
+  enableTwoFactor: async (req, res) => {
+    try {
+      const result = await TwoFactorService.confirmSetup({ userId: req.userID, code: req.body?.code });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      logger.error(`enableTwoFactor failed: ${err.message}`);
+      const status = ERROR_STATUSES[err.message] || HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, 'error', err.message);
+    }
+  },
+
+  disableTwoFactor: async (req, res) => {
+    try {
+      const { password, code } = req.body ?? {};
+      const result = await TwoFactorService.disable({ userId: req.userID, password, code });
+      responseHandler(res, HttpStatus.OK, result.status, result.message);
+    } catch (err) {
+      logger.error(`disableTwoFactor failed: ${err.message}`);
+      const status = ERROR_STATUSES[err.message] || HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, 'error', err.message);
+    }
+  },
+
+  regenerateRecoveryCodes: async (req, res) => {
+    try {
+      const result = await TwoFactorService.regenerateRecoveryCodes({ userId: req.userID, code: req.body?.code });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      logger.error(`regenerateRecoveryCodes failed: ${err.message}`);
+      const status = ERROR_STATUSES[err.message] || HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, 'error', err.message);
+    }
+  },
+
+  setTwoFactorRequirement: async (req, res) => {
+    try {
+      const result = await TwoFactorService.setRequired({
+        userId: req.params.id,
+        required: req.body?.required,
+        adminId: req.userID,
+      });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      logger.error(`setTwoFactorRequirement failed: ${err.message}`);
+      const status = ERROR_STATUSES[err.message] || HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, 'error', err.message);
+    }
+  },
+
   logout: async (req, res) => {
     try {
       const token = req.headers.authorization?.split(' ')[1];
-      await AuthService.logoutUser(token);
+      await AuthService.logoutUser({ token, userId: req.userID, sessionId: req.user?.sid });
       responseHandler(res, HttpStatus.OK, 'success', 'Logout successful');
     } catch (err) {
       logger.error(`Logout failed: ${err.message}`);
@@ -63,6 +202,63 @@ export const AuthController = {
     }
   },
 
+  refresh: async (req, res) => {
+    try {
+      const result = await AuthService.refreshTokens({ refreshToken: req.body?.refreshToken, ip: req.ip });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      logger.error(`Token refresh failed: ${err.message}`);
+      const status = ERROR_STATUSES[err.message] || HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, 'error', err.message);
+    }
+  },
+
+  listSessions: async (req, res) => {
+    try {
+      const result = await SessionService.listSessions({ userID: req.userID, currentSessionId: req.user.sid });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      logger.error(`listSessions failed: ${err.message}`);
+      const status = ERROR_STATUSES[err.message] || HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, 'error', err.message);
+    }
+  },
+
+  revokeSession: async (req, res) => {
+    try {
+      const result = await SessionService.revokeSession({ userID: req.userID, sessionId: req.params.id });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      logger.error(`revokeSession failed: ${err.message}`);
+      const status = ERROR_STATUSES[err.message] || HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, 'error', err.message);
+    }
+  },
+
+  verifyEmail: async (req, res) => {
+    try {
+      // GET from the emailed link, or POST from a client page
+      const token = req.body?.token ?? req.query.token;
+      const result = await AuthService.verifyEmail({ token });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      logger.error(`Email verification failed: ${err.message}`);
+      const status = ERROR_STATUSES[err.message] || HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, 'error', err.message);
+    }
+  },
+
+  resendVerification: async (req, res) => {
+    try {
+      const result = await AuthService.resendVerificationEmail({ userId: req.userID });
+      responseHandler(res, HttpStatus.OK, result.status, result.message);
+    } catch (err) {
+      logger.error(`Resend verification failed: ${err.message}`);
+      const status = ERROR_STATUSES[err.message] || HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, 'error', err.message);
+    }
+  },
+
   forgotPassword: async (req, res) => {
     try {
       await AuthService.forgotPassword(req.body.email);
@@ -1,50 +1,319 @@
 // controllers/chat.js
 import HttpStatus from 'http-status-codes';
-import { ChatService } from '../services/index.js';
+import { ChatService, SearchService } from '../services/index.js';
 import { responseHandler } from '../utils/index.js';
+import { openEventStream } from '../utils/sse.js';
 import { logger } from '../config/index.js';
 
+// --- Constants ---
+const ERROR_STATUSES = {
+  'No active conversation found. Start by sharing your feelings.': HttpStatus.NOT_FOUND,
+  'Chat ID is required to continue a conversation.': HttpStatus.BAD_REQUEST,
+  'Conversation title must be 1-100 characters.': HttpStatus.BAD_REQUEST,
+  'Provide a title or archived flag to update.': HttpStatus.BAD_REQUEST,
+  "Please share how you're feeling or what's on your mind.": HttpStatus.BAD_REQUEST,
+  "I specialize in stress, anxiety, and emotional well-being. Please share how you're feeling.":
+    HttpStatus.UNPROCESSABLE_ENTITY,
+  'Enter at least one word to search for.': HttpStatus.BAD_REQUEST,
+  'Search text must be at most 200 characters.': HttpStatus.BAD_REQUEST,
+  'Search is not available.': HttpStatus.SERVICE_UNAVAILABLE,
+  'You have used your daily chat allowance. It resets at midnight UTC.': HttpStatus.TOO_MANY_REQUESTS,
+};
+
+const STREAM_ERROR = 'A critical error occurred while generating or saving the response.';
+
+/**
+ * Builds the absolute URL of the current request without its query string.
+ * Used for HATEOAS pagination links.
+ */
+const getBaseUrl = (req) => `${req.protocol}://${req.get('host')}${req.originalUrl.split('?')[0]}`;
+
+/**
+ * Maps a service error to an HTTP error response.
+ */
+const handleError = (res, label, err) => {
+  logger.error(`${label} error: ${err.message}`);
+  const status = ERROR_STATUSES[err.message] || HttpStatus.INTERNAL_SERVER_ERROR;
+  // Quota refusals carry the user's allowance so clients can show when it resets
+  responseHandler(res, status, 'error', err.message, err.usage && { usage: err.usage });
+};
+
+/**
+ * Returns an AbortSignal that fires when the client goes away before the
+ * response has been fully written, so the model stream stops early.
+ */
+const abortOnDisconnect = (res) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  return controller.signal;
+};
+
+/**
+ * Runs one message through the same pipeline as the websocket:
+ * ChatService.handleChat → model stream → ChatService.finalizeResponse.
+ * A reply cut short by a disconnect is saved flagged as truncated.
+ *
+ * @param {Object} params
+ * @param {string} params.userID
+ * @param {string} params.chatId
+ * @param {string} params.message
+ * @param {AbortSignal} params.signal
+ * @param {(token: string) => void} [params.onToken] - Called for every streamed token
+ * @param {(info: {isContinued: boolean}) => void} [params.onStart] - Called before streaming starts
+ * @returns {Promise<Object>} Result data ({advice, chatId, isCrisis, truncated, ...});
+ *   isStreaming is false when the model was never called (imminent risk)
+ */
+const runChat = async ({ userID, chatId, message, signal, onToken, onStart }) => {
+  const result = await ChatService.handleChat({ userID, message, chatId, signal });
+
+  // Imminent risk: crisis resources were saved without calling the model
+  if (result.data?.advice) {
+    return { ...result.data, isStreaming: false };
+  }
+
+  const { stream, metadata } = result;
+  onStart?.({ isContinued: !metadata.isNewSession });
+
+  let fullResponse = '';
+  for await (const token of stream) {
+    if (signal.aborted) break;
+    fullResponse += token;
+    onToken?.(token);
+  }
+
+  if (signal.aborted && !fullResponse.trim()) {
+    return { chatId, saved: false, truncated: true };
+  }
+
+  const finalResult = await ChatService.finalizeResponse({
+    userID,
+    input: message,
+    aiResponse: fullResponse,
+    chatId: metadata.chatId,
+    truncated: signal.aborted,
+    riskLevel: metadata.riskLevel,
+    safetyEventId: metadata.safetyEventId,
+    suggestedExercise: metadata.suggestedExercises[0],
+    usage: metadata.usage,
+  });
+  return finalResult.data;
+};
+
 /**
  * ChatController
- * Handles HTTP endpoints for the encrypted single-chat-per-user system.
+ * Handles HTTP endpoints for the encrypted, multi-conversation chat system.
  * Keeps the controller thin — all business logic and messages live in ChatService.
  */
 export const ChatController = {
 
   /**
-   * GET /chat/history
-   * Returns paginated, decrypted conversation history for the authenticated user.
+   * POST /chats
+   * Starts a new, empty conversation.
+   */
+  createChat: async (req, res) => {
+    try {
+      const result = await ChatService.createChat({
+        userID: req.userID,
+        title: req.body?.title,
+      });
+      responseHandler(res, HttpStatus.CREATED, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'createChat', err);
+    }
+  },
+
+  /**
+   * GET /chats
+   * Lists the user's conversations (pass ?archived=true for the archive).
+   */
+  listChats: async (req, res) => {
+    try {
+      const { page, limit, archived } = req.query;
+      const result = await ChatService.listChats({
+        userID: req.userID,
+        page,
+        limit,
+        archived: archived === 'true',
+        baseUrl: getBaseUrl(req),
+      });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'listChats', err);
+    }
+  },
+
+  /**
+   * GET /chats/search?q=...
+   * Searches the user's messages across all conversations.
+   */
+  searchMessages: async (req, res) => {
+    try {
+      const { q, page, limit } = req.query;
+      const result = await SearchService.searchMessages({
+        userID: req.userID,
+        query: q,
+        page,
+        limit,
+        baseUrl: getBaseUrl(req),
+      });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'searchMessages', err);
+    }
+  },
+
+  /**
+   * GET /chats/:id
+   * Returns a single conversation's metadata.
+   */
+  getChat: async (req, res) => {
+    try {
+      const result = await ChatService.getChat({ userID: req.userID, chatId: req.params.id });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'getChat', err);
+    }
+  },
+
+  /**
+   * PATCH /chats/:id
+   * Renames and/or archives a conversation.
+   */
+  updateChat: async (req, res) => {
+    try {
+      const { title, archived } = req.body ?? {};
+      const result = await ChatService.updateChat({
+        userID: req.userID,
+        chatId: req.params.id,
+        title,
+        archived,
+      });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'updateChat', err);
+    }
+  },
+
+  /**
+   * DELETE /chats/:id
+   * Permanently deletes a conversation and its messages.
+   */
+  deleteChat: async (req, res) => {
+    try {
+      const result = await ChatService.deleteChat({ userID: req.userID, chatId: req.params.id });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'deleteChat', err);
+    }
+  },
+
+  /**
+   * GET /chats/:id/messages
+   * Returns paginated, decrypted history for one conversation.
    */
   getChatHistory: async (req, res) => {
     try {
       const { page, limit } = req.query;
 
-      const baseUrl = `${req.protocol}://${req.get('host')}${req.originalUrl.split('?')[0]}`;
-
       const result = await ChatService.getChatHistory({
         userID: req.userID,
+        chatId: req.params.id,
         page,
         limit,
-        baseUrl,
+        baseUrl: getBaseUrl(req),
       });
 
-      responseHandler(
-        res,
-        HttpStatus.OK,
-        result.status,
-        result.message,
-        result.data,
-        result.pagination
-      );
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
     } catch (err) {
-      logger.error(`getChatHistory error: ${err.message}`);
+      handleError(res, 'getChatHistory', err);
+    }
+  },
 
-      // Only one possible error from service: "No active conversation found..."
-      const status = err.message.includes('No active conversation')
-        ? HttpStatus.NOT_FOUND
-        : HttpStatus.INTERNAL_SERVER_ERROR;
+  /**
+   * POST /chats/:id/messages
+   * Sends a message and returns the complete reply as JSON.
+   * Fallback for clients that cannot hold a websocket open.
+   */
+  sendMessage: async (req, res) => {
+    const signal = abortOnDisconnect(res);
+    try {
+      const data = await runChat({
+        userID: req.userID,
+        chatId: req.params.id,
+        message: req.body?.message,
+        signal,
+      });
+      if (signal.aborted) return;
+      responseHandler(res, HttpStatus.OK, 'success', "I'm here to listen and support you.", data);
+    } catch (err) {
+      handleError(res, 'sendMessage', err);
+    }
+  },
 
-      responseHandler(res, status, 'error', err.message);
+  /**
+   * GET /chats/:id/messages/stream?message=...
+   * Sends a message and streams the reply as Server-Sent Events, using the
+   * websocket event names: chat_response, chat_token, then session_complete
+   * (followed by usage_warning near the daily allowance), chat_cancelled,
+   * quota_exceeded or error.
+   */
+  streamMessage: async (req, res) => {
+    const signal = abortOnDisconnect(res);
+    let events = null;
+
+    try {
+      const { message } = req.query;
+      const chatId = req.params.id;
+
+      // Validate ownership and input before switching to an event stream,
+      // so these failures still get a regular JSON error response
+      await ChatService.getChat({ userID: req.userID, chatId });
+      if (!message?.trim()) throw new Error("Please share how you're feeling or what's on your mind.");
+
+      events = openEventStream(res);
+
+      const data = await runChat({
+        userID: req.userID,
+        chatId,
+        message,
+        signal,
+        onStart: ({ isContinued }) => events.send('chat_response', { isStreaming: true, isContinued }),
+        onToken: (token) => events.send('chat_token', { token }),
+      });
+
+      if (data.truncated) {
+        events.send('chat_cancelled', { chatId: data.chatId, saved: data.saved !== false, truncated: true });
+      } else if (data.isStreaming === false) {
+        const { advice, isCrisis, isContinued, riskLevel, crisisResources } = data;
+        events.send('chat_response', {
+          advice,
+          isCrisis,
+          isContinued,
+          isStreaming: false,
+          riskLevel,
+          crisisResources,
+        });
+      } else {
+        if (data.exercise) events.send('exercise', data.exercise);
+        events.send('session_complete', {
+          message: 'Conversation session saved.',
+          chatId: data.chatId,
+          advice: data.advice,
+          isCrisis: data.isCrisis,
+          riskLevel: data.riskLevel,
+          ...(data.isCrisis && { crisisResources: data.crisisResources }),
+        });
+        if (data.usageWarning) events.send('usage_warning', data.usageWarning);
+      }
+    } catch (err) {
+      if (!events) return handleError(res, 'streamMessage', err);
+      logger.error(`streamMessage error: ${err.message}`);
+      if (err.usage) return events.send('quota_exceeded', { message: err.message, ...err.usage });
+      events.send('error', { message: ERROR_STATUSES[err.message] ? err.message : STREAM_ERROR });
+    } finally {
+      events?.close();
     }
   },
-}
+};
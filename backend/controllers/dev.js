@@ -0,0 +1,74 @@
+// controllers/dev.js
+import HttpStatus from 'http-status-codes';
+import { OutboxService } from '../services/index.js';
+import { responseHandler } from '../utils/index.js';
+import { logger } from '../config/index.js';
+
+// --- Constants ---
+const ERROR_STATUSES = {
+  'Email not found in the outbox.': HttpStatus.NOT_FOUND,
+};
+
+const handleError = (res, label, err) => {
+  logger.error(`${label} error: ${err.message}`);
+  const status = ERROR_STATUSES[err.message] || HttpStatus.INTERNAL_SERVER_ERROR;
+  responseHandler(res, status, 'error', err.message);
+};
+
+/**
+ * DevController
+ * Development-only helpers; never mounted in production.
+ */
+export const DevController = {
+  /**
+   * GET /dev/outbox
+   * Captured emails, newest first (`to` filters by recipient).
+   */
+  listOutbox: async (req, res) => {
+    try {
+      const { limit, to } = req.query;
+      const result = await OutboxService.listMessages({ limit, to });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'listOutbox', err);
+    }
+  },
+
+  /**
+   * GET /dev/outbox/:id
+   * One captured email.
+   */
+  getOutboxMessage: async (req, res) => {
+    try {
+      const result = await OutboxService.getMessage({ id: req.params.id });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'getOutboxMessage', err);
+    }
+  },
+
+  /**
+   * GET /dev/outbox/:id/raw
+   * The .eml source, for opening in a mail client.
+   */
+  getOutboxMessageRaw: async (req, res) => {
+    try {
+      const result = await OutboxService.getMessage({ id: req.params.id, raw: true });
+      res.status(HttpStatus.OK).type('message/rfc822').send(result.data);
+    } catch (err) {
+      handleError(res, 'getOutboxMessageRaw', err);
+    }
+  },
+
+  /**
+   * DELETE /dev/outbox
+   */
+  clearOutbox: async (req, res) => {
+    try {
+      const result = await OutboxService.clearMessages();
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'clearOutbox', err);
+    }
+  },
+};
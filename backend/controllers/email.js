@@ -0,0 +1,68 @@
+// controllers/email.js
+import HttpStatus from 'http-status-codes';
+import { EmailService } from '../services/index.js';
+import { responseHandler } from '../utils/index.js';
+import { logger } from '../config/index.js';
+
+// --- Constants ---
+const ERROR_STATUSES = {
+  'Failed email not found.': HttpStatus.NOT_FOUND,
+  'This email has already been queued or sent again.': HttpStatus.CONFLICT,
+};
+
+const getBaseUrl = (req) => `${req.protocol}://${req.get('host')}${req.originalUrl.split('?')[0]}`;
+
+const handleError = (res, label, err) => {
+  logger.error(`${label} error: ${err.message}`);
+  const status = ERROR_STATUSES[err.message] || HttpStatus.INTERNAL_SERVER_ERROR;
+  responseHandler(res, status, 'error', err.message);
+};
+
+/**
+ * EmailController
+ * Admin-only inspection of the email dead-letter queue (guarded by
+ * isAdminVerifier).
+ */
+export const EmailController = {
+  /**
+   * GET /admin/emails/failed
+   * Emails that failed for good, newest first.
+   */
+  listFailed: async (req, res) => {
+    try {
+      const { page, limit } = req.query;
+      const result = await EmailService.listFailed({ page, limit, baseUrl: getBaseUrl(req) });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'listFailedEmails', err);
+    }
+  },
+
+  /**
+   * POST /admin/emails/failed/:id/retry
+   * Queues the email again.
+   */
+  retryFailed: async (req, res) => {
+    try {
+      const result = await EmailService.retryFailed({ id: req.params.id, adminId: req.userID });
+      responseHandler(res, HttpStatus.ACCEPTED, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'retryFailedEmail', err);
+    }
+  },
+
+  /**
+   * DELETE /admin/emails/failed/:id
+   * Drops the email without sending it.
+   */
+  discardFailed: async (req, res) => {
+    try {
+      const result = await EmailService.discardFailed({ id: req.params.id, adminId: req.userID });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'discardFailedEmail', err);
+    }
+  },
+};
+
+export default EmailController;
@@ -0,0 +1,51 @@
+// controllers/encryption.js
+import HttpStatus from 'http-status-codes';
+import { KeyRotationService } from '../services/index.js';
+import { responseHandler } from '../utils/index.js';
+import { logger } from '../config/index.js';
+
+// --- Constants ---
+const ERROR_STATUSES = {
+  'A key rotation is already running.': HttpStatus.CONFLICT,
+  'Could not start the key rotation. Please try again later.': HttpStatus.SERVICE_UNAVAILABLE,
+};
+
+const handleError = (res, label, err) => {
+  logger.error(`${label} error: ${err.message}`);
+  const status = ERROR_STATUSES[err.message] || HttpStatus.INTERNAL_SERVER_ERROR;
+  responseHandler(res, status, 'error', err.message);
+};
+
+/**
+ * EncryptionController
+ * Admin-only key rotation (guarded by isAdminVerifier).
+ */
+export const EncryptionController = {
+  /**
+   * GET /admin/encryption/rotation
+   * Current key, rotation progress and keys safe to retire.
+   */
+  getRotationStatus: async (req, res) => {
+    try {
+      const result = await KeyRotationService.getStatus();
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'getRotationStatus', err);
+    }
+  },
+
+  /**
+   * POST /admin/encryption/rotation
+   * Starts or resumes re-encryption under the current key.
+   */
+  startRotation: async (req, res) => {
+    try {
+      const result = await KeyRotationService.startRotation({ adminId: req.userID });
+      responseHandler(res, HttpStatus.ACCEPTED, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'startRotation', err);
+    }
+  },
+};
+
+export default EncryptionController;
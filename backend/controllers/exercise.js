@@ -0,0 +1,111 @@
+// controllers/exercise.js
+import HttpStatus from 'http-status-codes';
+import { ExerciseService } from '../services/index.js';
+import { responseHandler } from '../utils/index.js';
+import { logger } from '../config/index.js';
+
+// --- Constants ---
+const ERROR_STATUSES = {
+  'Exercise not found.': HttpStatus.NOT_FOUND,
+  'Category must be one of: breathing, grounding, relaxation, cbt.': HttpStatus.BAD_REQUEST,
+  'Exercise session not found.': HttpStatus.NOT_FOUND,
+  'Responses do not match the inputs this exercise asks for.': HttpStatus.BAD_REQUEST,
+  'Rating must be a whole number from 1 to 5.': HttpStatus.BAD_REQUEST,
+  'Exercise session is already completed.': HttpStatus.CONFLICT,
+};
+
+const getBaseUrl = (req) => `${req.protocol}://${req.get('host')}${req.originalUrl.split('?')[0]}`;
+
+const handleError = (res, label, err) => {
+  logger.error(`${label} error: ${err.message}`);
+  const status = ERROR_STATUSES[err.message] || HttpStatus.INTERNAL_SERVER_ERROR;
+  responseHandler(res, status, 'error', err.message);
+};
+
+/**
+ * ExerciseController
+ * Guided exercise library and the user's completion history.
+ */
+export const ExerciseController = {
+  /**
+   * GET /exercises
+   */
+  listExercises: async (req, res) => {
+    try {
+      const result = ExerciseService.listExercises({ category: req.query.category });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'listExercises', err);
+    }
+  },
+
+  /**
+   * GET /exercises/:id
+   */
+  getExercise: async (req, res) => {
+    try {
+      const result = ExerciseService.getExercise({ exerciseId: req.params.id });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'getExercise', err);
+    }
+  },
+
+  /**
+   * POST /exercises/:id/start
+   * Starts tracking a run; the response matches the `exercise` event.
+   */
+  startExercise: async (req, res) => {
+    try {
+      const result = await ExerciseService.start({
+        userID: req.userID,
+        exerciseId: req.params.id,
+        chatId: req.body?.chatId,
+      });
+      responseHandler(res, HttpStatus.CREATED, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'startExercise', err);
+    }
+  },
+
+  /**
+   * GET /exercises/sessions
+   * The user's exercise history with completion counts.
+   */
+  listSessions: async (req, res) => {
+    try {
+      const { exerciseId, status, page, limit } = req.query;
+      const result = await ExerciseService.listSessions({
+        userID: req.userID,
+        exerciseId,
+        status,
+        page,
+        limit,
+        baseUrl: getBaseUrl(req),
+      });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'listExerciseSessions', err);
+    }
+  },
+
+  /**
+   * POST /exercises/sessions/:id/complete
+   */
+  completeSession: async (req, res) => {
+    try {
+      const { responses, rating } = req.body ?? {};
+      const result = await ExerciseService.complete({
+        userID: req.userID,
+        sessionId: req.params.id,
+        responses,
+        rating,
+      });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'completeExerciseSession', err);
+    }
+  },
+};
+
+export default ExerciseController;
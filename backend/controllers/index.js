@@ -1,2 +1,13 @@
 export { AuthController } from "./authentication.js";
 export { ChatController } from "./chat.js";
+export { SafetyController } from "./safety.js";
+export { MoodController } from "./mood.js";
+export { AssessmentController } from "./assessment.js";
+export { ExerciseController } from "./exercise.js";
+export { ReminderController } from "./reminder.js";
+export { NotificationController } from "./notification.js";
+export { AccountController } from "./account.js";
+export { EncryptionController } from "./encryption.js";
+export { EmailController } from "./email.js";
+export { UsageController } from "./usage.js";
+export { DevController } from "./dev.js";
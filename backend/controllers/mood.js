@@ -0,0 +1,126 @@
+// controllers/mood.js
+import HttpStatus from 'http-status-codes';
+import { MoodService } from '../services/index.js';
+import { responseHandler } from '../utils/index.js';
+import { logger } from '../config/index.js';
+
+// --- Constants ---
+const ERROR_STATUSES = {
+  'Mood entry not found.': HttpStatus.NOT_FOUND,
+  'Score must be a whole number from 1 to 10.': HttpStatus.BAD_REQUEST,
+  'Provide up to 10 tags of 1-30 letters, digits or hyphens.': HttpStatus.BAD_REQUEST,
+  'Note must be at most 1000 characters.': HttpStatus.BAD_REQUEST,
+  'Dates must be valid ISO 8601 timestamps, not in the future.': HttpStatus.BAD_REQUEST,
+  'Period must be one of: day, week, month.': HttpStatus.BAD_REQUEST,
+  'Time zone must be a valid IANA name, e.g. Africa/Lagos.': HttpStatus.BAD_REQUEST,
+  'Provide a score, tags, note or recordedAt to update.': HttpStatus.BAD_REQUEST,
+};
+
+const getBaseUrl = (req) => `${req.protocol}://${req.get('host')}${req.originalUrl.split('?')[0]}`;
+
+const handleError = (res, label, err) => {
+  logger.error(`${label} error: ${err.message}`);
+  const status = ERROR_STATUSES[err.message] || HttpStatus.INTERNAL_SERVER_ERROR;
+  responseHandler(res, status, 'error', err.message);
+};
+
+/**
+ * MoodController
+ * Mood check-in journal for the authenticated user.
+ */
+export const MoodController = {
+  /**
+   * POST /mood
+   * Records a check-in.
+   */
+  createEntry: async (req, res) => {
+    try {
+      const { score, tags, note, recordedAt } = req.body ?? {};
+      const result = await MoodService.createEntry({ userID: req.userID, score, tags, note, recordedAt });
+      responseHandler(res, HttpStatus.CREATED, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'createMoodEntry', err);
+    }
+  },
+
+  /**
+   * GET /mood
+   * Lists check-ins, newest first.
+   */
+  listEntries: async (req, res) => {
+    try {
+      const { page, limit, from, to } = req.query;
+      const result = await MoodService.listEntries({
+        userID: req.userID,
+        page,
+        limit,
+        from,
+        to,
+        baseUrl: getBaseUrl(req),
+      });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'listMoodEntries', err);
+    }
+  },
+
+  /**
+   * GET /mood/trends
+   * Averages per period, streaks and top tags.
+   */
+  getTrends: async (req, res) => {
+    try {
+      const { period, from, to, tz } = req.query;
+      const result = await MoodService.getTrends({ userID: req.userID, period, from, to, tz });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'getMoodTrends', err);
+    }
+  },
+
+  /**
+   * GET /mood/:id
+   */
+  getEntry: async (req, res) => {
+    try {
+      const result = await MoodService.getEntry({ userID: req.userID, entryId: req.params.id });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'getMoodEntry', err);
+    }
+  },
+
+  /**
+   * PATCH /mood/:id
+   */
+  updateEntry: async (req, res) => {
+    try {
+      const { score, tags, note, recordedAt } = req.body ?? {};
+      const result = await MoodService.updateEntry({
+        userID: req.userID,
+        entryId: req.params.id,
+        score,
+        tags,
+        note,
+        recordedAt,
+      });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'updateMoodEntry', err);
+    }
+  },
+
+  /**
+   * DELETE /mood/:id
+   */
+  deleteEntry: async (req, res) => {
+    try {
+      const result = await MoodService.deleteEntry({ userID: req.userID, entryId: req.params.id });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'deleteMoodEntry', err);
+    }
+  },
+};
+
+export default MoodController;
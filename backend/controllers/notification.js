@@ -0,0 +1,70 @@
+// controllers/notification.js
+import HttpStatus from 'http-status-codes';
+import { NotificationService } from '../services/index.js';
+import { responseHandler } from '../utils/index.js';
+import { logger } from '../config/index.js';
+
+// --- Constants ---
+const ERROR_STATUSES = {
+  'Notification not found.': HttpStatus.NOT_FOUND,
+};
+
+const getBaseUrl = (req) => `${req.protocol}://${req.get('host')}${req.originalUrl.split('?')[0]}`;
+
+const handleError = (res, label, err) => {
+  logger.error(`${label} error: ${err.message}`);
+  const status = ERROR_STATUSES[err.message] || HttpStatus.INTERNAL_SERVER_ERROR;
+  responseHandler(res, status, 'error', err.message);
+};
+
+/**
+ * NotificationController
+ * In-app notifications for the authenticated user.
+ */
+export const NotificationController = {
+  /**
+   * GET /notifications
+   * Newest first; `unread=true` lists unread ones only.
+   */
+  listNotifications: async (req, res) => {
+    try {
+      const { page, limit, unread } = req.query;
+      const result = await NotificationService.listNotifications({
+        userID: req.userID,
+        unreadOnly: unread === 'true',
+        page,
+        limit,
+        baseUrl: getBaseUrl(req),
+      });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'listNotifications', err);
+    }
+  },
+
+  /**
+   * PATCH /notifications/:id/read
+   */
+  markRead: async (req, res) => {
+    try {
+      const result = await NotificationService.markRead({ userID: req.userID, notificationId: req.params.id });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'markNotificationRead', err);
+    }
+  },
+
+  /**
+   * POST /notifications/read-all
+   */
+  markAllRead: async (req, res) => {
+    try {
+      const result = await NotificationService.markAllRead({ userID: req.userID });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'markAllNotificationsRead', err);
+    }
+  },
+};
+
+export default NotificationController;
@@ -0,0 +1,146 @@
+// controllers/reminder.js
+import HttpStatus from 'http-status-codes';
+import { ReminderService } from '../services/index.js';
+import { responseHandler } from '../utils/index.js';
+import { logger } from '../config/index.js';
+import { MAX_REMINDERS_PER_USER } from '../models/reminder.js';
+import { sendLinkPage, wantsLinkPage } from '../utils/link_page.js';
+
+// --- Constants ---
+const ERROR_STATUSES = {
+  'Reminder not found.': HttpStatus.NOT_FOUND,
+  'Frequency must be one of: daily, weekly.': HttpStatus.BAD_REQUEST,
+  'Time must be a 24-hour HH:mm time.': HttpStatus.BAD_REQUEST,
+  'Weekly reminders need a dayOfWeek from 0 (Sunday) to 6 (Saturday).': HttpStatus.BAD_REQUEST,
+  'Time zone must be a valid IANA name, e.g. Africa/Lagos.': HttpStatus.BAD_REQUEST,
+  'Enable at least one channel: email or inApp.': HttpStatus.BAD_REQUEST,
+  [`You can have at most ${MAX_REMINDERS_PER_USER} reminders.`]: HttpStatus.CONFLICT,
+  'Provide a schedule, channels or enabled flag to update.': HttpStatus.BAD_REQUEST,
+  'Could not schedule the reminder. Please try again later.': HttpStatus.SERVICE_UNAVAILABLE,
+  'This unsubscribe link is invalid.': HttpStatus.NOT_FOUND,
+};
+
+const UNSUBSCRIBE_TITLE = 'Check-in reminders';
+
+const handleError = (res, label, err) => {
+  logger.error(`${label} error: ${err.message}`);
+  const status = ERROR_STATUSES[err.message] || HttpStatus.INTERNAL_SERVER_ERROR;
+  responseHandler(res, status, 'error', err.message);
+};
+
+// Email link errors are shown as a page
+const handlePageError = (res, label, err) => {
+  logger.error(`${label} error: ${err.message}`);
+  const status = ERROR_STATUSES[err.message] || HttpStatus.INTERNAL_SERVER_ERROR;
+  sendLinkPage(res, status, { title: UNSUBSCRIBE_TITLE, message: err.message });
+};
+
+/**
+ * ReminderController
+ * Scheduled check-in reminders for the authenticated user, plus the
+ * public unsubscribe link used in reminder emails.
+ */
+export const ReminderController = {
+  /**
+   * GET /reminders
+   */
+  listReminders: async (req, res) => {
+    try {
+      const result = await ReminderService.listReminders({ userID: req.userID });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'listReminders', err);
+    }
+  },
+
+  /**
+   * POST /reminders
+   * Creates a reminder and schedules it.
+   */
+  createReminder: async (req, res) => {
+    try {
+      const { frequency, time, dayOfWeek, timezone, channels } = req.body ?? {};
+      const result = await ReminderService.createReminder({
+        userID: req.userID,
+        frequency,
+        time,
+        dayOfWeek,
+        timezone,
+        channels,
+      });
+      responseHandler(res, HttpStatus.CREATED, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'createReminder', err);
+    }
+  },
+
+  /**
+   * PATCH /reminders/:id
+   */
+  updateReminder: async (req, res) => {
+    try {
+      const { frequency, time, dayOfWeek, timezone, channels, enabled } = req.body ?? {};
+      const result = await ReminderService.updateReminder({
+        userID: req.userID,
+        reminderId: req.params.id,
+        frequency,
+        time,
+        dayOfWeek,
+        timezone,
+        channels,
+        enabled,
+      });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'updateReminder', err);
+    }
+  },
+
+  /**
+   * DELETE /reminders/:id
+   */
+  deleteReminder: async (req, res) => {
+    try {
+      const result = await ReminderService.deleteReminder({ userID: req.userID, reminderId: req.params.id });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'deleteReminder', err);
+    }
+  },
+
+  /**
+   * GET /reminders/unsubscribe/:token
+   * Public: the link in a reminder email. Only asks for confirmation.
+   */
+  confirmUnsubscribe: async (req, res) => {
+    try {
+      const result = await ReminderService.checkUnsubscribe({ token: req.params.token });
+      sendLinkPage(res, HttpStatus.OK, {
+        title: UNSUBSCRIBE_TITLE,
+        message: result.message,
+        ...(result.data.enabled && { button: 'Unsubscribe' }),
+      });
+    } catch (err) {
+      handlePageError(res, 'confirmUnsubscribe', err);
+    }
+  },
+
+  /**
+   * POST /reminders/unsubscribe/:token
+   * Public: the confirmation page's form, or the mail client's one-click
+   * unsubscribe (List-Unsubscribe-Post).
+   */
+  unsubscribe: async (req, res) => {
+    const asPage = wantsLinkPage(req);
+    try {
+      const result = await ReminderService.unsubscribe({ token: req.params.token });
+      if (asPage) return sendLinkPage(res, HttpStatus.OK, { title: UNSUBSCRIBE_TITLE, message: result.message });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      if (asPage) return handlePageError(res, 'unsubscribeReminder', err);
+      handleError(res, 'unsubscribeReminder', err);
+    }
+  },
+};
+
+export default ReminderController;
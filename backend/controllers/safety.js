@@ -0,0 +1,118 @@
+// controllers/safety.js
+import HttpStatus from 'http-status-codes';
+import { SafetyService } from '../services/index.js';
+import { responseHandler } from '../utils/index.js';
+import { logger } from '../config/index.js';
+
+// --- Constants ---
+const ERROR_STATUSES = {
+  'Safety event not found.': HttpStatus.NOT_FOUND,
+  'Status must be one of: open, in_review, closed.': HttpStatus.BAD_REQUEST,
+  'Priority must be one of: urgent, high, normal.': HttpStatus.BAD_REQUEST,
+  'Note must be 1-2000 characters.': HttpStatus.BAD_REQUEST,
+  'Provide a status, priority or assignee to update.': HttpStatus.BAD_REQUEST,
+  'Safety event is already closed.': HttpStatus.CONFLICT,
+};
+
+const getBaseUrl = (req) => `${req.protocol}://${req.get('host')}${req.originalUrl.split('?')[0]}`;
+
+const handleError = (res, label, err) => {
+  logger.error(`${label} error: ${err.message}`);
+  const status = ERROR_STATUSES[err.message] || HttpStatus.INTERNAL_SERVER_ERROR;
+  responseHandler(res, status, 'error', err.message);
+};
+
+/**
+ * SafetyController
+ * Admin-only review queue for safety events (guarded by isAdminVerifier).
+ */
+export const SafetyController = {
+  /**
+   * GET /admin/safety-events
+   * Lists events (not closed by default), newest first.
+   */
+  listEvents: async (req, res) => {
+    try {
+      const { status, priority, userId, page, limit } = req.query;
+      const result = await SafetyService.listEvents({
+        status,
+        priority,
+        userID: userId,
+        page,
+        limit,
+        baseUrl: getBaseUrl(req),
+      });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'listSafetyEvents', err);
+    }
+  },
+
+  /**
+   * GET /admin/safety-events/:id
+   * Returns the event with the flagged exchange.
+   */
+  getEvent: async (req, res) => {
+    try {
+      const result = await SafetyService.getEvent({ eventId: req.params.id });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'getSafetyEvent', err);
+    }
+  },
+
+  /**
+   * PATCH /admin/safety-events/:id
+   * Triage: status, priority, assignee.
+   */
+  triageEvent: async (req, res) => {
+    try {
+      const { status, priority, assignedTo } = req.body ?? {};
+      const result = await SafetyService.triageEvent({
+        eventId: req.params.id,
+        status,
+        priority,
+        assignedTo,
+      });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'triageSafetyEvent', err);
+    }
+  },
+
+  /**
+   * POST /admin/safety-events/:id/notes
+   * Adds a reviewer note.
+   */
+  addNote: async (req, res) => {
+    try {
+      const result = await SafetyService.addNote({
+        eventId: req.params.id,
+        authorID: req.userID,
+        text: req.body?.text,
+      });
+      responseHandler(res, HttpStatus.CREATED, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'addSafetyNote', err);
+    }
+  },
+
+  /**
+   * POST /admin/safety-events/:id/close
+   * Closes the event with a resolution summary.
+   */
+  closeEvent: async (req, res) => {
+    try {
+      const result = await SafetyService.closeEvent({
+        eventId: req.params.id,
+        authorID: req.userID,
+        resolution: req.body?.resolution,
+      });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'closeSafetyEvent', err);
+    }
+  },
+};
+
+export default SafetyController;
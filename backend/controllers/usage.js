@@ -0,0 +1,72 @@
+// controllers/usage.js
+import HttpStatus from 'http-status-codes';
+import { UsageService } from '../services/index.js';
+import { responseHandler } from '../utils/index.js';
+import { logger } from '../config/index.js';
+
+// --- Constants ---
+const ERROR_STATUSES = {
+  'Dates must be in YYYY-MM-DD format.': HttpStatus.BAD_REQUEST,
+  'The report covers 1-90 days; "from" must not be after "to".': HttpStatus.BAD_REQUEST,
+  'Plan must be one of: free, plus, unlimited.': HttpStatus.BAD_REQUEST,
+  'User not found.': HttpStatus.NOT_FOUND,
+};
+
+const handleError = (res, label, err) => {
+  logger.error(`${label} error: ${err.message}`);
+  const status = ERROR_STATUSES[err.message] || HttpStatus.INTERNAL_SERVER_ERROR;
+  responseHandler(res, status, 'error', err.message);
+};
+
+/**
+ * UsageController
+ * LLM token usage: the user's own allowance, plus the admin spend report
+ * and plan changes (guarded by isAdminVerifier).
+ */
+export const UsageController = {
+  /**
+   * GET /me/usage
+   * Today's allowance and recent daily usage.
+   */
+  getMyUsage: async (req, res) => {
+    try {
+      const result = await UsageService.getUsage({ userID: req.userID, days: req.query.days });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'getMyUsage', err);
+    }
+  },
+
+  /**
+   * GET /admin/usage
+   * Token spend over a range of days.
+   */
+  getReport: async (req, res) => {
+    try {
+      const { from, to, limit } = req.query;
+      const result = await UsageService.getReport({ from, to, limit });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'getUsageReport', err);
+    }
+  },
+
+  /**
+   * PATCH /admin/users/:id/plan
+   * Moves a user to another plan.
+   */
+  setPlan: async (req, res) => {
+    try {
+      const result = await UsageService.setPlan({
+        userId: req.params.id,
+        plan: req.body?.plan,
+        adminId: req.userID,
+      });
+      responseHandler(res, HttpStatus.OK, result.status, result.message, result.data);
+    } catch (err) {
+      handleError(res, 'setPlan', err);
+    }
+  },
+};
+
+export default UsageController;
@@ -0,0 +1,21 @@
+import Queue from "bull";
+import { logger } from "../../config/index.js";
+
+// Job name of the delayed purge that ends an account's deletion grace period
+export const PURGE_ACCOUNT_JOB = "purgeAccount";
+
+const accountQueue = new Queue("accountQueue", {
+  redis: {
+    uri: process.env.REDIS_URI
+  },
+});
+
+accountQueue.on("ready", () => {
+  logger.info("Account queue connected to Redis");
+});
+
+accountQueue.on("error", (error) => {
+  logger.error(`Account queue error: ${error.message}`);
+});
+
+export { accountQueue };
@@ -0,0 +1,22 @@
+import Queue from "bull";
+import { logger } from "../../config/index.js";
+
+// Job name of an email that failed for good; it is never processed, only
+// inspected, retried or discarded by admins (see services/email.js)
+export const DEAD_EMAIL_JOB = "deadEmail";
+
+const emailDeadLetterQueue = new Queue("emailDeadLetterQueue", {
+  redis: {
+    uri: process.env.REDIS_URI
+  },
+});
+
+emailDeadLetterQueue.on("ready", () => {
+  logger.info("Email dead-letter queue connected to Redis");
+});
+
+emailDeadLetterQueue.on("error", (error) => {
+  logger.error(`Email dead-letter queue error: ${error.message}`);
+});
+
+export { emailDeadLetterQueue };
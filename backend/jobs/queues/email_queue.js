@@ -1,6 +1,9 @@
 import Queue from "bull";
 import { logger } from "../../config/index.js";
 
+// Job name of an email; the payload is {to, template, locale, data} (see utils/email_templates.js)
+export const SEND_EMAIL_JOB = "sendEmail";
+
 const emailQueue = new Queue("emailQueue", {
   redis: {
     uri: process.env.REDIS_URI
@@ -0,0 +1,21 @@
+import Queue from "bull";
+import { logger } from "../../config/index.js";
+
+// Job name of the (resumable) re-encryption run
+export const KEY_ROTATION_JOB = "reencryptData";
+
+const keyRotationQueue = new Queue("keyRotationQueue", {
+  redis: {
+    uri: process.env.REDIS_URI
+  },
+});
+
+keyRotationQueue.on("ready", () => {
+  logger.info("Key rotation queue connected to Redis");
+});
+
+keyRotationQueue.on("error", (error) => {
+  logger.error(`Key rotation queue error: ${error.message}`);
+});
+
+export { keyRotationQueue };
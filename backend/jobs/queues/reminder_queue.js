@@ -0,0 +1,21 @@
+import Queue from "bull";
+import { logger } from "../../config/index.js";
+
+// Job name of the repeatable check-in reminder jobs
+export const CHECK_IN_JOB = "checkInReminder";
+
+const reminderQueue = new Queue("reminderQueue", {
+  redis: {
+    uri: process.env.REDIS_URI
+  },
+});
+
+reminderQueue.on("ready", () => {
+  logger.info("Reminder queue connected to Redis");
+});
+
+reminderQueue.on("error", (error) => {
+  logger.error(`Reminder queue error: ${error.message}`);
+});
+
+export { reminderQueue };
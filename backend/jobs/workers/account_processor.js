@@ -0,0 +1,17 @@
+import { logger } from "../../config/index.js";
+import { AccountService } from "../../services/account.js";
+
+/**
+ * Erases an account once its deletion grace period is over.
+ * Cancelled or not-yet-due deletions are skipped by the service.
+ */
+export default async function (job) {
+  try {
+    const result = await AccountService.purge(job.data);
+    logger.info(`Account purge ${job.data.userId} processed: ${result.outcome}`);
+    return result;
+  } catch (error) {
+    logger.error(`Failed to purge account ${job.data.userId}: ${error.message}`);
+    throw error;
+  }
+}
@@ -1,20 +1,21 @@
 import { logger } from "../../config/index.js";
-import sendMail from "../../utils/send_mail.js";
+import { EmailService } from "../../services/email.js";
 
-export default async function (job, done) {
+/**
+ * Sends one queued email. Failures that retrying cannot fix are discarded
+ * so Bull skips the remaining attempts; the rest are retried with backoff
+ * and dead-lettered once attempts run out (see EmailService.deadLetter).
+ */
+export default async function (job) {
   try {
-    const emailData = job.data;
-    await sendMail({
-      email: emailData.to,
-      subject: emailData.subject,
-      message: emailData.text,
-    });
-    logger.info(`Email sent successfully to ${emailData.to}`);
-    done();
+    const { template } = await EmailService.deliver(job.data);
+    logger.info(`Email ${template ?? "(plain)"} sent successfully to ${job.data.to} (job ${job.id})`);
     return { success: true };
   } catch (error) {
-    logger.error(`Failed to send email to ${job.data.to}: ${error.message}`);
-    done(error);
-    throw new Error(error.message);
+    if (error.permanent) job.discard();
+    logger.error(
+      `Failed to send email to ${job.data.to} (job ${job.id}, attempt ${job.attemptsMade + 1}): ${error.message}`
+    );
+    throw error;
   }
 }
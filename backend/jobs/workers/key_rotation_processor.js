@@ -0,0 +1,17 @@
+import { logger } from "../../config/index.js";
+import { KeyRotationService } from "../../services/key_rotation.js";
+
+/**
+ * Re-encrypts stored data under the current key version.
+ * Progress is checkpointed by the service, so a retried job resumes.
+ */
+export default async function (job) {
+  try {
+    const result = await KeyRotationService.run(job.data, job);
+    logger.info(`Key rotation to ${job.data.targetVersion} processed: ${result.outcome}`);
+    return result;
+  } catch (error) {
+    logger.error(`Key rotation to ${job.data.targetVersion} failed: ${error.message}`);
+    throw error;
+  }
+}
@@ -0,0 +1,18 @@
+import { logger } from "../../config/index.js";
+import { ReminderService } from "../../services/reminder.js";
+
+/**
+ * Delivers one check-in reminder (repeatable or deferred job).
+ * Disabled or deleted reminders and quiet hours are handled by the service.
+ */
+export default async function (job) {
+  try {
+    // Deferred jobs carry the ID of the occurrence they were held back from
+    const result = await ReminderService.deliver({ ...job.data, occurrence: job.data.occurrence ?? String(job.id) });
+    logger.info(`Reminder ${job.data.reminderId} processed: ${result.outcome}`);
+    return result;
+  } catch (error) {
+    logger.error(`Failed to deliver reminder ${job.data.reminderId}: ${error.message}`);
+    throw error;
+  }
+}
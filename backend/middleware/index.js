@@ -1,6 +1,7 @@
-import { authenticationVerifier, isTokenBlacklisted, updateBlacklist, permissionVerifier, optionalVerifier, accessLevelVerifier, isAdminVerifier } from "./tokenization.js";
+import { authenticationVerifier, isTokenBlacklisted, updateBlacklist, permissionVerifier, optionalVerifier, accessLevelVerifier, isAdminVerifier, verifiedEmailVerifier } from "./tokenization.js";
 import { clearCache, cacheMiddleware } from "./caching.js";
 import { errorMiddleware } from "./error_middleware.js";
+import { rateLimiter } from "./rate_limiting.js";
 
 
 export {
@@ -10,8 +11,10 @@ export {
   permissionVerifier,
   accessLevelVerifier,
   isAdminVerifier,
+  verifiedEmailVerifier,
   clearCache,
   errorMiddleware,
   cacheMiddleware,
   optionalVerifier,
+  rateLimiter,
 };
@@ -0,0 +1,36 @@
+import HttpStatus from 'http-status-codes';
+import { responseHandler } from '../utils/index.js';
+import { accountIdentity, consumeRateLimit, getRateLimitPolicy, rateLimitHeaders } from '../utils/rate_limit.js';
+
+const ERRORS = {
+  TOO_MANY_REQUESTS: (seconds) => `Too many requests. Please try again in ${seconds} seconds.`,
+};
+
+/**
+ * Rate limits a route with a policy from utils/rate_limit.js. Per-user
+ * limits need req.userID, so place it after the authentication middleware.
+ * Every counted response carries RateLimit-* headers; refused requests get
+ * 429 with Retry-After and `retryAfter` (seconds) in the body.
+ *
+ * @param {string} policyName - Key of RATE_LIMIT_POLICIES
+ * @returns {Function} Express middleware
+ */
+export const rateLimiter = (policyName) => {
+  getRateLimitPolicy(policyName); // unknown names fail at startup
+
+  return async (req, res, next) => {
+    const result = await consumeRateLimit(policyName, {
+      ip: req.ip,
+      user: req.userID,
+      account: accountIdentity(req.body?.username ?? req.body?.email),
+    });
+    if (!result) return next();
+
+    res.set(rateLimitHeaders(result));
+    if (result.allowed) return next();
+
+    responseHandler(res, HttpStatus.TOO_MANY_REQUESTS, 'error', ERRORS.TOO_MANY_REQUESTS(result.resetSeconds), {
+      retryAfter: result.resetSeconds,
+    });
+  };
+};
@@ -2,10 +2,14 @@ import jwt from 'jsonwebtoken';
 import { RedisConfig, logger } from '../config/index.js';
 import { responseHandler } from '../utils/index.js';
 import HttpStatus from 'http-status-codes';
+import Session from '../models/session.js';
 import User from '../models/user.js';
 
 const JWT_SECRET = process.env.JWT_SECRET;
 
+// When true, chat is blocked until the user verifies their email address
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
 // ─────────────────────────────────────────────
 // Error Message Constants
 // ─────────────────────────────────────────────
@@ -15,7 +19,8 @@ const ERRORS = {
   INVALID_GUEST_ID: 'Invalid or expired guest ID.',
   FORBIDDEN_ACTION: 'You are not allowed to perform this task.',
   MISSING_USER_ID: 'Invalid token: Missing user ID.',
-  SESSION_EXPIRED: 'Your session has expired. Please log in again.'
+  SESSION_EXPIRED: 'Your session has expired. Please log in again.',
+  EMAIL_NOT_VERIFIED: 'Please verify your email address to use chat.'
 };
 
 // ─────────────────────────────────────────────
@@ -45,27 +50,25 @@ export const updateBlacklist = async (token, expiration = 3600) => {
 };
 
 // ─────────────────────────────────────────────
-// User Session Validation Helpers
+// Device Session Validation Helpers
 // ─────────────────────────────────────────────
 
 /**
- * Fetch the user's latest login timestamp for session validation.
+ * Confirm the token's device session is still active (not revoked or expired).
+ * @param {string} sessionId
  * @param {string} userID
- * @returns {Promise<Date>}
+ * @returns {Promise<boolean>}
  */
-const getLatestLoginTimestamp = async (userID) => {
-  const user = await User.findById(userID).select('lastLogin');
-  if (!user) {
-    logger.error(`User ${userID} found in token but not in database.`);
-    throw new Error('Invalid token: User not found or deleted.');
-  }
-
-  if (!user.lastLogin || !(user.lastLogin instanceof Date)) {
-    logger.error(`User ${userID} has invalid lastLogin field.`);
-    throw new Error('Internal validation error.');
-  }
-
-  return user.lastLogin;
+const isSessionActive = async (sessionId, userID) => {
+  const session = await Session.findOne({
+    _id: sessionId,
+    userID,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select('_id')
+    .lean();
+  return !!session;
 };
 
 // ─────────────────────────────────────────────
@@ -73,7 +76,7 @@ const getLatestLoginTimestamp = async (userID) => {
 // ─────────────────────────────────────────────
 
 /**
- * Validate JWT, check blacklist status, and confirm active session.
+ * Validate JWT, check blacklist status, and confirm its device session is active.
  * @param {string} token
  * @returns {Promise<object>} Decoded user payload
  */
@@ -102,18 +105,15 @@ export const verifyTokenCore = async (token) => {
     throw new Error(ERRORS.MISSING_USER_ID);
   }
 
-  const tokenSessionTime = user.iat_session;
-  if (typeof tokenSessionTime !== 'number') {
-    logger.error(`Missing iat_session for user ${user.id}`);
-    throw new Error(ERRORS.INVALID_TOKEN);
+  // Tokens issued before device sessions carry no sid
+  if (typeof user.sid !== 'string' || !/^[a-f0-9]{24}$/.test(user.sid)) {
+    logger.error(`Missing session ID in token for user ${user.id}`);
+    throw new Error(ERRORS.SESSION_EXPIRED);
   }
 
-  // 4. Validate against latest DB session
-  const dbLastLogin = await getLatestLoginTimestamp(user.id);
-  if (tokenSessionTime !== dbLastLogin.getTime()) {
-    logger.error(
-      `Stale token: userID ${user.id} | TokenTime ${tokenSessionTime} | DBTime ${dbLastLogin.getTime()}`
-    );
+  // 4. Validate the device session (revoked sessions fail immediately)
+  if (!(await isSessionActive(user.sid, user.id))) {
+    logger.error(`Inactive session: userID ${user.id} | session ${user.sid}`);
     throw new Error(ERRORS.SESSION_EXPIRED);
   }
 
@@ -198,6 +198,33 @@ export const permissionVerifier = (...conditions) => {
   };
 };
 
+/**
+ * Throw unless the user's email is verified (no-op when enforcement is off).
+ * @param {string} userID
+ */
+export const ensureEmailVerified = async (userID) => {
+  if (!REQUIRE_EMAIL_VERIFICATION) return;
+
+  const user = await User.findById(userID).select('emailVerified').lean();
+  if (user?.emailVerified !== true) throw new Error(ERRORS.EMAIL_NOT_VERIFIED);
+};
+
+/**
+ * Authenticate, then require a verified email when REQUIRE_EMAIL_VERIFICATION is set.
+ */
+export const verifiedEmailVerifier = (req, res, next) => {
+  authenticationVerifier(req, res, async () => {
+    try {
+      await ensureEmailVerified(req.userID);
+      next();
+    } catch (err) {
+      logger.error(`Email verification check failed for ${req.userID}: ${err.message}`);
+      const status = err.message === ERRORS.EMAIL_NOT_VERIFIED ? HttpStatus.FORBIDDEN : HttpStatus.INTERNAL_SERVER_ERROR;
+      responseHandler(res, status, 'error', err.message);
+    }
+  });
+};
+
 // ─────────────────────────────────────────────
 // Role-Based Middleware
 // ─────────────────────────────────────────────
@@ -0,0 +1,82 @@
+/**
+ * Assessment Model
+ * ---------------------------------------------------
+ * One completed self-assessment questionnaire (PHQ-9, GAD-7, ...).
+ * The answers and the scored result are stored as strong-encrypted JSON
+ * (utils/encryption.js); only the instrument, its version and the
+ * self-harm risk level stay in plain text so history can be filtered
+ * and at-risk results audited.
+ */
+
+import mongoose from 'mongoose';
+import { encryptSetter, decryptGetter, envelopeEncryption } from './chat.js';
+import { RISK_LEVELS } from '../utils/risk_assessment.js';
+
+/* -------------------------------------------------------------------------- */
+/*                                   SCHEMA                                   */
+/* -------------------------------------------------------------------------- */
+
+const assessmentSchema = new mongoose.Schema(
+  {
+    userID: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    /** Instrument ID, e.g. "phq9" (see utils/instruments.js) */
+    instrument: {
+      type: String,
+      required: true,
+    },
+
+    /** Definition version the answers were scored with */
+    version: {
+      type: Number,
+      required: true,
+    },
+
+    /** Strong-encrypted JSON array of answer values, in item order */
+    answers: {
+      type: String,
+      required: true,
+      set: encryptSetter,
+      get: decryptGetter,
+    },
+
+    /** Strong-encrypted JSON {total, severity, label} */
+    result: {
+      type: String,
+      required: true,
+      set: encryptSetter,
+      get: decryptGetter,
+    },
+
+    /** Risk implied by the self-harm item (none for instruments without one) */
+    riskLevel: {
+      type: String,
+      enum: Object.values(RISK_LEVELS),
+      default: RISK_LEVELS.NONE,
+    },
+
+    /** Safety event raised by a positive self-harm answer */
+    safetyEventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SafetyEvent',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { getters: true },
+    toObject: { getters: true },
+  }
+);
+
+// Per-user history, optionally per instrument
+assessmentSchema.index({ userID: 1, instrument: 1, createdAt: -1 });
+
+assessmentSchema.plugin(envelopeEncryption, { paths: ['answers', 'result'] });
+
+const Assessment = mongoose.model('Assessment', assessmentSchema);
+
+export default Assessment;
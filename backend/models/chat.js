@@ -3,7 +3,8 @@
  * ---------------------------------------------------
  * This module defines two Mongoose schemas:
  * 1. Message — Stores individual chat messages (de-normalized collection)
- * 2. Chat — Stores chat metadata and helper methods
+ * 2. Chat — Stores conversation metadata and helper methods
+ *    (a user may own any number of named conversations)
  *
  * Includes:
  * - Transparent encryption on write (setter)
@@ -12,42 +13,173 @@
  */
 
 import mongoose from 'mongoose';
-import { encryptText, decryptText } from '../utils/encryption.js';
+import {
+  encryptText,
+  decryptText,
+  encryptWithDataKey,
+  decryptWithDataKey,
+  getDataKeyOwner,
+  generateDataKey,
+  wrapDataKey,
+  unwrapDataKey,
+  DataKeyCache,
+} from '../utils/encryption.js';
+import { RISK_LEVELS } from '../utils/risk_assessment.js';
+import { buildSearchIndex } from '../utils/search_index.js';
 import { logger } from '../config/index.js';
 
+/* -------------------------------------------------------------------------- */
+/*                                 CONSTANTS                                  */
+/* -------------------------------------------------------------------------- */
+
+export const DEFAULT_TITLE = 'New conversation';
+export const TITLE_MAX_LENGTH = 100;
+
 /* -------------------------------------------------------------------------- */
 /*                          ENCRYPTION HELPERS                                */
 /* -------------------------------------------------------------------------- */
 
+/**
+ * Owner of the data being encrypted: the `userID` of the document (or of
+ * the parent document, for subdocuments). Queries and the User model have
+ * none, so their values stay under the master key.
+ */
+const ownerOf = (doc) => {
+  const root = typeof doc?.ownerDocument === 'function' ? doc.ownerDocument() : doc;
+  return root instanceof mongoose.Document ? root.get('userID')?.toString() ?? null : null;
+};
+
 /**
  * Setter: Encrypts message content before storing in the database.
  * Runs automatically when a message is created or updated.
+ * Uses the owner's data key when it is loaded; otherwise the master key,
+ * and the save hook below moves the value to the data key.
+ * (A regular function: Mongoose passes the document as `this`.)
  */
-const encryptSetter = (value) => {
+export const encryptSetter = function (value) {
   if (typeof value === 'string' && value.length > 0) {
-    return encryptText(value.trim());
+    const ownerId = ownerOf(this);
+    const dataKey = ownerId && DataKeyCache.get(ownerId);
+    return dataKey ? encryptWithDataKey(value.trim(), dataKey, ownerId) : encryptText(value.trim());
   }
   return value;
 };
 
+/** Placeholder returned by decryptGetter for data-key ciphertext it cannot read */
+export const DECRYPTION_FAILED = '[Decryption Failed]';
+
 /**
  * Getter: Decrypts message content when retrieved from MongoDB.
  * Ensures all returned messages include human-readable text.
+ * Data keys are loaded by the query hooks below before getters run.
  */
-const decryptGetter = (value) => {
+export const decryptGetter = (value) => {
   if (typeof value === 'string' && value.length > 0) {
     try {
-      return decryptText(value);
+      const ownerId = getDataKeyOwner(value);
+      if (!ownerId) return decryptText(value);
+
+      const dataKey = DataKeyCache.get(ownerId);
+      if (!dataKey) throw new Error(`Data key not loaded for owner ${ownerId}`);
+      return decryptWithDataKey(value, dataKey);
     } catch (err) {
       logger.error(`Failed to decrypt message: ${err.message}`);
-      return '[Decryption Failed]';
+      return DECRYPTION_FAILED;
     }
   }
   return value;
 };
 
-/* -------------------------------------------------------------------------- */
-/*                               MESSAGE SCHEMA                               */
+/**
+ * Raw (still encrypted) values at a path; "array.field" paths yield one
+ * value per element.
+ */
+const rawValues = (doc, path) => {
+  if (!doc) return [];
+  const value = typeof doc.get === 'function'
+    ? doc.get(path, null, { getters: false })
+    : path.split('.').reduce((v, key) => (Array.isArray(v) ? v.map((item) => item?.[key]) : v?.[key]), doc);
+  return [].concat(value ?? []);
+};
+
+/**
+ * Loads (and caches) the data keys of the given users. With `create`,
+ * users without a key get one.
+ * @param {string[]} userIds
+ * @param {{create?: boolean}} [options]
+ */
+export const loadDataKeys = async (userIds, { create = false } = {}) => {
+  const missing = [...new Set(userIds.map(String))].filter((id) => !DataKeyCache.get(id));
+  if (!missing.length) return;
+
+  // Resolved lazily: models/user.js imports this module
+  const User = mongoose.model('User');
+  const users = await User.find({ _id: { $in: missing } }).select('+dataKey').lean();
+
+  for (const user of users) {
+    let wrapped = user.dataKey;
+    if (!wrapped && create) {
+      const candidate = wrapDataKey(generateDataKey());
+      const { modifiedCount } = await User.updateOne(
+        { _id: user._id, dataKey: null },
+        { $set: { dataKey: candidate } }
+      );
+      // Lost a race with another writer: use the key it stored
+      wrapped = modifiedCount ? candidate : (await User.findById(user._id).select('+dataKey').lean())?.dataKey;
+    }
+    if (!wrapped) continue;
+
+    try {
+      DataKeyCache.set(user._id, unwrapDataKey(wrapped));
+    } catch (err) {
+      logger.error(`Failed to unwrap data key of user ${user._id}: ${err.message}`);
+    }
+  }
+};
+
+/**
+ * Schema plugin for per-user encryption of the given paths (which must use
+ * encryptSetter/decryptGetter, and come after `userID` in the schema so the
+ * setter can see the owner):
+ *  - After queries, loads the data keys named in the results, so the
+ *    synchronous getters can decrypt
+ *  - Before save, creates the owner's data key if needed and re-encrypts
+ *    values the setter had to put under the master key
+ *
+ * @param {Schema} schema
+ * @param {{paths: string[]}} options - Top-level paths or "array.field"
+ */
+export const envelopeEncryption = (schema, { paths }) => {
+  schema.post(['find', 'findOne', 'findOneAndUpdate'], async function (result) {
+    const docs = [].concat(result ?? []);
+    const owners = docs.flatMap((doc) => paths.flatMap((path) => rawValues(doc, path).map(getDataKeyOwner)));
+    const ids = owners.filter(Boolean);
+    if (ids.length) await loadDataKeys(ids);
+  });
+
+  schema.pre('save', async function () {
+    const ownerId = ownerOf(this);
+    if (!ownerId) return;
+
+    // [document, field] pairs holding a master-key value
+    const pending = paths.flatMap((path) => {
+      const [head, ...rest] = path.split('.');
+      const targets = rest.length ? (this.get(head) ?? []).map((item) => [item, rest.join('.')]) : [[this, path]];
+      return targets.filter(([doc, field]) => {
+        const raw = doc.get(field, null, { getters: false });
+        return typeof raw === 'string' && raw.length > 0 && !getDataKeyOwner(raw);
+      });
+    });
+    if (!pending.length) return;
+
+    await loadDataKeys([ownerId], { create: true });
+    if (!DataKeyCache.get(ownerId)) return; // Owner gone: keep the master key
+
+    // Re-setting the plaintext runs encryptSetter again, now with the data key
+    pending.forEach(([doc, field]) => doc.set(field, doc.get(field)));
+  });
+};
+
 /* -------------------------------------------------------------------------- */
 /**
  * Each message is an independent document (de-normalized design).
@@ -63,6 +195,12 @@ const messageSchema = new mongoose.Schema(
       required: true,
     },
 
+    /** Owner of the conversation; selects the data key (declared before content) */
+    userID: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
     /** Role of the entity sending the message */
     role: {
       type: String,
@@ -78,11 +216,34 @@ const messageSchema = new mongoose.Schema(
       get: decryptGetter,
     },
 
+    /**
+     * Blind index: keyed hashes of the words in content, for search without
+     * decrypting (see utils/search_index.js). Absent when not yet indexed.
+     */
+    searchIndex: {
+      type: [String],
+      default: undefined,
+      select: false,
+    },
+
     /** Timestamp of when the message was added */
     timestamp: {
       type: Date,
       default: Date.now,
     },
+
+    /** True when an assistant reply was cut short (e.g. cancelled by the user) */
+    truncated: {
+      type: Boolean,
+      default: false,
+    },
+
+    /** Assessed crisis risk of a user message (see services/risk.js) */
+    riskLevel: {
+      type: String,
+      enum: Object.values(RISK_LEVELS),
+      default: RISK_LEVELS.NONE,
+    },
   },
   {
     // Ensures getters (decryption) are applied on toJSON and toObject
@@ -94,6 +255,11 @@ const messageSchema = new mongoose.Schema(
 // Optimized index: speeds up message retrieval per chat in descending order
 messageSchema.index({ chatId: 1, timestamp: -1 });
 
+// Search within one user's messages
+messageSchema.index({ userID: 1, searchIndex: 1 });
+
+messageSchema.plugin(envelopeEncryption, { paths: ['content'] });
+
 const Message = mongoose.model('Message', messageSchema);
 
 /* -------------------------------------------------------------------------- */
@@ -113,6 +279,43 @@ const chatSchema = new mongoose.Schema(
       required: true,
     },
 
+    /** User-facing conversation name (e.g. "Work stress") */
+    title: {
+      type: String,
+      trim: true,
+      maxlength: TITLE_MAX_LENGTH,
+      default: DEFAULT_TITLE,
+    },
+
+    /** Archived conversations are hidden from the default listing */
+    archived: {
+      type: Boolean,
+      default: false,
+    },
+
+    /** Time of the most recent message, used to order the conversation list */
+    lastMessageAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    /** Strong-encrypted rolling summary of messages older than the raw context window */
+    summary: {
+      type: String,
+      set: encryptSetter,
+      get: decryptGetter,
+    },
+
+    /** Timestamp of the newest message folded into the summary */
+    summarizedUntil: {
+      type: Date,
+    },
+
+    /** ID of that message; orders messages saved in the same millisecond */
+    summarizedUntilId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+
     /** Tracks if any system disclaimer has been injected */
     disclaimerAdded: {
       type: Boolean,
@@ -126,8 +329,10 @@ const chatSchema = new mongoose.Schema(
   }
 );
 
-// Ensure each user has exactly one chat entry
-chatSchema.index({ userID: 1 }, { unique: true });
+// Speeds up listing a user's conversations, most recently active first
+chatSchema.index({ userID: 1, archived: 1, lastMessageAt: -1 });
+
+chatSchema.plugin(envelopeEncryption, { paths: ['summary'] });
 
 /* -------------------------------------------------------------------------- */
 /*                               CHAT METHODS                                 */
@@ -138,9 +343,16 @@ chatSchema.index({ userID: 1 }, { unique: true });
  *
  * @param {string} role - "user" or "assistant"
  * @param {string} content - The plaintext message content
+ * @param {Object} [options]
+ * @param {boolean} [options.truncated=false] - Marks a partial assistant reply
+ * @param {string} [options.riskLevel] - Assessed risk level of a user message
  * @returns {Promise<Document>} The newly created Message doc
  */
-chatSchema.methods.addMessage = async function (role, content) {
+chatSchema.methods.addMessage = async function (
+  role,
+  content,
+  { truncated = false, riskLevel = RISK_LEVELS.NONE } = {}
+) {
   if (!['user', 'assistant'].includes(role)) {
     throw new Error('Invalid message role.');
   }
@@ -149,12 +361,25 @@ chatSchema.methods.addMessage = async function (role, content) {
     throw new Error('Message content cannot be empty.');
   }
 
-  return await Message.create({
+  const timestamp = new Date();
+
+  const message = await Message.create({
     chatId: this._id,
+    userID: this.userID,
     role,
     content: content.trim(), // Encryption via schema setter
-    timestamp: new Date(),
+    searchIndex: buildSearchIndex(content.trim(), this.userID),
+    timestamp,
+    truncated,
+    riskLevel,
   });
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { lastMessageAt: timestamp } }
+  );
+
+  return message;
 };
 
 /**
@@ -163,14 +388,16 @@ chatSchema.methods.addMessage = async function (role, content) {
  *
  * @param {number} limit - Max number of messages
  * @param {number} skip - Number of messages to skip (pagination offset)
- * @returns {Promise<Array<Document>>}
+ * @returns {Promise<Array<Object>>} Plain objects, newest first
  */
 chatSchema.methods.getHistory = async function (limit = 50, skip = 0) {
-  return await Message.find({ chatId: this._id })
+  const messages = await Message.find({ chatId: this._id })
     .sort({ timestamp: -1 })
     .skip(skip)
     .limit(limit)
-    .lean({ getters: true }); // Ensures decrypted output
+    .exec();
+  // Lean queries skip getters, so hydrate and convert to decrypt
+  return messages.map((m) => m.toObject({ getters: true }));
 };
 
 /* -------------------------------------------------------------------------- */
@@ -178,17 +405,27 @@ chatSchema.methods.getHistory = async function (limit = 50, skip = 0) {
 /* -------------------------------------------------------------------------- */
 
 /**
- * Finds an existing chat or creates a new one for the user.
+ * Finds a conversation that belongs to the given user.
  *
+ * @param {ObjectId|string} chatId
  * @param {ObjectId} userID
- * @returns {Promise<Document>} Chat instance
+ * @returns {Promise<Document|null>} Chat instance, or null if not owned/found
  */
-chatSchema.statics.findOrCreate = async function (userID) {
-  let chat = await this.findOne({ userID });
-  if (!chat) {
-    chat = await this.create({ userID });
-  }
-  return chat;
+chatSchema.statics.findOwned = async function (chatId, userID) {
+  if (!mongoose.Types.ObjectId.isValid(chatId)) return null;
+  return await this.findOne({ _id: chatId, userID }).exec();
+};
+
+/**
+ * Deletes a conversation together with all of its messages.
+ *
+ * @param {ObjectId} chatId
+ * @returns {Promise<{deletedMessages: number}>}
+ */
+chatSchema.statics.deleteWithMessages = async function (chatId) {
+  const { deletedCount } = await Message.deleteMany({ chatId });
+  await this.deleteOne({ _id: chatId });
+  return { deletedMessages: deletedCount };
 };
 
 /* -------------------------------------------------------------------------- */
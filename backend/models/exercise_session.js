@@ -0,0 +1,98 @@
+/**
+ * ExerciseSession Model
+ * ---------------------------------------------------
+ * One run of a guided exercise (utils/exercises.js): who started it,
+ * whether the user or the model triggered it, and whether it was
+ * completed. Anything the user wrote during the exercise (e.g. a thought
+ * record) is stored as strong-encrypted JSON.
+ */
+
+import mongoose from 'mongoose';
+import { encryptSetter, decryptGetter, envelopeEncryption } from './chat.js';
+
+/* -------------------------------------------------------------------------- */
+/*                                 CONSTANTS                                  */
+/* -------------------------------------------------------------------------- */
+
+export const EXERCISE_STATUS = {
+  STARTED: 'started',
+  COMPLETED: 'completed',
+};
+
+export const EXERCISE_TRIGGERS = {
+  USER: 'user', // Requested by the user (REST or websocket command)
+  MODEL: 'model', // Suggested by the model in a chat reply
+};
+
+/* -------------------------------------------------------------------------- */
+/*                                   SCHEMA                                   */
+/* -------------------------------------------------------------------------- */
+
+const exerciseSessionSchema = new mongoose.Schema(
+  {
+    userID: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    /** Exercise ID and the definition version that was shown */
+    exerciseId: {
+      type: String,
+      required: true,
+    },
+
+    version: {
+      type: Number,
+      required: true,
+    },
+
+    /** Conversation the exercise was offered in, if any */
+    chatId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Chat',
+    },
+
+    trigger: {
+      type: String,
+      enum: Object.values(EXERCISE_TRIGGERS),
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: Object.values(EXERCISE_STATUS),
+      default: EXERCISE_STATUS.STARTED,
+    },
+
+    /** Strong-encrypted JSON of the user's step inputs */
+    responses: {
+      type: String,
+      set: encryptSetter,
+      get: decryptGetter,
+    },
+
+    /** How helpful the user found it (1-5) */
+    rating: {
+      type: Number,
+      min: 1,
+      max: 5,
+    },
+
+    completedAt: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: { getters: true },
+    toObject: { getters: true },
+  }
+);
+
+// Per-user history
+exerciseSessionSchema.index({ userID: 1, createdAt: -1 });
+
+exerciseSessionSchema.plugin(envelopeEncryption, { paths: ['responses'] });
+
+const ExerciseSession = mongoose.model('ExerciseSession', exerciseSessionSchema);
+
+export default ExerciseSession;
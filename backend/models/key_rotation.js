@@ -0,0 +1,121 @@
+/**
+ * KeyRotation Model
+ * ---------------------------------------------------
+ * Progress of re-encrypting stored data under one key version. The
+ * rotation job checkpoints the last processed _id per collection after
+ * every batch, so a crashed or retried job resumes where it stopped.
+ *
+ * A completed run with no failures proves every record decrypts and uses
+ * the target key; only then can older keys be retired.
+ */
+
+import mongoose from 'mongoose';
+
+/* -------------------------------------------------------------------------- */
+/*                                 CONSTANTS                                  */
+/* -------------------------------------------------------------------------- */
+
+export const ROTATION_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+};
+
+// Undecryptable records listed for follow-up
+export const MAX_FAILURE_SAMPLES = 50;
+
+/* -------------------------------------------------------------------------- */
+/*                                   SCHEMA                                   */
+/* -------------------------------------------------------------------------- */
+
+const collectionProgressSchema = new mongoose.Schema(
+  {
+    /** Collection key, e.g. "messages" (see services/key_rotation.js) */
+    name: {
+      type: String,
+      required: true,
+    },
+
+    /** Document count when the run started, for the progress percentage */
+    total: {
+      type: Number,
+      default: 0,
+    },
+
+    /** Resume point: documents up to this _id are done */
+    lastId: mongoose.Schema.Types.ObjectId,
+
+    processed: {
+      type: Number,
+      default: 0,
+    },
+
+    /** Fields rewritten under the target key */
+    reencrypted: {
+      type: Number,
+      default: 0,
+    },
+
+    /** Fields that could not be decrypted (left untouched) */
+    failed: {
+      type: Number,
+      default: 0,
+    },
+
+    done: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
+
+const keyRotationSchema = new mongoose.Schema(
+  {
+    /** Key version everything is moved to */
+    targetVersion: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    status: {
+      type: String,
+      enum: Object.values(ROTATION_STATUS),
+      default: ROTATION_STATUS.RUNNING,
+    },
+
+    collections: {
+      type: [collectionProgressSchema],
+      default: [],
+    },
+
+    failures: {
+      type: [
+        {
+          _id: false,
+          collectionName: String,
+          documentId: mongoose.Schema.Types.ObjectId,
+          field: String,
+        },
+      ],
+      default: [],
+    },
+
+    startedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    startedAt: Date,
+    completedAt: Date,
+
+    /** Last job error, when status is failed */
+    error: String,
+  },
+  { timestamps: true }
+);
+
+const KeyRotation = mongoose.model('KeyRotation', keyRotationSchema);
+
+export default KeyRotation;
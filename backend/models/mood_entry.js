@@ -0,0 +1,79 @@
+/**
+ * MoodEntry Model
+ * ---------------------------------------------------
+ * One mood check-in: a 1–10 score, emotion tags and an optional note.
+ * The note is encrypted at rest with the same field-level encryption
+ * as chat messages (utils/encryption.js).
+ */
+
+import mongoose from 'mongoose';
+import { encryptSetter, decryptGetter, envelopeEncryption } from './chat.js';
+
+/* -------------------------------------------------------------------------- */
+/*                                 CONSTANTS                                  */
+/* -------------------------------------------------------------------------- */
+
+export const MOOD_SCORE_MIN = 1;
+export const MOOD_SCORE_MAX = 10;
+export const MOOD_MAX_TAGS = 10;
+export const MOOD_TAG_MAX_LENGTH = 30;
+export const MOOD_NOTE_MAX_LENGTH = 1000;
+
+/* -------------------------------------------------------------------------- */
+/*                                   SCHEMA                                   */
+/* -------------------------------------------------------------------------- */
+
+const moodEntrySchema = new mongoose.Schema(
+  {
+    userID: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    /** 1 = worst, 10 = best */
+    score: {
+      type: Number,
+      required: true,
+      min: MOOD_SCORE_MIN,
+      max: MOOD_SCORE_MAX,
+      validate: {
+        validator: Number.isInteger,
+        message: (props) => `${props.value} is not a whole number!`,
+      },
+    },
+
+    /** Lower-case emotion tags, e.g. ["anxious", "tired"] */
+    tags: {
+      type: [String],
+      default: [],
+    },
+
+    /** Strong-encrypted free-text note */
+    note: {
+      type: String,
+      set: encryptSetter,
+      get: decryptGetter,
+    },
+
+    /** When the mood was felt (defaults to now; may be backdated) */
+    recordedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { getters: true },
+    toObject: { getters: true },
+  }
+);
+
+// Listing and aggregating a user's entries over time
+moodEntrySchema.index({ userID: 1, recordedAt: -1 });
+
+moodEntrySchema.plugin(envelopeEncryption, { paths: ['note'] });
+
+const MoodEntry = mongoose.model('MoodEntry', moodEntrySchema);
+
+export default MoodEntry;
@@ -0,0 +1,60 @@
+/**
+ * Notification Model
+ * ---------------------------------------------------
+ * In-app notification shown in the user's notification list
+ * (e.g. a check-in reminder). Read state is tracked per notification.
+ */
+
+import mongoose from 'mongoose';
+
+/* -------------------------------------------------------------------------- */
+/*                                 CONSTANTS                                  */
+/* -------------------------------------------------------------------------- */
+
+export const NOTIFICATION_TYPES = {
+  CHECK_IN_REMINDER: 'check_in_reminder',
+};
+
+// Notifications are removed automatically after 90 days
+const NOTIFICATION_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+/* -------------------------------------------------------------------------- */
+/*                                   SCHEMA                                   */
+/* -------------------------------------------------------------------------- */
+
+const notificationSchema = new mongoose.Schema(
+  {
+    userID: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    type: {
+      type: String,
+      enum: Object.values(NOTIFICATION_TYPES),
+      required: true,
+    },
+
+    title: {
+      type: String,
+      required: true,
+    },
+
+    body: String,
+
+    /** App path the notification opens, e.g. "/mood" */
+    link: String,
+
+    readAt: Date,
+  },
+  { timestamps: true }
+);
+
+// Newest-first listing and unread counts per user
+notificationSchema.index({ userID: 1, readAt: 1, createdAt: -1 });
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: NOTIFICATION_TTL_SECONDS });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+export default Notification;
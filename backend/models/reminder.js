@@ -0,0 +1,93 @@
+/**
+ * Reminder Model
+ * ---------------------------------------------------
+ * A recurring wellness check-in reminder. Each enabled reminder is backed
+ * by a Bull repeatable job on the reminder queue (keyed by the reminder ID
+ * and its cron expression) and is delivered in-app and/or by email.
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { REMINDER_FREQUENCIES, isValidTime } from '../utils/reminders.js';
+import { isValidTimeZone } from '../utils/mood_stats.js';
+
+/* -------------------------------------------------------------------------- */
+/*                                 CONSTANTS                                  */
+/* -------------------------------------------------------------------------- */
+
+export const MAX_REMINDERS_PER_USER = 5;
+
+/* -------------------------------------------------------------------------- */
+/*                                   SCHEMA                                   */
+/* -------------------------------------------------------------------------- */
+
+const reminderSchema = new mongoose.Schema(
+  {
+    userID: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+
+    frequency: {
+      type: String,
+      enum: Object.values(REMINDER_FREQUENCIES),
+      required: true,
+    },
+
+    /** Local time of day, "HH:mm" */
+    time: {
+      type: String,
+      required: true,
+      validate: {
+        validator: isValidTime,
+        message: (props) => `${props.value} is not a valid HH:mm time!`,
+      },
+    },
+
+    /** 0 (Sunday) to 6; weekly reminders only */
+    dayOfWeek: {
+      type: Number,
+      min: 0,
+      max: 6,
+    },
+
+    /** IANA time zone the time is expressed in */
+    timezone: {
+      type: String,
+      required: true,
+      validate: {
+        validator: isValidTimeZone,
+        message: (props) => `${props.value} is not a valid time zone!`,
+      },
+    },
+
+    channels: {
+      email: { type: Boolean, default: true },
+      inApp: { type: Boolean, default: true },
+    },
+
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+
+    /** Cron expression of the scheduled repeatable job (needed to remove it) */
+    cron: String,
+
+    /** Secret for the one-click unsubscribe link in reminder emails */
+    unsubscribeToken: {
+      type: String,
+      default: () => crypto.randomBytes(24).toString('hex'),
+      unique: true,
+    },
+
+    lastSentAt: Date,
+  },
+  { timestamps: true }
+);
+
+const Reminder = mongoose.model('Reminder', reminderSchema);
+
+export default Reminder;
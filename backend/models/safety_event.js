@@ -0,0 +1,191 @@
+/**
+ * SafetyEvent Model
+ * ---------------------------------------------------
+ * Audit record created whenever a user message is assessed at elevated or
+ * imminent crisis risk, or a questionnaire's self-harm item is answered
+ * positively. Stores what triggered the assessment and what the bot did,
+ * plus a reference to the (encrypted) message or questionnaire — never
+ * its text.
+ *
+ * Admins triage, annotate and close events through /admin/safety-events.
+ * Reviewer notes are encrypted the same way as chat messages.
+ */
+
+import mongoose from 'mongoose';
+import { encryptSetter, decryptGetter, envelopeEncryption } from './chat.js';
+import { RISK_LEVELS } from '../utils/risk_assessment.js';
+
+/* -------------------------------------------------------------------------- */
+/*                                 CONSTANTS                                  */
+/* -------------------------------------------------------------------------- */
+
+export const SAFETY_EVENT_STATUS = {
+  OPEN: 'open',
+  IN_REVIEW: 'in_review',
+  CLOSED: 'closed',
+};
+
+export const SAFETY_EVENT_PRIORITY = {
+  URGENT: 'urgent',
+  HIGH: 'high',
+  NORMAL: 'normal',
+};
+
+/** Where the risk was detected */
+export const SAFETY_EVENT_SOURCES = {
+  CHAT: 'chat',
+  ASSESSMENT: 'assessment', // Self-harm item of a questionnaire
+};
+
+/** What the bot did in response to the message */
+export const SAFETY_ACTIONS = {
+  CRISIS_RESPONSE: 'crisis_response', // Crisis resources returned (no model reply)
+  SAFETY_REPLY: 'safety_reply', // Model guided towards safety, resources appended
+};
+
+export const NOTE_MAX_LENGTH = 2000;
+
+/* -------------------------------------------------------------------------- */
+/*                                   SCHEMA                                   */
+/* -------------------------------------------------------------------------- */
+
+const noteSchema = new mongoose.Schema(
+  {
+    authorID: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    /** Strong-encrypted reviewer note */
+    text: {
+      type: String,
+      required: true,
+      set: encryptSetter,
+      get: decryptGetter,
+    },
+
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    _id: true,
+    toJSON: { getters: true },
+    toObject: { getters: true },
+  }
+);
+
+const safetyEventSchema = new mongoose.Schema(
+  {
+    userID: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    source: {
+      type: String,
+      enum: Object.values(SAFETY_EVENT_SOURCES),
+      default: SAFETY_EVENT_SOURCES.CHAT,
+    },
+
+    /** Questionnaire that raised the event (assessment source only) */
+    assessmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Assessment',
+    },
+
+    /** Conversation the message belongs to (set once the exchange is saved) */
+    chatId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Chat',
+    },
+
+    /** The assessed user message; absent if the user cancelled before anything was saved */
+    messageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message',
+    },
+
+    riskLevel: {
+      type: String,
+      enum: [RISK_LEVELS.ELEVATED, RISK_LEVELS.IMMINENT],
+      required: true,
+    },
+
+    /** Signals that produced the risk level */
+    trigger: {
+      lexiconLevel: String,
+      matches: [String],
+      modifiers: [String],
+      classification: String,
+      trajectoryLevel: String,
+      escalating: Boolean,
+      degraded: Boolean,
+      // Assessment source: instrument ID and the self-harm item's answer
+      instrument: String,
+      itemScore: Number,
+    },
+
+    action: {
+      type: String,
+      enum: Object.values(SAFETY_ACTIONS),
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: Object.values(SAFETY_EVENT_STATUS),
+      default: SAFETY_EVENT_STATUS.OPEN,
+    },
+
+    priority: {
+      type: String,
+      enum: Object.values(SAFETY_EVENT_PRIORITY),
+      default: SAFETY_EVENT_PRIORITY.HIGH,
+    },
+
+    /** Admin currently reviewing the event */
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    notes: {
+      type: [noteSchema],
+      default: [],
+    },
+
+    /** Strong-encrypted closing summary */
+    resolution: {
+      type: String,
+      set: encryptSetter,
+      get: decryptGetter,
+    },
+
+    closedAt: Date,
+
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { getters: true },
+    toObject: { getters: true },
+  }
+);
+
+// Review queue: open events by priority, newest first
+safetyEventSchema.index({ status: 1, priority: 1, createdAt: -1 });
+// Per-user history
+safetyEventSchema.index({ userID: 1, createdAt: -1 });
+
+safetyEventSchema.plugin(envelopeEncryption, { paths: ['resolution', 'notes.text'] });
+
+const SafetyEvent = mongoose.model('SafetyEvent', safetyEventSchema);
+
+export default SafetyEvent;
@@ -0,0 +1,96 @@
+/**
+ * Session Model
+ * ---------------------------------------------------
+ * One signed-in device. Access tokens carry the session ID (`sid`) and
+ * are only accepted while the session is active; the device renews them
+ * with a rotating refresh token, of which only a hash is stored.
+ * Presenting an already-rotated refresh token revokes the session.
+ */
+
+import mongoose from 'mongoose';
+
+/* -------------------------------------------------------------------------- */
+/*                                 CONSTANTS                                  */
+/* -------------------------------------------------------------------------- */
+
+export const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days, sliding
+export const MAX_SESSIONS_PER_USER = 10;
+
+// Rotated token hashes kept for reuse detection
+export const ROTATED_HASHES_KEPT = 20;
+
+export const SESSION_REVOKE_REASONS = {
+  LOGOUT: 'logout',
+  REVOKED: 'revoked',
+  REUSE_DETECTED: 'reuse_detected',
+  PASSWORD_RESET: 'password_reset',
+  SESSION_LIMIT: 'session_limit',
+  TWO_FACTOR_REQUIRED: 'two_factor_required',
+  ACCOUNT_DELETION: 'account_deletion',
+};
+
+/* -------------------------------------------------------------------------- */
+/*                                   SCHEMA                                   */
+/* -------------------------------------------------------------------------- */
+
+const sessionSchema = new mongoose.Schema(
+  {
+    userID: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+
+    /** SHA-256 of the current refresh-token secret */
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+
+    /** Hashes of already-rotated secrets; seeing one again means reuse */
+    rotatedTokenHashes: {
+      type: [String],
+      default: [],
+    },
+
+    device: {
+      name: String,
+      userAgent: String,
+      ip: String,
+    },
+
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    revokedAt: Date,
+
+    revokedReason: {
+      type: String,
+      enum: Object.values(SESSION_REVOKE_REASONS),
+    },
+  },
+  { timestamps: true }
+);
+
+// Expired sessions are removed automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * True while the session can be used and refreshed.
+ * @returns {boolean}
+ */
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
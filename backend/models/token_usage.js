@@ -0,0 +1,97 @@
+/**
+ * TokenUsage Model
+ * ---------------------------------------------------
+ * LLM tokens used by one user on one UTC day, in total and per purpose
+ * (chat reply, risk classification, conversation summary). Written with
+ * atomic $inc upserts, one per model call; read for quotas and reports.
+ */
+
+import mongoose from 'mongoose';
+
+/* -------------------------------------------------------------------------- */
+/*                                 CONSTANTS                                  */
+/* -------------------------------------------------------------------------- */
+
+export const USAGE_PURPOSES = {
+  CHAT: 'chat',
+  CLASSIFICATION: 'classification',
+  SUMMARY: 'summary',
+  OTHER: 'other',
+};
+
+// Daily records are removed after about 13 months
+const USAGE_TTL_SECONDS = 400 * 24 * 60 * 60;
+
+/* -------------------------------------------------------------------------- */
+/*                                   SCHEMA                                   */
+/* -------------------------------------------------------------------------- */
+
+const counters = () => ({
+  inputTokens: Number,
+  outputTokens: Number,
+  calls: Number,
+});
+
+const tokenUsageSchema = new mongoose.Schema(
+  {
+    userID: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    /** 00:00 UTC of the day counted */
+    day: {
+      type: Date,
+      required: true,
+    },
+
+    ...counters(),
+
+    /** Calls whose counts were estimated because the provider reported none */
+    estimatedCalls: Number,
+
+    byPurpose: Object.fromEntries(Object.values(USAGE_PURPOSES).map((purpose) => [purpose, counters()])),
+  },
+  { timestamps: true }
+);
+
+tokenUsageSchema.index({ userID: 1, day: 1 }, { unique: true });
+tokenUsageSchema.index({ day: 1 }, { expireAfterSeconds: USAGE_TTL_SECONDS });
+
+/* -------------------------------------------------------------------------- */
+/*                                  STATICS                                   */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Adds one call to the user's record for the day.
+ * @param {Object} usage
+ * @param {ObjectId|string} usage.userID
+ * @param {Date} usage.day - 00:00 UTC
+ * @param {string} usage.purpose - One of USAGE_PURPOSES
+ * @param {number} usage.inputTokens
+ * @param {number} usage.outputTokens
+ * @param {boolean} [usage.estimated]
+ * @returns {Promise<Object>} The updated record
+ */
+tokenUsageSchema.statics.record = function ({ userID, day, purpose, inputTokens, outputTokens, estimated = false }) {
+  return this.findOneAndUpdate(
+    { userID, day },
+    {
+      $inc: {
+        inputTokens,
+        outputTokens,
+        calls: 1,
+        estimatedCalls: estimated ? 1 : 0,
+        [`byPurpose.${purpose}.inputTokens`]: inputTokens,
+        [`byPurpose.${purpose}.outputTokens`]: outputTokens,
+        [`byPurpose.${purpose}.calls`]: 1,
+      },
+    },
+    { upsert: true, new: true, lean: true }
+  );
+};
+
+const TokenUsage = mongoose.model('TokenUsage', tokenUsageSchema);
+
+export default TokenUsage;
@@ -1,5 +1,9 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { isValidRegion, isValidLocale } from '../utils/crisis_resources.js';
+import { isValidTime } from '../utils/reminders.js';
+import { PLANS, DEFAULT_PLAN } from '../utils/usage_quota.js';
+import { encryptSetter, decryptGetter } from './chat.js';
 
 // ─────────────────────────────────────────────
 // Constants
@@ -44,6 +48,17 @@ const UserSchema = new mongoose.Schema(
       minlength: 8
     },
 
+    // Set once the user follows the link in the verification email
+    emailVerified: {
+      type: Boolean,
+      default: false
+    },
+
+    emailVerifiedAt: Date,
+
+    // Last verification email, for resend throttling
+    verificationEmailSentAt: Date,
+
     lastLogin: {
       type: Date,
       default: Date.now
@@ -54,6 +69,105 @@ const UserSchema = new mongoose.Schema(
       default: false
     },
 
+    // Sets the daily LLM token allowance (see utils/usage_quota.js)
+    plan: {
+      type: String,
+      enum: Object.values(PLANS),
+      default: DEFAULT_PLAN
+    },
+
+    // ISO 3166-1 alpha-2 country code, used to pick local crisis resources
+    region: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      validate: {
+        validator: (v) => v == null || isValidRegion(v),
+        message: (props) => `${props.value} is not a valid two-letter country code!`
+      }
+    },
+
+    // Preferred locale (e.g. "en-GB"); its language picks the message wording
+    locale: {
+      type: String,
+      trim: true,
+      validate: {
+        validator: (v) => v == null || isValidLocale(v),
+        message: (props) => `${props.value} is not a valid locale!`
+      }
+    },
+
+    // Local "HH:mm" window (in each reminder's time zone) when reminders are held back
+    quietHours: {
+      start: {
+        type: String,
+        validate: {
+          validator: (v) => v == null || isValidTime(v),
+          message: (props) => `${props.value} is not a valid HH:mm time!`
+        }
+      },
+      end: {
+        type: String,
+        validate: {
+          validator: (v) => v == null || isValidTime(v),
+          message: (props) => `${props.value} is not a valid HH:mm time!`
+        }
+      }
+    },
+
+    // TOTP two-factor authentication; secrets are encrypted at rest
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      // Set by an admin: the user must enroll before they can log in
+      required: {
+        type: Boolean,
+        default: false
+      },
+      secret: {
+        type: String,
+        select: false,
+        set: encryptSetter,
+        get: decryptGetter
+      },
+      // Secret awaiting confirmation with a first code
+      pendingSecret: {
+        type: String,
+        select: false,
+        set: encryptSetter,
+        get: decryptGetter
+      },
+      // SHA-256 hashes of unused one-time recovery codes
+      recoveryCodeHashes: {
+        type: [String],
+        select: false
+      },
+      // Last accepted TOTP time step, so a code cannot be replayed
+      lastUsedStep: Number,
+      enabledAt: Date
+    },
+
+    // Set while a requested account deletion waits out its grace period
+    deletion: {
+      requestedAt: Date,
+      scheduledFor: Date,
+      // Random token in the confirmation email's cancel link
+      cancelToken: {
+        type: String,
+        select: false,
+        index: { unique: true, sparse: true }
+      }
+    },
+
+    // Per-user data key, wrapped by the master key (see utils/encryption.js).
+    // Removing it makes the user's encrypted data unrecoverable.
+    dataKey: {
+      type: String,
+      select: false
+    },
+
     resetPasswordToken: String,
     resetPasswordExpires: Date,
 
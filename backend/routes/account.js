@@ -0,0 +1,129 @@
+import { AccountController } from '../controllers/index.js';
+import { authenticationVerifier } from '../middleware/index.js';
+
+/**
+ * ------------------------------------------------------------------
+ * Account Routes
+ * Personal data export and account deletion (right of access and
+ * right to erasure under GDPR / NDPR).
+ * ------------------------------------------------------------------
+ */
+export default function accountRoutes(router) {
+  /**
+   * @swagger
+   * tags:
+   *   - name: Account
+   *     description: Data export and account deletion
+   */
+
+  /**
+   * @swagger
+   * /me/export:
+   *   get:
+   *     summary: Download all personal data
+   *     description: |
+   *       A .tar.gz archive with export.json (profile, decrypted conversations,
+   *       mood entries, assessments, exercises, reminders, notifications,
+   *       devices and safety reviews), summary.md and one Markdown file per
+   *       conversation under conversations/.
+   *     tags: [Account]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Archive download
+   *         content:
+   *           application/gzip:
+   *             schema:
+   *               type: string
+   *               format: binary
+   *       401:
+   *         description: Unauthorized
+   */
+  router.get('/me/export', authenticationVerifier, AccountController.exportData);
+
+  /**
+   * @swagger
+   * /me:
+   *   delete:
+   *     summary: Delete the account
+   *     description: |
+   *       Schedules the account and all its data for permanent deletion after a
+   *       grace period (ACCOUNT_DELETION_GRACE_DAYS, 14 days by default). Every
+   *       device is signed out and login is refused until the deletion is
+   *       cancelled from the link in the confirmation email.
+   *     tags: [Account]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [password]
+   *             properties:
+   *               password:
+   *                 type: string
+   *               code:
+   *                 type: string
+   *                 description: Authenticator or recovery code, when two-factor authentication is enabled
+   *     responses:
+   *       202:
+   *         description: Deletion scheduled
+   *       400:
+   *         description: Authentication code missing
+   *       401:
+   *         description: Unauthorized, wrong password or code
+   *       409:
+   *         description: Deletion already scheduled
+   *       503:
+   *         description: Deletion could not be scheduled
+   */
+  router.delete('/me', authenticationVerifier, AccountController.requestDeletion);
+
+  /**
+   * @swagger
+   * /me/deletion/cancel/{token}:
+   *   get:
+   *     summary: Confirm cancelling a scheduled account deletion
+   *     description: |
+   *       Link from the deletion confirmation email. Serves an HTML page whose
+   *       button posts to the same URL; opening the link changes nothing. No
+   *       login needed.
+   *     tags: [Account]
+   *     parameters:
+   *       - in: path
+   *         name: token
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Confirmation page
+   *         content:
+   *           text/html: {}
+   *       404:
+   *         description: Invalid cancellation link (HTML page)
+   *   post:
+   *     summary: Cancel a scheduled account deletion
+   *     description: |
+   *       Keeps the account; no login needed. Answered with an HTML page when
+   *       sent by the confirmation page, JSON otherwise.
+   *     tags: [Account]
+   *     parameters:
+   *       - in: path
+   *         name: token
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Deletion cancelled
+   *       404:
+   *         description: Invalid cancellation link
+   */
+  // Public on purpose: the account is signed out everywhere by then
+  router.get('/me/deletion/cancel/:token', AccountController.confirmCancelDeletion);
+  router.post('/me/deletion/cancel/:token', AccountController.cancelDeletion);
+}
@@ -0,0 +1,166 @@
+import { AssessmentController } from '../controllers/index.js';
+import { authenticationVerifier } from '../middleware/index.js';
+
+/**
+ * ------------------------------------------------------------------
+ * Self-Assessment Routes
+ * Validated questionnaires (PHQ-9, GAD-7) scored on the server, with
+ * the user's encrypted result history.
+ * ------------------------------------------------------------------
+ */
+export default function assessmentRoutes(router) {
+  /**
+   * @swagger
+   * tags:
+   *   - name: Assessments
+   *     description: Standardized self-assessment questionnaires and results
+   */
+
+  /**
+   * @swagger
+   * /assessments/instruments:
+   *   get:
+   *     summary: List questionnaires
+   *     description: Latest version of each questionnaire, with its items, answer options and severity bands.
+   *     tags: [Assessments]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Questionnaires retrieved
+   *       401:
+   *         description: Unauthorized
+   */
+  router.get('/assessments/instruments', authenticationVerifier, AssessmentController.listInstruments);
+
+  /**
+   * @swagger
+   * /assessments/instruments/{id}:
+   *   get:
+   *     summary: Get a questionnaire
+   *     tags: [Assessments]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *           example: phq9
+   *       - in: query
+   *         name: version
+   *         description: Defaults to the latest version
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Questionnaire retrieved
+   *       401:
+   *         description: Unauthorized
+   *       404:
+   *         description: Questionnaire not found
+   */
+  router.get('/assessments/instruments/:id', authenticationVerifier, AssessmentController.getInstrument);
+
+  /**
+   * @swagger
+   * /assessments:
+   *   get:
+   *     summary: List my results
+   *     description: Completed questionnaires, newest first.
+   *     tags: [Assessments]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: instrument
+   *         schema:
+   *           type: string
+   *           example: gad7
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 100
+   *           default: 10
+   *     responses:
+   *       200:
+   *         description: Assessments retrieved
+   *       401:
+   *         description: Unauthorized
+   *       404:
+   *         description: Questionnaire not found
+   *   post:
+   *     summary: Submit a questionnaire
+   *     description: |
+   *       Scores the answers and stores the result encrypted. A positive answer
+   *       to the self-harm item (PHQ-9 item 9) is flagged for review and the
+   *       response includes `isCrisis`, `crisisMessage` and local `crisisResources`.
+   *     tags: [Assessments]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [instrument, answers]
+   *             properties:
+   *               instrument:
+   *                 type: string
+   *                 example: phq9
+   *               version:
+   *                 type: integer
+   *                 description: Defaults to the latest version
+   *               answers:
+   *                 type: array
+   *                 description: One option value per item, in item order
+   *                 items:
+   *                   type: integer
+   *                 example: [1, 2, 1, 0, 3, 1, 0, 0, 0]
+   *     responses:
+   *       201:
+   *         description: Assessment scored
+   *       400:
+   *         description: Invalid answers
+   *       401:
+   *         description: Unauthorized
+   *       404:
+   *         description: Questionnaire not found
+   */
+  router.get('/assessments', authenticationVerifier, AssessmentController.listAssessments);
+  router.post('/assessments', authenticationVerifier, AssessmentController.submit);
+
+  /**
+   * @swagger
+   * /assessments/{id}:
+   *   get:
+   *     summary: Get one of my results
+   *     tags: [Assessments]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Assessment retrieved
+   *       401:
+   *         description: Unauthorized
+   *       404:
+   *         description: Assessment not found
+   */
+  router.get('/assessments/:id', authenticationVerifier, AssessmentController.getAssessment);
+}
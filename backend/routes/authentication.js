@@ -1,5 +1,6 @@
 import { AuthController } from '../controllers/index.js';
-import { authenticationVerifier } from '../middleware/tokenization.js';
+import { authenticationVerifier, isAdminVerifier } from '../middleware/tokenization.js';
+import { rateLimiter } from '../middleware/index.js';
 
 // Defines authentication routes for the Express router
 export default function authRoutes(router) {
@@ -38,6 +39,31 @@ export default function authRoutes(router) {
    *                     email:
    *                       type: string
    *                       example: user@example.com
+   *                     emailVerified:
+   *                       type: boolean
+   *                       example: true
+   *                     twoFactorEnabled:
+   *                       type: boolean
+   *                     twoFactorRequired:
+   *                       type: boolean
+   *                     region:
+   *                       type: string
+   *                       nullable: true
+   *                       example: GH
+   *                     locale:
+   *                       type: string
+   *                       nullable: true
+   *                       example: en-GH
+   *                     quietHours:
+   *                       type: object
+   *                       nullable: true
+   *                       properties:
+   *                         start:
+   *                           type: string
+   *                           example: "22:00"
+   *                         end:
+   *                           type: string
+   *                           example: "07:00"
    *       401:
    *         description: Unauthorized (missing or invalid user token)
    *         content:
@@ -64,15 +90,57 @@ export default function authRoutes(router) {
    *                 message:
    *                   type: string
    *                   example: User not found
+   *   patch:
+   *     summary: Update region, locale and quiet-hours preferences
+   *     description: The region (ISO country code) and locale decide which crisis hotlines, text lines and emergency numbers the user is shown, and in which language. Check-in reminders due during quiet hours are delivered when they end. Send null or an empty string to clear a value.
+   *     tags: [Authentication]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               region:
+   *                 type: string
+   *                 nullable: true
+   *                 example: GB
+   *               locale:
+   *                 type: string
+   *                 nullable: true
+   *                 example: en-GB
+   *               quietHours:
+   *                 type: object
+   *                 nullable: true
+   *                 description: Local HH:mm window; may wrap past midnight
+   *                 properties:
+   *                   start:
+   *                     type: string
+   *                     example: "22:00"
+   *                   end:
+   *                     type: string
+   *                     example: "07:00"
+   *     responses:
+   *       200:
+   *         description: Preferences updated successfully
+   *       400:
+   *         description: Invalid region, locale or quiet hours, or nothing to update
+   *       401:
+   *         description: Unauthorized (missing or invalid user token)
+   *       404:
+   *         description: User not found
    */
   router.get('/auth/me', authenticationVerifier, AuthController.getMe);
+  router.patch('/auth/me', authenticationVerifier, AuthController.updatePreferences);
 
   /**
    * @swagger
    * /auth/register:
    *   post:
    *     summary: Register a new user
-   *     description: Registers a new user with username, email, and password.
+   *     description: Registers a new user with username, email, and password, and emails a link to verify the address (valid for 24 hours).
    *     tags: [Authentication]
    *     requestBody:
    *       required: true
@@ -94,6 +162,13 @@ export default function authRoutes(router) {
    *               password:
    *                 type: string
    *                 example: password123
+   *               region:
+   *                 type: string
+   *                 description: ISO 3166-1 alpha-2 country code, used for local crisis resources
+   *                 example: GH
+   *               locale:
+   *                 type: string
+   *                 example: en-GH
    *     responses:
    *       200:
    *         description: Registration successful
@@ -143,15 +218,25 @@ export default function authRoutes(router) {
    *                 message:
    *                   type: string
    *                   example: Email is already in use
+   *       429:
+   *         description: Too many requests (see the Retry-After header)
    */
-  router.post('/auth/register', AuthController.register);
+  router.post('/auth/register', rateLimiter('register'), AuthController.register);
 
   /**
    * @swagger
    * /auth/login:
    *   post:
    *     summary: Login a user
-   *     description: Authenticates a user with username and password.
+   *     description: |
+   *       Authenticates a user with username and password and opens a session for the device.
+   *       Returns a short-lived access token and a refresh token for POST /auth/refresh.
+   *       Other signed-in devices stay signed in.
+   *
+   *       If the account uses two-factor authentication (or an admin requires it), the data
+   *       instead holds `mfaRequired: true`, `enrollmentRequired` and a 5-minute `mfaToken` for
+   *       POST /auth/login/2fa (or, when enrollment is required, /auth/login/2fa/setup and
+   *       /auth/login/2fa/enable).
    *     tags: [Authentication]
    *     requestBody:
    *       required: true
@@ -169,6 +254,11 @@ export default function authRoutes(router) {
    *               password:
    *                 type: string
    *                 example: password123
+   *               deviceName:
+   *                 type: string
+   *                 maxLength: 60
+   *                 description: Label shown in the session list (defaults to browser and OS)
+   *                 example: Work laptop
    *     responses:
    *       200:
    *         description: Login successful
@@ -189,9 +279,18 @@ export default function authRoutes(router) {
    *                     userId:
    *                       type: string
    *                       example: 12345
+   *                     sessionId:
+   *                       type: string
    *                     token:
    *                       type: string
+   *                       description: Access token
    *                       example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+   *                     expiresIn:
+   *                       type: integer
+   *                       description: Access token lifetime in seconds
+   *                       example: 900
+   *                     refreshToken:
+   *                       type: string
    *       401:
    *         description: Invalid credentials
    *         content:
@@ -218,15 +317,261 @@ export default function authRoutes(router) {
    *                 message:
    *                   type: string
    *                   example: Account locked. Try again after 12:00:00 AM
+   *       429:
+   *         description: Too many requests (see the Retry-After header)
+   */
+  router.post('/auth/login', rateLimiter('login'), AuthController.login);
+
+  /**
+   * @swagger
+   * /auth/login/2fa:
+   *   post:
+   *     summary: Complete a two-factor login
+   *     description: Second login step. Accepts a six-digit authenticator code or an unused recovery code. Wrong codes count towards the account lockout.
+   *     tags: [Authentication]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [mfaToken, code]
+   *             properties:
+   *               mfaToken:
+   *                 type: string
+   *               code:
+   *                 type: string
+   *                 example: "123456"
+   *               deviceName:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Login successful (same data as POST /auth/login)
+   *       400:
+   *         description: Missing token or code
+   *       401:
+   *         description: Invalid code or expired challenge
+   *       403:
+   *         description: Two-factor enrollment required first
+   *       429:
+   *         description: Too many requests (see the Retry-After header)
+   */
+  router.post('/auth/login/2fa', rateLimiter('twoFactorLogin'), AuthController.loginTwoFactor);
+
+  /**
+   * @swagger
+   * /auth/login/2fa/setup:
+   *   post:
+   *     summary: Start required two-factor enrollment during login
+   *     description: For accounts where an admin requires 2FA but none is set up yet. Returns the secret and an otpauth:// URI to show as a QR code.
+   *     tags: [Authentication]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [mfaToken]
+   *             properties:
+   *               mfaToken:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Pending secret created
+   *       401:
+   *         description: Invalid or expired challenge
+   *       409:
+   *         description: Two-factor authentication already enabled
+   *       429:
+   *         description: Too many requests (see the Retry-After header)
+   */
+  router.post('/auth/login/2fa/setup', rateLimiter('twoFactorLogin'), AuthController.loginTwoFactorSetup);
+
+  /**
+   * @swagger
+   * /auth/login/2fa/enable:
+   *   post:
+   *     summary: Finish required two-factor enrollment and log in
+   *     description: Confirms the pending secret with a first code, then completes the login. The response also holds the recovery codes, shown only once.
+   *     tags: [Authentication]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [mfaToken, code]
+   *             properties:
+   *               mfaToken:
+   *                 type: string
+   *               code:
+   *                 type: string
+   *               deviceName:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Two-factor authentication enabled and login successful
+   *       400:
+   *         description: Setup not started or code missing
+   *       401:
+   *         description: Invalid code or expired challenge
+   *       429:
+   *         description: Too many requests (see the Retry-After header)
+   */
+  router.post('/auth/login/2fa/enable', rateLimiter('twoFactorLogin'), AuthController.loginTwoFactorEnable);
+
+  /**
+   * @swagger
+   * /auth/2fa/setup:
+   *   post:
+   *     summary: Start two-factor setup
+   *     description: Creates a pending TOTP secret and returns it with an otpauth:// URI to show as a QR code. Calling again replaces the pending secret.
+   *     tags: [Authentication]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Pending secret created
+   *       401:
+   *         description: Unauthorized
+   *       409:
+   *         description: Two-factor authentication already enabled
+   */
+  router.post('/auth/2fa/setup', authenticationVerifier, AuthController.setupTwoFactor);
+
+  /**
+   * @swagger
+   * /auth/2fa/enable:
+   *   post:
+   *     summary: Enable two-factor authentication
+   *     description: Confirms the pending secret with a code from the authenticator app and returns ten one-time recovery codes, shown only once.
+   *     tags: [Authentication]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [code]
+   *             properties:
+   *               code:
+   *                 type: string
+   *                 example: "123456"
+   *     responses:
+   *       200:
+   *         description: Two-factor authentication enabled
+   *       400:
+   *         description: Setup not started or code missing
+   *       401:
+   *         description: Invalid code
+   *       409:
+   *         description: Already enabled
+   */
+  router.post('/auth/2fa/enable', authenticationVerifier, AuthController.enableTwoFactor);
+
+  /**
+   * @swagger
+   * /auth/2fa/disable:
+   *   post:
+   *     summary: Disable two-factor authentication
+   *     description: Needs the password and a current code (or recovery code). Not allowed while an admin requires 2FA.
+   *     tags: [Authentication]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [password, code]
+   *             properties:
+   *               password:
+   *                 type: string
+   *               code:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Two-factor authentication disabled
+   *       401:
+   *         description: Incorrect password or code
+   *       403:
+   *         description: Required by an admin
+   */
+  router.post('/auth/2fa/disable', authenticationVerifier, AuthController.disableTwoFactor);
+
+  /**
+   * @swagger
+   * /auth/2fa/recovery-codes:
+   *   post:
+   *     summary: Replace the recovery codes
+   *     description: Needs a current authenticator code. The old recovery codes stop working.
+   *     tags: [Authentication]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [code]
+   *             properties:
+   *               code:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: New recovery codes generated
+   *       401:
+   *         description: Invalid code
    */
-  router.post('/auth/login', AuthController.login);
+  router.post('/auth/2fa/recovery-codes', authenticationVerifier, AuthController.regenerateRecoveryCodes);
+
+  /**
+   * @swagger
+   * /admin/users/{id}/two-factor:
+   *   patch:
+   *     summary: Require two-factor authentication for a user (admin)
+   *     description: When required and not yet set up, the user's devices are signed out and their next login goes through enrollment. A required 2FA cannot be disabled by the user.
+   *     tags: [Authentication]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [required]
+   *             properties:
+   *               required:
+   *                 type: boolean
+   *     responses:
+   *       200:
+   *         description: Requirement updated
+   *       400:
+   *         description: required must be a boolean
+   *       403:
+   *         description: Admins only
+   *       404:
+   *         description: User not found
+   */
+  router.patch('/admin/users/:id/two-factor', isAdminVerifier, AuthController.setTwoFactorRequirement);
 
   /**
    * @swagger
    * /auth/logout:
    *   post:
    *     summary: Logout a user
-   *     description: Logs out a user by blacklisting the provided JWT token. Requires authentication.
+   *     description: Logs out the current device by blacklisting the provided JWT token and revoking its session. Other devices stay signed in. Requires authentication.
    *     tags: [Authentication]
    *     security:
    *       - bearerAuth: []
@@ -260,6 +605,143 @@ export default function authRoutes(router) {
    */
   router.post('/auth/logout', authenticationVerifier, AuthController.logout);
 
+  /**
+   * @swagger
+   * /auth/refresh:
+   *   post:
+   *     summary: Refresh the access token
+   *     description: |
+   *       Exchanges a refresh token for a new access token and a new refresh
+   *       token. Each refresh token works once; presenting an already-used
+   *       one revokes the session on that device.
+   *     tags: [Authentication]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [refreshToken]
+   *             properties:
+   *               refreshToken:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Token refreshed (same shape as the login data)
+   *       400:
+   *         description: Refresh token missing
+   *       401:
+   *         description: Invalid, expired or reused refresh token
+   *       429:
+   *         description: Too many requests (see the Retry-After header)
+   */
+  router.post('/auth/refresh', rateLimiter('refresh'), AuthController.refresh);
+
+  /**
+   * @swagger
+   * /auth/sessions:
+   *   get:
+   *     summary: List signed-in devices
+   *     description: Active sessions, most recently used first. The session of the calling token has `current` set.
+   *     tags: [Authentication]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Sessions retrieved
+   *       401:
+   *         description: Unauthorized
+   */
+  router.get('/auth/sessions', authenticationVerifier, AuthController.listSessions);
+
+  /**
+   * @swagger
+   * /auth/sessions/{id}:
+   *   delete:
+   *     summary: Sign a device out
+   *     description: Revokes the session. Its access and refresh tokens stop working immediately.
+   *     tags: [Authentication]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Session revoked
+   *       401:
+   *         description: Unauthorized
+   *       404:
+   *         description: Session not found
+   */
+  router.delete('/auth/sessions/:id', authenticationVerifier, AuthController.revokeSession);
+
+  /**
+   * @swagger
+   * /auth/verify-email:
+   *   get:
+   *     summary: Verify an email address (emailed link)
+   *     description: Target of the link in the verification email sent after registration.
+   *     tags: [Authentication]
+   *     parameters:
+   *       - in: query
+   *         name: token
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Email address verified
+   *       400:
+   *         description: Missing, invalid or expired token
+   *   post:
+   *     summary: Verify an email address
+   *     tags: [Authentication]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [token]
+   *             properties:
+   *               token:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Email address verified
+   *       400:
+   *         description: Missing, invalid or expired token
+   *       429:
+   *         description: Too many requests (see the Retry-After header)
+   */
+  router.get('/auth/verify-email', rateLimiter('verifyEmail'), AuthController.verifyEmail);
+  router.post('/auth/verify-email', rateLimiter('verifyEmail'), AuthController.verifyEmail);
+
+  /**
+   * @swagger
+   * /auth/verify-email/resend:
+   *   post:
+   *     summary: Resend the verification email
+   *     description: At most one email per minute.
+   *     tags: [Authentication]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Verification email sent
+   *       401:
+   *         description: Unauthorized
+   *       409:
+   *         description: Email address already verified
+   *       429:
+   *         description: Requested too soon after the last email, or too many requests (see the Retry-After header)
+   */
+  router.post('/auth/verify-email/resend', authenticationVerifier, rateLimiter('verifyEmailResend'), AuthController.resendVerification);
+
   /**
    * @swagger
    * /auth/forgot-password:
@@ -306,15 +788,17 @@ export default function authRoutes(router) {
    *                 message:
    *                   type: string
    *                   example: User not found
+   *       429:
+   *         description: Too many requests (see the Retry-After header)
    */
-  router.post('/auth/forgot-password', AuthController.forgotPassword);
+  router.post('/auth/forgot-password', rateLimiter('forgotPassword'), AuthController.forgotPassword);
 
   /**
    * @swagger
    * /auth/reset-password:
    *   post:
    *     summary: Reset password with token
-   *     description: Resets the user password using a valid reset token.
+   *     description: Resets the user password using a valid reset token and signs every device out.
    *     tags: [Authentication]
    *     requestBody:
    *       required: true
@@ -359,6 +843,8 @@ export default function authRoutes(router) {
    *                 message:
    *                   type: string
    *                   example: Invalid or expired reset token
+   *       429:
+   *         description: Too many requests (see the Retry-After header)
    */
-  router.post('/auth/reset-password', AuthController.resetPassword);
+  router.post('/auth/reset-password', rateLimiter('resetPassword'), AuthController.resetPassword);
 }
@@ -1,11 +1,11 @@
 // src/routes/chatRoutes.js
 import { ChatController } from '../controllers/index.js';
-import { authenticationVerifier, cacheMiddleware } from '../middleware/index.js';
+import { verifiedEmailVerifier, rateLimiter } from '../middleware/index.js';
 
 /**
  * ------------------------------------------------------------------
  * Mental-Health Chat API Routes
- * One encrypted chat per authenticated user. No multi-session support.
+ * Each authenticated user may keep several named, encrypted conversations.
  * ------------------------------------------------------------------
  */
 export default function chatRoutes(router) {
@@ -13,20 +13,201 @@ export default function chatRoutes(router) {
    * @swagger
    * tags:
    *   - name: Chat
-   *     description: Encrypted conversation management (one chat per user)
+   *     description: Encrypted conversation management (multiple named conversations per user)
    */
 
   /**
    * @swagger
-   * /chat/history:
+   * /chats:
    *   get:
-   *     summary: Get paginated chat history
-   *     description: Returns the full decrypted conversation history (newest first) for the authenticated user.
+   *     summary: List conversations
+   *     description: Returns the user's conversations, most recently active first. Archived conversations are only returned when archived=true.
    *     tags: [Chat]
    *     security:
    *       - bearerAuth: []
    *     parameters:
    *       - in: query
+   *         name: archived
+   *         schema:
+   *           type: boolean
+   *           default: false
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 100
+   *           default: 10
+   *     responses:
+   *       200:
+   *         description: Conversations retrieved successfully
+   *       401:
+   *         description: Unauthorized
+   *   post:
+   *     summary: Start a new conversation
+   *     tags: [Chat]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               title:
+   *                 type: string
+   *                 example: Sleep
+   *     responses:
+   *       201:
+   *         description: Conversation created
+   *       400:
+   *         description: Invalid title
+   *       401:
+   *         description: Unauthorized
+   */
+  router.get('/chats', verifiedEmailVerifier, ChatController.listChats);
+  router.post('/chats', verifiedEmailVerifier, ChatController.createChat);
+
+  /**
+   * @swagger
+   * /chats/search:
+   *   get:
+   *     summary: Search conversation history
+   *     description: |
+   *       Finds the user's messages that contain every word of the query, newest first, across all conversations.
+   *       Each result includes the conversation title and the messages just before and after it.
+   *       Matching uses a keyed blind index of the words, so message content stays encrypted at rest.
+   *     tags: [Chat]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: q
+   *         required: true
+   *         schema:
+   *           type: string
+   *           maxLength: 200
+   *           example: exam sleep
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 20
+   *           default: 10
+   *     responses:
+   *       200:
+   *         description: Search results retrieved
+   *       400:
+   *         description: Missing or too long search text
+   *       401:
+   *         description: Unauthorized
+   *       503:
+   *         description: Search is not configured (SEARCH_INDEX_KEY missing)
+   */
+  // Registered before /chats/:id so "search" is not taken for an ID
+  router.get('/chats/search', verifiedEmailVerifier, ChatController.searchMessages);
+
+  /**
+   * @swagger
+   * /chats/{id}:
+   *   get:
+   *     summary: Get a conversation
+   *     tags: [Chat]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Conversation retrieved successfully
+   *       404:
+   *         description: Conversation not found
+   *   patch:
+   *     summary: Rename or archive a conversation
+   *     tags: [Chat]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               title:
+   *                 type: string
+   *                 example: Work stress
+   *               archived:
+   *                 type: boolean
+   *                 example: true
+   *     responses:
+   *       200:
+   *         description: Conversation updated
+   *       400:
+   *         description: Invalid title or nothing to update
+   *       404:
+   *         description: Conversation not found
+   *   delete:
+   *     summary: Delete a conversation
+   *     description: Permanently deletes the conversation and all of its messages.
+   *     tags: [Chat]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Conversation deleted
+   *       404:
+   *         description: Conversation not found
+   */
+  router.get('/chats/:id', verifiedEmailVerifier, ChatController.getChat);
+  router.patch('/chats/:id', verifiedEmailVerifier, ChatController.updateChat);
+  router.delete('/chats/:id', verifiedEmailVerifier, ChatController.deleteChat);
+
+  /**
+   * @swagger
+   * /chats/{id}/messages:
+   *   get:
+   *     summary: Get paginated conversation history
+   *     description: Returns the decrypted messages (newest first) of one of the user's conversations.
+   *     tags: [Chat]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
    *         name: page
    *         schema:
    *           type: integer
@@ -38,19 +219,97 @@ export default function chatRoutes(router) {
    *           type: integer
    *           minimum: 1
    *           maximum: 100
-   *           default: 20
+   *           default: 10
    *     responses:
    *       200:
    *         description: Chat history retrieved successfully
    *       404:
-   *         description: No conversation started yet
+   *         description: Conversation not found
+   *       401:
+   *         description: Unauthorized
+   *   post:
+   *     summary: Send a message and receive the full reply
+   *     description: REST fallback for clients that cannot use the websocket. Runs the same pipeline and returns the reply once it is complete. If the client disconnects mid-reply, the partial reply is saved flagged as truncated.
+   *     tags: [Chat]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [message]
+   *             properties:
+   *               message:
+   *                 type: string
+   *                 example: I can't sleep before exams
+   *     responses:
+   *       200:
+   *         description: Reply generated and saved (data contains advice, chatId, isCrisis, truncated)
+   *       400:
+   *         description: Empty message
+   *       404:
+   *         description: Conversation not found
+   *       422:
+   *         description: Message is outside the supported topics
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Email address not verified (when REQUIRE_EMAIL_VERIFICATION is on)
+   *       429:
+   *         description: Too many messages (shared with the websocket; see the Retry-After header)
+   */
+  router.get('/chats/:id/messages', verifiedEmailVerifier, ChatController.getChatHistory);
+  router.post('/chats/:id/messages', verifiedEmailVerifier, rateLimiter('chatMessage'), ChatController.sendMessage);
+
+  /**
+   * @swagger
+   * /chats/{id}/messages/stream:
+   *   get:
+   *     summary: Send a message and stream the reply (Server-Sent Events)
+   *     description: |
+   *       Works through proxies that block websockets. Emits the same events as the websocket —
+   *       chat_response, chat_token (one per token), exercise (when the model offers a guided exercise),
+   *       then session_complete, chat_cancelled or error.
+   *       Closing the connection cancels the reply; any partial reply is saved flagged as truncated.
+   *     tags: [Chat]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: message
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Event stream
+   *         content:
+   *           text/event-stream:
+   *             schema:
+   *               type: string
+   *       400:
+   *         description: Empty message
+   *       404:
+   *         description: Conversation not found
    *       401:
    *         description: Unauthorized
+   *       403:
+   *         description: Email address not verified (when REQUIRE_EMAIL_VERIFICATION is on)
+   *       429:
+   *         description: Too many messages (shared with the websocket; see the Retry-After header)
    */
-  router.get(
-    '/chat/history',
-    authenticationVerifier,
-    cacheMiddleware, // Optional: cache for 30s if you want to reduce DB reads
-    ChatController.getChatHistory
-  );
+  router.get('/chats/:id/messages/stream', verifiedEmailVerifier, rateLimiter('chatMessage'), ChatController.streamMessage);
 }
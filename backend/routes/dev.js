@@ -0,0 +1,99 @@
+import { DevController } from '../controllers/index.js';
+
+/**
+ * ------------------------------------------------------------------
+ * Development Routes
+ * Mounted only when NODE_ENV is explicitly development or test and
+ * MAIL_TRANSPORT=outbox (see isDevOutboxEnabled in utils/mail_transports.js);
+ * no authentication, so never expose them.
+ * ------------------------------------------------------------------
+ */
+export default function devRoutes(router) {
+  /**
+   * @swagger
+   * tags:
+   *   - name: Dev
+   *     description: Development-only helpers (not available in production)
+   */
+
+  /**
+   * @swagger
+   * /dev/outbox:
+   *   get:
+   *     summary: List captured emails
+   *     description: |
+   *       Emails written by the outbox mail transport (MAIL_TRANSPORT=outbox), newest first.
+   *       Each one includes the links found in its text, e.g. the password reset link.
+   *       Only available outside production.
+   *     tags: [Dev]
+   *     parameters:
+   *       - in: query
+   *         name: to
+   *         description: Only emails to this address
+   *         schema:
+   *           type: string
+   *           example: ada@example.com
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 100
+   *           default: 20
+   *     responses:
+   *       200:
+   *         description: Outbox retrieved
+   *   delete:
+   *     summary: Clear the outbox
+   *     tags: [Dev]
+   *     responses:
+   *       200:
+   *         description: Outbox cleared (data contains the number of emails deleted)
+   */
+  router.get('/dev/outbox', DevController.listOutbox);
+  router.delete('/dev/outbox', DevController.clearOutbox);
+
+  /**
+   * @swagger
+   * /dev/outbox/{id}:
+   *   get:
+   *     summary: Get a captured email
+   *     tags: [Dev]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Email retrieved (subject, text, html and links)
+   *       404:
+   *         description: Email not found in the outbox
+   */
+  router.get('/dev/outbox/:id', DevController.getOutboxMessage);
+
+  /**
+   * @swagger
+   * /dev/outbox/{id}/raw:
+   *   get:
+   *     summary: Download a captured email as .eml
+   *     tags: [Dev]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Raw RFC 822 message
+   *         content:
+   *           message/rfc822:
+   *             schema:
+   *               type: string
+   *       404:
+   *         description: Email not found in the outbox
+   */
+  router.get('/dev/outbox/:id/raw', DevController.getOutboxMessageRaw);
+}
@@ -0,0 +1,113 @@
+import { EmailController } from '../controllers/index.js';
+import { isAdminVerifier } from '../middleware/index.js';
+
+/**
+ * ------------------------------------------------------------------
+ * Email Admin Routes
+ * Emails that could not be delivered after every retry land in a
+ * dead-letter queue; admins review them here and retry or discard them.
+ * ------------------------------------------------------------------
+ */
+export default function emailRoutes(router) {
+  /**
+   * @swagger
+   * tags:
+   *   - name: Emails
+   *     description: Admin review of undeliverable emails
+   */
+
+  /**
+   * @swagger
+   * /admin/emails/failed:
+   *   get:
+   *     summary: List failed emails
+   *     description: |
+   *       Emails in the dead-letter queue, newest first - jobs that used up
+   *       their retries or failed permanently (invalid template data, or a
+   *       5xx SMTP reply). Template data is not returned, since it can hold
+   *       live links such as password reset tokens.
+   *     tags: [Emails]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 100
+   *           default: 10
+   *     responses:
+   *       200:
+   *         description: Failed emails retrieved
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Admin access required
+   */
+  router.get('/admin/emails/failed', isAdminVerifier, EmailController.listFailed);
+
+  /**
+   * @swagger
+   * /admin/emails/failed/{id}/retry:
+   *   post:
+   *     summary: Retry a failed email
+   *     description: |
+   *       Moves the email back to the email queue with its template's full
+   *       retry policy. If it was sent with an idempotency key it keeps it,
+   *       so a copy that has since gone out is not sent again.
+   *     tags: [Emails]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       202:
+   *         description: Email queued again
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Admin access required
+   *       404:
+   *         description: Failed email not found
+   *       409:
+   *         description: The email has already been queued or sent again
+   */
+  router.post('/admin/emails/failed/:id/retry', isAdminVerifier, EmailController.retryFailed);
+
+  /**
+   * @swagger
+   * /admin/emails/failed/{id}:
+   *   delete:
+   *     summary: Discard a failed email
+   *     tags: [Emails]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Failed email discarded
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Admin access required
+   *       404:
+   *         description: Failed email not found
+   */
+  router.delete('/admin/emails/failed/:id', isAdminVerifier, EmailController.discardFailed);
+}
@@ -0,0 +1,63 @@
+import { EncryptionController } from '../controllers/index.js';
+import { isAdminVerifier } from '../middleware/index.js';
+
+/**
+ * ------------------------------------------------------------------
+ * Encryption Admin Routes
+ * Re-encrypts stored data after ENCRYPTION_CURRENT_VERSION moves to a
+ * new key, and reports when the old keys can be removed.
+ * ------------------------------------------------------------------
+ */
+export default function encryptionRoutes(router) {
+  /**
+   * @swagger
+   * tags:
+   *   - name: Encryption
+   *     description: Admin encryption key rotation
+   */
+
+  /**
+   * @swagger
+   * /admin/encryption/rotation:
+   *   get:
+   *     summary: Key rotation status
+   *     description: |
+   *       The active key version, progress of the re-encryption run per
+   *       collection (with any records that failed to decrypt) and
+   *       retirableVersions - keys that no stored data uses any more, listed
+   *       only after a completed run with no failures.
+   *     tags: [Encryption]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Rotation status retrieved
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Admin access required
+   *   post:
+   *     summary: Start or resume key rotation
+   *     description: |
+   *       Queues a job (run by npm run key-rotation-worker) that re-encrypts
+   *       messages and every other encrypted field under the current key, in
+   *       batches. An interrupted run resumes from its last batch; a completed
+   *       one starts over and re-verifies everything.
+   *     tags: [Encryption]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       202:
+   *         description: Rotation queued
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Admin access required
+   *       409:
+   *         description: A rotation is already running
+   *       503:
+   *         description: Rotation could not be queued
+   */
+  router.get('/admin/encryption/rotation', isAdminVerifier, EncryptionController.getRotationStatus);
+  router.post('/admin/encryption/rotation', isAdminVerifier, EncryptionController.startRotation);
+}
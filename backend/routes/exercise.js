@@ -0,0 +1,190 @@
+import { ExerciseController } from '../controllers/index.js';
+import { authenticationVerifier } from '../middleware/index.js';
+
+/**
+ * ------------------------------------------------------------------
+ * Guided Exercise Routes
+ * Exercise library (breathing, grounding, relaxation, thought records)
+ * and per-user completion tracking. Over the websocket, exercises arrive
+ * as `exercise` events and can be started with {"command": "start_exercise"}.
+ * ------------------------------------------------------------------
+ */
+export default function exerciseRoutes(router) {
+  /**
+   * @swagger
+   * tags:
+   *   - name: Exercises
+   *     description: Guided exercise library and completion tracking
+   */
+
+  /**
+   * @swagger
+   * /exercises:
+   *   get:
+   *     summary: List exercises
+   *     description: Each exercise has ordered steps with instructions, timings, breathing cues or inputs.
+   *     tags: [Exercises]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: category
+   *         schema:
+   *           type: string
+   *           enum: [breathing, grounding, relaxation, cbt]
+   *     responses:
+   *       200:
+   *         description: Exercises retrieved
+   *       400:
+   *         description: Invalid category
+   *       401:
+   *         description: Unauthorized
+   */
+  router.get('/exercises', authenticationVerifier, ExerciseController.listExercises);
+
+  /**
+   * @swagger
+   * /exercises/sessions:
+   *   get:
+   *     summary: My exercise history
+   *     description: Exercise runs, newest first, plus how often each exercise was completed.
+   *     tags: [Exercises]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: exerciseId
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [started, completed]
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 100
+   *           default: 10
+   *     responses:
+   *       200:
+   *         description: Exercise sessions retrieved
+   *       401:
+   *         description: Unauthorized
+   *       404:
+   *         description: Exercise not found
+   */
+  // Registered before /exercises/:id so "sessions" is not taken as an exercise ID
+  router.get('/exercises/sessions', authenticationVerifier, ExerciseController.listSessions);
+
+  /**
+   * @swagger
+   * /exercises/sessions/{id}/complete:
+   *   post:
+   *     summary: Complete an exercise
+   *     tags: [Exercises]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               responses:
+   *                 type: object
+   *                 description: Step inputs keyed by field (e.g. a thought record), encrypted at rest
+   *                 example:
+   *                   situation: Presentation at work
+   *                   emotionBefore: 80
+   *               rating:
+   *                 type: integer
+   *                 minimum: 1
+   *                 maximum: 5
+   *     responses:
+   *       200:
+   *         description: Exercise completed
+   *       400:
+   *         description: Invalid responses or rating
+   *       401:
+   *         description: Unauthorized
+   *       404:
+   *         description: Exercise session not found
+   *       409:
+   *         description: Exercise session is already completed
+   */
+  router.post('/exercises/sessions/:id/complete', authenticationVerifier, ExerciseController.completeSession);
+
+  /**
+   * @swagger
+   * /exercises/{id}:
+   *   get:
+   *     summary: Get an exercise
+   *     tags: [Exercises]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *           example: box_breathing
+   *     responses:
+   *       200:
+   *         description: Exercise retrieved
+   *       401:
+   *         description: Unauthorized
+   *       404:
+   *         description: Exercise not found
+   */
+  router.get('/exercises/:id', authenticationVerifier, ExerciseController.getExercise);
+
+  /**
+   * @swagger
+   * /exercises/{id}/start:
+   *   post:
+   *     summary: Start an exercise
+   *     description: Starts tracking a run. The response data matches the websocket `exercise` event.
+   *     tags: [Exercises]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               chatId:
+   *                 type: string
+   *                 description: Conversation the exercise belongs to
+   *     responses:
+   *       201:
+   *         description: Exercise started
+   *       401:
+   *         description: Unauthorized
+   *       404:
+   *         description: Exercise not found
+   */
+  router.post('/exercises/:id/start', authenticationVerifier, ExerciseController.startExercise);
+}
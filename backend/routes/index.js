@@ -1,9 +1,34 @@
 import { Router } from "express";
 import authRoutes from "./authentication.js";
 import chatRoutes from "./chat.js";
+import safetyRoutes from "./safety.js";
+import moodRoutes from "./mood.js";
+import assessmentRoutes from "./assessment.js";
+import exerciseRoutes from "./exercise.js";
+import reminderRoutes from "./reminder.js";
+import notificationRoutes from "./notification.js";
+import accountRoutes from "./account.js";
+import encryptionRoutes from "./encryption.js";
+import emailRoutes from "./email.js";
+import usageRoutes from "./usage.js";
+import devRoutes from "./dev.js";
+import { isDevOutboxEnabled } from "../utils/mail_transports.js";
 
 const router = Router();
 authRoutes(router);
 chatRoutes(router);
+safetyRoutes(router);
+moodRoutes(router);
+assessmentRoutes(router);
+exerciseRoutes(router);
+reminderRoutes(router);
+notificationRoutes(router);
+accountRoutes(router);
+encryptionRoutes(router);
+emailRoutes(router);
+usageRoutes(router);
+
+// Captured emails, for exercising email flows offline
+if (isDevOutboxEnabled()) devRoutes(router);
 
 export default router;
@@ -0,0 +1,236 @@
+import { MoodController } from '../controllers/index.js';
+import { authenticationVerifier } from '../middleware/index.js';
+
+/**
+ * ------------------------------------------------------------------
+ * Mood Journal Routes
+ * Daily mood check-ins (score, emotion tags, private note) and the
+ * trends computed from them.
+ * ------------------------------------------------------------------
+ */
+export default function moodRoutes(router) {
+  /**
+   * @swagger
+   * tags:
+   *   - name: Mood
+   *     description: Mood check-in journal and trends
+   */
+
+  /**
+   * @swagger
+   * /mood:
+   *   get:
+   *     summary: List mood check-ins
+   *     description: The user's check-ins, newest first, optionally within a date range.
+   *     tags: [Mood]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: from
+   *         schema:
+   *           type: string
+   *           format: date-time
+   *       - in: query
+   *         name: to
+   *         schema:
+   *           type: string
+   *           format: date-time
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 100
+   *           default: 10
+   *     responses:
+   *       200:
+   *         description: Mood entries retrieved
+   *       400:
+   *         description: Invalid date
+   *       401:
+   *         description: Unauthorized
+   *   post:
+   *     summary: Record a mood check-in
+   *     tags: [Mood]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [score]
+   *             properties:
+   *               score:
+   *                 type: integer
+   *                 minimum: 1
+   *                 maximum: 10
+   *                 example: 6
+   *               tags:
+   *                 type: array
+   *                 maxItems: 10
+   *                 items:
+   *                   type: string
+   *                 example: [anxious, tired]
+   *               note:
+   *                 type: string
+   *                 maxLength: 1000
+   *                 description: Private note, encrypted at rest
+   *               recordedAt:
+   *                 type: string
+   *                 format: date-time
+   *                 description: Backdate the check-in (defaults to now)
+   *     responses:
+   *       201:
+   *         description: Mood entry recorded
+   *       400:
+   *         description: Invalid score, tags, note or date
+   *       401:
+   *         description: Unauthorized
+   */
+  router.get('/mood', authenticationVerifier, MoodController.listEntries);
+  router.post('/mood', authenticationVerifier, MoodController.createEntry);
+
+  /**
+   * @swagger
+   * /mood/trends:
+   *   get:
+   *     summary: Mood trends
+   *     description: |
+   *       Average score per day, ISO week or month, the current and longest
+   *       daily check-in streaks, and the most common tags. Calendar
+   *       boundaries follow the given time zone.
+   *     tags: [Mood]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: period
+   *         schema:
+   *           type: string
+   *           enum: [day, week, month]
+   *           default: day
+   *       - in: query
+   *         name: from
+   *         description: Defaults to 30 days, 12 weeks or 12 months before `to`
+   *         schema:
+   *           type: string
+   *           format: date-time
+   *       - in: query
+   *         name: to
+   *         description: Defaults to now
+   *         schema:
+   *           type: string
+   *           format: date-time
+   *       - in: query
+   *         name: tz
+   *         description: IANA time zone
+   *         schema:
+   *           type: string
+   *           default: UTC
+   *           example: Africa/Lagos
+   *     responses:
+   *       200:
+   *         description: Mood trends retrieved
+   *       400:
+   *         description: Invalid period, date or time zone
+   *       401:
+   *         description: Unauthorized
+   */
+  // Registered before /mood/:id so "trends" is not taken as an entry ID
+  router.get('/mood/trends', authenticationVerifier, MoodController.getTrends);
+
+  /**
+   * @swagger
+   * /mood/{id}:
+   *   get:
+   *     summary: Get a mood check-in
+   *     tags: [Mood]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Mood entry retrieved
+   *       401:
+   *         description: Unauthorized
+   *       404:
+   *         description: Mood entry not found
+   *   patch:
+   *     summary: Update a mood check-in
+   *     tags: [Mood]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               score:
+   *                 type: integer
+   *                 minimum: 1
+   *                 maximum: 10
+   *               tags:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *               note:
+   *                 type: string
+   *                 nullable: true
+   *                 description: null removes the note
+   *               recordedAt:
+   *                 type: string
+   *                 format: date-time
+   *     responses:
+   *       200:
+   *         description: Mood entry updated
+   *       400:
+   *         description: Invalid update
+   *       401:
+   *         description: Unauthorized
+   *       404:
+   *         description: Mood entry not found
+   *   delete:
+   *     summary: Delete a mood check-in
+   *     tags: [Mood]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Mood entry deleted
+   *       401:
+   *         description: Unauthorized
+   *       404:
+   *         description: Mood entry not found
+   */
+  router.get('/mood/:id', authenticationVerifier, MoodController.getEntry);
+  router.patch('/mood/:id', authenticationVerifier, MoodController.updateEntry);
+  router.delete('/mood/:id', authenticationVerifier, MoodController.deleteEntry);
+}
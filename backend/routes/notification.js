@@ -0,0 +1,94 @@
+import { NotificationController } from '../controllers/index.js';
+import { authenticationVerifier } from '../middleware/index.js';
+
+/**
+ * ------------------------------------------------------------------
+ * Notification Routes
+ * In-app notifications such as check-in reminders.
+ * ------------------------------------------------------------------
+ */
+export default function notificationRoutes(router) {
+  /**
+   * @swagger
+   * tags:
+   *   - name: Notifications
+   *     description: In-app notifications
+   */
+
+  /**
+   * @swagger
+   * /notifications:
+   *   get:
+   *     summary: List notifications
+   *     description: Newest first, with the number of unread notifications.
+   *     tags: [Notifications]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: unread
+   *         description: Only unread notifications
+   *         schema:
+   *           type: boolean
+   *           default: false
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 100
+   *           default: 10
+   *     responses:
+   *       200:
+   *         description: Notifications retrieved
+   *       401:
+   *         description: Unauthorized
+   */
+  router.get('/notifications', authenticationVerifier, NotificationController.listNotifications);
+
+  /**
+   * @swagger
+   * /notifications/read-all:
+   *   post:
+   *     summary: Mark all notifications as read
+   *     tags: [Notifications]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: All notifications marked as read
+   *       401:
+   *         description: Unauthorized
+   */
+  router.post('/notifications/read-all', authenticationVerifier, NotificationController.markAllRead);
+
+  /**
+   * @swagger
+   * /notifications/{id}/read:
+   *   patch:
+   *     summary: Mark a notification as read
+   *     tags: [Notifications]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Notification marked as read
+   *       401:
+   *         description: Unauthorized
+   *       404:
+   *         description: Notification not found
+   */
+  router.patch('/notifications/:id/read', authenticationVerifier, NotificationController.markRead);
+}
@@ -0,0 +1,205 @@
+import { ReminderController } from '../controllers/index.js';
+import { authenticationVerifier } from '../middleware/index.js';
+
+/**
+ * ------------------------------------------------------------------
+ * Check-in Reminder Routes
+ * Daily or weekly reminders to log a mood check-in, delivered in-app
+ * and/or by email in the user's time zone (held back during quiet hours).
+ * ------------------------------------------------------------------
+ */
+export default function reminderRoutes(router) {
+  /**
+   * @swagger
+   * tags:
+   *   - name: Reminders
+   *     description: Scheduled check-in reminders
+   */
+
+  /**
+   * @swagger
+   * /reminders:
+   *   get:
+   *     summary: List check-in reminders
+   *     tags: [Reminders]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Reminders retrieved
+   *       401:
+   *         description: Unauthorized
+   *   post:
+   *     summary: Schedule a check-in reminder
+   *     description: |
+   *       Reminders fire at a local time in the given time zone, every day or
+   *       on one day of the week. Reminders due during the user's quiet hours
+   *       (see PATCH /auth/me) are delivered when the quiet hours end.
+   *     tags: [Reminders]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [time, timezone]
+   *             properties:
+   *               frequency:
+   *                 type: string
+   *                 enum: [daily, weekly]
+   *                 default: daily
+   *               time:
+   *                 type: string
+   *                 description: Local 24-hour time, HH:mm
+   *                 example: "20:30"
+   *               dayOfWeek:
+   *                 type: integer
+   *                 minimum: 0
+   *                 maximum: 6
+   *                 description: 0 is Sunday; required for weekly reminders
+   *               timezone:
+   *                 type: string
+   *                 example: Africa/Lagos
+   *               channels:
+   *                 type: object
+   *                 properties:
+   *                   email:
+   *                     type: boolean
+   *                     default: true
+   *                   inApp:
+   *                     type: boolean
+   *                     default: true
+   *     responses:
+   *       201:
+   *         description: Reminder scheduled
+   *       400:
+   *         description: Invalid schedule or channels
+   *       401:
+   *         description: Unauthorized
+   *       409:
+   *         description: Reminder limit reached
+   *       503:
+   *         description: Reminder could not be scheduled
+   */
+  router.get('/reminders', authenticationVerifier, ReminderController.listReminders);
+  router.post('/reminders', authenticationVerifier, ReminderController.createReminder);
+
+  /**
+   * @swagger
+   * /reminders/unsubscribe/{token}:
+   *   get:
+   *     summary: Confirm unsubscribing from a reminder
+   *     description: |
+   *       Link from reminder emails. Serves an HTML page whose button posts
+   *       to the same URL; opening the link changes nothing. No login needed.
+   *     tags: [Reminders]
+   *     parameters:
+   *       - in: path
+   *         name: token
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Confirmation page
+   *         content:
+   *           text/html: {}
+   *       404:
+   *         description: Invalid unsubscribe link (HTML page)
+   *   post:
+   *     summary: Unsubscribe from a reminder
+   *     description: |
+   *       Disables the reminder; no login needed. Sent by the confirmation
+   *       page (answered with an HTML page) or by the mail client's one-click
+   *       unsubscribe (`List-Unsubscribe-Post`, answered with JSON).
+   *     tags: [Reminders]
+   *     parameters:
+   *       - in: path
+   *         name: token
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Reminder disabled
+   *       404:
+   *         description: Invalid unsubscribe link
+   */
+  // Registered before /reminders/:id; public on purpose
+  router.get('/reminders/unsubscribe/:token', ReminderController.confirmUnsubscribe);
+  router.post('/reminders/unsubscribe/:token', ReminderController.unsubscribe);
+
+  /**
+   * @swagger
+   * /reminders/{id}:
+   *   patch:
+   *     summary: Update a check-in reminder
+   *     tags: [Reminders]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               frequency:
+   *                 type: string
+   *                 enum: [daily, weekly]
+   *               time:
+   *                 type: string
+   *               dayOfWeek:
+   *                 type: integer
+   *                 minimum: 0
+   *                 maximum: 6
+   *               timezone:
+   *                 type: string
+   *               channels:
+   *                 type: object
+   *                 properties:
+   *                   email:
+   *                     type: boolean
+   *                   inApp:
+   *                     type: boolean
+   *               enabled:
+   *                 type: boolean
+   *     responses:
+   *       200:
+   *         description: Reminder updated
+   *       400:
+   *         description: Invalid update
+   *       401:
+   *         description: Unauthorized
+   *       404:
+   *         description: Reminder not found
+   *   delete:
+   *     summary: Delete a check-in reminder
+   *     tags: [Reminders]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Reminder deleted
+   *       401:
+   *         description: Unauthorized
+   *       404:
+   *         description: Reminder not found
+   */
+  router.patch('/reminders/:id', authenticationVerifier, ReminderController.updateReminder);
+  router.delete('/reminders/:id', authenticationVerifier, ReminderController.deleteReminder);
+}
@@ -0,0 +1,205 @@
+import { SafetyController } from '../controllers/index.js';
+import { isAdminVerifier } from '../middleware/index.js';
+
+/**
+ * ------------------------------------------------------------------
+ * Safety Review Routes (admin only)
+ * Audit trail of elevated/imminent crisis assessments and how the bot
+ * responded, with a triage queue for clinical review.
+ * ------------------------------------------------------------------
+ */
+export default function safetyRoutes(router) {
+  /**
+   * @swagger
+   * tags:
+   *   - name: Safety
+   *     description: Admin review queue for at-risk conversations
+   */
+
+  /**
+   * @swagger
+   * /admin/safety-events:
+   *   get:
+   *     summary: List safety events
+   *     description: Events that are not closed, newest first, unless a status is given.
+   *     tags: [Safety]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [open, in_review, closed]
+   *       - in: query
+   *         name: priority
+   *         schema:
+   *           type: string
+   *           enum: [urgent, high, normal]
+   *       - in: query
+   *         name: userId
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 100
+   *           default: 10
+   *     responses:
+   *       200:
+   *         description: Safety events retrieved
+   *       400:
+   *         description: Invalid status or priority filter
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Admin access required
+   */
+  router.get('/admin/safety-events', isAdminVerifier, SafetyController.listEvents);
+
+  /**
+   * @swagger
+   * /admin/safety-events/{id}:
+   *   get:
+   *     summary: Get a safety event
+   *     description: Returns the event, its trigger signals and the flagged exchange (user message and bot reply).
+   *     tags: [Safety]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Safety event retrieved
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Admin access required
+   *       404:
+   *         description: Safety event not found
+   *   patch:
+   *     summary: Triage a safety event
+   *     tags: [Safety]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               status:
+   *                 type: string
+   *                 enum: [open, in_review]
+   *               priority:
+   *                 type: string
+   *                 enum: [urgent, high, normal]
+   *               assignedTo:
+   *                 type: string
+   *                 nullable: true
+   *                 description: Admin user ID, or null to unassign
+   *     responses:
+   *       200:
+   *         description: Safety event updated
+   *       400:
+   *         description: Invalid update
+   *       404:
+   *         description: Safety event not found
+   *       409:
+   *         description: Safety event is already closed
+   */
+  router.get('/admin/safety-events/:id', isAdminVerifier, SafetyController.getEvent);
+  router.patch('/admin/safety-events/:id', isAdminVerifier, SafetyController.triageEvent);
+
+  /**
+   * @swagger
+   * /admin/safety-events/{id}/notes:
+   *   post:
+   *     summary: Annotate a safety event
+   *     description: Adds an encrypted reviewer note.
+   *     tags: [Safety]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [text]
+   *             properties:
+   *               text:
+   *                 type: string
+   *                 example: Reviewed transcript; resources were appropriate.
+   *     responses:
+   *       201:
+   *         description: Note added
+   *       400:
+   *         description: Empty or too long note
+   *       404:
+   *         description: Safety event not found
+   */
+  router.post('/admin/safety-events/:id/notes', isAdminVerifier, SafetyController.addNote);
+
+  /**
+   * @swagger
+   * /admin/safety-events/{id}/close:
+   *   post:
+   *     summary: Close a safety event
+   *     tags: [Safety]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [resolution]
+   *             properties:
+   *               resolution:
+   *                 type: string
+   *                 example: No further action needed.
+   *     responses:
+   *       200:
+   *         description: Safety event closed
+   *       400:
+   *         description: Missing resolution
+   *       404:
+   *         description: Safety event not found
+   *       409:
+   *         description: Safety event is already closed
+   */
+  router.post('/admin/safety-events/:id/close', isAdminVerifier, SafetyController.closeEvent);
+}
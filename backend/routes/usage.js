@@ -0,0 +1,132 @@
+import { UsageController } from '../controllers/index.js';
+import { authenticationVerifier, isAdminVerifier } from '../middleware/index.js';
+
+/**
+ * ------------------------------------------------------------------
+ * Usage Routes
+ * Every model call counts against its user's daily token allowance,
+ * which depends on their plan. Users see where they stand; admins see
+ * the spend and move users between plans.
+ * ------------------------------------------------------------------
+ */
+export default function usageRoutes(router) {
+  /**
+   * @swagger
+   * tags:
+   *   - name: Usage
+   *     description: Daily LLM token allowances and spend
+   */
+
+  /**
+   * @swagger
+   * /me/usage:
+   *   get:
+   *     summary: Get my token usage
+   *     description: |
+   *       Today's allowance (plan, used, limit, remaining, warningAt, state
+   *       and resetsAt) with a breakdown by purpose (chat, classification,
+   *       summary), and the tokens used on each recent day. Allowances reset
+   *       at 00:00 UTC; limit is null on the unlimited plan.
+   *     tags: [Usage]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: days
+   *         description: Days of history, ending today
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 30
+   *           default: 7
+   *     responses:
+   *       200:
+   *         description: Usage retrieved
+   *       401:
+   *         description: Unauthorized
+   */
+  router.get('/me/usage', authenticationVerifier, UsageController.getMyUsage);
+
+  /**
+   * @swagger
+   * /admin/usage:
+   *   get:
+   *     summary: Token spend report (admin)
+   *     description: |
+   *       Tokens used over a range of UTC days: totals, per purpose, per day
+   *       and the heaviest users. estimatedCalls counts calls whose tokens
+   *       were estimated because the provider reported none.
+   *     tags: [Usage]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: from
+   *         description: First day (YYYY-MM-DD); defaults to 6 days before "to"
+   *         schema:
+   *           type: string
+   *           format: date
+   *       - in: query
+   *         name: to
+   *         description: Last day (YYYY-MM-DD); defaults to today
+   *         schema:
+   *           type: string
+   *           format: date
+   *       - in: query
+   *         name: limit
+   *         description: Number of top users listed
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 100
+   *           default: 20
+   *     responses:
+   *       200:
+   *         description: Usage report retrieved
+   *       400:
+   *         description: Invalid date or a range over 90 days
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Admin access required
+   */
+  router.get('/admin/usage', isAdminVerifier, UsageController.getReport);
+
+  /**
+   * @swagger
+   * /admin/users/{id}/plan:
+   *   patch:
+   *     summary: Change a user's plan (admin)
+   *     description: The new daily allowance applies immediately, including to tokens already used today.
+   *     tags: [Usage]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [plan]
+   *             properties:
+   *               plan:
+   *                 type: string
+   *                 enum: [free, plus, unlimited]
+   *     responses:
+   *       200:
+   *         description: Plan updated
+   *       400:
+   *         description: Unknown plan
+   *       403:
+   *         description: Admin access required
+   *       404:
+   *         description: User not found
+   */
+  router.patch('/admin/users/:id/plan', isAdminVerifier, UsageController.setPlan);
+}
@@ -0,0 +1,14 @@
+import "../config/env.js";
+import { accountQueue } from "../jobs/queues/account_queue.js";
+import accountWorker from "../jobs/workers/account_processor.js";
+import { logger, DatabaseConfig, RedisConfig } from "../config/index.js";
+
+
+// Purging deletes the user's documents and cached data, so this worker needs MongoDB and Redis
+await DatabaseConfig.connect();
+RedisConfig.initialize();
+await RedisConfig.connect();
+
+// Start account queue worker (the goodbye email goes through the email worker)
+accountQueue.process(accountWorker);
+logger.info("Account worker is running and processing jobs...");
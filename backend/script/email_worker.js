@@ -1,9 +1,12 @@
 import "../config/env.js";
 import { emailQueue } from "../jobs/queues/email_queue.js";
 import emailWorker from "../jobs/workers/email_processor.js";
+import { EmailService } from "../services/email.js";
 import { logger } from "../config/index.js";
 
 
 // Start email queue worker
 emailQueue.process(emailWorker);
+// Jobs that fail for good move to the dead-letter queue
+emailQueue.on("failed", EmailService.deadLetter);
 logger.info("Email worker is running and processing jobs...");
@@ -0,0 +1,17 @@
+import "../config/env.js";
+import { keyRotationQueue } from "../jobs/queues/key_rotation_queue.js";
+import keyRotationWorker from "../jobs/workers/key_rotation_processor.js";
+import { logger, DatabaseConfig, RedisConfig } from "../config/index.js";
+import { subscribeToDataKeyInvalidation } from "../utils/data_key_invalidation.js";
+
+
+// Re-encryption rewrites documents in place, so this worker needs MongoDB.
+// It caches data keys too, so it listens for keys destroyed by purges
+await DatabaseConfig.connect();
+RedisConfig.initialize();
+await RedisConfig.connect();
+await subscribeToDataKeyInvalidation();
+
+// Start key rotation queue worker (one run at a time)
+keyRotationQueue.process(keyRotationWorker);
+logger.info("Key rotation worker is running and processing jobs...");
@@ -0,0 +1,12 @@
+import "../config/env.js";
+import { reminderQueue } from "../jobs/queues/reminder_queue.js";
+import reminderWorker from "../jobs/workers/reminder_processor.js";
+import { logger, DatabaseConfig } from "../config/index.js";
+
+
+// Reminders read users and write notifications, so this worker needs MongoDB
+await DatabaseConfig.connect();
+
+// Start reminder queue worker (emails are handed on to the email worker)
+reminderQueue.process(reminderWorker);
+logger.info("Reminder worker is running and processing jobs...");
@@ -0,0 +1,16 @@
+import "../config/env.js";
+import { SearchService } from "../services/search.js";
+import { logger, DatabaseConfig } from "../config/index.js";
+
+
+// One-off: indexes messages stored before search existed, then exits
+await DatabaseConfig.connect();
+
+try {
+  const { indexed, skipped } = await SearchService.reindexMessages();
+  logger.info(`Search reindex finished: ${indexed} indexed, ${skipped} skipped`);
+  process.exit(0);
+} catch (err) {
+  logger.error(`Search reindex failed: ${err.message}`);
+  process.exit(1);
+}
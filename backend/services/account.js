@@ -0,0 +1,486 @@
+/**
+ * AccountService Module
+ * -------------------
+ * Data-subject rights for the signed-in user:
+ *  - Export: everything stored about the user (conversations decrypted) as a
+ *    .tar.gz with export.json plus Markdown
+ *  - Deletion: confirmed with the password (and 2FA code), then held for a
+ *    grace period during which the account is locked and can be restored
+ *    from the confirmation email; a delayed job on the account queue then
+ *    destroys the user's data key (crypto-shredding: any copy of their
+ *    encrypted data, backups included, becomes unreadable), evicts it from
+ *    every process's key cache (see utils/data_key_invalidation.js) and
+ *    erases every collection and Redis key belonging to the user
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import User from '../models/user.js';
+import { Chat, Message } from '../models/chat.js';
+import MoodEntry from '../models/mood_entry.js';
+import Assessment from '../models/assessment.js';
+import ExerciseSession from '../models/exercise_session.js';
+import Reminder from '../models/reminder.js';
+import Notification from '../models/notification.js';
+import SafetyEvent from '../models/safety_event.js';
+import TokenUsage from '../models/token_usage.js';
+import Session, { SESSION_REVOKE_REASONS } from '../models/session.js';
+import { SessionService } from './session.js';
+import { TwoFactorService } from './two_factor.js';
+import { ReminderService } from './reminder.js';
+import { EmailService } from './email.js';
+import { accountQueue, PURGE_ACCOUNT_JOB } from '../jobs/queues/account_queue.js';
+import { AppConfig, RedisConfig, logger } from '../config/index.js';
+import { STATUS, toId } from '../utils/chat_helpers.js';
+import { invalidateDataKey } from '../utils/data_key_invalidation.js';
+import { TEMPLATE_IDS } from '../utils/email_message.js';
+import {
+  createTarGz,
+  conversationToMarkdown,
+  conversationFileName,
+  summaryToMarkdown,
+} from '../utils/data_export.js';
+
+// --- Constants ---
+const DELETION_GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS ?? 14);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CANCEL_TOKEN_BYTES = 24;
+const PURGE_ATTEMPTS = 5;
+const PURGE_BACKOFF_MS = 60 * 1000;
+const REDIS_SCAN_COUNT = 200;
+
+const PROFILE_FIELDS = [
+  'username',
+  'email',
+  'emailVerified',
+  'emailVerifiedAt',
+  'isAdmin',
+  'region',
+  'locale',
+  'quietHours',
+  'twoFactor.enabled',
+  'twoFactor.enabledAt',
+  'lastLogin',
+  'createdAt',
+  'updatedAt',
+].join(' ');
+
+const ERRORS = {
+  USER_NOT_FOUND: 'User not found.',
+  INCORRECT_PASSWORD: 'Incorrect password.',
+  ALREADY_SCHEDULED: 'Account deletion is already scheduled.',
+  SCHEDULE_FAILED: 'Could not schedule the deletion. Please try again later.',
+  INVALID_CANCEL_LINK: 'This cancellation link is invalid or has expired.',
+  NOT_DUE: 'Account deletion is not due yet.',
+};
+
+const PURGE = {
+  PURGED: 'purged',
+  SKIPPED: 'skipped',
+};
+
+/* ───────────── Helpers ───────────── */
+
+const purgeJobId = (userId) => `purge:${userId}`;
+
+const parseJSON = (value) => {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (_) {
+    return null;
+  }
+};
+
+/**
+ * Deletes the user's response cache entries and resumable WebSocket
+ * sessions (metadata hash plus event buffer).
+ * @returns {Promise<number>} Keys deleted
+ */
+const purgeRedisKeys = async (userId) => {
+  const redis = RedisConfig.getClient();
+  const keys = [];
+
+  for await (const batch of redis.scanIterator({ MATCH: `cache_*_${userId}`, COUNT: REDIS_SCAN_COUNT })) {
+    keys.push(...[].concat(batch));
+  }
+
+  for await (const batch of redis.scanIterator({ MATCH: 'ws_session:*', COUNT: REDIS_SCAN_COUNT })) {
+    for (const key of [].concat(batch)) {
+      if (key.endsWith(':events')) continue;
+      if ((await redis.hGet(key, 'userID')) === userId) keys.push(key, `${key}:events`);
+    }
+  }
+
+  if (keys.length) await redis.del(keys);
+  return keys.length;
+};
+
+/**
+ * Collects everything stored about a user, with encrypted fields decrypted.
+ * @returns {Promise<Object>} The export.json payload
+ */
+const collectUserData = async (user) => {
+  const userID = user._id;
+
+  const [chats, moodEntries, assessments, exerciseSessions, reminders, notifications, sessions, safetyEvents] =
+    await Promise.all([
+      Chat.find({ userID }).sort({ createdAt: 1 }).exec(),
+      MoodEntry.find({ userID }).sort({ recordedAt: 1 }).exec(),
+      Assessment.find({ userID }).sort({ createdAt: 1 }).exec(),
+      ExerciseSession.find({ userID }).sort({ createdAt: 1 }).exec(),
+      Reminder.find({ userID }).select('-unsubscribeToken').sort({ createdAt: 1 }).lean(),
+      Notification.find({ userID }).sort({ createdAt: 1 }).lean(),
+      Session.find({ userID }).select('-refreshTokenHash -rotatedTokenHashes').sort({ createdAt: 1 }).lean(),
+      SafetyEvent.find({ userID }).select('source riskLevel action status chatId assessmentId createdAt closedAt').sort({ createdAt: 1 }).lean(),
+    ]);
+
+  // One conversation at a time keeps memory bounded by the largest one
+  const conversations = [];
+  for (const chat of chats) {
+    const messages = await Message.find({ chatId: chat._id }).sort({ timestamp: 1 }).exec();
+    conversations.push({
+      chatId: chat._id.toString(),
+      title: chat.title,
+      archived: chat.archived,
+      createdAt: chat.createdAt,
+      lastMessageAt: chat.lastMessageAt,
+      summary: chat.summary ?? null,
+      messages: messages.map((m) => ({
+        role: m.role,
+        content: m.content,
+        timestamp: m.timestamp,
+        truncated: m.truncated ?? false,
+        riskLevel: m.riskLevel,
+      })),
+    });
+  }
+
+  return {
+    exportedAt: new Date(),
+    profile: {
+      userId: userID.toString(),
+      username: user.username,
+      email: user.email,
+      emailVerified: user.emailVerified ?? false,
+      emailVerifiedAt: user.emailVerifiedAt ?? null,
+      isAdmin: user.isAdmin ?? false,
+      region: user.region ?? null,
+      locale: user.locale ?? null,
+      quietHours: user.quietHours?.start ? user.quietHours : null,
+      twoFactorEnabled: user.twoFactor?.enabled ?? false,
+      twoFactorEnabledAt: user.twoFactor?.enabledAt ?? null,
+      lastLogin: user.lastLogin ?? null,
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt,
+    },
+    conversations,
+    moodEntries: moodEntries.map((e) => ({
+      score: e.score,
+      tags: e.tags,
+      note: e.note ?? null,
+      recordedAt: e.recordedAt,
+    })),
+    assessments: assessments.map((a) => {
+      const result = parseJSON(a.result);
+      return {
+        instrument: a.instrument,
+        version: a.version,
+        answers: parseJSON(a.answers),
+        total: result?.total ?? null,
+        severity: result?.severity ?? null,
+        label: result?.label ?? null,
+        riskLevel: a.riskLevel,
+        completedAt: a.createdAt,
+      };
+    }),
+    exerciseSessions: exerciseSessions.map((s) => ({
+      exerciseId: s.exerciseId,
+      version: s.version,
+      chatId: s.chatId?.toString() ?? null,
+      trigger: s.trigger,
+      status: s.status,
+      responses: parseJSON(s.responses),
+      rating: s.rating ?? null,
+      startedAt: s.createdAt,
+      completedAt: s.completedAt ?? null,
+    })),
+    reminders: reminders.map((r) => ({
+      frequency: r.frequency,
+      time: r.time,
+      dayOfWeek: r.dayOfWeek ?? null,
+      timezone: r.timezone,
+      channels: r.channels,
+      enabled: r.enabled,
+      lastSentAt: r.lastSentAt ?? null,
+      createdAt: r.createdAt,
+    })),
+    notifications: notifications.map((n) => ({
+      type: n.type,
+      title: n.title,
+      body: n.body ?? null,
+      link: n.link ?? null,
+      readAt: n.readAt ?? null,
+      createdAt: n.createdAt,
+    })),
+    sessions: sessions.map((s) => ({
+      device: s.device ?? null,
+      createdAt: s.createdAt,
+      lastUsedAt: s.lastUsedAt,
+      revokedAt: s.revokedAt ?? null,
+    })),
+    // Which of the user's messages or questionnaires raised a safety review
+    safetyEvents: safetyEvents.map((e) => ({
+      source: e.source,
+      riskLevel: e.riskLevel,
+      action: e.action,
+      status: e.status,
+      chatId: e.chatId?.toString() ?? null,
+      assessmentId: e.assessmentId?.toString() ?? null,
+      createdAt: e.createdAt,
+      closedAt: e.closedAt ?? null,
+    })),
+  };
+};
+
+export const AccountService = {
+  /**
+   * exportData()
+   * -------------------
+   * Builds the downloadable archive:
+   *  - export.json: all personal data, machine-readable
+   *  - summary.md: profile, mood journal, assessments, exercises, reminders
+   *  - conversations/NNN-<title>.md: one file per conversation
+   *
+   * @param {Object} payload
+   * @param {string} payload.userID
+   * @returns {Object} data: { fileName, archive (Buffer) }
+   */
+  exportData: async ({ userID }) => {
+    if (!mongoose.Types.ObjectId.isValid(userID)) throw new Error(ERRORS.USER_NOT_FOUND);
+    const user = await User.findById(userID).select(PROFILE_FIELDS).lean();
+    if (!user) throw new Error(ERRORS.USER_NOT_FOUND);
+
+    const data = await collectUserData(user);
+    const archive = createTarGz([
+      { name: 'export.json', content: JSON.stringify(data, null, 2) },
+      { name: 'summary.md', content: summaryToMarkdown(data) },
+      ...data.conversations.map((conversation, i) => ({
+        name: conversationFileName(i, conversation.title),
+        content: conversationToMarkdown(conversation),
+      })),
+    ]);
+
+    logger.info(`Data export generated for user ${userID} (${data.conversations.length} conversations)`);
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Export ready.',
+      data: {
+        fileName: `diagnosy-export-${user.username}-${data.exportedAt.toISOString().slice(0, 10)}.tar.gz`,
+        archive,
+      },
+    };
+  },
+
+  /**
+   * requestDeletion()
+   * -------------------
+   * Schedules the account for erasure after the grace period. Every device
+   * is signed out and logging in is refused until the deletion is cancelled
+   * from the link in the confirmation email.
+   *
+   * @param {Object} payload
+   * @param {string} payload.userID
+   * @param {string} payload.password
+   * @param {string} [payload.code] - TOTP or recovery code, when 2FA is enabled
+   * @returns {Object} data: { scheduledFor, graceDays }
+   */
+  requestDeletion: async ({ userID, password, code }) => {
+    const user = await TwoFactorService.loadForLogin(userID);
+    if (user.deletion?.scheduledFor) throw new Error(ERRORS.ALREADY_SCHEDULED);
+
+    if (!password || !(await user.comparePassword(password))) throw new Error(ERRORS.INCORRECT_PASSWORD);
+    if (user.twoFactor?.enabled) await TwoFactorService.verifySecondFactor(user, code);
+
+    const requestedAt = new Date();
+    const scheduledFor = new Date(requestedAt.getTime() + DELETION_GRACE_DAYS * DAY_MS);
+    const cancelToken = crypto.randomBytes(CANCEL_TOKEN_BYTES).toString('hex');
+
+    const { modifiedCount } = await User.updateOne(
+      { _id: user._id, 'deletion.scheduledFor': null },
+      { $set: { deletion: { requestedAt, scheduledFor, cancelToken } } }
+    ).exec();
+    if (!modifiedCount) throw new Error(ERRORS.ALREADY_SCHEDULED);
+
+    try {
+      await accountQueue.add(
+        PURGE_ACCOUNT_JOB,
+        { userId: user._id.toString() },
+        {
+          delay: scheduledFor.getTime() - requestedAt.getTime(),
+          jobId: purgeJobId(user._id),
+          attempts: PURGE_ATTEMPTS,
+          backoff: { type: 'exponential', delay: PURGE_BACKOFF_MS },
+          removeOnComplete: true,
+        }
+      );
+    } catch (err) {
+      logger.error(`Failed to schedule purge of account ${user._id}: ${err.message}`);
+      await User.updateOne({ _id: user._id }, { $unset: { deletion: 1 } }).exec();
+      throw new Error(ERRORS.SCHEDULE_FAILED);
+    }
+
+    await SessionService.revokeAllSessions({ userID: user._id, reason: SESSION_REVOKE_REASONS.ACCOUNT_DELETION });
+
+    try {
+      await EmailService.send({
+        to: user.email,
+        template: TEMPLATE_IDS.ACCOUNT_DELETION_SCHEDULED,
+        locale: user.locale,
+        data: {
+          username: user.username,
+          scheduledFor: scheduledFor.toISOString(),
+          cancelUrl: AppConfig.url(`/api/me/deletion/cancel/${cancelToken}`),
+        },
+        idempotencyKey: `${user._id}:${cancelToken}`,
+      });
+    } catch (err) {
+      logger.error(`Failed to queue deletion confirmation for ${user._id}: ${err.message}`);
+    }
+
+    logger.info(`Account deletion scheduled: ${user._id} (purge after ${scheduledFor.toISOString()})`);
+
+    return {
+      status: STATUS.SUCCESS,
+      message: `Your account will be deleted in ${DELETION_GRACE_DAYS} days. Check your email to cancel.`,
+      data: { scheduledFor, graceDays: DELETION_GRACE_DAYS },
+    };
+  },
+
+  /**
+   * checkDeletionCancel()
+   * -------------------
+   * Looks up the account behind a cancellation link without changing it,
+   * for the confirmation page.
+   *
+   * @param {Object} payload
+   * @param {string} payload.token
+   * @returns {Object}
+   */
+  checkDeletionCancel: async ({ token }) => {
+    const user = typeof token === 'string' && token
+      ? await User.findOne({ 'deletion.cancelToken': token }).select('deletion.scheduledFor').lean()
+      : null;
+    if (!user) throw new Error(ERRORS.INVALID_CANCEL_LINK);
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Your account is scheduled for deletion. Keep it instead?',
+      data: { scheduledFor: user.deletion.scheduledFor },
+    };
+  },
+
+  /**
+   * cancelDeletion()
+   * -------------------
+   * Restores an account from the link in the confirmation email.
+   * No login needed: the token itself identifies the account.
+   *
+   * @param {Object} payload
+   * @param {string} payload.token
+   * @returns {Object}
+   */
+  cancelDeletion: async ({ token }) => {
+    const user = typeof token === 'string' && token
+      ? await User.findOneAndUpdate({ 'deletion.cancelToken': token }, { $unset: { deletion: 1 } }).select('_id').exec()
+      : null;
+    if (!user) throw new Error(ERRORS.INVALID_CANCEL_LINK);
+
+    // The purge re-checks the schedule, so a job that survives this is harmless
+    try {
+      const job = await accountQueue.getJob(purgeJobId(user._id));
+      if (job) await job.remove();
+    } catch (err) {
+      logger.error(`Failed to remove purge job for ${user._id}: ${err.message}`);
+    }
+
+    logger.info(`Account deletion cancelled: ${user._id}`);
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Account deletion cancelled. You can log in again.',
+      data: { userId: user._id.toString() },
+    };
+  },
+
+  /**
+   * purge()
+   * -------------------
+   * Account queue job: erases the user once the grace period is over.
+   * Every step is idempotent and the user document goes last, so a failed
+   * attempt is simply retried.
+   *
+   * @param {Object} payload
+   * @param {string} payload.userId
+   * @returns {Promise<{outcome: string, deleted?: Object}>}
+   */
+  purge: async ({ userId }) => {
+    if (!mongoose.Types.ObjectId.isValid(userId)) return { outcome: PURGE.SKIPPED };
+
+    const user = await User.findById(userId).select('username email locale deletion').lean();
+    if (!user?.deletion?.scheduledFor) return { outcome: PURGE.SKIPPED }; // Gone or cancelled
+    if (user.deletion.scheduledFor > new Date()) throw new Error(ERRORS.NOT_DUE);
+
+    const userID = toId(userId);
+
+    // First, so nothing left behind by a failed attempt stays readable.
+    // Every process caching the unwrapped key is told to drop it; if that
+    // cannot be published the job fails and is retried
+    await User.updateOne({ _id: userID }, { $unset: { dataKey: 1 } }).exec();
+    await invalidateDataKey(userId);
+
+    const chatIds = await Chat.find({ userID }).distinct('_id');
+
+    const deleted = {
+      messages: (await Message.deleteMany({ chatId: { $in: chatIds } })).deletedCount,
+      conversations: (await Chat.deleteMany({ userID })).deletedCount,
+      reminders: await ReminderService.deleteAllForUser({ userID }),
+    };
+
+    const collections = {
+      moodEntries: MoodEntry,
+      assessments: Assessment,
+      exerciseSessions: ExerciseSession,
+      notifications: Notification,
+      safetyEvents: SafetyEvent,
+      sessions: Session,
+      tokenUsage: TokenUsage,
+    };
+    for (const [name, Model] of Object.entries(collections)) {
+      deleted[name] = (await Model.deleteMany({ userID })).deletedCount;
+    }
+
+    deleted.redisKeys = await purgeRedisKeys(userId);
+    await User.deleteOne({ _id: userID }).exec();
+
+    logger.info(`Account purged: ${userId} ${JSON.stringify(deleted)}`);
+
+    try {
+      // Keyed by account: a purge job that runs again mails only once
+      await EmailService.send({
+        to: user.email,
+        template: TEMPLATE_IDS.ACCOUNT_DELETED,
+        locale: user.locale,
+        data: { username: user.username },
+        idempotencyKey: userId,
+      });
+    } catch (err) {
+      logger.error(`Failed to queue deletion notice for ${userId}: ${err.message}`);
+    }
+
+    return { outcome: PURGE.PURGED, deleted };
+  },
+};
+
+export default AccountService;
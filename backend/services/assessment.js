@@ -0,0 +1,221 @@
+/**
+ * AssessmentService Module
+ * -------------------
+ * Standardized self-assessment questionnaires (PHQ-9, GAD-7):
+ *  - Serves the versioned instrument definitions
+ *  - Scores submissions server-side into severity bands
+ *  - Escalates a positive self-harm answer into the crisis flow
+ *    (SafetyEvent + local crisis resources)
+ *  - Stores answers and results encrypted, listed as per-user history
+ */
+
+import mongoose from 'mongoose';
+import Assessment from '../models/assessment.js';
+import { SafetyService } from './safety.js';
+import { logger } from '../config/index.js';
+import { STATUS, toId } from '../utils/chat_helpers.js';
+import { RISK_LEVELS, isAtLeast } from '../utils/risk_assessment.js';
+import { crisisResponse } from '../utils/crisis_resources.js';
+import {
+  getInstrument,
+  listInstruments,
+  describeInstrument,
+  isValidAnswerSet,
+  selfHarmRisk,
+  scoreAnswers,
+} from '../utils/instruments.js';
+import {
+  sanitizePaginationParams,
+  generatePaginationLinks,
+} from '../utils/pagination.js';
+
+// --- Constants ---
+const ERRORS = {
+  INSTRUMENT_NOT_FOUND: 'Questionnaire not found.',
+  INVALID_ANSWERS: 'Answers must contain one valid option value per question, in order.',
+  ASSESSMENT_NOT_FOUND: 'Assessment not found.',
+};
+
+/* ───────────── Helpers ───────────── */
+
+/**
+ * Parses an encrypted JSON field; a decryption failure yields null.
+ */
+const parseJSON = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch (_) {
+    return null;
+  }
+};
+
+/**
+ * Shapes a stored assessment for API responses (answers and result decrypted).
+ */
+const toAssessmentView = (assessment) => {
+  const result = parseJSON(assessment.result);
+  return {
+    assessmentId: assessment._id.toString(),
+    instrument: assessment.instrument,
+    version: assessment.version,
+    answers: parseJSON(assessment.answers),
+    total: result?.total ?? null,
+    severity: result?.severity ?? null,
+    label: result?.label ?? null,
+    riskLevel: assessment.riskLevel,
+    completedAt: assessment.createdAt,
+  };
+};
+
+export const AssessmentService = {
+  /**
+   * listInstruments()
+   * -------------------
+   * Latest version of each available questionnaire.
+   * @returns {Object}
+   */
+  listInstruments: () => ({
+    status: STATUS.SUCCESS,
+    message: 'Questionnaires retrieved.',
+    data: { instruments: listInstruments().map(describeInstrument) },
+  }),
+
+  /**
+   * getInstrument()
+   * -------------------
+   * One questionnaire definition, the latest version unless one is given.
+   * @param {Object} payload
+   * @param {string} payload.instrumentId
+   * @param {number} [payload.version]
+   * @returns {Object}
+   */
+  getInstrument: ({ instrumentId, version }) => {
+    const instrument = getInstrument(instrumentId, version);
+    if (!instrument) throw new Error(ERRORS.INSTRUMENT_NOT_FOUND);
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Questionnaire retrieved.',
+      data: { instrument: describeInstrument(instrument) },
+    };
+  },
+
+  /**
+   * submit()
+   * -------------------
+   * Scores and stores a completed questionnaire.
+   * A positive self-harm answer (PHQ-9 item 9) records a SafetyEvent and
+   * returns the user's local crisis resources with the result.
+   *
+   * @param {Object} payload
+   * @param {string} payload.userID
+   * @param {string} payload.instrumentId
+   * @param {number} [payload.version] - Defaults to the latest version
+   * @param {number[]} payload.answers - One option value per item, in item order
+   * @returns {Object}
+   */
+  submit: async ({ userID, instrumentId, version, answers }) => {
+    const instrument = getInstrument(instrumentId, version);
+    if (!instrument) throw new Error(ERRORS.INSTRUMENT_NOT_FOUND);
+    if (!isValidAnswerSet(instrument, answers)) throw new Error(ERRORS.INVALID_ANSWERS);
+
+    const { total, severity, label, riskLevel } = scoreAnswers(instrument, answers);
+
+    const assessment = await Assessment.create({
+      userID: toId(userID),
+      instrument: instrument.id,
+      version: instrument.version,
+      answers: JSON.stringify(answers),
+      result: JSON.stringify({ total, severity, label }),
+      riskLevel,
+    });
+
+    logger.info(`Assessment ${assessment._id} (${instrument.id} v${instrument.version}) stored for user ${userID}`);
+
+    const isCrisis = isAtLeast(riskLevel, RISK_LEVELS.ELEVATED);
+    let crisis = null;
+
+    if (isCrisis) {
+      const safetyEventId = await SafetyService.recordAssessment({
+        userID,
+        assessmentId: assessment._id,
+        riskLevel,
+        instrument: instrument.id,
+        itemScore: selfHarmRisk(instrument, answers).itemScore,
+      });
+      if (safetyEventId) {
+        await Assessment.updateOne({ _id: assessment._id }, { $set: { safetyEventId: toId(safetyEventId) } });
+      }
+
+      const crisisResources = await SafetyService.crisisResourcesFor(userID);
+      crisis = { crisisMessage: crisisResponse(crisisResources), crisisResources };
+    }
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Assessment scored.',
+      data: {
+        assessment: toAssessmentView(assessment),
+        isCrisis,
+        ...crisis,
+      },
+    };
+  },
+
+  /**
+   * listAssessments()
+   * -------------------
+   * The user's completed questionnaires, newest first.
+   *
+   * @param {Object} payload
+   * @param {string} [payload.instrumentId] - Only this questionnaire
+   * @returns {Object}
+   */
+  listAssessments: async ({ userID, instrumentId, page, limit, baseUrl }) => {
+    if (instrumentId && !getInstrument(instrumentId)) throw new Error(ERRORS.INSTRUMENT_NOT_FOUND);
+
+    const { page: p, limit: l } = sanitizePaginationParams(page, limit);
+    const filter = { userID: toId(userID), ...(instrumentId && { instrument: instrumentId }) };
+
+    const [assessments, total] = await Promise.all([
+      Assessment.find(filter).sort({ createdAt: -1 }).skip((p - 1) * l).limit(l).exec(),
+      Assessment.countDocuments(filter),
+    ]);
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Assessments retrieved.',
+      data: {
+        assessments: assessments.map(toAssessmentView),
+        pagination: {
+          totalItems: total,
+          totalPages: Math.ceil(total / l),
+          currentPage: p,
+          limit: l,
+          links: generatePaginationLinks(p, l, total, baseUrl),
+        },
+      },
+    };
+  },
+
+  /**
+   * getAssessment()
+   * -------------------
+   * One of the user's completed questionnaires.
+   * @returns {Object}
+   */
+  getAssessment: async ({ userID, assessmentId }) => {
+    if (!mongoose.Types.ObjectId.isValid(assessmentId)) throw new Error(ERRORS.ASSESSMENT_NOT_FOUND);
+
+    const assessment = await Assessment.findOne({ _id: assessmentId, userID: toId(userID) }).exec();
+    if (!assessment) throw new Error(ERRORS.ASSESSMENT_NOT_FOUND);
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Assessment retrieved.',
+      data: { assessment: toAssessmentView(assessment) },
+    };
+  },
+};
+
+export default AssessmentService;
@@ -1,16 +1,26 @@
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
-import { emailQueue } from '../jobs/queues/email_queue.js';
-import { generatePasswordResetEmail } from '../utils/index.js';
+import { TEMPLATE_IDS } from '../utils/index.js';
 import { updateBlacklist } from '../middleware/index.js';
 import User from '../models/user.js';
-import { logger } from '../config/index.js';
+import { SESSION_REVOKE_REASONS } from '../models/session.js';
+import { SessionService } from './session.js';
+import { TwoFactorService } from './two_factor.js';
+import { EmailService } from './email.js';
+import { isValidRegion, isValidLocale } from '../utils/crisis_resources.js';
+import { isValidTime } from '../utils/reminders.js';
+import { AppConfig, logger } from '../config/index.js';
 
 // --- Constants ---
 const JWT_SECRET = process.env.JWT_SECRET ?? '';
-const JWT_EXPIRATION = '1d';
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60; // short-lived; renewed with the refresh token
 const PASSWORD_RESET_EXPIRATION = 3600000; // 1 hour in ms
 const TOKEN_BYTES = 32;
+const VERIFY_EMAIL_PURPOSE = 'verify_email';
+const VERIFICATION_TOKEN_TTL_HOURS = 24;
+const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000;
+const MFA_PURPOSE = 'mfa';
+const MFA_TOKEN_TTL_SECONDS = 5 * 60;
 
 const ERRORS = {
   MISSING_FIELDS: 'Username, email, and password are required.',
@@ -23,6 +33,139 @@ const ERRORS = {
   USER_NOT_FOUND: 'User not found.',
   INVALID_USER_TOKEN: 'Invalid or missing user token.',
   LOGOUT_FAILED: (msg) => `Logout failed: ${msg}`,
+  INVALID_REGION: 'Region must be a two-letter country code.',
+  INVALID_LOCALE: 'Locale must look like "en" or "en-GB".',
+  INVALID_QUIET_HOURS: 'Quiet hours need a start and end time in HH:mm format.',
+  NO_PREFERENCES: 'Provide a region, locale or quiet hours to update.',
+  MISSING_REFRESH_TOKEN: 'Refresh token is required.',
+  INVALID_VERIFICATION_TOKEN: 'Invalid or expired verification link.',
+  ALREADY_VERIFIED: 'Email address is already verified.',
+  VERIFICATION_THROTTLED: 'Please wait a minute before requesting another verification email.',
+  MISSING_MFA_TOKEN: 'Two-factor challenge token is required.',
+  INVALID_MFA_TOKEN: 'Invalid or expired two-factor challenge. Please log in again.',
+  ENROLLMENT_REQUIRED: 'Set up two-factor authentication to continue.',
+  INVALID_CODE: 'Invalid authentication code.',
+  PENDING_DELETION: 'This account is scheduled for deletion. Use the link in the confirmation email to keep it.',
+};
+
+/**
+ * Signs a short-lived access token bound to a device session.
+ * @param {{_id: *, isAdmin?: boolean}} user
+ * @param {string} sessionId
+ * @returns {string}
+ */
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    { id: user._id.toString(), isAdmin: user.isAdmin ?? false, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+
+/**
+ * Validates optional region/locale/quiet-hours preferences.
+ * An empty string or null clears the value.
+ * @returns {{$set: Object, $unset: Object}}
+ */
+const buildPreferenceUpdate = ({ region, locale, quietHours }) => {
+  const update = { $set: {}, $unset: {} };
+
+  if (region !== undefined) {
+    if (region === null || region === '') update.$unset.region = 1;
+    else if (isValidRegion(region)) update.$set.region = region.trim().toUpperCase();
+    else throw new Error(ERRORS.INVALID_REGION);
+  }
+
+  if (locale !== undefined) {
+    if (locale === null || locale === '') update.$unset.locale = 1;
+    else if (isValidLocale(locale)) update.$set.locale = locale.trim();
+    else throw new Error(ERRORS.INVALID_LOCALE);
+  }
+
+  if (quietHours !== undefined) {
+    if (quietHours === null || quietHours === '') update.$unset.quietHours = 1;
+    else if (isValidTime(quietHours?.start) && isValidTime(quietHours?.end)) {
+      update.$set.quietHours = { start: quietHours.start, end: quietHours.end };
+    } else throw new Error(ERRORS.INVALID_QUIET_HOURS);
+  }
+
+  return update;
+};
+
+/**
+ * Completes a login: resets failed attempts and opens a device session.
+ * @param {Object} user - User document
+ * @param {{deviceName?: string, userAgent?: string, ip?: string}} device
+ * @returns {Promise<Object>} Login data
+ */
+const openSession = async (user, { deviceName, userAgent, ip }) => {
+  await User.recordLoginSuccess(user._id);
+
+  const { sessionId, refreshToken } = await SessionService.create({
+    userID: user._id,
+    userAgent,
+    ip,
+    deviceName,
+  });
+
+  logger.info(`User login: ${user._id} (session ${sessionId})`);
+
+  return {
+    userId: user._id.toString(),
+    sessionId,
+    token: signAccessToken(user, sessionId),
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    refreshToken,
+  };
+};
+
+/**
+ * Resolves the user behind a two-factor challenge token.
+ * @param {string} mfaToken
+ * @returns {Promise<Object>} User document including 2FA secrets
+ */
+const readMfaChallenge = async (mfaToken) => {
+  if (!mfaToken) throw new Error(ERRORS.MISSING_MFA_TOKEN);
+
+  let claims;
+  try {
+    claims = jwt.verify(mfaToken, JWT_SECRET);
+  } catch (err) {
+    logger.warn(`MFA challenge rejected: ${err.message}`);
+    throw new Error(ERRORS.INVALID_MFA_TOKEN);
+  }
+  if (claims.purpose !== MFA_PURPOSE || !claims.id) throw new Error(ERRORS.INVALID_MFA_TOKEN);
+
+  const user = await TwoFactorService.loadForLogin(claims.id);
+  if (!user.canLogin()) {
+    throw new Error(ERRORS.ACCOUNT_LOCKED(new Date(user.lockUntil).toLocaleTimeString()));
+  }
+  if (user.deletion?.scheduledFor) throw new Error(ERRORS.PENDING_DELETION);
+  return user;
+};
+
+/**
+ * Emails a signed verification link. The token names the address it was
+ * issued for, so it stops working if the address changes.
+ * @param {{_id: *, username: string, email: string, locale?: string}} user
+ */
+const sendVerificationEmail = async (user) => {
+  const token = jwt.sign(
+    { id: user._id.toString(), email: user.email, purpose: VERIFY_EMAIL_PURPOSE },
+    JWT_SECRET,
+    { expiresIn: `${VERIFICATION_TOKEN_TTL_HOURS}h` }
+  );
+
+  await EmailService.send({
+    to: user.email,
+    template: TEMPLATE_IDS.EMAIL_VERIFICATION,
+    locale: user.locale,
+    data: {
+      username: user.username,
+      verifyUrl: AppConfig.url(`/api/auth/verify-email?token=${encodeURIComponent(token)}`),
+      expiresInHours: VERIFICATION_TOKEN_TTL_HOURS,
+    },
+    idempotencyKey: token,
+  });
 };
 
 export const AuthService = {
@@ -32,29 +175,51 @@ export const AuthService = {
    * @param {string} payload.username
    * @param {string} payload.email
    * @param {string} payload.password
+   * @param {string} [payload.region] - ISO country code for local crisis resources
+   * @param {string} [payload.locale] - Preferred locale, e.g. "en-GB"
    */
   createUser: async (payload = {}) => {
-    const { username, email, password } = payload;
+    const { username, email, password, region, locale } = payload;
 
     if (!username || !email || !password) throw new Error(ERRORS.MISSING_FIELDS);
+    const { $set: preferences } = buildPreferenceUpdate({ region, locale });
 
     const existingUser = await User.findOne({ email }).exec();
     if (existingUser) throw new Error(ERRORS.EMAIL_IN_USE);
 
-    const user = await new User({ username, email, password }).save();
+    const user = await new User({
+      username,
+      email,
+      password,
+      ...preferences,
+      verificationEmailSentAt: new Date(),
+    }).save();
     logger.info(`User registered: ${user._id}`);
 
+    // The account exists either way; the user can ask for another email
+    try {
+      await sendVerificationEmail(user);
+    } catch (err) {
+      logger.error(`Verification email failed for ${user._id}: ${err.message}`);
+    }
+
     return { status: 'success', message: 'User registered successfully' };
   },
 
   /**
-   * Logs in a user
+   * Logs in a user and opens a session for the device.
+   * Other devices stay signed in. When the account uses (or must set up)
+   * two-factor authentication, a short-lived challenge token is returned
+   * instead; see completeMfaLogin() and completeMfaEnrollment().
    * @param {Object} payload
    * @param {string} payload.username
    * @param {string} payload.password
+   * @param {string} [payload.deviceName] - Label shown in the session list
+   * @param {string} [payload.userAgent]
+   * @param {string} [payload.ip]
    */
   loginUser: async (payload = {}) => {
-    const { username, password } = payload;
+    const { username, password, deviceName, userAgent, ip } = payload;
 
     if (!username || !password) throw new Error(ERRORS.MISSING_FIELDS);
 
@@ -72,39 +237,148 @@ export const AuthService = {
       throw new Error(ERRORS.INVALID_CREDENTIALS);
     }
 
-    const { currentLoginTime } = await User.recordLoginSuccess(user._id);
+    // Only checked after the password, so it does not reveal the account's state
+    if (user.deletion?.scheduledFor) throw new Error(ERRORS.PENDING_DELETION);
 
-    const token = jwt.sign(
-      {
-        id: user._id.toString(),
-        isAdmin: user.isAdmin ?? false,
-        iat_session: currentLoginTime,
-      },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRATION }
-    );
+    if (user.twoFactor?.enabled || user.twoFactor?.required) {
+      const mfaToken = jwt.sign(
+        { id: user._id.toString(), purpose: MFA_PURPOSE },
+        JWT_SECRET,
+        { expiresIn: MFA_TOKEN_TTL_SECONDS }
+      );
+      logger.info(`Password accepted, second factor pending: ${user._id}`);
+
+      return {
+        status: 'success',
+        message: 'Two-factor authentication required',
+        data: {
+          userId: user._id.toString(),
+          mfaRequired: true,
+          enrollmentRequired: !user.twoFactor.enabled,
+          mfaToken,
+          expiresIn: MFA_TOKEN_TTL_SECONDS,
+        },
+      };
+    }
 
-    logger.info(`User login: ${user._id}`);
+    return {
+      status: 'success',
+      message: 'Login successful',
+      data: await openSession(user, { deviceName, userAgent, ip }),
+    };
+  },
+
+  /**
+   * Second login step: checks a TOTP or recovery code against the challenge.
+   * Wrong codes count towards the account lockout like wrong passwords.
+   * @param {Object} payload
+   * @param {string} payload.mfaToken - From loginUser()
+   * @param {string} payload.code - Six-digit TOTP code or a recovery code
+   * @param {string} [payload.deviceName]
+   * @param {string} [payload.userAgent]
+   * @param {string} [payload.ip]
+   */
+  completeMfaLogin: async (payload = {}) => {
+    const { mfaToken, code, deviceName, userAgent, ip } = payload;
+
+    const user = await readMfaChallenge(mfaToken);
+    if (!user.twoFactor?.enabled) throw new Error(ERRORS.ENROLLMENT_REQUIRED);
+
+    try {
+      await TwoFactorService.verifySecondFactor(user, code);
+    } catch (err) {
+      if (err.message === ERRORS.INVALID_CODE) await user.incrementLoginAttempts();
+      throw err;
+    }
 
     return {
       status: 'success',
       message: 'Login successful',
-      data: { userId: user._id.toString(), token },
+      data: await openSession(user, { deviceName, userAgent, ip }),
+    };
+  },
+
+  /**
+   * Starts enrollment during login, for accounts where an admin requires 2FA
+   * @param {Object} payload
+   * @param {string} payload.mfaToken
+   */
+  beginMfaEnrollment: async (payload = {}) => {
+    const user = await readMfaChallenge(payload.mfaToken);
+    return TwoFactorService.beginSetup({ userId: user._id });
+  },
+
+  /**
+   * Confirms enrollment during login and completes it
+   * @param {Object} payload
+   * @param {string} payload.mfaToken
+   * @param {string} payload.code - First code from the authenticator app
+   * @param {string} [payload.deviceName]
+   * @param {string} [payload.userAgent]
+   * @param {string} [payload.ip]
+   */
+  completeMfaEnrollment: async (payload = {}) => {
+    const { mfaToken, code, deviceName, userAgent, ip } = payload;
+
+    const user = await readMfaChallenge(mfaToken);
+    const { data } = await TwoFactorService.confirmSetup({ userId: user._id, code });
+
+    return {
+      status: 'success',
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+      data: { ...(await openSession(user, { deviceName, userAgent, ip })), recoveryCodes: data.recoveryCodes },
+    };
+  },
+
+  /**
+   * Exchanges a refresh token for a new access token and refresh token.
+   * The old refresh token stops working; presenting it again revokes the session.
+   * @param {Object} payload
+   * @param {string} payload.refreshToken
+   * @param {string} [payload.ip]
+   */
+  refreshTokens: async (payload = {}) => {
+    const { refreshToken, ip } = payload;
+
+    if (!refreshToken) throw new Error(ERRORS.MISSING_REFRESH_TOKEN);
+
+    const { session, refreshToken: nextRefreshToken } = await SessionService.rotate({ refreshToken, ip });
+
+    const user = await User.findById(session.userID).select('isAdmin').exec();
+    if (!user) throw new Error(ERRORS.USER_NOT_FOUND);
+
+    const sessionId = session._id.toString();
+
+    return {
+      status: 'success',
+      message: 'Token refreshed',
+      data: {
+        userId: user._id.toString(),
+        sessionId,
+        token: signAccessToken(user, sessionId),
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+        refreshToken: nextRefreshToken,
+      },
     };
   },
 
   /**
-   * Logout user – token blacklist
+   * Logout user – token blacklist and session revocation
    * @param {Object} payload
    * @param {string} payload.token
+   * @param {string} [payload.userId]
+   * @param {string} [payload.sessionId] - Session of the token; ends this device's sign-in
    */
   logoutUser: async (payload = {}) => {
-    const { token } = payload;
+    const { token, userId, sessionId } = payload;
 
     if (!token) throw new Error(ERRORS.MISSING_TOKEN);
 
     try {
-      await updateBlacklist(token);
+      await updateBlacklist(token, ACCESS_TOKEN_TTL_SECONDS);
+      if (userId && sessionId) {
+        await SessionService.revokeSession({ userID: userId, sessionId, reason: SESSION_REVOKE_REASONS.LOGOUT });
+      }
       logger.info('User logged out: token blacklisted');
       return { status: 'success', message: 'Logout successful' };
     } catch (err) {
@@ -113,6 +387,79 @@ export const AuthService = {
     }
   },
 
+  /**
+   * Confirms an email address from the link in the verification email
+   * @param {Object} payload
+   * @param {string} payload.token
+   */
+  verifyEmail: async (payload = {}) => {
+    const { token } = payload;
+
+    if (!token) throw new Error(ERRORS.MISSING_TOKEN);
+
+    let claims;
+    try {
+      claims = jwt.verify(token, JWT_SECRET);
+    } catch (err) {
+      logger.warn(`Verification token rejected: ${err.message}`);
+      throw new Error(ERRORS.INVALID_VERIFICATION_TOKEN);
+    }
+    if (claims.purpose !== VERIFY_EMAIL_PURPOSE || !claims.id) {
+      throw new Error(ERRORS.INVALID_VERIFICATION_TOKEN);
+    }
+
+    const user = await User.findById(claims.id).select('email emailVerified').exec();
+    if (!user || user.email !== claims.email) throw new Error(ERRORS.INVALID_VERIFICATION_TOKEN);
+
+    if (!user.emailVerified) {
+      await User.updateOne(
+        { _id: user._id },
+        { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+      ).exec();
+      logger.info(`Email verified: ${user._id}`);
+    }
+
+    return {
+      status: 'success',
+      message: 'Email address verified',
+      data: { userId: user._id.toString(), emailVerified: true },
+    };
+  },
+
+  /**
+   * Sends a new verification email, at most once a minute
+   * @param {Object} payload
+   * @param {string} payload.userId
+   */
+  resendVerificationEmail: async (payload = {}) => {
+    const { userId } = payload;
+
+    if (!userId) throw new Error(ERRORS.INVALID_USER_TOKEN);
+
+    const user = await User.findById(userId).select('username email emailVerified').exec();
+    if (!user) throw new Error(ERRORS.USER_NOT_FOUND);
+    if (user.emailVerified) throw new Error(ERRORS.ALREADY_VERIFIED);
+
+    // Claim the send slot atomically so parallel requests cannot both send
+    const now = Date.now();
+    const { modifiedCount } = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { verificationEmailSentAt: null },
+          { verificationEmailSentAt: { $lte: new Date(now - VERIFICATION_RESEND_COOLDOWN_MS) } },
+        ],
+      },
+      { $set: { verificationEmailSentAt: new Date(now) } }
+    ).exec();
+    if (!modifiedCount) throw new Error(ERRORS.VERIFICATION_THROTTLED);
+
+    await sendVerificationEmail(user);
+    logger.info(`Verification email resent: ${user._id}`);
+
+    return { status: 'success', message: 'Verification email sent' };
+  },
+
   /**
    * Forgot Password
    * @param {Object} payload
@@ -136,10 +483,17 @@ export const AuthService = {
       }
     ).exec();
 
-    await emailQueue.add(
-      'sendEmail',
-      generatePasswordResetEmail(user.email, resetToken)
-    );
+    await EmailService.send({
+      to: user.email,
+      template: TEMPLATE_IDS.PASSWORD_RESET,
+      locale: user.locale,
+      data: {
+        username: user.username,
+        resetUrl: AppConfig.url(`/reset-password?token=${resetToken}`),
+        expiresInMinutes: PASSWORD_RESET_EXPIRATION / 60000,
+      },
+      idempotencyKey: resetToken,
+    });
 
     logger.info(`Password reset requested: ${user._id}`);
 
@@ -176,6 +530,9 @@ export const AuthService = {
       }
     ).exec();
 
+    // A new password signs every device out
+    await SessionService.revokeAllSessions({ userID: user._id, reason: SESSION_REVOKE_REASONS.PASSWORD_RESET });
+
     logger.info(`Password reset: ${user._id}`);
 
     return { status: 'success', message: 'Password reset successful' };
@@ -192,7 +549,7 @@ export const AuthService = {
     if (!userId) throw new Error(ERRORS.INVALID_USER_TOKEN);
 
     const user = await User.findById(userId)
-      .select('username email')
+      .select('username email emailVerified region locale quietHours twoFactor.enabled twoFactor.required')
       .exec();
 
     if (!user) throw new Error(ERRORS.USER_NOT_FOUND);
@@ -206,6 +563,53 @@ export const AuthService = {
         userId: user._id.toString(),
         username: user.username,
         email: user.email,
+        emailVerified: user.emailVerified === true,
+        twoFactorEnabled: user.twoFactor?.enabled === true,
+        twoFactorRequired: user.twoFactor?.required === true,
+        region: user.region ?? null,
+        locale: user.locale ?? null,
+        quietHours: user.quietHours?.start ? { start: user.quietHours.start, end: user.quietHours.end } : null,
+      },
+    };
+  },
+
+  /**
+   * Updates the current user's region/locale/quiet-hours preferences
+   * @param {Object} payload
+   * @param {string} payload.userId
+   * @param {string|null} [payload.region]
+   * @param {string|null} [payload.locale]
+   * @param {{start: string, end: string}|null} [payload.quietHours] - Reminders are held back in this window
+   */
+  updatePreferences: async (payload = {}) => {
+    const { userId, region, locale, quietHours } = payload;
+
+    if (!userId) throw new Error(ERRORS.INVALID_USER_TOKEN);
+
+    const { $set, $unset } = buildPreferenceUpdate({ region, locale, quietHours });
+    if (!Object.keys($set).length && !Object.keys($unset).length) {
+      throw new Error(ERRORS.NO_PREFERENCES);
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $set, $unset },
+      { new: true, runValidators: true }
+    )
+      .select('region locale quietHours')
+      .exec();
+
+    if (!user) throw new Error(ERRORS.USER_NOT_FOUND);
+
+    logger.info(`Preferences updated: ${userId}`);
+
+    return {
+      status: 'success',
+      message: 'Preferences updated successfully',
+      data: {
+        region: user.region ?? null,
+        locale: user.locale ?? null,
+        quietHours: user.quietHours?.start ? { start: user.quietHours.start, end: user.quietHours.end } : null,
       },
     };
   },
@@ -2,29 +2,48 @@
  * ChatService Module
  * -------------------
  * Handles:
- *  - Chat message processing with Gemini AI
- *  - Crisis/off-topic classification
+ *  - Chat message processing through the configured LLM provider
+ *  - Per-turn crisis risk scoring and off-topic refusal, with localized crisis resources
  *  - De-normalized message storage
+ *  - Conversation memory (rolling summary + token-budgeted context)
+ *  - Recent mood check-ins as model context
+ *  - Guided exercises suggested by the model (see ExerciseService)
+ *  - Daily LLM token quota (see UsageService)
  *  - Pagination of messages
- *  - Session management (start, clear, end)
+ *  - Conversation management (create, list, rename, archive, delete)
  */
 
-import { Chat, Message } from '../models/chat.js';
-import { GeminiService } from './gemini.js';
+import { Chat, Message, DEFAULT_TITLE, TITLE_MAX_LENGTH } from '../models/chat.js';
+import { LLMService } from './llm.js';
+import { MemoryService } from './memory.js';
+import { RiskService } from './risk.js';
+import { SafetyService } from './safety.js';
+import { MoodService } from './mood.js';
+import { ExerciseService } from './exercise.js';
+import { UsageService } from './usage.js';
 import { logger } from '../config/index.js';
 
 import {
   STATUS,
   M,
-  DISCLAIMER,
-  CRISIS_RESPONSE,
-  CLASSIFICATION_PROMPT,
+  CLASSIFICATION,
   CHAT_PROMPT,
+  SAFETY_PROMPT,
+  MOOD_CONTEXT_PROMPT,
   toId,
-  isCrisis,
   isBlocked,
 } from '../utils/chat_helpers.js';
 
+import { RISK_LEVELS, isAtLeast } from '../utils/risk_assessment.js';
+import { QUOTA_STATES } from '../utils/usage_quota.js';
+import { EXERCISE_PROMPT, stripExerciseDirectives } from '../utils/exercises.js';
+import { EXERCISE_TRIGGERS } from '../models/exercise_session.js';
+
+import {
+  crisisResponse,
+  disclaimer,
+} from '../utils/crisis_resources.js';
+
 import {
   sanitizePaginationParams,
   generatePaginationLinks,
@@ -35,13 +54,86 @@ const ERRORS = {
   REFUSAL: M.REFUSAL,
   CHAT_NOT_FOUND: M.CHAT_NOT_FOUND,
   CHAT_ID_REQUIRED: 'Chat ID is required to continue a conversation.',
+  INVALID_TITLE: `Conversation title must be 1-${TITLE_MAX_LENGTH} characters.`,
+  NO_CHANGES: 'Provide a title or archived flag to update.',
+  QUOTA_EXCEEDED: 'You have used your daily chat allowance. It resets at midnight UTC.',
+};
+
+// Length of the title auto-derived from the first message of a new conversation
+const AUTO_TITLE_LENGTH = 50;
+
+/**
+ * Validates and normalizes a user-supplied conversation title.
+ * @param {string} title
+ * @returns {string}
+ */
+const normalizeTitle = (title) => {
+  const trimmed = typeof title === 'string' ? title.trim() : '';
+  if (!trimmed || trimmed.length > TITLE_MAX_LENGTH) throw new Error(ERRORS.INVALID_TITLE);
+  return trimmed;
+};
+
+/**
+ * Derives a conversation title from the opening message.
+ * @param {string} input
+ * @returns {string}
+ */
+const deriveTitle = (input) => {
+  const singleLine = input.replace(/\s+/g, ' ').trim();
+  if (!singleLine) return DEFAULT_TITLE;
+  return singleLine.length > AUTO_TITLE_LENGTH
+    ? `${singleLine.slice(0, AUTO_TITLE_LENGTH - 1).trimEnd()}…`
+    : singleLine;
+};
+
+/**
+ * Shapes a Chat document for API responses.
+ * @param {Document} chat
+ * @returns {Object}
+ */
+const toChatSummary = (chat) => ({
+  chatId: chat._id.toString(),
+  title: chat.title,
+  archived: chat.archived,
+  startedAt: chat.createdAt,
+  lastActive: chat.lastMessageAt,
+});
+
+/**
+ * Loads a conversation owned by the user or throws CHAT_NOT_FOUND.
+ * @param {string} chatId
+ * @param {string} userID
+ * @returns {Promise<Document>}
+ */
+const loadOwnedChat = async (chatId, userID) => {
+  if (!chatId) throw new Error(ERRORS.CHAT_ID_REQUIRED);
+  const chat = await Chat.findOwned(chatId, toId(userID));
+  if (!chat) throw new Error(ERRORS.CHAT_NOT_FOUND);
+  return chat;
+};
+
+/**
+ * Inserts a note for the model just before the user's message.
+ * Empty notes leave the messages unchanged.
+ */
+const withSystemNote = (messages, note) => {
+  if (!note) return messages;
+  return [...messages.slice(0, -1), { role: 'user', content: note }, ...messages.slice(-1)];
 };
 
+/**
+ * Inserts risk-specific guidance for the model just before the user's message.
+ * @param {{role: string, content: string}[]} messages
+ * @param {string} riskLevel
+ * @returns {{role: string, content: string}[]}
+ */
+const withSafetyGuidance = (messages, riskLevel) => withSystemNote(messages, SAFETY_PROMPT(riskLevel));
+
 /**
  * Pre-validates input before AI operations.
  * - Ensures message exists
  * - Ensures it is not blocked
- * - Detects crisis queries early
+ * @returns {string} Trimmed input
  */
 const handlePreChatChecks = (input) => {
   if (!input?.trim()) throw new Error(ERRORS.NO_INPUT);
@@ -50,7 +142,7 @@ const handlePreChatChecks = (input) => {
 
   if (isBlocked(trimmed)) throw new Error(ERRORS.REFUSAL);
 
-  return { input: trimmed, isCrisisResponse: isCrisis(trimmed) };
+  return trimmed;
 };
 
 export const ChatService = {
@@ -61,81 +153,101 @@ export const ChatService = {
    * Responsibilities:
    *  - Pre-check input
    *  - Start new chat session OR continue existing one
+   *  - Assess crisis risk on every turn (see RiskService) and record
+   *    elevated/imminent turns as SafetyEvents
+   *  - Enforce the daily token quota
    *  - Prepare model context
-   *  - Run classification on first message
-   *  - Stream Gemini response
+   *  - Stream the model response
+   *
+   * Risk drives the reply:
+   *  - imminent  → no model call; local crisis resources are saved and returned
+   *  - elevated  → safety-focused guidance; resources appended on finalize
+   *  - low       → guidance to gently check in
+   *
+   * Over the daily quota the message is refused (error.usage holds the
+   * quota status), unless the user is at elevated or imminent risk.
    *
    * @param {Object} payload
+   * @param {AbortSignal} [payload.signal] - Cancels the model stream when aborted
    * @returns {Object}
    */
-  handleChat: async ({ userID, message, chatId }) => {
-    const preCheck = handlePreChatChecks(message);
-
-    if (preCheck.isCrisisResponse) {
-      return {
-        status: STATUS.SUCCESS,
-        data: { advice: CRISIS_RESPONSE, isCrisis: true, isContinued: !!chatId },
-      };
-    }
+  handleChat: async ({ userID, message, chatId, signal }) => {
+    const input = handlePreChatChecks(message);
 
     const userIdObj = toId(userID);
-    const isNewSession = !chatId;
-    let messages = [];
-    let chat;
+    const chat = chatId ? await loadOwnedChat(chatId, userID) : null;
 
-    // Build AI prompt context
-    if (isNewSession) {
-      messages.push({ role: 'user', content: CHAT_PROMPT(preCheck.input) });
-    } else {
-      chat = await Chat.findOne({ _id: toId(chatId), userID: userIdObj }).exec();
-      if (!chat) throw new Error(ERRORS.CHAT_NOT_FOUND);
-
-      const last20 = await chat.getHistory(20); // Most recent messages DESC
-      const context = last20.reverse(); // Convert to ASC chronological order
-
-      messages = [
-        ...context.map((msg) => ({
-          role: msg.role === 'assistant' ? 'model' : 'user',
-          content: msg.content,
-        })),
-        { role: 'user', content: preCheck.input },
-      ];
+    // An empty conversation (e.g. created via POST /chats) is still a new session
+    const isNewSession = !chat || !(await Message.exists({ chatId: chat._id }));
+
+    const risk = await RiskService.assess({ input, chatId: chat?._id ?? null, userID });
+    // Elevated/imminent turns are recorded for human review
+    const safetyEventId = await SafetyService.record({ userID, chatId, risk });
+
+    // Off-topic openers are refused; an at-risk message never is
+    if (
+      isNewSession &&
+      risk.classification === CLASSIFICATION.OFF_TOPIC &&
+      risk.level === RISK_LEVELS.NONE
+    ) {
+      throw new Error(ERRORS.REFUSAL);
     }
 
-    // Classify only first message
-    if (isNewSession) {
-      try {
-        const classification = (
-          await GeminiService.generateResponseNonStream([
-            { role: 'user', content: CLASSIFICATION_PROMPT(preCheck.input) },
-          ])
-        )
-          .toUpperCase()
-          .trim();
-
-        if (classification.includes('OFF_TOPIC')) throw new Error(ERRORS.REFUSAL);
-        if (classification.includes('CRISIS')) {
-          return {
-            status: STATUS.SUCCESS,
-            data: { advice: CRISIS_RESPONSE, isCrisis: true, isContinued: false },
-          };
-        }
-      } catch (err) {
-        logger.error(`Classification error: ${err.message}`);
-      }
+    if (risk.level === RISK_LEVELS.IMMINENT) {
+      return ChatService.finalizeResponse({
+        userID,
+        input,
+        chatId,
+        riskLevel: risk.level,
+        safetyEventId,
+      });
+    }
+
+    // Spend is capped, but someone at risk is never turned away; if usage
+    // cannot be read the message goes through
+    const usage = await UsageService.getStatus(userID).catch((err) => {
+      logger.error(`Failed to load token usage for user ${userID}: ${err.message}`);
+      return null;
+    });
+    if (usage?.state === QUOTA_STATES.EXCEEDED && !isAtLeast(risk.level, RISK_LEVELS.ELEVATED)) {
+      throw Object.assign(new Error(ERRORS.QUOTA_EXCEEDED), { usage });
     }
 
-    // Get streamed AI response
-    const stream = await GeminiService.generateResponseStream(messages);
+    // Build AI prompt context
+    const messages = isNewSession
+      ? [{ role: 'user', content: CHAT_PROMPT(input) }]
+      : // Rolling summary + as much recent history as the token budget allows
+        await MemoryService.buildContext(chat, input);
+
+    // Recent mood check-ins shape the tone (never blocks the chat)
+    const moodSummary = await MoodService.recentTrend(userID);
+
+    const prompt = withSafetyGuidance(
+      withSystemNote(withSystemNote(messages, MOOD_CONTEXT_PROMPT(moodSummary)), EXERCISE_PROMPT()),
+      risk.level
+    );
+
+    // Get streamed AI response; exercise directives are removed from the
+    // tokens and collected for finalizeResponse()
+    const suggestedExercises = [];
+    const stream = stripExerciseDirectives(LLMService.stream(prompt, { signal, userID }), (id) =>
+      suggestedExercises.push(id)
+    );
 
     return {
       status: STATUS.SUCCESS,
       stream,
       metadata: {
         userID: userIdObj,
-        input: preCheck.input,
+        input,
         isNewSession,
         chatId,
+        riskLevel: risk.level,
+        safetyEventId,
+        // Quota status before this reply, to detect crossing the warning line
+        usage,
+        // Filled while the stream is consumed
+        suggestedExercises,
       },
     };
   },
@@ -145,34 +257,87 @@ export const ChatService = {
    * -------------------
    * Saves the final AI + user messages after streaming completes.
    * Responsibilities:
-   *  - Locate or create chat session
-   *  - Append user and AI messages
+   *  - Locate the user's conversation, or start a new one titled
+   *    after the opening message
+   *  - Append user (with its risk level) and AI messages
    *  - Update disclaimer status
+   *  - Start the exercise the model suggested, if any
+   *
+   * A truncated (cancelled) reply is stored as-is, flagged, and never
+   * carries the disclaimer — it is added to the next complete reply instead.
+   * Elevated-risk replies always end with the local crisis resources;
+   * for imminent risk the crisis response replaces the reply entirely.
    *
    * @param {Object} payload
+   * @param {string} [payload.aiResponse] - Model reply (ignored for imminent risk)
+   * @param {boolean} [payload.truncated=false] - The reply was cut short
+   * @param {string} [payload.riskLevel='none'] - Assessed risk of the user's message
+   * @param {string|null} [payload.safetyEventId] - Audit event to link to the saved message
+   * @param {string} [payload.suggestedExercise] - Exercise ID from the model's directive
+   * @param {Object|null} [payload.usage] - Quota status from handleChat(); adds usageWarning
+   *   to the result when this reply crossed the warning line
    * @returns {Object}
    */
-  finalizeResponse: async ({ userID, input, aiResponse, chatId }) => {
+  finalizeResponse: async ({
+    userID,
+    input,
+    aiResponse,
+    chatId,
+    truncated = false,
+    riskLevel = RISK_LEVELS.NONE,
+    safetyEventId = null,
+    suggestedExercise,
+    usage = null,
+  }) => {
     const userIdObj = toId(userID);
 
     const chat = chatId
-      ? await Chat.findById(chatId).exec()
-      : await Chat.findOrCreate(userIdObj);
+      ? await loadOwnedChat(chatId, userID)
+      : await Chat.create({ userID: userIdObj, title: deriveTitle(input) });
 
-    if (!chat) throw new Error(ERRORS.CHAT_NOT_FOUND);
+    const isImminent = riskLevel === RISK_LEVELS.IMMINENT;
+    const isCrisisTurn = isAtLeast(riskLevel, RISK_LEVELS.ELEVATED);
+    const addDisclaimer =
+      !isImminent && (isCrisisTurn || (!chat.disclaimerAdded && !truncated));
+    const crisisResources =
+      isCrisisTurn || addDisclaimer ? await SafetyService.crisisResourcesFor(userID) : null;
 
-    const finalResponse = isCrisis(aiResponse) ? CRISIS_RESPONSE : aiResponse;
+    const finalResponse = isImminent ? crisisResponse(crisisResources) : aiResponse;
     const responseWithDisclaimer = `${finalResponse}${
-      !chat.disclaimerAdded ? `\n\n_${DISCLAIMER}_` : ''
+      addDisclaimer ? `\n\n_${disclaimer(crisisResources)}_` : ''
     }`;
 
-    await chat.addMessage('user', input);
-    await chat.addMessage('assistant', responseWithDisclaimer);
+    const userMessage = await chat.addMessage('user', input, { riskLevel });
+    await chat.addMessage('assistant', responseWithDisclaimer, { truncated });
+    await SafetyService.linkMessage(safetyEventId, { chatId: chat._id, messageId: userMessage._id });
 
-    await Chat.updateOne(
-      { _id: chat._id },
-      { $set: { disclaimerAdded: true } }
-    );
+    if (addDisclaimer && !chat.disclaimerAdded) {
+      await Chat.updateOne(
+        { _id: chat._id },
+        { $set: { disclaimerAdded: true } }
+      );
+    }
+
+    // Fold older messages into the rolling summary without delaying the reply
+    MemoryService.scheduleRefresh(chat._id);
+
+    // A cancelled reply never offers its exercise; a failure only loses the widget
+    const exercise =
+      suggestedExercise && !truncated && !isImminent
+        ? await ExerciseService.start({
+            userID,
+            exerciseId: suggestedExercise,
+            chatId: chat._id,
+            trigger: EXERCISE_TRIGGERS.MODEL,
+          })
+            .then((result) => result.data)
+            .catch((err) => {
+              logger.error(`Failed to start suggested exercise for user ${userID}: ${err.message}`);
+              return null;
+            })
+        : null;
+
+    const usageWarning = await UsageService.warningAfter(userID, usage);
 
     return {
       status: STATUS.SUCCESS,
@@ -182,29 +347,158 @@ export const ChatService = {
         chatId: chat._id.toString(),
         isNewSession: !chatId,
         isContinued: !!chatId,
-        isCrisis: finalResponse === CRISIS_RESPONSE,
+        isCrisis: isCrisisTurn,
+        riskLevel,
+        ...(isCrisisTurn && { crisisResources }),
+        ...(exercise && { exercise }),
+        ...(usageWarning && { usageWarning }),
+        truncated,
+      },
+    };
+  },
+
+  /**
+   * createChat()
+   * -------------------
+   * Starts a new, empty conversation for the user.
+   *
+   * @param {Object} payload
+   * @param {string} payload.userID
+   * @param {string} [payload.title]
+   * @returns {Object}
+   */
+  createChat: async ({ userID, title }) => {
+    const chat = await Chat.create({
+      userID: toId(userID),
+      title: title === undefined ? DEFAULT_TITLE : normalizeTitle(title),
+    });
+
+    logger.info(`Conversation ${chat._id} created for user ${userID}`);
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Conversation created.',
+      data: { chat: toChatSummary(chat) },
+    };
+  },
+
+  /**
+   * listChats()
+   * -------------------
+   * Lists the user's conversations, most recently active first.
+   * Archived conversations are only included when requested.
+   *
+   * @param {Object} payload
+   * @returns {Object}
+   */
+  listChats: async ({ userID, page, limit, archived, baseUrl }) => {
+    const { page: p, limit: l } = sanitizePaginationParams(page, limit);
+    const filter = { userID: toId(userID), archived: archived === true };
+    const skip = (p - 1) * l;
+
+    const [chats, total] = await Promise.all([
+      Chat.find(filter).sort({ lastMessageAt: -1 }).skip(skip).limit(l).exec(),
+      Chat.countDocuments(filter),
+    ]);
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Conversations retrieved.',
+      data: {
+        chats: chats.map(toChatSummary),
+        pagination: {
+          totalItems: total,
+          totalPages: Math.ceil(total / l),
+          currentPage: p,
+          limit: l,
+          links: generatePaginationLinks(p, l, total, baseUrl),
+        },
       },
     };
   },
 
+  /**
+   * getChat()
+   * -------------------
+   * Returns metadata for a single conversation owned by the user.
+   *
+   * @returns {Object}
+   */
+  getChat: async ({ userID, chatId }) => {
+    const chat = await loadOwnedChat(chatId, userID);
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Conversation retrieved.',
+      data: { chat: toChatSummary(chat) },
+    };
+  },
+
+  /**
+   * updateChat()
+   * -------------------
+   * Renames and/or archives (or restores) a conversation.
+   *
+   * @param {Object} payload
+   * @param {string} [payload.title]
+   * @param {boolean} [payload.archived]
+   * @returns {Object}
+   */
+  updateChat: async ({ userID, chatId, title, archived }) => {
+    const chat = await loadOwnedChat(chatId, userID);
+
+    if (title === undefined && typeof archived !== 'boolean') {
+      throw new Error(ERRORS.NO_CHANGES);
+    }
+
+    if (title !== undefined) chat.title = normalizeTitle(title);
+    if (typeof archived === 'boolean') chat.archived = archived;
+
+    await chat.save();
+    logger.info(`Conversation ${chat._id} updated by user ${userID}`);
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Conversation updated.',
+      data: { chat: toChatSummary(chat) },
+    };
+  },
+
+  /**
+   * deleteChat()
+   * -------------------
+   * Permanently deletes a conversation and all of its messages.
+   *
+   * @returns {Object}
+   */
+  deleteChat: async ({ userID, chatId }) => {
+    const chat = await loadOwnedChat(chatId, userID);
+    const { deletedMessages } = await Chat.deleteWithMessages(chat._id);
+
+    logger.info(`Conversation ${chat._id} deleted by user ${userID} (${deletedMessages} messages)`);
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Conversation deleted.',
+      data: { chatId: chat._id.toString(), deletedMessages },
+    };
+  },
+
   /**
    * getChatHistory()
    * -------------------
-   * Retrieves paginated message history from the user's primary session.
+   * Retrieves paginated message history for one of the user's conversations.
    * Responsibilities:
-   *  - Fetch chat
+   *  - Fetch chat (ownership enforced)
    *  - Fetch paginated messages
    *  - Auto-run decryption getters
    *  - Build pagination metadata
    *
    * @returns {Object}
    */
-  getChatHistory: async ({ userID, page, limit, baseUrl }) => {
+  getChatHistory: async ({ userID, chatId, page, limit, baseUrl }) => {
     const { page: p, limit: l } = sanitizePaginationParams(page, limit);
-    const userIdObj = toId(userID);
-
-    const chat = await Chat.findOne({ userID: userIdObj }).exec();
-    if (!chat) throw new Error(ERRORS.CHAT_NOT_FOUND);
+    const chat = await loadOwnedChat(chatId, userID);
 
     const skip = (p - 1) * l;
 
@@ -221,9 +515,8 @@ export const ChatService = {
       status: STATUS.SUCCESS,
       message: M.RESPONSE_SUCCESS,
       data: {
+        chat: toChatSummary(chat),
         history: history.map((d) => d.toObject({ getters: true })),
-        startedAt: chat.createdAt,
-        lastActive: chat.updatedAt,
         pagination: {
           totalItems: total,
           totalPages: Math.ceil(total / l),
@@ -0,0 +1,291 @@
+/**
+ * EmailService Module
+ * -------------------
+ * Every email goes through here:
+ *  - send() validates the template data and queues the job with the retry
+ *    policy of its template (exponential backoff). An idempotency key makes
+ *    repeated sends of the same logical email a no-op for a day.
+ *  - deliver() runs in the email worker: renders and sends one job.
+ *    Failures that retrying cannot fix (bad template data, 5xx SMTP
+ *    replies) are not retried.
+ *  - deadLetter() runs when a job has failed for good and moves it to the
+ *    dead-letter queue, where admins list, retry or discard it.
+ */
+
+import crypto from 'crypto';
+import { emailQueue, SEND_EMAIL_JOB } from '../jobs/queues/email_queue.js';
+import { emailDeadLetterQueue, DEAD_EMAIL_JOB } from '../jobs/queues/email_dead_letter_queue.js';
+import { logger } from '../config/index.js';
+import { STATUS } from '../utils/chat_helpers.js';
+import { sanitizePaginationParams, generatePaginationLinks } from '../utils/pagination.js';
+import { TEMPLATE_IDS } from '../utils/email_message.js';
+import { buildEmailJob, renderEmail, validateEmailData } from '../utils/email_templates.js';
+import sendMail from '../utils/send_mail.js';
+
+// --- Constants ---
+const SECOND_MS = 1000;
+const IDEMPOTENCY_WINDOW_SECONDS = 24 * 60 * 60; // completed jobs are kept this long
+
+/**
+ * Retry policy per template: total attempts and the first backoff delay
+ * (doubled after each failure).
+ */
+const RETRY_POLICIES = {
+  // Time-sensitive: the link expires after an hour
+  [TEMPLATE_IDS.PASSWORD_RESET]: { attempts: 5, backoffMs: 5 * SECOND_MS },
+  [TEMPLATE_IDS.EMAIL_VERIFICATION]: { attempts: 6, backoffMs: 10 * SECOND_MS },
+  // A late reminder is of little use; the next one comes anyway
+  [TEMPLATE_IDS.CHECK_IN_REMINDER]: { attempts: 3, backoffMs: 60 * SECOND_MS },
+  // Holds the only link that cancels the deletion
+  [TEMPLATE_IDS.ACCOUNT_DELETION_SCHEDULED]: { attempts: 8, backoffMs: 30 * SECOND_MS },
+  [TEMPLATE_IDS.ACCOUNT_DELETED]: { attempts: 8, backoffMs: 60 * SECOND_MS },
+};
+const DEFAULT_RETRY_POLICY = { attempts: 5, backoffMs: 30 * SECOND_MS };
+
+const ERRORS = {
+  FAILED_EMAIL_NOT_FOUND: 'Failed email not found.',
+  ALREADY_QUEUED: 'This email has already been queued or sent again.',
+};
+
+/* ───────────── Helpers ───────────── */
+
+/**
+ * Queue options for a template. Keys are hashed so tokens used as keys
+ * never show up in job IDs.
+ */
+const jobOptions = (template, idempotencyKey) => {
+  const { attempts, backoffMs } = RETRY_POLICIES[template] ?? DEFAULT_RETRY_POLICY;
+  const jobId = idempotencyKey
+    ? `${template}:${crypto.createHash('sha256').update(String(idempotencyKey)).digest('hex').slice(0, 32)}`
+    : undefined;
+
+  return {
+    ...(jobId && { jobId }),
+    attempts,
+    backoff: { type: 'exponential', delay: backoffMs },
+    removeOnComplete: { age: IDEMPOTENCY_WINDOW_SECONDS },
+    removeOnFail: false, // removed once safely in the dead-letter queue
+  };
+};
+
+/**
+ * True for failures that retrying cannot fix: invalid template data, or a
+ * permanent (5xx) SMTP reply such as an unknown mailbox.
+ */
+const isPermanentFailure = (err, { template, data }) => {
+  if (err.responseCode >= 500 && err.responseCode < 600) return true;
+  if (!template) return false;
+  try {
+    validateEmailData(template, data);
+    return false;
+  } catch (_) {
+    return true;
+  }
+};
+
+/**
+ * Shapes a dead-letter job for admins. Template data is left out: it holds
+ * live links such as password reset tokens.
+ */
+const toFailedEmailView = (job) => ({
+  id: job.id.toString(),
+  template: job.data.email.template ?? null,
+  to: job.data.email.to,
+  locale: job.data.email.locale ?? null,
+  failedReason: job.data.failedReason,
+  attemptsMade: job.data.attemptsMade,
+  failedAt: job.data.failedAt,
+  idempotent: Boolean(job.data.idempotencyJobId),
+});
+
+/**
+ * Removes a job left in the failed state under an idempotency job ID (its
+ * removal after dead-lettering failed), which would otherwise swallow every
+ * later add with that ID. Returns the state of any other job holding it.
+ *
+ * @param {string} jobId
+ * @returns {Promise<string|null>} null once the ID is free
+ */
+const releaseJobId = async (jobId) => {
+  const existing = await emailQueue.getJob(jobId);
+  if (!existing) return null;
+
+  const state = await existing.getState();
+  if (state !== 'failed') return state;
+  await existing.remove();
+  logger.warn(`Removed failed email job ${jobId} still holding its idempotency key`);
+  return null;
+};
+
+const loadDeadJob = async (id) => {
+  const job = await emailDeadLetterQueue.getJob(id);
+  if (!job) throw new Error(ERRORS.FAILED_EMAIL_NOT_FOUND);
+  return job;
+};
+
+export const EmailService = {
+  /**
+   * send()
+   * -------------------
+   * Queues a templated email.
+   *
+   * @param {Object} payload
+   * @param {string} payload.to
+   * @param {string} payload.template - See TEMPLATE_IDS
+   * @param {string} [payload.locale] - Recipient locale
+   * @param {Object} payload.data - Template variables
+   * @param {string} [payload.idempotencyKey] - Same key (per template) within
+   *   a day → sent once
+   * @returns {Promise<Object>} Bull job
+   */
+  send: async ({ to, template, locale, data, idempotencyKey }) => {
+    const options = jobOptions(template, idempotencyKey);
+    if (options.jobId) await releaseJobId(options.jobId);
+    return emailQueue.add(SEND_EMAIL_JOB, buildEmailJob({ to, template, locale, data }), options);
+  },
+
+  /**
+   * deliver()
+   * -------------------
+   * Email worker: renders one job in the recipient's locale and sends it.
+   * Jobs queued before templates existed carry a ready-made subject and
+   * text. Errors are tagged with `permanent` when retrying is pointless.
+   *
+   * @param {Object} job - Job data
+   * @returns {Promise<{template: string|null}>}
+   */
+  deliver: async ({ to, template, locale, data, subject, text }) => {
+    try {
+      const email = template ? renderEmail(template, data, { locale }) : { subject, text };
+      await sendMail({ email: to, subject: email.subject, message: email.text, html: email.html, headers: email.headers });
+      return { template: template ?? null };
+    } catch (err) {
+      err.permanent = isPermanentFailure(err, { template, data });
+      throw err;
+    }
+  },
+
+  /**
+   * deadLetter()
+   * -------------------
+   * Email queue "failed" handler. Once a job has no attempts left (or was
+   * discarded as permanent) it is copied to the dead-letter queue and then
+   * removed from the email queue, so a crash in between loses nothing.
+   *
+   * @param {Object} job - Failed Bull job
+   * @param {Error} err
+   */
+  deadLetter: async (job, err) => {
+    const exhausted = job.isDiscarded() || job.attemptsMade >= (job.opts.attempts ?? 1);
+    if (!exhausted) return;
+
+    try {
+      await emailDeadLetterQueue.add(
+        DEAD_EMAIL_JOB,
+        {
+          email: job.data,
+          idempotencyJobId: job.opts.jobId ?? null,
+          failedReason: err.message,
+          attemptsMade: job.attemptsMade,
+          failedAt: new Date().toISOString(),
+        },
+        { jobId: `dead:${job.id}` }
+      );
+      await job.remove();
+      logger.warn(`Email job ${job.id} to ${job.data.to} moved to the dead-letter queue: ${err.message}`);
+    } catch (moveErr) {
+      logger.error(`Failed to dead-letter email job ${job.id}: ${moveErr.message}`);
+    }
+  },
+
+  /**
+   * listFailed()
+   * -------------------
+   * Dead-lettered emails, most recent first.
+   *
+   * @param {Object} payload
+   * @returns {Object}
+   */
+  listFailed: async ({ page, limit, baseUrl }) => {
+    const { page: p, limit: l } = sanitizePaginationParams(page, limit);
+    const start = (p - 1) * l;
+
+    // Jobs are pushed at the head of the waiting list, so this is newest first
+    const [jobs, total] = await Promise.all([
+      emailDeadLetterQueue.getJobs(['wait', 'paused'], start, start + l - 1, false),
+      emailDeadLetterQueue.getWaitingCount(),
+    ]);
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Failed emails retrieved.',
+      data: {
+        emails: jobs.filter(Boolean).map(toFailedEmailView),
+        pagination: {
+          totalItems: total,
+          totalPages: Math.ceil(total / l),
+          currentPage: p,
+          limit: l,
+          links: generatePaginationLinks(p, l, total, baseUrl),
+        },
+      },
+    };
+  },
+
+  /**
+   * retryFailed()
+   * -------------------
+   * Queues a dead-lettered email again with a fresh set of attempts,
+   * keeping its idempotency job ID. Refused if another job already holds
+   * that ID, i.e. the email has been sent again since.
+   *
+   * @param {Object} payload
+   * @param {string} payload.id - Dead-letter job ID
+   * @param {string} payload.adminId
+   * @returns {Object}
+   */
+  retryFailed: async ({ id, adminId }) => {
+    const deadJob = await loadDeadJob(id);
+    const { email, idempotencyJobId } = deadJob.data;
+    const options = jobOptions(email.template);
+    if (idempotencyJobId) {
+      const state = await releaseJobId(idempotencyJobId);
+      if (state) throw new Error(ERRORS.ALREADY_QUEUED);
+      options.jobId = idempotencyJobId;
+    }
+
+    const job = await emailQueue.add(SEND_EMAIL_JOB, email, options);
+    await deadJob.remove();
+    logger.info(`Admin ${adminId} retried failed email ${id} (new job ${job.id})`);
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Email queued again.',
+      data: { id, jobId: job.id.toString() },
+    };
+  },
+
+  /**
+   * discardFailed()
+   * -------------------
+   * Deletes a dead-lettered email for good.
+   *
+   * @param {Object} payload
+   * @param {string} payload.id - Dead-letter job ID
+   * @param {string} payload.adminId
+   * @returns {Object}
+   */
+  discardFailed: async ({ id, adminId }) => {
+    const deadJob = await loadDeadJob(id);
+    await deadJob.remove();
+    logger.info(`Admin ${adminId} discarded failed email ${id} to ${deadJob.data.email.to}`);
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Failed email discarded.',
+      data: { id },
+    };
+  },
+};
+
+export default EmailService;
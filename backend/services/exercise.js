@@ -0,0 +1,235 @@
+/**
+ * ExerciseService Module
+ * -------------------
+ * Guided exercises (box breathing, grounding, muscle relaxation, thought records):
+ *  - Serves the exercise library (utils/exercises.js)
+ *  - Starts an ExerciseSession when the user or the model triggers one
+ *  - Tracks completion, with the user's inputs encrypted at rest
+ */
+
+import mongoose from 'mongoose';
+import ExerciseSession, { EXERCISE_STATUS, EXERCISE_TRIGGERS } from '../models/exercise_session.js';
+import { logger } from '../config/index.js';
+import { STATUS, toId } from '../utils/chat_helpers.js';
+import {
+  EXERCISE_CATEGORIES,
+  getExercise,
+  listExercises,
+  normalizeResponses,
+} from '../utils/exercises.js';
+import {
+  sanitizePaginationParams,
+  generatePaginationLinks,
+} from '../utils/pagination.js';
+
+// --- Constants ---
+const ERRORS = {
+  EXERCISE_NOT_FOUND: 'Exercise not found.',
+  INVALID_CATEGORY: `Category must be one of: ${Object.values(EXERCISE_CATEGORIES).join(', ')}.`,
+  SESSION_NOT_FOUND: 'Exercise session not found.',
+  INVALID_RESPONSES: 'Responses do not match the inputs this exercise asks for.',
+  INVALID_RATING: 'Rating must be a whole number from 1 to 5.',
+  ALREADY_COMPLETED: 'Exercise session is already completed.',
+};
+
+/* ───────────── Helpers ───────────── */
+
+const loadOwnedSession = async (sessionId, userID) => {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) throw new Error(ERRORS.SESSION_NOT_FOUND);
+  const session = await ExerciseSession.findOne({ _id: sessionId, userID: toId(userID) }).exec();
+  if (!session) throw new Error(ERRORS.SESSION_NOT_FOUND);
+  return session;
+};
+
+const parseResponses = (value) => {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (_) {
+    return null;
+  }
+};
+
+/**
+ * Shapes a session for API responses (responses decrypted).
+ */
+const toSessionView = (session) => ({
+  sessionId: session._id.toString(),
+  exerciseId: session.exerciseId,
+  version: session.version,
+  chatId: session.chatId?.toString() ?? null,
+  trigger: session.trigger,
+  status: session.status,
+  responses: parseResponses(session.responses),
+  rating: session.rating ?? null,
+  startedAt: session.createdAt,
+  completedAt: session.completedAt ?? null,
+});
+
+export const ExerciseService = {
+  /**
+   * listExercises()
+   * @param {Object} payload
+   * @param {string} [payload.category] - breathing | grounding | relaxation | cbt
+   * @returns {Object}
+   */
+  listExercises: ({ category } = {}) => {
+    if (category && !Object.values(EXERCISE_CATEGORIES).includes(category)) {
+      throw new Error(ERRORS.INVALID_CATEGORY);
+    }
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Exercises retrieved.',
+      data: { exercises: listExercises(category) },
+    };
+  },
+
+  /**
+   * getExercise()
+   * @returns {Object}
+   */
+  getExercise: ({ exerciseId }) => {
+    const exercise = getExercise(exerciseId);
+    if (!exercise) throw new Error(ERRORS.EXERCISE_NOT_FOUND);
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Exercise retrieved.',
+      data: { exercise },
+    };
+  },
+
+  /**
+   * start()
+   * -------------------
+   * Starts tracking an exercise run. The returned data is also the payload
+   * of the `exercise` websocket / SSE event.
+   *
+   * @param {Object} payload
+   * @param {string} payload.userID
+   * @param {string} payload.exerciseId
+   * @param {string} [payload.chatId] - Conversation it was offered in
+   * @param {string} [payload.trigger='user'] - user | model
+   * @returns {Object}
+   */
+  start: async ({ userID, exerciseId, chatId, trigger = EXERCISE_TRIGGERS.USER }) => {
+    const exercise = getExercise(exerciseId);
+    if (!exercise) throw new Error(ERRORS.EXERCISE_NOT_FOUND);
+
+    const session = await ExerciseSession.create({
+      userID: toId(userID),
+      exerciseId: exercise.id,
+      version: exercise.version,
+      ...(chatId && mongoose.Types.ObjectId.isValid(chatId) && { chatId: toId(chatId) }),
+      trigger,
+    });
+
+    logger.info(`Exercise ${exercise.id} started (${trigger}) for user ${userID}: session ${session._id}`);
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Exercise started.',
+      data: {
+        sessionId: session._id.toString(),
+        trigger,
+        chatId: session.chatId?.toString() ?? null,
+        exercise,
+      },
+    };
+  },
+
+  /**
+   * complete()
+   * -------------------
+   * Marks a run as completed with the user's inputs and an optional rating.
+   *
+   * @param {Object} payload
+   * @param {string} payload.userID
+   * @param {string} payload.sessionId
+   * @param {Object} [payload.responses] - Step inputs keyed by field (see utils/exercises.js)
+   * @param {number} [payload.rating] - 1 to 5
+   * @returns {Object}
+   */
+  complete: async ({ userID, sessionId, responses, rating }) => {
+    const session = await loadOwnedSession(sessionId, userID);
+    if (session.status === EXERCISE_STATUS.COMPLETED) throw new Error(ERRORS.ALREADY_COMPLETED);
+
+    if (rating !== undefined && rating !== null && (!Number.isInteger(rating) || rating < 1 || rating > 5)) {
+      throw new Error(ERRORS.INVALID_RATING);
+    }
+
+    let normalized = null;
+    if (responses !== undefined && responses !== null) {
+      const exercise = getExercise(session.exerciseId);
+      normalized = exercise ? normalizeResponses(exercise, responses) : null;
+      if (!normalized) throw new Error(ERRORS.INVALID_RESPONSES);
+    }
+
+    session.status = EXERCISE_STATUS.COMPLETED;
+    session.completedAt = new Date();
+    if (normalized && Object.keys(normalized).length > 0) session.responses = JSON.stringify(normalized);
+    if (rating !== undefined && rating !== null) session.rating = rating;
+    await session.save();
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Exercise completed.',
+      data: { session: toSessionView(session) },
+    };
+  },
+
+  /**
+   * listSessions()
+   * -------------------
+   * The user's exercise history, newest first, with completion counts.
+   *
+   * @param {Object} payload
+   * @param {string} [payload.exerciseId] - Only this exercise
+   * @param {string} [payload.status] - started | completed
+   * @returns {Object}
+   */
+  listSessions: async ({ userID, exerciseId, status, page, limit, baseUrl }) => {
+    if (exerciseId && !getExercise(exerciseId)) throw new Error(ERRORS.EXERCISE_NOT_FOUND);
+
+    const { page: p, limit: l } = sanitizePaginationParams(page, limit);
+    const userIdObj = toId(userID);
+    const filter = {
+      userID: userIdObj,
+      ...(exerciseId && { exerciseId }),
+      ...(Object.values(EXERCISE_STATUS).includes(status) && { status }),
+    };
+
+    const [sessions, total, completions] = await Promise.all([
+      ExerciseSession.find(filter).sort({ createdAt: -1 }).skip((p - 1) * l).limit(l).exec(),
+      ExerciseSession.countDocuments(filter),
+      ExerciseSession.aggregate([
+        { $match: { userID: userIdObj, status: EXERCISE_STATUS.COMPLETED } },
+        { $group: { _id: '$exerciseId', count: { $sum: 1 }, lastCompletedAt: { $max: '$completedAt' } } },
+        { $sort: { count: -1 } },
+      ]),
+    ]);
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Exercise sessions retrieved.',
+      data: {
+        sessions: sessions.map(toSessionView),
+        completions: completions.map((c) => ({
+          exerciseId: c._id,
+          count: c.count,
+          lastCompletedAt: c.lastCompletedAt,
+        })),
+        pagination: {
+          totalItems: total,
+          totalPages: Math.ceil(total / l),
+          currentPage: p,
+          limit: l,
+          links: generatePaginationLinks(p, l, total, baseUrl),
+        },
+      },
+    };
+  },
+};
+
+export default ExerciseService;
@@ -1,28 +1,56 @@
 import { GoogleGenAI } from '@google/genai';
 import { logger } from '../config/index.js';
+import { CLASSIFICATION_PROMPT, parseClassification } from '../utils/chat_helpers.js';
 
 // --- Constants ---
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY ?? '';
-const GEMINI_MODEL = 'gemini-2.5-flash';
+const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-2.5-flash';
 const ERRORS = {
-  API_KEY_MISSING: 'GEMINI_API_KEY missing, service initialization failed.',
+  API_KEY_MISSING: 'GEMINI_API_KEY missing, Gemini provider unavailable.',
   EMPTY_RESPONSE: 'Empty response from Gemini',
   API_ERROR: (msg) => `Gemini API error: ${msg}`,
 };
 
-// Initialize Google Gen AI
-if (!GEMINI_API_KEY) {
-  logger.error(`FATAL: ${ERRORS.API_KEY_MISSING}`);
-  throw new Error(ERRORS.API_KEY_MISSING);
-}
+let ai = null;
 
-const ai = new GoogleGenAI({ apiKey: GEMINI_API_KEY });
+/**
+ * Token counts from a response's usage metadata (thinking tokens are
+ * billed as output).
+ * @param {Object} [metadata]
+ * @returns {{inputTokens: number, outputTokens: number}|null}
+ */
+const toUsage = (metadata) =>
+  metadata
+    ? {
+        inputTokens: metadata.promptTokenCount ?? 0,
+        outputTokens: (metadata.candidatesTokenCount ?? 0) + (metadata.thoughtsTokenCount ?? 0),
+      }
+    : null;
 
 /**
- * GeminiService
- * @description Manages interactions with the Google Gemini AI API for generating non-streaming and streaming responses.
+ * Lazily creates the Google Gen AI client so that importing this module
+ * never fails when the provider is not in use.
+ * @returns {GoogleGenAI}
+ * @throws {Error} If GEMINI_API_KEY is missing
  */
-export const GeminiService = {
+const getClient = () => {
+  if (ai) return ai;
+  if (!GEMINI_API_KEY) {
+    logger.error(ERRORS.API_KEY_MISSING);
+    throw new Error(ERRORS.API_KEY_MISSING);
+  }
+  ai = new GoogleGenAI({ apiKey: GEMINI_API_KEY });
+  return ai;
+};
+
+/**
+ * GeminiProvider
+ * @description LLM provider backed by the Google Gemini API.
+ * Implements the provider interface used by LLMService: generate, stream, classify.
+ */
+export const GeminiProvider = {
+  name: 'gemini',
+
   /**
    * Converts internal message format ({role: "user/assistant", content: string})
    * to Gemini API format ({role: "user/model", parts: [{ text: string }]}).
@@ -36,22 +64,27 @@ export const GeminiService = {
     })),
 
   /**
-   * Generates a non-streaming response from the Gemini API (used for classification)
+   * Generates a complete (non-streaming) response
    * @async
    * @param {{role: string, content: string}[]} messages - Array of message objects
+   * @param {Object} [options]
+   * @param {Function} [options.onUsage] - Receives {inputTokens, outputTokens}
    * @returns {Promise<string>} Generated response text
    * @throws {Error} If the API call fails or response is empty
    */
-  generateResponseNonStream: async (messages) => {
+  generate: async (messages, { onUsage } = {}) => {
     try {
-      const transformedMessages = GeminiService.transformMessages(messages);
+      const transformedMessages = GeminiProvider.transformMessages(messages);
       logger.debug(`Sending non-stream contents: ${JSON.stringify(transformedMessages, null, 2)}`);
 
-      const response = await ai.models.generateContent({
+      const response = await getClient().models.generateContent({
         model: GEMINI_MODEL,
         contents: transformedMessages,
       });
 
+      const usage = toUsage(response.usageMetadata);
+      if (usage) onUsage?.(usage);
+
       const text = response.text;
       if (!text) throw new Error(ERRORS.EMPTY_RESPONSE);
 
@@ -64,31 +97,62 @@ export const GeminiService = {
   },
 
   /**
-   * Generates a streaming response from the Gemini API (used for chat)
+   * Generates a streaming response (used for chat)
    * @async
    * @param {{role: string, content: string}[]} messages - Array of message objects
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the upstream request when triggered
+   * @param {Function} [options.onUsage] - Receives {inputTokens, outputTokens} once the stream ends
    * @returns {AsyncIterable<string>} Stream of response tokens
    * @throws {Error} If the API call fails
    */
-  generateResponseStream: async function* (messages) {
+  stream: async function* (messages, { signal, onUsage } = {}) {
     try {
-      const transformedMessages = GeminiService.transformMessages(messages);
+      const transformedMessages = GeminiProvider.transformMessages(messages);
       logger.debug(`Sending stream contents: ${JSON.stringify(transformedMessages, null, 2)}`);
 
-      const responseStream = await ai.models.generateContentStream({
+      const responseStream = await getClient().models.generateContentStream({
         model: GEMINI_MODEL,
         contents: transformedMessages,
+        config: signal ? { abortSignal: signal } : undefined,
       });
 
+      // Each chunk carries the running totals; the last one is final
+      let usageMetadata = null;
       for await (const chunk of responseStream) {
+        usageMetadata = chunk.usageMetadata ?? usageMetadata;
         const token = chunk.text;
         if (token) yield token;
       }
 
+      const usage = toUsage(usageMetadata);
+      if (usage) onUsage?.(usage);
+
       logger.info('Stream completed successfully');
     } catch (err) {
+      if (signal?.aborted) {
+        logger.info('Stream aborted by client');
+        return;
+      }
       logger.error(`Stream error: ${err.message}`);
       throw new Error(ERRORS.API_ERROR(err.message));
     }
   },
+
+  /**
+   * Classifies a user message as OFF_TOPIC, CRISIS or SAFE
+   * @async
+   * @param {string} input - Raw user message
+   * @param {Object} [options] - Passed to generate()
+   * @returns {Promise<string>} One of the CLASSIFICATION tags
+   */
+  classify: async (input, options = {}) => {
+    const reply = await GeminiProvider.generate(
+      [{ role: 'user', content: CLASSIFICATION_PROMPT(input) }],
+      options
+    );
+    return parseClassification(reply);
+  },
 };
+
+export default GeminiProvider;
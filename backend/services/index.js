@@ -1,2 +1,18 @@
 export { AuthService } from './authentication.js';
 export { ChatService } from './chat.js';
+export { LLMService } from './llm.js';
+export { RiskService } from './risk.js';
+export { SafetyService } from './safety.js';
+export { MoodService } from './mood.js';
+export { AssessmentService } from './assessment.js';
+export { ExerciseService } from './exercise.js';
+export { NotificationService } from './notification.js';
+export { ReminderService } from './reminder.js';
+export { SessionService } from './session.js';
+export { TwoFactorService } from './two_factor.js';
+export { AccountService } from './account.js';
+export { KeyRotationService } from './key_rotation.js';
+export { SearchService } from './search.js';
+export { OutboxService } from './outbox.js';
+export { EmailService } from './email.js';
+export { UsageService } from './usage.js';
@@ -0,0 +1,443 @@
+/**
+ * KeyRotationService Module
+ * -------------------
+ * Moves encrypted data to the key version in ENCRYPTION_CURRENT_VERSION:
+ *  - Admins start (or resume) a run; a Bull job on the key rotation queue
+ *    walks each collection in _id order, in batches
+ *  - Every encrypted field is decrypted, re-encrypted under the current key
+ *    and checked before the raw document is updated (models are bypassed so
+ *    getters/setters do not touch the ciphertext)
+ *  - User-owned data still under the master key moves to the owner's data
+ *    key (created if needed); wrapped data keys are rewrapped like any
+ *    other master-key value
+ *  - Progress is checkpointed per batch, so a failed job resumes
+ *  - A completed run without failures means older keys can be retired
+ *
+ * Roll-out: deploy the new key and ENCRYPTION_CURRENT_VERSION to every
+ * instance first, so nothing new is written under the old key, then start
+ * the rotation.
+ */
+
+import User from '../models/user.js';
+import mongoose from 'mongoose';
+import { Chat, Message, loadDataKeys } from '../models/chat.js';
+import MoodEntry from '../models/mood_entry.js';
+import Assessment from '../models/assessment.js';
+import ExerciseSession from '../models/exercise_session.js';
+import SafetyEvent from '../models/safety_event.js';
+import KeyRotation, { ROTATION_STATUS, MAX_FAILURE_SAMPLES } from '../models/key_rotation.js';
+import { keyRotationQueue, KEY_ROTATION_JOB } from '../jobs/queues/key_rotation_queue.js';
+import { logger } from '../config/index.js';
+import { STATUS } from '../utils/chat_helpers.js';
+import { CURRENT_VERSION, KEY_VERSIONS, DataKeyCache, reencryptText } from '../utils/encryption.js';
+
+// --- Constants ---
+const BATCH_SIZE = 500;
+const MAX_WRITE_ATTEMPTS = 3;
+const JOB_ATTEMPTS = 3;
+const JOB_BACKOFF_MS = 30 * 1000;
+const ACTIVE_JOB_STATES = ['active', 'waiting', 'delayed'];
+
+/**
+ * Encrypted fields per collection, walked in this order. A field is either
+ * a (dotted) path to a string or "array.field" for a string inside each
+ * element of a top-level array. `owner` names the user ID path of data
+ * encrypted with per-user keys; `ownerVia` looks it up on a parent for
+ * documents stored before the path existed, and backfills it.
+ */
+const ENCRYPTED_COLLECTIONS = [
+  {
+    name: 'messages',
+    model: Message,
+    fields: ['content'],
+    owner: 'userID',
+    ownerVia: { model: Chat, localField: 'chatId' },
+  },
+  { name: 'chats', model: Chat, fields: ['summary'], owner: 'userID' },
+  { name: 'moodEntries', model: MoodEntry, fields: ['note'], owner: 'userID' },
+  { name: 'assessments', model: Assessment, fields: ['answers', 'result'], owner: 'userID' },
+  { name: 'exerciseSessions', model: ExerciseSession, fields: ['responses'], owner: 'userID' },
+  { name: 'safetyEvents', model: SafetyEvent, fields: ['resolution', 'notes.text'], owner: 'userID' },
+  { name: 'users', model: User, fields: ['twoFactor.secret', 'twoFactor.pendingSecret', 'dataKey'] },
+];
+
+const ERRORS = {
+  ALREADY_RUNNING: 'A key rotation is already running.',
+  START_FAILED: 'Could not start the key rotation. Please try again later.',
+  WRONG_VERSION: (version) =>
+    `This worker encrypts with ${CURRENT_VERSION}, not ${version}. Restart it with the new key configuration.`,
+};
+
+const OUTCOMES = {
+  COMPLETED: 'completed',
+  SKIPPED: 'skipped',
+};
+
+/* ───────────── Helpers ───────────── */
+
+const rotationJobId = (version) => `rotate:${version}`;
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+/**
+ * Re-encrypts one stored value.
+ * @returns {{value: string, changed: boolean}|null} null when it cannot be decrypted
+ */
+const reencryptValue = (value, owner) => {
+  try {
+    return reencryptText(value, owner);
+  } catch (_) {
+    return null;
+  }
+};
+
+/**
+ * Works out the update for one raw document.
+ * @param {Object} doc
+ * @param {string[]} fields
+ * @param {{dataKey?: Buffer, ownerId?: string}} [owner] - The owner's data key
+ * @returns {{filter: Object, $set: Object, reencrypted: number, failedFields: string[]}}
+ */
+const planDocument = (doc, fields, owner = {}) => {
+  const filter = { _id: doc._id };
+  const $set = {};
+  const failedFields = [];
+  let reencrypted = 0;
+
+  fields.forEach((field) => {
+    const [head, ...rest] = field.split('.');
+
+    if (Array.isArray(doc[head])) {
+      const key = rest.join('.');
+      let changed = false;
+      const items = doc[head].map((item) => {
+        if (typeof item?.[key] !== 'string' || !item[key]) return item;
+        const result = reencryptValue(item[key], owner);
+        if (!result) {
+          failedFields.push(field);
+          return item;
+        }
+        if (!result.changed) return item;
+        changed = true;
+        reencrypted += 1;
+        return { ...item, [key]: result.value };
+      });
+      if (changed) {
+        filter[head] = doc[head];
+        $set[head] = items;
+      }
+      return;
+    }
+
+    const value = getPath(doc, field);
+    if (typeof value !== 'string' || !value) return;
+    const result = reencryptValue(value, owner);
+    if (!result) {
+      failedFields.push(field);
+    } else if (result.changed) {
+      filter[field] = value;
+      $set[field] = result.value;
+      reencrypted += 1;
+    }
+  });
+
+  return { filter, $set, reencrypted, failedFields };
+};
+
+/**
+ * Owner user ID of each document in a batch, by document _id. Owners are
+ * looked up through `ownerVia` where the document lacks the path.
+ * @returns {Promise<Map<string, string>>}
+ */
+const resolveOwners = async ({ owner, ownerVia }, docs) => {
+  const owners = new Map();
+  if (!owner) return owners;
+
+  docs.forEach((doc) => doc[owner] && owners.set(String(doc._id), String(doc[owner])));
+
+  const orphans = docs.filter((doc) => !doc[owner] && doc[ownerVia?.localField]);
+  if (orphans.length) {
+    const parents = await ownerVia.model.collection
+      .find({ _id: { $in: orphans.map((doc) => doc[ownerVia.localField]) } }, { projection: { [owner]: 1 } })
+      .toArray();
+    const parentOwners = new Map(parents.map((p) => [String(p._id), p[owner]]));
+    orphans.forEach((doc) => {
+      const ownerId = parentOwners.get(String(doc[ownerVia.localField]));
+      if (ownerId) owners.set(String(doc._id), String(ownerId));
+    });
+  }
+
+  await loadDataKeys([...new Set(owners.values())], { create: true });
+  return owners;
+};
+
+/**
+ * Rewrites one batch of raw documents. The filter includes the old
+ * ciphertext, so a document changed meanwhile is re-read and planned again;
+ * one that keeps changing is reported as a failure.
+ */
+const processBatch = async (collection, docs, entry, projection) => {
+  const stats = { reencrypted: 0, failures: [] };
+  const owners = await resolveOwners(entry, docs);
+
+  for (let doc of docs) {
+    const ownerId = owners.get(String(doc._id));
+    // No key (owner deleted or key unreadable): rotate the master key only
+    const dataKey = ownerId && DataKeyCache.get(ownerId);
+    const owner = dataKey ? { dataKey, ownerId } : {};
+
+    let written = false;
+    for (let attempt = 0; doc && !written && attempt < MAX_WRITE_ATTEMPTS; attempt += 1) {
+      const plan = planDocument(doc, entry.fields, owner);
+      if (ownerId && !doc[entry.owner]) plan.$set[entry.owner] = new mongoose.Types.ObjectId(ownerId);
+      if (Object.keys(plan.$set).length) {
+        const { matchedCount } = await collection.updateOne(plan.filter, { $set: plan.$set });
+        if (!matchedCount) {
+          doc = await collection.findOne({ _id: doc._id }, { projection });
+          continue;
+        }
+      }
+      stats.reencrypted += plan.reencrypted;
+      plan.failedFields.forEach((field) => stats.failures.push({ documentId: doc._id, field }));
+      written = true;
+    }
+    if (doc && !written) stats.failures.push({ documentId: doc._id, field: '*' });
+  }
+
+  return stats;
+};
+
+const freshProgress = async () =>
+  Promise.all(
+    ENCRYPTED_COLLECTIONS.map(async ({ name, model }) => ({
+      name,
+      total: await model.estimatedDocumentCount(),
+    }))
+  );
+
+/**
+ * Shapes a rotation for API responses.
+ */
+const toRotationView = (rotation) => {
+  const totals = rotation.collections.reduce(
+    (sum, c) => ({
+      total: sum.total + c.total,
+      processed: sum.processed + Math.min(c.processed, c.total),
+      failed: sum.failed + c.failed,
+    }),
+    { total: 0, processed: 0, failed: 0 }
+  );
+
+  return {
+    targetVersion: rotation.targetVersion,
+    status: rotation.status,
+    progress: totals.total ? Math.round((totals.processed / totals.total) * 100) : 100,
+    collections: rotation.collections.map((c) => ({
+      name: c.name,
+      total: c.total,
+      processed: c.processed,
+      reencrypted: c.reencrypted,
+      failed: c.failed,
+      done: c.done,
+    })),
+    failed: totals.failed,
+    failures: rotation.failures.map((f) => ({
+      collection: f.collectionName,
+      documentId: f.documentId.toString(),
+      field: f.field,
+    })),
+    verified: rotation.status === ROTATION_STATUS.COMPLETED && totals.failed === 0,
+    startedAt: rotation.startedAt ?? null,
+    completedAt: rotation.completedAt ?? null,
+    error: rotation.error ?? null,
+  };
+};
+
+export const KeyRotationService = {
+  /**
+   * getStatus()
+   * -------------------
+   * Active key, rotation progress and which keys are safe to remove: all
+   * but the current one, once a run for the current version has completed
+   * with every record decrypted and re-encrypted.
+   *
+   * @returns {Object}
+   */
+  getStatus: async () => {
+    const rotation = await KeyRotation.findOne({ targetVersion: CURRENT_VERSION }).lean();
+    const view = rotation ? toRotationView(rotation) : null;
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Key rotation status retrieved.',
+      data: {
+        currentVersion: CURRENT_VERSION,
+        keyVersions: KEY_VERSIONS,
+        rotation: view,
+        retirableVersions: view?.verified ? KEY_VERSIONS.filter((v) => v !== CURRENT_VERSION) : [],
+      },
+    };
+  },
+
+  /**
+   * startRotation()
+   * -------------------
+   * Queues a run to the current key version. A failed or interrupted run
+   * resumes from its checkpoints; a completed one starts over, which also
+   * re-verifies everything.
+   *
+   * @param {Object} payload
+   * @param {string} payload.adminId
+   * @returns {Object}
+   */
+  startRotation: async ({ adminId }) => {
+    const targetVersion = CURRENT_VERSION;
+    const jobId = rotationJobId(targetVersion);
+
+    const job = await keyRotationQueue.getJob(jobId);
+    if (job && ACTIVE_JOB_STATES.includes(await job.getState())) throw new Error(ERRORS.ALREADY_RUNNING);
+
+    const existing = await KeyRotation.findOne({ targetVersion }).lean();
+    if (!existing || existing.status === ROTATION_STATUS.COMPLETED) {
+      await KeyRotation.updateOne(
+        { targetVersion },
+        {
+          $set: {
+            status: ROTATION_STATUS.RUNNING,
+            collections: await freshProgress(),
+            failures: [],
+            startedBy: adminId,
+            startedAt: new Date(),
+          },
+          $unset: { completedAt: 1, error: 1 },
+        },
+        { upsert: true }
+      );
+    }
+
+    try {
+      await keyRotationQueue.add(
+        KEY_ROTATION_JOB,
+        { targetVersion },
+        {
+          jobId,
+          attempts: JOB_ATTEMPTS,
+          backoff: { type: 'exponential', delay: JOB_BACKOFF_MS },
+          removeOnComplete: true,
+          removeOnFail: true,
+        }
+      );
+    } catch (err) {
+      logger.error(`Failed to queue key rotation to ${targetVersion}: ${err.message}`);
+      throw new Error(ERRORS.START_FAILED);
+    }
+
+    const resuming = existing && existing.status !== ROTATION_STATUS.COMPLETED;
+    logger.info(`Admin ${adminId} started key rotation to ${targetVersion}${resuming ? ' (resuming)' : ''}`);
+
+    const { data } = await KeyRotationService.getStatus();
+    return { status: STATUS.SUCCESS, message: 'Key rotation started.', data };
+  },
+
+  /**
+   * run()
+   * -------------------
+   * Key rotation queue job. Walks every registered collection from its
+   * checkpoint and reports progress (0-100) on the Bull job.
+   *
+   * @param {Object} payload
+   * @param {string} payload.targetVersion
+   * @param {Object} [job] - Bull job, for progress reporting
+   * @returns {Promise<{outcome: string}>}
+   */
+  run: async ({ targetVersion }, job) => {
+    if (targetVersion !== CURRENT_VERSION) throw new Error(ERRORS.WRONG_VERSION(targetVersion));
+
+    const rotation = await KeyRotation.findOneAndUpdate(
+      { targetVersion },
+      { $set: { status: ROTATION_STATUS.RUNNING }, $unset: { error: 1 } },
+      { new: true }
+    ).lean();
+    if (!rotation) return { outcome: OUTCOMES.SKIPPED };
+
+    const grandTotal = rotation.collections.reduce((sum, c) => sum + c.total, 0);
+    let processedSoFar = rotation.collections.reduce((sum, c) => sum + Math.min(c.processed, c.total), 0);
+
+    try {
+      for (const entry of ENCRYPTED_COLLECTIONS) {
+        const { name, model, fields, owner, ownerVia } = entry;
+        let progress = rotation.collections.find((c) => c.name === name);
+        if (!progress) {
+          // Collection registered after the run started
+          progress = { name, total: await model.estimatedDocumentCount() };
+          await KeyRotation.updateOne({ _id: rotation._id }, { $push: { collections: progress } });
+        }
+        if (progress.done) continue;
+
+        const projection = Object.fromEntries(
+          [...fields.map((f) => f.split('.')[0]), owner, ownerVia?.localField].filter(Boolean).map((f) => [f, 1])
+        );
+        let lastId = progress.lastId;
+
+        for (;;) {
+          const docs = await model.collection
+            .find(lastId ? { _id: { $gt: lastId } } : {}, { projection })
+            .sort({ _id: 1 })
+            .limit(BATCH_SIZE)
+            .toArray();
+          if (!docs.length) break;
+
+          const stats = await processBatch(model.collection, docs, entry, projection);
+          lastId = docs[docs.length - 1]._id;
+
+          await KeyRotation.updateOne(
+            { _id: rotation._id, 'collections.name': name },
+            {
+              $set: { 'collections.$.lastId': lastId },
+              $inc: {
+                'collections.$.processed': docs.length,
+                'collections.$.reencrypted': stats.reencrypted,
+                'collections.$.failed': stats.failures.length,
+              },
+              $push: {
+                failures: {
+                  $each: stats.failures.map((f) => ({ collectionName: name, ...f })),
+                  $slice: MAX_FAILURE_SAMPLES,
+                },
+              },
+            }
+          );
+
+          processedSoFar += docs.length;
+          if (job && grandTotal) await job.progress(Math.min(99, Math.floor((processedSoFar / grandTotal) * 100)));
+        }
+
+        await KeyRotation.updateOne(
+          { _id: rotation._id, 'collections.name': name },
+          { $set: { 'collections.$.done': true } }
+        );
+      }
+    } catch (err) {
+      await KeyRotation.updateOne(
+        { _id: rotation._id },
+        { $set: { status: ROTATION_STATUS.FAILED, error: err.message } }
+      );
+      throw err;
+    }
+
+    await KeyRotation.updateOne(
+      { _id: rotation._id },
+      { $set: { status: ROTATION_STATUS.COMPLETED, completedAt: new Date() } }
+    );
+    if (job) await job.progress(100);
+
+    const final = await KeyRotation.findById(rotation._id).lean();
+    const { failed, verified } = toRotationView(final);
+    if (verified) logger.info(`Key rotation to ${targetVersion} completed and verified; older keys can be retired`);
+    else logger.warn(`Key rotation to ${targetVersion} completed with ${failed} undecryptable field(s)`);
+
+    return { outcome: OUTCOMES.COMPLETED };
+  },
+};
+
+export default KeyRotationService;
@@ -0,0 +1,159 @@
+/**
+ * LLMService Module
+ * -------------------
+ * Single entry point for every model call made by the chat pipeline.
+ * The concrete provider is chosen by the LLM_PROVIDER environment variable:
+ *  - gemini — Google Gemini (GEMINI_API_KEY, GEMINI_MODEL)
+ *  - openai — OpenAI or a compatible endpoint (OPENAI_API_KEY, OPENAI_MODEL, OPENAI_BASE_URL)
+ *  - local  — offline, deterministic replies (LOCAL_LLM_SCRIPT, LOCAL_LLM_DELAY_MS)
+ *
+ * When LLM_PROVIDER is unset, the test environment uses "local" and every
+ * other environment uses "gemini".
+ *
+ * Every provider implements the same interface:
+ *  - generate(messages, { onUsage })  → Promise<string>
+ *  - stream(messages, { signal, onUsage }) → AsyncIterable<string> (ends early once signal aborts)
+ *  - classify(input, { onUsage })     → Promise<"OFF_TOPIC" | "CRISIS" | "SAFE">
+ * onUsage receives {inputTokens, outputTokens} when the API reports them.
+ *
+ * Calls made on behalf of a user (options.userID) are counted against
+ * their daily token quota (see UsageService); counts the provider does not
+ * report are estimated from the text.
+ */
+
+import { env, logger } from '../config/index.js';
+import { GeminiProvider } from './gemini.js';
+import { OpenAIProvider } from './openai.js';
+import { LocalProvider } from './local_llm.js';
+import { UsageService } from './usage.js';
+import { USAGE_PURPOSES } from '../models/token_usage.js';
+import { CLASSIFICATION_PROMPT } from '../utils/chat_helpers.js';
+import { estimateCallUsage } from '../utils/usage_quota.js';
+
+// --- Constants ---
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  openai: OpenAIProvider,
+  local: LocalProvider,
+};
+
+const DEFAULT_PROVIDER = env === 'test' ? 'local' : 'gemini';
+const LLM_PROVIDER = (process.env.LLM_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+
+const ERRORS = {
+  UNKNOWN_PROVIDER: (name) =>
+    `Unknown LLM_PROVIDER "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}.`,
+};
+
+let activeProvider = null;
+
+/**
+ * Resolves the configured provider.
+ * @returns {Object} Provider instance
+ * @throws {Error} If LLM_PROVIDER names an unknown provider
+ */
+const getProvider = () => {
+  if (activeProvider) return activeProvider;
+
+  const provider = PROVIDERS[LLM_PROVIDER];
+  if (!provider) {
+    logger.error(ERRORS.UNKNOWN_PROVIDER(LLM_PROVIDER));
+    throw new Error(ERRORS.UNKNOWN_PROVIDER(LLM_PROVIDER));
+  }
+
+  logger.info(`LLM provider: ${provider.name}`);
+  activeProvider = provider;
+  return activeProvider;
+};
+
+/**
+ * Counts one call for a user; a no-op for calls made on no one's behalf.
+ * @param {Object} call
+ * @param {string} [call.userID]
+ * @param {string} call.purpose - One of USAGE_PURPOSES
+ * @param {{role: string, content: string}[]} call.messages - Prompt sent
+ * @param {string} call.output - Text received
+ * @param {{inputTokens: number, outputTokens: number}|null} call.reported - From the provider
+ * @returns {Promise<void>} Never rejects
+ */
+const recordUsage = async ({ userID, purpose, messages, output, reported }) => {
+  if (!userID) return;
+  const usage = reported ?? estimateCallUsage(messages, output);
+  await UsageService.record({ userID, purpose, ...usage, estimated: !reported });
+};
+
+/**
+ * LLMService
+ * @description Provider-agnostic facade used by ChatService and other callers.
+ */
+export const LLMService = {
+  /** @returns {string} Name of the active provider */
+  providerName: () => getProvider().name,
+
+  /**
+   * Overrides the active provider (e.g. with createLocalProvider() in tests).
+   * Passing null restores the configured provider.
+   * @param {Object|null} provider
+   */
+  setProvider: (provider) => {
+    activeProvider = provider;
+  },
+
+  /**
+   * @param {{role: string, content: string}[]} messages - Internal messages ("user"/"assistant")
+   * @param {Object} [options]
+   * @param {string} [options.userID] - User the call is counted against
+   * @param {string} [options.purpose='other'] - One of USAGE_PURPOSES
+   * @returns {Promise<string>}
+   */
+  generate: async (messages, { userID, purpose = USAGE_PURPOSES.OTHER } = {}) => {
+    let reported = null;
+    const text = await getProvider().generate(messages, { onUsage: (usage) => (reported = usage) });
+    recordUsage({ userID, purpose, messages, output: text, reported });
+    return text;
+  },
+
+  /**
+   * @param {{role: string, content: string}[]} messages - Internal messages ("user"/"assistant")
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the upstream request
+   * @param {string} [options.userID] - User the call is counted against
+   * @param {string} [options.purpose='chat'] - One of USAGE_PURPOSES
+   * @returns {AsyncIterable<string>}
+   */
+  stream: async function* (messages, { signal, userID, purpose = USAGE_PURPOSES.CHAT } = {}) {
+    let reported = null;
+    let output = '';
+    try {
+      for await (const token of getProvider().stream(messages, { signal, onUsage: (usage) => (reported = usage) })) {
+        output += token;
+        yield token;
+      }
+    } finally {
+      // Counted before the consumer moves on (also when cancelled), so the
+      // reply is included by the time it is saved
+      await recordUsage({ userID, purpose, messages, output, reported });
+    }
+  },
+
+  /**
+   * @param {string} input - Raw user message
+   * @param {Object} [options]
+   * @param {string} [options.userID] - User the call is counted against
+   * @returns {Promise<string>} One of the CLASSIFICATION tags
+   */
+  classify: async (input, { userID } = {}) => {
+    let reported = null;
+    const tag = await getProvider().classify(input, { onUsage: (usage) => (reported = usage) });
+    recordUsage({
+      userID,
+      purpose: USAGE_PURPOSES.CLASSIFICATION,
+      messages: [{ role: 'user', content: CLASSIFICATION_PROMPT(input) }],
+      output: tag,
+      reported,
+    });
+    return tag;
+  },
+};
+
+export default LLMService;
@@ -0,0 +1,181 @@
+import fs from 'fs';
+import { logger } from '../config/index.js';
+import { CLASSIFICATION, isBlocked } from '../utils/chat_helpers.js';
+import { RISK_LEVELS, isAtLeast, scoreMessage } from '../utils/risk_assessment.js';
+
+// --- Constants ---
+const LOCAL_LLM_SCRIPT = process.env.LOCAL_LLM_SCRIPT ?? '';
+const LOCAL_LLM_DELAY_MS = parseInt(process.env.LOCAL_LLM_DELAY_MS ?? '0', 10) || 0;
+const ERRORS = {
+  SCRIPT_LOAD_FAILED: (msg) => `Local LLM script could not be loaded: ${msg}`,
+};
+
+/**
+ * Built-in rules used when no script is configured. Each rule is matched
+ * against the latest user message; the first match wins.
+ */
+const DEFAULT_RULES = [
+  {
+    pattern: /sleep|insomnia|tired|awake/i,
+    reply: "Sleep troubles can wear you down. A steady wind-down routine helps: dim the lights, put screens away 30 minutes before bed, and try slow breathing — in for 4, out for 6. What usually keeps you up?",
+  },
+  {
+    pattern: /anxi|panic|worr|nervous/i,
+    reply: "That sounds really uncomfortable. Let's slow things down together: breathe in for 4, hold for 4, out for 4, hold for 4. Notice five things you can see around you. What's weighing on your mind most right now?",
+  },
+  {
+    pattern: /stress|overwhelm|pressure|burn(ed|t)? ?out/i,
+    reply: "It sounds like you're carrying a lot. Try picking one small task you can finish today and let the rest wait. Short breaks and a brief walk can help reset. What feels most pressing?",
+  },
+  {
+    pattern: /sad|down|lonely|depress|empty|hopeless/i,
+    reply: "I'm sorry you're feeling this way — thank you for sharing it. Reaching out to someone you trust, even briefly, can ease the weight. Would you like to talk about what's been happening?",
+  },
+  {
+    pattern: /angry|anger|frustrat|irritat/i,
+    reply: "Frustration is a valid feeling. Stepping away for a few minutes and naming what triggered it can take the edge off. What happened?",
+  },
+];
+
+const DEFAULT_FALLBACK =
+  "Thank you for sharing that with me. I'm here to listen — can you tell me a bit more about how you've been feeling?";
+
+/**
+ * Extracts the user's own words from the last user message, unwrapping
+ * the CHAT_PROMPT template when present.
+ * @param {{role: string, content: string}[]} messages
+ * @returns {string}
+ */
+const lastUserInput = (messages = []) => {
+  const last = [...messages].reverse().find((m) => m.role === 'user');
+  const content = last?.content ?? '';
+  const match = content.match(/User input: "([\s\S]*)"\s*$/);
+  return match ? match[1] : content;
+};
+
+/**
+ * Loads a JSON script from disk.
+ * Shape: { "responses"?: string[], "rules"?: [{ "pattern": string, "reply": string }], "fallback"?: string }
+ * @param {string} filePath
+ * @returns {Object|null}
+ */
+const loadScript = (filePath) => {
+  if (!filePath) return null;
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    logger.error(ERRORS.SCRIPT_LOAD_FAILED(err.message));
+    throw new Error(ERRORS.SCRIPT_LOAD_FAILED(err.message));
+  }
+};
+
+/**
+ * Waits for the given time, resolving early if the signal aborts.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ */
+const sleep = (ms, signal) =>
+  new Promise((resolve) => {
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    }
+    signal?.addEventListener('abort', done, { once: true });
+  });
+
+/**
+ * Creates an offline, deterministic LLM provider.
+ * - `responses` are replayed in order (cycling) regardless of input
+ * - otherwise `rules` are matched against the latest user message
+ * - classification is rule-based (blocked phrases / risk lexicon)
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.script] - Parsed script (see loadScript)
+ * @param {number} [options.delayMs] - Delay between streamed tokens
+ * @returns {Object} Provider implementing generate, stream, classify
+ */
+export const createLocalProvider = ({ script = null, delayMs = 0 } = {}) => {
+  const responses = Array.isArray(script?.responses) ? script.responses : [];
+  const rules = Array.isArray(script?.rules)
+    ? script.rules.map((r) => ({ pattern: new RegExp(r.pattern, 'i'), reply: r.reply }))
+    : DEFAULT_RULES;
+  const fallback = script?.fallback ?? DEFAULT_FALLBACK;
+  let cursor = 0;
+
+  const reply = (messages) => {
+    if (responses.length > 0) {
+      const next = responses[cursor % responses.length];
+      cursor += 1;
+      return next;
+    }
+    const input = lastUserInput(messages);
+    return rules.find((r) => r.pattern.test(input))?.reply ?? fallback;
+  };
+
+  const provider = {
+    name: 'local',
+
+    /**
+     * Returns the scripted reply for the conversation.
+     * @param {{role: string, content: string}[]} messages
+     * @returns {Promise<string>}
+     */
+    generate: async (messages) => reply(messages),
+
+    /**
+     * Streams the scripted reply word by word, stopping when the signal aborts.
+     * @param {{role: string, content: string}[]} messages
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal]
+     * @returns {AsyncIterable<string>}
+     */
+    stream: async function* (messages, { signal } = {}) {
+      const tokens = reply(messages).split(/(?<=\s)/);
+      for (const token of tokens) {
+        if (delayMs > 0) await sleep(delayMs, signal);
+        if (signal?.aborted) return;
+        yield token;
+      }
+    },
+
+    /**
+     * Rule-based classification (blocked phrases, then the risk lexicon).
+     * @param {string} input
+     * @returns {Promise<string>} One of the CLASSIFICATION tags
+     */
+    classify: async (input) => {
+      if (isBlocked(input)) return CLASSIFICATION.OFF_TOPIC;
+      if (isAtLeast(scoreMessage(input).level, RISK_LEVELS.ELEVATED)) return CLASSIFICATION.CRISIS;
+      return CLASSIFICATION.SAFE;
+    },
+  };
+
+  return provider;
+};
+
+/**
+ * LocalProvider
+ * @description Default offline provider, configured from LOCAL_LLM_SCRIPT / LOCAL_LLM_DELAY_MS.
+ * The script is read on first use so a bad path only fails when the provider is selected.
+ */
+let defaultProvider = null;
+const getDefault = () => {
+  if (!defaultProvider) {
+    defaultProvider = createLocalProvider({
+      script: loadScript(LOCAL_LLM_SCRIPT),
+      delayMs: LOCAL_LLM_DELAY_MS,
+    });
+  }
+  return defaultProvider;
+};
+
+export const LocalProvider = {
+  name: 'local',
+  generate: (messages) => getDefault().generate(messages),
+  stream: (messages, options) => getDefault().stream(messages, options),
+  classify: (input) => getDefault().classify(input),
+};
+
+export default LocalProvider;
@@ -0,0 +1,161 @@
+/**
+ * MemoryService Module
+ * -------------------
+ * Gives long conversations continuity beyond the raw context window:
+ *  - Maintains a rolling, encrypted summary per conversation
+ *  - Refreshes it in the background once enough messages have aged out
+ *  - Builds token-budgeted model context (summary + newest raw history)
+ */
+
+import { Chat, Message } from '../models/chat.js';
+import { USAGE_PURPOSES } from '../models/token_usage.js';
+import { LLMService } from './llm.js';
+import { logger } from '../config/index.js';
+import { SUMMARY_PROMPT, MEMORY_PROMPT } from '../utils/chat_helpers.js';
+import { allocateContext, fitHistoryToBudget } from '../utils/token_budget.js';
+
+// --- Constants ---
+const toPositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) || parsed < 1 ? fallback : parsed;
+};
+
+/** Total prompt tokens available for summary + history + new input */
+const CONTEXT_TOKEN_BUDGET = toPositiveInt(process.env.CONTEXT_TOKEN_BUDGET, 3000);
+/** Most recent messages always left out of the summary (raw context window) */
+const SUMMARY_KEEP_RECENT = toPositiveInt(process.env.SUMMARY_KEEP_RECENT, 20);
+/** How many aged-out messages trigger a summary refresh */
+const SUMMARY_INTERVAL = toPositiveInt(process.env.SUMMARY_INTERVAL, 10);
+/** Upper bound on the transcript sent to the summarizer in one call */
+const SUMMARY_INPUT_TOKENS = 4000;
+/** Most aged-out messages loaded per refresh; longer backlogs take several */
+const SUMMARY_BATCH_LIMIT = 200;
+/** How many recent messages are loaded as candidates for raw context */
+const HISTORY_FETCH_LIMIT = 50;
+
+// Chats currently being summarized in this process (prevents duplicate work)
+const inFlight = new Set();
+
+/**
+ * Formats messages as "role: content" lines for the summarizer.
+ * @param {Array<{role: string, content: string}>} messages
+ * @returns {string}
+ */
+const toTranscript = (messages) =>
+  messages.map((m) => `${m.role}: ${m.content}`).join('\n');
+
+/**
+ * Messages not yet folded into the summary. Messages sharing the timestamp
+ * of the last one folded in are told apart by _id (the refresh sorts by
+ * timestamp, then _id).
+ * @param {Document} chat
+ * @returns {Object} Message filter
+ */
+const unsummarizedFilter = (chat) => {
+  if (!chat.summarizedUntil) return { chatId: chat._id };
+  const after = [{ timestamp: { $gt: chat.summarizedUntil } }];
+  if (chat.summarizedUntilId) after.push({ timestamp: chat.summarizedUntil, _id: { $gt: chat.summarizedUntilId } });
+  return { chatId: chat._id, $or: after };
+};
+
+/**
+ * Takes the oldest messages that fit in the summarizer's input budget.
+ * Always returns at least one message so progress is guaranteed.
+ * @param {Array<{role: string, content: string}>} messages - ASC order
+ * @returns {Array<{role: string, content: string}>}
+ */
+const takeOldestWithinBudget = (messages) => {
+  const fitted = fitHistoryToBudget([...messages].reverse(), SUMMARY_INPUT_TOKENS).reverse();
+  return fitted.length > 0 ? fitted : messages.slice(0, 1);
+};
+
+export const MemoryService = {
+  /**
+   * buildContext()
+   * -------------------
+   * Builds the model messages for a continued conversation: the rolling
+   * summary (if any), then as much recent raw history as fits the budget,
+   * then the new user input.
+   *
+   * @param {Document} chat - Chat the user owns
+   * @param {string} input - New user message
+   * @returns {Promise<Array<{role: string, content: string}>>}
+   */
+  buildContext: async (chat, input) => {
+    const recent = (await chat.getHistory(HISTORY_FETCH_LIMIT)).reverse(); // ASC order
+
+    const { summary, history } = allocateContext({
+      summary: chat.summary,
+      history: recent.map((m) => ({ role: m.role, content: m.content })),
+      input,
+      budget: CONTEXT_TOKEN_BUDGET,
+      formatSummary: MEMORY_PROMPT,
+    });
+
+    return [
+      ...(summary ? [{ role: 'user', content: summary }] : []),
+      ...history,
+      { role: 'user', content: input },
+    ];
+  },
+
+  /**
+   * refreshSummary()
+   * -------------------
+   * Folds messages that have aged out of the raw window into the summary.
+   * Does nothing until at least SUMMARY_INTERVAL such messages exist.
+   *
+   * @param {ObjectId|string} chatId
+   * @returns {Promise<boolean>} Whether the summary was updated
+   */
+  refreshSummary: async (chatId) => {
+    const chat = await Chat.findById(chatId).exec();
+    if (!chat) return false;
+
+    // Oldest first; a longer backlog is folded in over later refreshes
+    const pending = await Message.find(unsummarizedFilter(chat))
+      .sort({ timestamp: 1, _id: 1 })
+      .limit(SUMMARY_KEEP_RECENT + SUMMARY_BATCH_LIMIT)
+      .exec();
+    const agedOut = pending.slice(0, Math.max(0, pending.length - SUMMARY_KEEP_RECENT));
+    if (agedOut.length < SUMMARY_INTERVAL) return false;
+
+    // Very long backlogs are folded in over several refreshes
+    const batch = takeOldestWithinBudget(agedOut.map((d) => d.toObject({ getters: true })));
+
+    const summary = await LLMService.generate(
+      [{ role: 'user', content: SUMMARY_PROMPT(chat.summary, toTranscript(batch)) }],
+      { userID: chat.userID, purpose: USAGE_PURPOSES.SUMMARY }
+    );
+
+    chat.summary = summary.trim();
+    chat.summarizedUntil = batch[batch.length - 1].timestamp;
+    chat.summarizedUntilId = batch[batch.length - 1]._id;
+    await chat.save();
+
+    logger.info(`Summary refreshed for chat ${chat._id} (${batch.length} messages folded in)`);
+    return true;
+  },
+
+  /**
+   * scheduleRefresh()
+   * -------------------
+   * Fire-and-forget summary refresh after a reply has been saved.
+   * Never throws; failures are logged and retried on the next message.
+   *
+   * @param {ObjectId|string} chatId
+   */
+  scheduleRefresh: (chatId) => {
+    const key = chatId.toString();
+    if (inFlight.has(key)) return;
+
+    inFlight.add(key);
+    setImmediate(() => {
+      MemoryService.refreshSummary(key)
+        .catch((err) => logger.error(`Summary refresh failed for chat ${key}: ${err.message}`))
+        .finally(() => inFlight.delete(key));
+    });
+  },
+};
+
+export default MemoryService;
@@ -0,0 +1,360 @@
+/**
+ * MoodService Module
+ * -------------------
+ * Mood check-in journal:
+ *  - CRUD for a user's MoodEntry documents (notes encrypted at rest)
+ *  - Daily / weekly / monthly averages, streaks and most common tags
+ *  - A short recent-trend summary the chat uses as context
+ */
+
+import mongoose from 'mongoose';
+import MoodEntry, {
+  MOOD_SCORE_MIN,
+  MOOD_SCORE_MAX,
+  MOOD_MAX_TAGS,
+  MOOD_TAG_MAX_LENGTH,
+  MOOD_NOTE_MAX_LENGTH,
+} from '../models/mood_entry.js';
+import { logger } from '../config/index.js';
+import { STATUS, toId } from '../utils/chat_helpers.js';
+import {
+  MOOD_STATS_CONSTANTS,
+  isValidTimeZone,
+  toDayKey,
+  computeStreaks,
+  summarizeRecentMood,
+} from '../utils/mood_stats.js';
+import {
+  sanitizePaginationParams,
+  generatePaginationLinks,
+} from '../utils/pagination.js';
+
+// --- Constants ---
+const ERRORS = {
+  ENTRY_NOT_FOUND: 'Mood entry not found.',
+  INVALID_SCORE: `Score must be a whole number from ${MOOD_SCORE_MIN} to ${MOOD_SCORE_MAX}.`,
+  INVALID_TAGS: `Provide up to ${MOOD_MAX_TAGS} tags of 1-${MOOD_TAG_MAX_LENGTH} letters, digits or hyphens.`,
+  INVALID_NOTE: `Note must be at most ${MOOD_NOTE_MAX_LENGTH} characters.`,
+  INVALID_DATE: 'Dates must be valid ISO 8601 timestamps, not in the future.',
+  INVALID_PERIOD: 'Period must be one of: day, week, month.',
+  INVALID_TIMEZONE: 'Time zone must be a valid IANA name, e.g. Africa/Lagos.',
+  NO_CHANGES: 'Provide a score, tags, note or recordedAt to update.',
+};
+
+/**
+ * Bucket formats ($dateToString) and default look-back per trend period.
+ * Weeks are ISO weeks (Monday start), e.g. "2025-W07".
+ */
+const PERIODS = {
+  day: { format: '%Y-%m-%d', lookbackDays: 30 },
+  week: { format: '%G-W%V', lookbackDays: 12 * 7 },
+  month: { format: '%Y-%m', lookbackDays: 365 },
+};
+
+// Small clock skew allowance when rejecting future timestamps
+const FUTURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+/* ───────────── Validation ───────────── */
+
+const normalizeScore = (score) => {
+  const value = Number(score);
+  if (!Number.isInteger(value) || value < MOOD_SCORE_MIN || value > MOOD_SCORE_MAX) {
+    throw new Error(ERRORS.INVALID_SCORE);
+  }
+  return value;
+};
+
+const normalizeTags = (tags = []) => {
+  if (!Array.isArray(tags) || tags.length > MOOD_MAX_TAGS) throw new Error(ERRORS.INVALID_TAGS);
+  const normalized = tags.map((tag) => (typeof tag === 'string' ? tag.trim().toLowerCase() : ''));
+  const pattern = new RegExp(`^[a-z0-9-]{1,${MOOD_TAG_MAX_LENGTH}}$`);
+  if (!normalized.every((tag) => pattern.test(tag))) throw new Error(ERRORS.INVALID_TAGS);
+  return [...new Set(normalized)];
+};
+
+const normalizeNote = (note) => {
+  if (note === undefined || note === null) return undefined;
+  if (typeof note !== 'string' || note.trim().length > MOOD_NOTE_MAX_LENGTH) {
+    throw new Error(ERRORS.INVALID_NOTE);
+  }
+  return note.trim() || undefined;
+};
+
+const parseDate = (value, { allowFuture = false } = {}) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new Error(ERRORS.INVALID_DATE);
+  if (!allowFuture && date.getTime() > Date.now() + FUTURE_TOLERANCE_MS) {
+    throw new Error(ERRORS.INVALID_DATE);
+  }
+  return date;
+};
+
+const normalizeTimeZone = (tz) => {
+  if (!tz) return 'UTC';
+  if (!isValidTimeZone(tz)) throw new Error(ERRORS.INVALID_TIMEZONE);
+  return tz;
+};
+
+/* ───────────── Helpers ───────────── */
+
+/**
+ * Loads an entry owned by the user or throws ENTRY_NOT_FOUND.
+ */
+const loadOwnedEntry = async (entryId, userID) => {
+  if (!mongoose.Types.ObjectId.isValid(entryId)) throw new Error(ERRORS.ENTRY_NOT_FOUND);
+  const entry = await MoodEntry.findOne({ _id: entryId, userID: toId(userID) }).exec();
+  if (!entry) throw new Error(ERRORS.ENTRY_NOT_FOUND);
+  return entry;
+};
+
+/**
+ * Shapes an entry for API responses (note decrypted).
+ */
+const toEntryView = (entry) => ({
+  entryId: entry._id.toString(),
+  score: entry.score,
+  tags: entry.tags,
+  note: entry.note ?? null,
+  recordedAt: entry.recordedAt,
+  createdAt: entry.createdAt,
+  updatedAt: entry.updatedAt,
+});
+
+const round1 = (value) => (value === null || value === undefined ? null : Math.round(value * 10) / 10);
+
+export const MoodService = {
+  /**
+   * createEntry()
+   * -------------------
+   * Records a mood check-in.
+   *
+   * @param {Object} payload
+   * @param {string} payload.userID
+   * @param {number} payload.score - 1 to 10
+   * @param {string[]} [payload.tags]
+   * @param {string} [payload.note] - Encrypted at rest
+   * @param {string} [payload.recordedAt] - ISO timestamp (defaults to now)
+   * @returns {Object}
+   */
+  createEntry: async ({ userID, score, tags, note, recordedAt }) => {
+    const entry = await MoodEntry.create({
+      userID: toId(userID),
+      score: normalizeScore(score),
+      tags: normalizeTags(tags),
+      note: normalizeNote(note),
+      ...(recordedAt !== undefined && { recordedAt: parseDate(recordedAt) }),
+    });
+
+    logger.info(`Mood entry ${entry._id} recorded for user ${userID}`);
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Mood entry recorded.',
+      data: { entry: toEntryView(entry) },
+    };
+  },
+
+  /**
+   * listEntries()
+   * -------------------
+   * Paginated entries, newest first, optionally within [from, to].
+   *
+   * @returns {Object}
+   */
+  listEntries: async ({ userID, page, limit, from, to, baseUrl }) => {
+    const { page: p, limit: l } = sanitizePaginationParams(page, limit);
+    const start = parseDate(from, { allowFuture: true });
+    const end = parseDate(to, { allowFuture: true });
+
+    const filter = {
+      userID: toId(userID),
+      ...((start || end) && {
+        recordedAt: { ...(start && { $gte: start }), ...(end && { $lte: end }) },
+      }),
+    };
+
+    const [entries, total] = await Promise.all([
+      MoodEntry.find(filter).sort({ recordedAt: -1 }).skip((p - 1) * l).limit(l).exec(),
+      MoodEntry.countDocuments(filter),
+    ]);
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Mood entries retrieved.',
+      data: {
+        entries: entries.map(toEntryView),
+        pagination: {
+          totalItems: total,
+          totalPages: Math.ceil(total / l),
+          currentPage: p,
+          limit: l,
+          links: generatePaginationLinks(p, l, total, baseUrl),
+        },
+      },
+    };
+  },
+
+  /**
+   * getEntry()
+   * @returns {Object}
+   */
+  getEntry: async ({ userID, entryId }) => {
+    const entry = await loadOwnedEntry(entryId, userID);
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Mood entry retrieved.',
+      data: { entry: toEntryView(entry) },
+    };
+  },
+
+  /**
+   * updateEntry()
+   * -------------------
+   * Partially updates an entry. Passing note: null removes the note.
+   *
+   * @returns {Object}
+   */
+  updateEntry: async ({ userID, entryId, score, tags, note, recordedAt }) => {
+    if ([score, tags, note, recordedAt].every((v) => v === undefined)) {
+      throw new Error(ERRORS.NO_CHANGES);
+    }
+
+    const entry = await loadOwnedEntry(entryId, userID);
+
+    if (score !== undefined) entry.score = normalizeScore(score);
+    if (tags !== undefined) entry.tags = normalizeTags(tags);
+    if (note !== undefined) entry.note = normalizeNote(note);
+    if (recordedAt !== undefined) entry.recordedAt = parseDate(recordedAt) ?? entry.recordedAt;
+
+    await entry.save();
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Mood entry updated.',
+      data: { entry: toEntryView(entry) },
+    };
+  },
+
+  /**
+   * deleteEntry()
+   * @returns {Object}
+   */
+  deleteEntry: async ({ userID, entryId }) => {
+    const entry = await loadOwnedEntry(entryId, userID);
+    await MoodEntry.deleteOne({ _id: entry._id });
+
+    logger.info(`Mood entry ${entryId} deleted by user ${userID}`);
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Mood entry deleted.',
+      data: { entryId },
+    };
+  },
+
+  /**
+   * getTrends()
+   * -------------------
+   * Aggregates a user's check-ins:
+   *  - averages per day, ISO week or month within [from, to]
+   *  - current and longest daily check-in streaks (all time)
+   *  - most common tags within [from, to]
+   * Calendar boundaries follow the user's time zone.
+   *
+   * @param {Object} payload
+   * @param {string} [payload.period='day'] - day | week | month
+   * @param {string} [payload.from] - Defaults to 30 days, 12 weeks or 12 months back
+   * @param {string} [payload.to] - Defaults to now
+   * @param {string} [payload.tz='UTC'] - IANA time zone
+   * @returns {Object}
+   */
+  getTrends: async ({ userID, period = 'day', from, to, tz }) => {
+    const config = PERIODS[period];
+    if (!config) throw new Error(ERRORS.INVALID_PERIOD);
+    const timezone = normalizeTimeZone(tz);
+
+    const end = parseDate(to, { allowFuture: true }) ?? new Date();
+    const start =
+      parseDate(from, { allowFuture: true }) ??
+      new Date(end.getTime() - config.lookbackDays * MOOD_STATS_CONSTANTS.DAY_MS);
+
+    const userIdObj = toId(userID);
+    const match = { userID: userIdObj, recordedAt: { $gte: start, $lte: end } };
+
+    const [buckets, tags, days] = await Promise.all([
+      MoodEntry.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: { $dateToString: { format: config.format, date: '$recordedAt', timezone } },
+            average: { $avg: '$score' },
+            min: { $min: '$score' },
+            max: { $max: '$score' },
+            count: { $sum: 1 },
+          },
+        },
+        { $sort: { _id: 1 } },
+      ]),
+      MoodEntry.aggregate([
+        { $match: match },
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: MOOD_STATS_CONSTANTS.TOP_TAGS },
+      ]),
+      MoodEntry.aggregate([
+        { $match: { userID: userIdObj } },
+        { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$recordedAt', timezone } } } },
+      ]),
+    ]);
+
+    const count = buckets.reduce((sum, b) => sum + b.count, 0);
+    const total = buckets.reduce((sum, b) => sum + b.average * b.count, 0);
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Mood trends retrieved.',
+      data: {
+        period,
+        timezone,
+        from: start,
+        to: end,
+        overall: { average: count ? round1(total / count) : null, count },
+        buckets: buckets.map((b) => ({
+          period: b._id,
+          average: round1(b.average),
+          min: b.min,
+          max: b.max,
+          count: b.count,
+        })),
+        streak: computeStreaks(days.map((d) => d._id), toDayKey(new Date(), timezone)),
+        topTags: tags.map((t) => ({ tag: t._id, count: t.count })),
+      },
+    };
+  },
+
+  /**
+   * recentTrend()
+   * -------------------
+   * Last week's check-ins compared with the week before, for chat context.
+   * Never throws — the chat works without it.
+   *
+   * @param {string} userID
+   * @returns {Promise<Object|null>} See summarizeRecentMood(); null without recent entries
+   */
+  recentTrend: async (userID) => {
+    try {
+      const since = new Date(Date.now() - 2 * MOOD_STATS_CONSTANTS.RECENT_DAYS * MOOD_STATS_CONSTANTS.DAY_MS);
+      const entries = await MoodEntry.find({ userID: toId(userID), recordedAt: { $gte: since } })
+        .select('score tags recordedAt')
+        .lean();
+      return summarizeRecentMood(entries);
+    } catch (err) {
+      logger.error(`Failed to load mood trend for user ${userID}: ${err.message}`);
+      return null;
+    }
+  },
+};
+
+export default MoodService;
@@ -0,0 +1,138 @@
+/**
+ * NotificationService Module
+ * -------------------
+ * In-app notifications (e.g. check-in reminders):
+ *  - Creates notification records for background jobs
+ *  - Lists them with an unread count
+ *  - Marks one or all as read
+ */
+
+import mongoose from 'mongoose';
+import Notification from '../models/notification.js';
+import { STATUS, toId } from '../utils/chat_helpers.js';
+import {
+  sanitizePaginationParams,
+  generatePaginationLinks,
+} from '../utils/pagination.js';
+
+// --- Constants ---
+const ERRORS = {
+  NOTIFICATION_NOT_FOUND: 'Notification not found.',
+};
+
+/**
+ * Shapes a notification for API responses.
+ */
+const toNotificationView = (notification) => ({
+  notificationId: notification._id.toString(),
+  type: notification.type,
+  title: notification.title,
+  body: notification.body ?? null,
+  link: notification.link ?? null,
+  read: !!notification.readAt,
+  readAt: notification.readAt ?? null,
+  createdAt: notification.createdAt,
+});
+
+export const NotificationService = {
+  /**
+   * create()
+   * -------------------
+   * Stores an in-app notification.
+   *
+   * @param {Object} payload
+   * @param {string} payload.userID
+   * @param {string} payload.type - NOTIFICATION_TYPES value
+   * @param {string} payload.title
+   * @param {string} [payload.body]
+   * @param {string} [payload.link] - App path to open
+   * @returns {Promise<Object>} Notification view
+   */
+  create: async ({ userID, type, title, body, link }) => {
+    const notification = await Notification.create({ userID: toId(userID), type, title, body, link });
+    return toNotificationView(notification);
+  },
+
+  /**
+   * listNotifications()
+   * -------------------
+   * Newest first, with the total unread count.
+   *
+   * @param {Object} payload
+   * @param {boolean} [payload.unreadOnly=false]
+   * @returns {Object}
+   */
+  listNotifications: async ({ userID, unreadOnly = false, page, limit, baseUrl }) => {
+    const { page: p, limit: l } = sanitizePaginationParams(page, limit);
+    const userIdObj = toId(userID);
+    const filter = { userID: userIdObj, ...(unreadOnly && { readAt: null }) };
+
+    const [notifications, total, unread] = await Promise.all([
+      Notification.find(filter).sort({ createdAt: -1 }).skip((p - 1) * l).limit(l).exec(),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ userID: userIdObj, readAt: null }),
+    ]);
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Notifications retrieved.',
+      data: {
+        notifications: notifications.map(toNotificationView),
+        unread,
+        pagination: {
+          totalItems: total,
+          totalPages: Math.ceil(total / l),
+          currentPage: p,
+          limit: l,
+          links: generatePaginationLinks(p, l, total, baseUrl),
+        },
+      },
+    };
+  },
+
+  /**
+   * markRead()
+   * @param {Object} payload
+   * @param {string} payload.userID
+   * @param {string} payload.notificationId
+   * @returns {Object}
+   */
+  markRead: async ({ userID, notificationId }) => {
+    if (!mongoose.Types.ObjectId.isValid(notificationId)) throw new Error(ERRORS.NOTIFICATION_NOT_FOUND);
+
+    const notification = await Notification.findOne({ _id: notificationId, userID: toId(userID) }).exec();
+    if (!notification) throw new Error(ERRORS.NOTIFICATION_NOT_FOUND);
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Notification marked as read.',
+      data: { notification: toNotificationView(notification) },
+    };
+  },
+
+  /**
+   * markAllRead()
+   * @param {Object} payload
+   * @param {string} payload.userID
+   * @returns {Object}
+   */
+  markAllRead: async ({ userID }) => {
+    const { modifiedCount } = await Notification.updateMany(
+      { userID: toId(userID), readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'All notifications marked as read.',
+      data: { updated: modifiedCount },
+    };
+  },
+};
+
+export default NotificationService;
@@ -0,0 +1,148 @@
+import OpenAI from 'openai';
+import { logger } from '../config/index.js';
+import { CLASSIFICATION_PROMPT, parseClassification } from '../utils/chat_helpers.js';
+
+// --- Constants ---
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY ?? '';
+const OPENAI_BASE_URL = process.env.OPENAI_BASE_URL || undefined;
+const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+const ERRORS = {
+  API_KEY_MISSING: 'OPENAI_API_KEY missing, OpenAI provider unavailable.',
+  EMPTY_RESPONSE: 'Empty response from OpenAI',
+  API_ERROR: (msg) => `OpenAI API error: ${msg}`,
+};
+
+let client = null;
+
+/**
+ * Token counts from a completion's usage block.
+ * @param {Object} [usage]
+ * @returns {{inputTokens: number, outputTokens: number}|null}
+ */
+const toUsage = (usage) =>
+  usage ? { inputTokens: usage.prompt_tokens ?? 0, outputTokens: usage.completion_tokens ?? 0 } : null;
+
+/**
+ * Lazily creates the OpenAI client.
+ * @returns {OpenAI}
+ * @throws {Error} If OPENAI_API_KEY is missing
+ */
+const getClient = () => {
+  if (client) return client;
+  if (!OPENAI_API_KEY) {
+    logger.error(ERRORS.API_KEY_MISSING);
+    throw new Error(ERRORS.API_KEY_MISSING);
+  }
+  client = new OpenAI({ apiKey: OPENAI_API_KEY, baseURL: OPENAI_BASE_URL });
+  return client;
+};
+
+/**
+ * OpenAIProvider
+ * @description LLM provider backed by the OpenAI Chat Completions API
+ * (or any compatible endpoint configured through OPENAI_BASE_URL).
+ */
+export const OpenAIProvider = {
+  name: 'openai',
+
+  /**
+   * Converts internal messages to Chat Completions messages.
+   * Internal roles ("user"/"assistant") already match the OpenAI roles.
+   * @param {{role: string, content: string}[]} messages
+   * @returns {{role: string, content: string}[]}
+   */
+  transformMessages: (messages) =>
+    messages.map((msg) => ({
+      role: msg.role === 'assistant' ? 'assistant' : 'user',
+      content: msg.content,
+    })),
+
+  /**
+   * Generates a complete (non-streaming) response
+   * @async
+   * @param {{role: string, content: string}[]} messages
+   * @param {Object} [options]
+   * @param {Function} [options.onUsage] - Receives {inputTokens, outputTokens}
+   * @returns {Promise<string>} Generated response text
+   * @throws {Error} If the API call fails or response is empty
+   */
+  generate: async (messages, { onUsage } = {}) => {
+    try {
+      const completion = await getClient().chat.completions.create({
+        model: OPENAI_MODEL,
+        messages: OpenAIProvider.transformMessages(messages),
+      });
+
+      const usage = toUsage(completion.usage);
+      if (usage) onUsage?.(usage);
+
+      const text = completion.choices?.[0]?.message?.content;
+      if (!text) throw new Error(ERRORS.EMPTY_RESPONSE);
+
+      logger.info('Non-stream response generated successfully');
+      return text;
+    } catch (err) {
+      logger.error(`Non-stream error: ${err.message}`);
+      throw new Error(ERRORS.API_ERROR(err.message));
+    }
+  },
+
+  /**
+   * Generates a streaming response
+   * @async
+   * @param {{role: string, content: string}[]} messages
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the upstream request when triggered
+   * @param {Function} [options.onUsage] - Receives {inputTokens, outputTokens} once the stream ends
+   * @returns {AsyncIterable<string>} Stream of response tokens
+   * @throws {Error} If the API call fails
+   */
+  stream: async function* (messages, { signal, onUsage } = {}) {
+    try {
+      const responseStream = await getClient().chat.completions.create(
+        {
+          model: OPENAI_MODEL,
+          messages: OpenAIProvider.transformMessages(messages),
+          stream: true,
+          // The final chunk then carries the token counts (and no choices)
+          stream_options: { include_usage: true },
+        },
+        { signal }
+      );
+
+      let usage = null;
+      for await (const chunk of responseStream) {
+        usage = toUsage(chunk.usage) ?? usage;
+        const token = chunk.choices?.[0]?.delta?.content;
+        if (token) yield token;
+      }
+      if (usage) onUsage?.(usage);
+
+      logger.info('Stream completed successfully');
+    } catch (err) {
+      if (signal?.aborted) {
+        logger.info('Stream aborted by client');
+        return;
+      }
+      logger.error(`Stream error: ${err.message}`);
+      throw new Error(ERRORS.API_ERROR(err.message));
+    }
+  },
+
+  /**
+   * Classifies a user message as OFF_TOPIC, CRISIS or SAFE
+   * @async
+   * @param {string} input
+   * @param {Object} [options] - Passed to generate()
+   * @returns {Promise<string>} One of the CLASSIFICATION tags
+   */
+  classify: async (input, options = {}) => {
+    const reply = await OpenAIProvider.generate(
+      [{ role: 'user', content: CLASSIFICATION_PROMPT(input) }],
+      options
+    );
+    return parseClassification(reply);
+  },
+};
+
+export default OpenAIProvider;
@@ -0,0 +1,97 @@
+/**
+ * OutboxService Module
+ * -------------------
+ * Read access to emails captured by the outbox mail transport (see
+ * utils/mail_transports.js), so flows such as password reset can be run
+ * end-to-end without a mail server. Only mounted outside production.
+ */
+
+import { STATUS } from '../utils/chat_helpers.js';
+import { listOutbox, readOutboxMessage, clearOutbox } from '../utils/mail_transports.js';
+
+// --- Constants ---
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const LINK_PATTERN = /https?:\/\/[^\s<>"')]+/g;
+
+const ERRORS = {
+  MESSAGE_NOT_FOUND: 'Email not found in the outbox.',
+};
+
+/**
+ * Adds the links found in the text body, so tests and scripts can follow
+ * them without parsing the message.
+ */
+const withLinks = (message) => ({
+  ...message,
+  links: [...new Set(message.text?.match(LINK_PATTERN) ?? [])],
+});
+
+export const OutboxService = {
+  /**
+   * listMessages()
+   * -------------------
+   * Most recent captured emails, newest first, optionally for one recipient.
+   *
+   * @param {Object} payload
+   * @param {number|string} [payload.limit]
+   * @param {string} [payload.to] - Recipient address
+   * @returns {Object}
+   */
+  listMessages: async ({ limit, to }) => {
+    const parsed = parseInt(limit, 10);
+    const l = Number.isNaN(parsed) || parsed < 1 ? DEFAULT_LIMIT : Math.min(parsed, MAX_LIMIT);
+    const recipient = typeof to === 'string' ? to.trim().toLowerCase() : '';
+
+    // Filtering happens after the read, so look further back when filtering
+    const messages = (await listOutbox(recipient ? MAX_LIMIT : l))
+      .filter((m) => !recipient || String(m.to).toLowerCase() === recipient)
+      .slice(0, l)
+      .map(withLinks);
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Outbox retrieved.',
+      data: { messages },
+    };
+  },
+
+  /**
+   * getMessage()
+   * -------------------
+   * One captured email, or its raw .eml source.
+   *
+   * @param {Object} payload
+   * @param {string} payload.id
+   * @param {boolean} [payload.raw]
+   * @returns {Object} data: the message, or the source string when raw
+   */
+  getMessage: async ({ id, raw = false }) => {
+    const message = await readOutboxMessage(id, { raw });
+    if (!message) throw new Error(ERRORS.MESSAGE_NOT_FOUND);
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Email retrieved.',
+      data: raw ? message : { message: withLinks(message) },
+    };
+  },
+
+  /**
+   * clearMessages()
+   * -------------------
+   * Empties the outbox.
+   *
+   * @returns {Object}
+   */
+  clearMessages: async () => {
+    const deleted = await clearOutbox();
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Outbox cleared.',
+      data: { deleted },
+    };
+  },
+};
+
+export default OutboxService;
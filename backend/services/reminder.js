@@ -0,0 +1,391 @@
+/**
+ * ReminderService Module
+ * -------------------
+ * Recurring wellness check-in reminders:
+ *  - CRUD for a user's reminders (daily or weekly, in their own time zone)
+ *  - Keeps a Bull repeatable job on the reminder queue in sync with each reminder
+ *  - Delivers due reminders as an in-app notification and/or an email
+ *    (handed to the email queue), holding them back during quiet hours
+ *  - Unsubscribe from the link in reminder emails (confirmed, or one-click
+ *    from the mail client)
+ */
+
+import mongoose from 'mongoose';
+import Reminder, { MAX_REMINDERS_PER_USER } from '../models/reminder.js';
+import User from '../models/user.js';
+import { NOTIFICATION_TYPES } from '../models/notification.js';
+import { NotificationService } from './notification.js';
+import { EmailService } from './email.js';
+import { reminderQueue, CHECK_IN_JOB } from '../jobs/queues/reminder_queue.js';
+import { AppConfig, logger } from '../config/index.js';
+import { STATUS, toId } from '../utils/chat_helpers.js';
+import { TEMPLATE_IDS } from '../utils/email_message.js';
+import { isValidTimeZone } from '../utils/mood_stats.js';
+import {
+  REMINDER_FREQUENCIES,
+  isValidTime,
+  buildCron,
+  isQuietTime,
+  msUntilQuietHoursEnd,
+} from '../utils/reminders.js';
+
+// --- Constants ---
+const ERRORS = {
+  REMINDER_NOT_FOUND: 'Reminder not found.',
+  INVALID_FREQUENCY: 'Frequency must be one of: daily, weekly.',
+  INVALID_TIME: 'Time must be a 24-hour HH:mm time.',
+  INVALID_DAY: 'Weekly reminders need a dayOfWeek from 0 (Sunday) to 6 (Saturday).',
+  INVALID_TIMEZONE: 'Time zone must be a valid IANA name, e.g. Africa/Lagos.',
+  INVALID_CHANNELS: 'Enable at least one channel: email or inApp.',
+  TOO_MANY_REMINDERS: `You can have at most ${MAX_REMINDERS_PER_USER} reminders.`,
+  NO_CHANGES: 'Provide a schedule, channels or enabled flag to update.',
+  SCHEDULE_FAILED: 'Could not schedule the reminder. Please try again later.',
+  INVALID_UNSUBSCRIBE: 'This unsubscribe link is invalid.',
+};
+
+const DELIVERY = {
+  SENT: 'sent',
+  DEFERRED: 'deferred',
+  SKIPPED: 'skipped',
+};
+
+/* ───────────── Validation ───────────── */
+
+/**
+ * Validates a complete schedule.
+ * @returns {{frequency: string, time: string, dayOfWeek?: number, timezone: string}}
+ */
+const normalizeSchedule = ({ frequency, time, dayOfWeek, timezone }) => {
+  if (!Object.values(REMINDER_FREQUENCIES).includes(frequency)) throw new Error(ERRORS.INVALID_FREQUENCY);
+  if (!isValidTime(time)) throw new Error(ERRORS.INVALID_TIME);
+  if (!isValidTimeZone(timezone)) throw new Error(ERRORS.INVALID_TIMEZONE);
+
+  if (frequency === REMINDER_FREQUENCIES.DAILY) return { frequency, time, timezone, dayOfWeek: undefined };
+
+  const day = Number(dayOfWeek);
+  if (dayOfWeek === null || dayOfWeek === undefined || !Number.isInteger(day) || day < 0 || day > 6) {
+    throw new Error(ERRORS.INVALID_DAY);
+  }
+  return { frequency, time, timezone, dayOfWeek: day };
+};
+
+const normalizeChannels = ({ email, inApp } = {}, current = { email: true, inApp: true }) => {
+  const channels = {
+    email: email === undefined ? current.email : email === true,
+    inApp: inApp === undefined ? current.inApp : inApp === true,
+  };
+  if (!channels.email && !channels.inApp) throw new Error(ERRORS.INVALID_CHANNELS);
+  return channels;
+};
+
+/* ───────────── Job scheduling ───────────── */
+
+/**
+ * Adds the repeatable job for an enabled reminder and records its cron.
+ * Bull identifies the job by name, jobId (the reminder ID), cron and tz.
+ */
+const scheduleJob = async (reminder) => {
+  const cron = buildCron(reminder);
+  try {
+    await reminderQueue.add(
+      CHECK_IN_JOB,
+      { reminderId: reminder._id.toString() },
+      { repeat: { cron, tz: reminder.timezone }, jobId: reminder._id.toString(), removeOnComplete: true }
+    );
+  } catch (err) {
+    logger.error(`Failed to schedule reminder ${reminder._id}: ${err.message}`);
+    throw new Error(ERRORS.SCHEDULE_FAILED);
+  }
+  reminder.cron = cron;
+};
+
+/**
+ * Removes a reminder's repeatable job, given the cron/tz it was scheduled with.
+ * A failure is logged only: the worker skips disabled or deleted reminders anyway.
+ */
+const unscheduleJob = async (reminderId, { cron, timezone }) => {
+  if (!cron) return;
+  try {
+    await reminderQueue.removeRepeatable(CHECK_IN_JOB, { cron, tz: timezone, jobId: reminderId.toString() });
+  } catch (err) {
+    logger.error(`Failed to unschedule reminder ${reminderId}: ${err.message}`);
+  }
+};
+
+/* ───────────── Helpers ───────────── */
+
+const loadOwnedReminder = async (reminderId, userID) => {
+  if (!mongoose.Types.ObjectId.isValid(reminderId)) throw new Error(ERRORS.REMINDER_NOT_FOUND);
+  const reminder = await Reminder.findOne({ _id: reminderId, userID: toId(userID) }).exec();
+  if (!reminder) throw new Error(ERRORS.REMINDER_NOT_FOUND);
+  return reminder;
+};
+
+const loadByUnsubscribeToken = async (token) => {
+  const reminder = typeof token === 'string' && token
+    ? await Reminder.findOne({ unsubscribeToken: token }).exec()
+    : null;
+  if (!reminder) throw new Error(ERRORS.INVALID_UNSUBSCRIBE);
+  return reminder;
+};
+
+/**
+ * Shapes a reminder for API responses (the unsubscribe token stays private).
+ */
+const toReminderView = (reminder) => ({
+  reminderId: reminder._id.toString(),
+  frequency: reminder.frequency,
+  time: reminder.time,
+  dayOfWeek: reminder.dayOfWeek ?? null,
+  timezone: reminder.timezone,
+  channels: { email: reminder.channels.email, inApp: reminder.channels.inApp },
+  enabled: reminder.enabled,
+  lastSentAt: reminder.lastSentAt ?? null,
+  createdAt: reminder.createdAt,
+});
+
+export const ReminderService = {
+  /**
+   * listReminders()
+   * @param {Object} payload
+   * @param {string} payload.userID
+   * @returns {Object}
+   */
+  listReminders: async ({ userID }) => {
+    const reminders = await Reminder.find({ userID: toId(userID) }).sort({ createdAt: 1 }).exec();
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Reminders retrieved.',
+      data: { reminders: reminders.map(toReminderView) },
+    };
+  },
+
+  /**
+   * createReminder()
+   * -------------------
+   * Creates a reminder and schedules its repeatable job.
+   *
+   * @param {Object} payload
+   * @param {string} payload.userID
+   * @param {string} [payload.frequency='daily'] - daily | weekly
+   * @param {string} payload.time - Local "HH:mm"
+   * @param {number} [payload.dayOfWeek] - 0 (Sunday) to 6; weekly only
+   * @param {string} payload.timezone - IANA time zone
+   * @param {{email?: boolean, inApp?: boolean}} [payload.channels]
+   * @returns {Object}
+   */
+  createReminder: async ({ userID, frequency = REMINDER_FREQUENCIES.DAILY, time, dayOfWeek, timezone, channels }) => {
+    const schedule = normalizeSchedule({ frequency, time, dayOfWeek, timezone });
+    const userIdObj = toId(userID);
+
+    const count = await Reminder.countDocuments({ userID: userIdObj });
+    if (count >= MAX_REMINDERS_PER_USER) throw new Error(ERRORS.TOO_MANY_REMINDERS);
+
+    const reminder = new Reminder({ userID: userIdObj, ...schedule, channels: normalizeChannels(channels) });
+    await scheduleJob(reminder);
+    await reminder.save();
+
+    logger.info(`Reminder ${reminder._id} created for user ${userID} (${reminder.cron} ${reminder.timezone})`);
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Reminder scheduled.',
+      data: { reminder: toReminderView(reminder) },
+    };
+  },
+
+  /**
+   * updateReminder()
+   * -------------------
+   * Changes the schedule, channels or enabled flag and reschedules the job.
+   * The old job is only removed once the new one is added and saved.
+   *
+   * @returns {Object}
+   */
+  updateReminder: async ({ userID, reminderId, frequency, time, dayOfWeek, timezone, channels, enabled }) => {
+    if ([frequency, time, dayOfWeek, timezone, channels, enabled].every((v) => v === undefined)) {
+      throw new Error(ERRORS.NO_CHANGES);
+    }
+
+    const reminder = await loadOwnedReminder(reminderId, userID);
+    const previous = { cron: reminder.cron, timezone: reminder.timezone };
+
+    const schedule = normalizeSchedule({
+      frequency: frequency ?? reminder.frequency,
+      time: time ?? reminder.time,
+      dayOfWeek: dayOfWeek !== undefined ? dayOfWeek : reminder.dayOfWeek,
+      timezone: timezone ?? reminder.timezone,
+    });
+    reminder.set(schedule);
+    if (channels !== undefined) reminder.channels = normalizeChannels(channels, reminder.channels);
+    if (enabled !== undefined) reminder.enabled = enabled === true;
+
+    // Add the new job before removing the old one, so a failure at any step
+    // leaves the reminder with the job matching what is stored
+    reminder.cron = undefined;
+    if (reminder.enabled) await scheduleJob(reminder);
+    const rescheduled = reminder.cron !== previous.cron || reminder.timezone !== previous.timezone;
+    try {
+      await reminder.save();
+    } catch (err) {
+      if (rescheduled) await unscheduleJob(reminder._id, reminder);
+      throw err;
+    }
+    if (rescheduled) await unscheduleJob(reminder._id, previous);
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Reminder updated.',
+      data: { reminder: toReminderView(reminder) },
+    };
+  },
+
+  /**
+   * deleteReminder()
+   * @returns {Object}
+   */
+  deleteReminder: async ({ userID, reminderId }) => {
+    const reminder = await loadOwnedReminder(reminderId, userID);
+    await unscheduleJob(reminder._id, reminder);
+    await Reminder.deleteOne({ _id: reminder._id });
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Reminder deleted.',
+      data: { reminderId: reminder._id.toString() },
+    };
+  },
+
+  /**
+   * deleteAllForUser()
+   * -------------------
+   * Removes every reminder of a user, with their repeatable jobs
+   * (account deletion).
+   *
+   * @param {Object} payload
+   * @param {string} payload.userID
+   * @returns {Promise<number>} Number of reminders deleted
+   */
+  deleteAllForUser: async ({ userID }) => {
+    const reminders = await Reminder.find({ userID: toId(userID) }).select('cron timezone').lean();
+    for (const reminder of reminders) await unscheduleJob(reminder._id, reminder);
+
+    const { deletedCount } = await Reminder.deleteMany({ userID: toId(userID) });
+    return deletedCount;
+  },
+
+  /**
+   * checkUnsubscribe()
+   * -------------------
+   * Looks up the reminder behind an email's unsubscribe link without
+   * changing it, for the confirmation page.
+   *
+   * @param {Object} payload
+   * @param {string} payload.token
+   * @returns {Object}
+   */
+  checkUnsubscribe: async ({ token }) => {
+    const reminder = await loadByUnsubscribeToken(token);
+    return {
+      status: STATUS.SUCCESS,
+      message: reminder.enabled
+        ? 'Stop receiving this check-in reminder?'
+        : 'You no longer receive this check-in reminder.',
+      data: { reminderId: reminder._id.toString(), enabled: reminder.enabled },
+    };
+  },
+
+  /**
+   * unsubscribe()
+   * -------------------
+   * Disables the reminder behind an email's unsubscribe link.
+   * No login needed: the token itself identifies the reminder.
+   *
+   * @param {Object} payload
+   * @param {string} payload.token
+   * @returns {Object}
+   */
+  unsubscribe: async ({ token }) => {
+    const reminder = await loadByUnsubscribeToken(token);
+
+    if (reminder.enabled) {
+      await unscheduleJob(reminder._id, reminder);
+      reminder.enabled = false;
+      reminder.cron = undefined;
+      await reminder.save();
+      logger.info(`Reminder ${reminder._id} disabled via unsubscribe link`);
+    }
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'You will no longer receive this check-in reminder.',
+      data: { reminderId: reminder._id.toString() },
+    };
+  },
+
+  /**
+   * deliver()
+   * -------------------
+   * Runs in the reminder worker for each due job.
+   *  - Disabled or deleted reminders are skipped
+   *  - During the user's quiet hours a one-off job is queued for when they end
+   *  - Otherwise an in-app notification is stored and/or an email queued
+   *
+   * @param {Object} payload - Job data
+   * @param {string} payload.reminderId
+   * @param {boolean} [payload.deferred] - Already held back once; sent regardless of quiet hours
+   * @param {string} payload.occurrence - Identifies this firing of the reminder; at most one email per occurrence
+   * @returns {Promise<{outcome: string}>}
+   */
+  deliver: async ({ reminderId, deferred = false, occurrence }) => {
+    const reminder = mongoose.Types.ObjectId.isValid(reminderId)
+      ? await Reminder.findById(reminderId).exec()
+      : null;
+    if (!reminder?.enabled) return { outcome: DELIVERY.SKIPPED };
+
+    const user = await User.findById(reminder.userID).select('username email locale quietHours deletion').lean();
+    // Nothing is sent to accounts waiting to be deleted
+    if (!user || user.deletion?.scheduledFor) return { outcome: DELIVERY.SKIPPED };
+
+    const now = new Date();
+    if (!deferred && isQuietTime(now, user.quietHours, reminder.timezone)) {
+      const delay = msUntilQuietHoursEnd(now, user.quietHours, reminder.timezone);
+      await reminderQueue.add(
+        CHECK_IN_JOB,
+        { reminderId, deferred: true, occurrence },
+        { delay, removeOnComplete: true }
+      );
+      return { outcome: DELIVERY.DEFERRED };
+    }
+
+    if (reminder.channels.inApp) {
+      await NotificationService.create({
+        userID: reminder.userID,
+        type: NOTIFICATION_TYPES.CHECK_IN_REMINDER,
+        title: 'Time for your check-in',
+        body: 'How are you feeling today? Log a quick mood check-in.',
+        link: '/mood',
+      });
+    }
+
+    if (reminder.channels.email) {
+      await EmailService.send({
+        to: user.email,
+        template: TEMPLATE_IDS.CHECK_IN_REMINDER,
+        locale: user.locale,
+        data: {
+          username: user.username,
+          checkInUrl: AppConfig.url('/mood'),
+          unsubscribeUrl: AppConfig.url(`/api/reminders/unsubscribe/${reminder.unsubscribeToken}`),
+        },
+        idempotencyKey: `${reminderId}:${occurrence}`,
+      });
+    }
+
+    await Reminder.updateOne({ _id: reminder._id }, { $set: { lastSentAt: now } });
+
+    return { outcome: DELIVERY.SENT };
+  },
+};
+
+export default ReminderService;
@@ -0,0 +1,77 @@
+/**
+ * RiskService Module
+ * -------------------
+ * Grades every user turn as none / low / elevated / imminent risk by
+ * combining the lexicon, the LLM classifier and the conversation's recent
+ * risk trajectory (see utils/risk_assessment.js for the rules).
+ */
+
+import { Message } from '../models/chat.js';
+import { LLMService } from './llm.js';
+import { logger } from '../config/index.js';
+import {
+  RISK_LEVELS,
+  TRAJECTORY_WINDOW,
+  scoreMessage,
+  assessTrajectory,
+  combineRisk,
+} from '../utils/risk_assessment.js';
+
+export const RiskService = {
+  /**
+   * Loads the risk levels of the latest user messages in a conversation.
+   * @param {ObjectId|null} chatId
+   * @returns {Promise<string[]>} Newest first
+   */
+  recentLevels: async (chatId) => {
+    if (!chatId) return [];
+    const messages = await Message.find({ chatId, role: 'user' })
+      .sort({ timestamp: -1 })
+      .limit(TRAJECTORY_WINDOW)
+      .select('riskLevel')
+      .lean();
+    return messages.map((m) => m.riskLevel ?? RISK_LEVELS.NONE);
+  },
+
+  /**
+   * assess()
+   * -------------------
+   * Scores one user message. The classifier runs on every turn; when it
+   * fails the assessment is marked degraded instead of silently ignoring it.
+   *
+   * @param {Object} payload
+   * @param {string} payload.input - Trimmed user message
+   * @param {ObjectId|null} [payload.chatId] - Conversation, for the trajectory
+   * @param {string} [payload.userID] - User the classifier call is counted against
+   * @returns {Promise<{level: string, classification: string|null, degraded: boolean,
+   *   signals: {lexicon: Object, trajectory: Object}}>}
+   */
+  assess: async ({ input, chatId = null, userID }) => {
+    const lexicon = scoreMessage(input);
+
+    const [classification, previousLevels] = await Promise.all([
+      LLMService.classify(input, { userID }).catch((err) => {
+        logger.warn(`Risk classifier unavailable, using lexicon and trajectory only: ${err.message}`);
+        return null;
+      }),
+      RiskService.recentLevels(chatId).catch((err) => {
+        logger.error(`Failed to load risk trajectory for chat ${chatId}: ${err.message}`);
+        return [];
+      }),
+    ]);
+
+    const trajectory = assessTrajectory(previousLevels, lexicon.level);
+    const { level, degraded } = combineRisk({ lexicon, classification, trajectory });
+
+    if (level !== RISK_LEVELS.NONE) {
+      logger.info(
+        `Risk ${level} (lexicon=${lexicon.level} [${lexicon.matches.join(',')}], ` +
+          `classifier=${classification ?? 'unavailable'}, trajectory=${trajectory.level})`
+      );
+    }
+
+    return { level, classification, degraded, signals: { lexicon, trajectory } };
+  },
+};
+
+export default RiskService;
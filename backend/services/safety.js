@@ -0,0 +1,417 @@
+/**
+ * SafetyService Module
+ * -------------------
+ * Audit trail for at-risk conversations:
+ *  - Records a SafetyEvent for every elevated/imminent assessment, from
+ *    chat messages or a questionnaire's self-harm item
+ *  - Links it to the saved message once the exchange is stored
+ *  - Resolves the user's local crisis resources
+ *  - Powers the admin review queue (list, triage, annotate, close)
+ */
+
+import mongoose from 'mongoose';
+import SafetyEvent, {
+  SAFETY_EVENT_SOURCES,
+  SAFETY_EVENT_STATUS,
+  SAFETY_EVENT_PRIORITY,
+  SAFETY_ACTIONS,
+  NOTE_MAX_LENGTH,
+} from '../models/safety_event.js';
+import { Message } from '../models/chat.js';
+import User from '../models/user.js';
+import { logger } from '../config/index.js';
+import { STATUS, toId } from '../utils/chat_helpers.js';
+import { RISK_LEVELS, isAtLeast } from '../utils/risk_assessment.js';
+import { resolveCrisisResources } from '../utils/crisis_resources.js';
+import {
+  sanitizePaginationParams,
+  generatePaginationLinks,
+} from '../utils/pagination.js';
+
+// --- Constants ---
+const ERRORS = {
+  EVENT_NOT_FOUND: 'Safety event not found.',
+  INVALID_STATUS: `Status must be one of: ${Object.values(SAFETY_EVENT_STATUS).join(', ')}.`,
+  INVALID_PRIORITY: `Priority must be one of: ${Object.values(SAFETY_EVENT_PRIORITY).join(', ')}.`,
+  INVALID_NOTE: `Note must be 1-${NOTE_MAX_LENGTH} characters.`,
+  NO_CHANGES: 'Provide a status, priority or assignee to update.',
+  ALREADY_CLOSED: 'Safety event is already closed.',
+};
+
+/**
+ * Loads an event by ID or throws EVENT_NOT_FOUND.
+ * @param {string} eventId
+ * @returns {Promise<Document>}
+ */
+const loadEvent = async (eventId) => {
+  if (!mongoose.Types.ObjectId.isValid(eventId)) throw new Error(ERRORS.EVENT_NOT_FOUND);
+  const event = await SafetyEvent.findById(eventId).exec();
+  if (!event) throw new Error(ERRORS.EVENT_NOT_FOUND);
+  return event;
+};
+
+/**
+ * Validates free-text notes and resolutions.
+ * @param {string} text
+ * @returns {string}
+ */
+const normalizeNote = (text) => {
+  const trimmed = typeof text === 'string' ? text.trim() : '';
+  if (!trimmed || trimmed.length > NOTE_MAX_LENGTH) throw new Error(ERRORS.INVALID_NOTE);
+  return trimmed;
+};
+
+/**
+ * Shapes an event for API responses (notes and resolution decrypted).
+ * @param {Document} event
+ * @returns {Object}
+ */
+const toEventView = (event) => {
+  const view = event.toObject();
+  return {
+    eventId: view._id.toString(),
+    userID: view.userID?.toString(),
+    source: view.source,
+    assessmentId: view.assessmentId?.toString() ?? null,
+    chatId: view.chatId?.toString() ?? null,
+    messageId: view.messageId?.toString() ?? null,
+    riskLevel: view.riskLevel,
+    trigger: view.trigger,
+    action: view.action,
+    status: view.status,
+    priority: view.priority,
+    assignedTo: view.assignedTo?.toString() ?? null,
+    notes: (view.notes ?? []).map((n) => ({
+      noteId: n._id.toString(),
+      authorID: n.authorID.toString(),
+      text: n.text,
+      createdAt: n.createdAt,
+    })),
+    resolution: view.resolution ?? null,
+    closedAt: view.closedAt ?? null,
+    closedBy: view.closedBy?.toString() ?? null,
+    createdAt: view.createdAt,
+    updatedAt: view.updatedAt,
+  };
+};
+
+export const SafetyService = {
+  /**
+   * record()
+   * -------------------
+   * Creates an audit event for an elevated or imminent assessment.
+   * Never throws: a logging failure must not block the reply to an at-risk user.
+   *
+   * @param {Object} payload
+   * @param {string} payload.userID
+   * @param {string} [payload.chatId]
+   * @param {Object} payload.risk - Result of RiskService.assess()
+   * @returns {Promise<string|null>} Event ID, or null when nothing was recorded
+   */
+  record: async ({ userID, chatId, risk }) => {
+    if (!isAtLeast(risk.level, RISK_LEVELS.ELEVATED)) return null;
+
+    const isImminent = risk.level === RISK_LEVELS.IMMINENT;
+    const { lexicon, trajectory } = risk.signals;
+
+    try {
+      const event = await SafetyEvent.create({
+        userID: toId(userID),
+        ...(chatId && mongoose.Types.ObjectId.isValid(chatId) && { chatId: toId(chatId) }),
+        riskLevel: risk.level,
+        trigger: {
+          lexiconLevel: lexicon.level,
+          matches: lexicon.matches,
+          modifiers: lexicon.modifiers,
+          classification: risk.classification ?? 'UNAVAILABLE',
+          trajectoryLevel: trajectory.level,
+          escalating: trajectory.escalating,
+          degraded: risk.degraded,
+        },
+        action: isImminent ? SAFETY_ACTIONS.CRISIS_RESPONSE : SAFETY_ACTIONS.SAFETY_REPLY,
+        priority: isImminent ? SAFETY_EVENT_PRIORITY.URGENT : SAFETY_EVENT_PRIORITY.HIGH,
+      });
+
+      logger.warn(`Safety event ${event._id} recorded (${risk.level}) for user ${userID}`);
+      return event._id.toString();
+    } catch (err) {
+      logger.error(`Failed to record safety event for user ${userID}: ${err.message}`);
+      return null;
+    }
+  },
+
+  /**
+   * recordAssessment()
+   * -------------------
+   * Creates an audit event for a questionnaire whose self-harm item was
+   * answered positively. Never throws, like record().
+   *
+   * @param {Object} payload
+   * @param {string} payload.userID
+   * @param {ObjectId} payload.assessmentId
+   * @param {string} payload.riskLevel - elevated | imminent
+   * @param {string} payload.instrument - Instrument ID
+   * @param {number} payload.itemScore - Answer to the self-harm item
+   * @returns {Promise<string|null>} Event ID, or null when nothing was recorded
+   */
+  recordAssessment: async ({ userID, assessmentId, riskLevel, instrument, itemScore }) => {
+    if (!isAtLeast(riskLevel, RISK_LEVELS.ELEVATED)) return null;
+
+    try {
+      const event = await SafetyEvent.create({
+        userID: toId(userID),
+        source: SAFETY_EVENT_SOURCES.ASSESSMENT,
+        assessmentId,
+        riskLevel,
+        trigger: { instrument, itemScore },
+        action: SAFETY_ACTIONS.CRISIS_RESPONSE,
+        priority:
+          riskLevel === RISK_LEVELS.IMMINENT ? SAFETY_EVENT_PRIORITY.URGENT : SAFETY_EVENT_PRIORITY.HIGH,
+      });
+
+      logger.warn(`Safety event ${event._id} recorded (${riskLevel}, ${instrument}) for user ${userID}`);
+      return event._id.toString();
+    } catch (err) {
+      logger.error(`Failed to record assessment safety event for user ${userID}: ${err.message}`);
+      return null;
+    }
+  },
+
+  /**
+   * crisisResourcesFor()
+   * -------------------
+   * Resolves the crisis contacts for the user's region and locale.
+   * A lookup failure falls back to the international resources rather than
+   * blocking a crisis reply.
+   *
+   * @param {string} userID
+   * @returns {Promise<Object>} See resolveCrisisResources()
+   */
+  crisisResourcesFor: async (userID) => {
+    try {
+      const user = await User.findById(userID).select('region locale').lean();
+      return resolveCrisisResources(user ?? {});
+    } catch (err) {
+      logger.error(`Crisis resource lookup failed for user ${userID}: ${err.message}`);
+      return resolveCrisisResources();
+    }
+  },
+
+  /**
+   * linkMessage()
+   * -------------------
+   * Points an event at the stored user message once the exchange is saved.
+   *
+   * @param {string|null} eventId
+   * @param {Object} refs
+   * @param {ObjectId} refs.chatId
+   * @param {ObjectId} refs.messageId
+   */
+  linkMessage: async (eventId, { chatId, messageId }) => {
+    if (!eventId) return;
+    try {
+      await SafetyEvent.updateOne({ _id: eventId }, { $set: { chatId, messageId } });
+    } catch (err) {
+      logger.error(`Failed to link safety event ${eventId} to message ${messageId}: ${err.message}`);
+    }
+  },
+
+  /**
+   * listEvents()
+   * -------------------
+   * Admin review queue, newest first. Defaults to events that are not closed.
+   *
+   * @param {Object} payload
+   * @param {string} [payload.status] - open | in_review | closed
+   * @param {string} [payload.priority] - urgent | high | normal
+   * @param {string} [payload.userID] - Only events for this user
+   * @returns {Object}
+   */
+  listEvents: async ({ status, priority, userID, page, limit, baseUrl }) => {
+    if (status && !Object.values(SAFETY_EVENT_STATUS).includes(status)) {
+      throw new Error(ERRORS.INVALID_STATUS);
+    }
+    if (priority && !Object.values(SAFETY_EVENT_PRIORITY).includes(priority)) {
+      throw new Error(ERRORS.INVALID_PRIORITY);
+    }
+
+    const { page: p, limit: l } = sanitizePaginationParams(page, limit);
+    const filter = {
+      status: status ?? { $ne: SAFETY_EVENT_STATUS.CLOSED },
+      ...(priority && { priority }),
+      ...(userID && mongoose.Types.ObjectId.isValid(userID) && { userID: toId(userID) }),
+    };
+
+    const [events, total] = await Promise.all([
+      SafetyEvent.find(filter).sort({ createdAt: -1 }).skip((p - 1) * l).limit(l).exec(),
+      SafetyEvent.countDocuments(filter),
+    ]);
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Safety events retrieved.',
+      data: {
+        events: events.map(toEventView),
+        pagination: {
+          totalItems: total,
+          totalPages: Math.ceil(total / l),
+          currentPage: p,
+          limit: l,
+          links: generatePaginationLinks(p, l, total, baseUrl),
+        },
+      },
+    };
+  },
+
+  /**
+   * getEvent()
+   * -------------------
+   * Returns one event with the flagged exchange (user message and the
+   * bot's reply, decrypted) so reviewers can audit how it was handled.
+   *
+   * @param {Object} payload
+   * @param {string} payload.eventId
+   * @returns {Object}
+   */
+  getEvent: async ({ eventId }) => {
+    const event = await loadEvent(eventId);
+
+    let exchange = [];
+    if (event.messageId) {
+      const flagged = await Message.findById(event.messageId).exec();
+      if (flagged) {
+        const reply = await Message.findOne({
+          chatId: flagged.chatId,
+          role: 'assistant',
+          timestamp: { $gte: flagged.timestamp },
+        })
+          .sort({ timestamp: 1 })
+          .exec();
+
+        // Lean queries skip getters, so content is decrypted via toObject()
+        exchange = [flagged, reply]
+          .filter(Boolean)
+          .map((doc) => doc.toObject({ getters: true }))
+          .map((m) => ({
+            messageId: m._id.toString(),
+            role: m.role,
+            content: m.content,
+            riskLevel: m.riskLevel,
+            truncated: m.truncated,
+            timestamp: m.timestamp,
+          }));
+      }
+    }
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Safety event retrieved.',
+      data: { event: toEventView(event), exchange },
+    };
+  },
+
+  /**
+   * triageEvent()
+   * -------------------
+   * Updates status, priority and/or assignee. Closing goes through closeEvent().
+   *
+   * @param {Object} payload
+   * @param {string} payload.eventId
+   * @param {string} [payload.status] - open | in_review
+   * @param {string} [payload.priority]
+   * @param {string|null} [payload.assignedTo] - Admin user ID, or null to unassign
+   * @returns {Object}
+   */
+  triageEvent: async ({ eventId, status, priority, assignedTo }) => {
+    const event = await loadEvent(eventId);
+    if (event.status === SAFETY_EVENT_STATUS.CLOSED) throw new Error(ERRORS.ALREADY_CLOSED);
+
+    if (status === undefined && priority === undefined && assignedTo === undefined) {
+      throw new Error(ERRORS.NO_CHANGES);
+    }
+
+    if (status !== undefined) {
+      if (![SAFETY_EVENT_STATUS.OPEN, SAFETY_EVENT_STATUS.IN_REVIEW].includes(status)) {
+        throw new Error(ERRORS.INVALID_STATUS);
+      }
+      event.status = status;
+    }
+
+    if (priority !== undefined) {
+      if (!Object.values(SAFETY_EVENT_PRIORITY).includes(priority)) {
+        throw new Error(ERRORS.INVALID_PRIORITY);
+      }
+      event.priority = priority;
+    }
+
+    if (assignedTo !== undefined) {
+      event.assignedTo = assignedTo && mongoose.Types.ObjectId.isValid(assignedTo)
+        ? toId(assignedTo)
+        : undefined;
+    }
+
+    await event.save();
+    logger.info(`Safety event ${eventId} triaged (${event.status}, ${event.priority})`);
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Safety event updated.',
+      data: { event: toEventView(event) },
+    };
+  },
+
+  /**
+   * addNote()
+   * -------------------
+   * Appends an encrypted reviewer note.
+   *
+   * @param {Object} payload
+   * @param {string} payload.eventId
+   * @param {string} payload.authorID - Admin user ID
+   * @param {string} payload.text
+   * @returns {Object}
+   */
+  addNote: async ({ eventId, authorID, text }) => {
+    const event = await loadEvent(eventId);
+    event.notes.push({ authorID: toId(authorID), text: normalizeNote(text) });
+    await event.save();
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Note added.',
+      data: { event: toEventView(event) },
+    };
+  },
+
+  /**
+   * closeEvent()
+   * -------------------
+   * Closes an event with an encrypted resolution summary.
+   *
+   * @param {Object} payload
+   * @param {string} payload.eventId
+   * @param {string} payload.authorID - Admin user ID
+   * @param {string} payload.resolution
+   * @returns {Object}
+   */
+  closeEvent: async ({ eventId, authorID, resolution }) => {
+    const event = await loadEvent(eventId);
+    if (event.status === SAFETY_EVENT_STATUS.CLOSED) throw new Error(ERRORS.ALREADY_CLOSED);
+
+    event.resolution = normalizeNote(resolution);
+    event.status = SAFETY_EVENT_STATUS.CLOSED;
+    event.closedAt = new Date();
+    event.closedBy = toId(authorID);
+    await event.save();
+
+    logger.info(`Safety event ${eventId} closed by ${authorID}`);
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Safety event closed.',
+      data: { event: toEventView(event) },
+    };
+  },
+};
+
+export default SafetyService;
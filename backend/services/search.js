@@ -0,0 +1,177 @@
+/**
+ * SearchService Module
+ * -------------------
+ * Search over the signed-in user's encrypted conversation history:
+ *  - The query's words are hashed into the blind index (see
+ *    utils/search_index.js) and matched against the messages' stored
+ *    hashes, scoped to the user; content is only decrypted for the hits
+ *  - Each hit comes with its neighbouring messages for context
+ *  - Messages stored before the index existed are indexed by
+ *    reindexMessages() (npm run search-reindex)
+ */
+
+import { Chat, Message, DECRYPTION_FAILED } from '../models/chat.js';
+import { logger } from '../config/index.js';
+import { STATUS, toId } from '../utils/chat_helpers.js';
+import { sanitizePaginationParams, generatePaginationLinks } from '../utils/pagination.js';
+import { isSearchEnabled, buildSearchIndex, buildQueryIndex } from '../utils/search_index.js';
+
+// --- Constants ---
+const MAX_QUERY_LENGTH = 200;
+const MAX_RESULTS_PER_PAGE = 20; // each hit costs two context lookups
+const CONTEXT_MESSAGES = 1; // before and after each hit
+const REINDEX_BATCH_SIZE = 500;
+
+const ERRORS = {
+  DISABLED: 'Search is not available.',
+  EMPTY_QUERY: 'Enter at least one word to search for.',
+  QUERY_TOO_LONG: `Search text must be at most ${MAX_QUERY_LENGTH} characters.`,
+};
+
+/* ───────────── Helpers ───────────── */
+
+const toContextMessage = (message) => ({
+  messageId: message._id.toString(),
+  role: message.role,
+  content: message.content,
+  timestamp: message.timestamp,
+});
+
+/** Adds the search text to every pagination link */
+const withQuery = (links, text) =>
+  Object.fromEntries(Object.entries(links).map(([rel, url]) => [rel, `${url}&q=${encodeURIComponent(text)}`]));
+
+/**
+ * Messages just before and after a hit in the same conversation, oldest first.
+ */
+const loadContext = async (message) => {
+  const [before, after] = await Promise.all([
+    Message.find({ chatId: message.chatId, timestamp: { $lt: message.timestamp } })
+      .sort({ timestamp: -1 })
+      .limit(CONTEXT_MESSAGES)
+      .exec(),
+    Message.find({ chatId: message.chatId, timestamp: { $gt: message.timestamp } })
+      .sort({ timestamp: 1 })
+      .limit(CONTEXT_MESSAGES)
+      .exec(),
+  ]);
+
+  return {
+    before: before.reverse().map(toContextMessage),
+    after: after.map(toContextMessage),
+  };
+};
+
+export const SearchService = {
+  /**
+   * searchMessages()
+   * -------------------
+   * Finds the user's messages containing every word of the query, newest
+   * first, each with the surrounding messages of its conversation.
+   *
+   * @param {Object} payload
+   * @param {string} payload.userID
+   * @param {string} payload.query
+   * @param {number} [payload.page]
+   * @param {number} [payload.limit]
+   * @param {string} payload.baseUrl
+   * @returns {Object}
+   */
+  searchMessages: async ({ userID, query, page, limit, baseUrl }) => {
+    if (!isSearchEnabled()) throw new Error(ERRORS.DISABLED);
+
+    const text = typeof query === 'string' ? query.trim() : '';
+    if (text.length > MAX_QUERY_LENGTH) throw new Error(ERRORS.QUERY_TOO_LONG);
+
+    const hashes = buildQueryIndex(text, userID);
+    if (!hashes.length) throw new Error(ERRORS.EMPTY_QUERY);
+
+    const { page: p, limit: requested } = sanitizePaginationParams(page, limit);
+    const l = Math.min(requested, MAX_RESULTS_PER_PAGE);
+    const filter = { userID: toId(userID), searchIndex: { $all: hashes } };
+
+    const [messages, total] = await Promise.all([
+      Message.find(filter)
+        .sort({ timestamp: -1 })
+        .skip((p - 1) * l)
+        .limit(l)
+        .exec(),
+      Message.countDocuments(filter),
+    ]);
+
+    const chats = await Chat.find({ _id: { $in: messages.map((m) => m.chatId) } })
+      .select('title')
+      .lean();
+    const titles = new Map(chats.map((c) => [c._id.toString(), c.title]));
+
+    const results = await Promise.all(
+      messages.map(async (message) => ({
+        ...toContextMessage(message),
+        chatId: message.chatId.toString(),
+        chatTitle: titles.get(message.chatId.toString()) ?? null,
+        context: await loadContext(message),
+      }))
+    );
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Search results retrieved.',
+      data: {
+        query: text,
+        results,
+        pagination: {
+          totalItems: total,
+          totalPages: Math.ceil(total / l),
+          currentPage: p,
+          limit: l,
+          links: withQuery(generatePaginationLinks(p, l, total, baseUrl), text),
+        },
+      },
+    };
+  },
+
+  /**
+   * reindexMessages()
+   * -------------------
+   * Adds the blind index to messages stored without one, in _id batches.
+   * Messages whose owner is unknown (older records not yet given a userID
+   * by the key rotation job) or that cannot be decrypted are left for a
+   * later run.
+   *
+   * @returns {Promise<{indexed: number, skipped: number}>}
+   */
+  reindexMessages: async () => {
+    if (!isSearchEnabled()) throw new Error(ERRORS.DISABLED);
+
+    const counts = { indexed: 0, skipped: 0 };
+    let lastId = null;
+
+    for (;;) {
+      const filter = { searchIndex: { $exists: false } };
+      if (lastId) filter._id = { $gt: lastId };
+
+      const messages = await Message.find(filter).sort({ _id: 1 }).limit(REINDEX_BATCH_SIZE).exec();
+      if (!messages.length) break;
+      lastId = messages[messages.length - 1]._id;
+
+      for (const message of messages) {
+        const { content } = message;
+        if (!message.userID || !content || content === DECRYPTION_FAILED) {
+          counts.skipped += 1;
+          continue;
+        }
+        await Message.updateOne(
+          { _id: message._id },
+          { $set: { searchIndex: buildSearchIndex(content, message.userID) } }
+        ).exec();
+        counts.indexed += 1;
+      }
+
+      logger.info(`Search reindex: ${counts.indexed} indexed, ${counts.skipped} skipped so far`);
+    }
+
+    return counts;
+  },
+};
+
+export default SearchService;
@@ -0,0 +1,209 @@
+/**
+ * SessionService Module
+ * -------------------
+ * Device sessions behind access/refresh token pairs:
+ *  - Opens a session per login (oldest sessions beyond the per-user cap are revoked)
+ *  - Rotates the refresh token on every use, detecting reuse of rotated tokens
+ *  - Lists and revokes a user's signed-in devices
+ */
+
+import mongoose from 'mongoose';
+import Session, {
+  REFRESH_TOKEN_TTL_MS,
+  MAX_SESSIONS_PER_USER,
+  ROTATED_HASHES_KEPT,
+  SESSION_REVOKE_REASONS,
+} from '../models/session.js';
+import { logger } from '../config/index.js';
+import { STATUS, toId } from '../utils/chat_helpers.js';
+import { generateRefreshToken, parseRefreshToken, describeDevice } from '../utils/sessions.js';
+
+// --- Constants ---
+const DEVICE_NAME_MAX_LENGTH = 60;
+
+const ERRORS = {
+  INVALID_REFRESH_TOKEN: 'Invalid or expired refresh token. Please log in again.',
+  REFRESH_TOKEN_REUSED: 'Refresh token reuse detected. Please log in again.',
+  SESSION_NOT_FOUND: 'Session not found.',
+};
+
+const activeFilter = () => ({ revokedAt: null, expiresAt: { $gt: new Date() } });
+
+/**
+ * Shapes a session for API responses.
+ */
+const toSessionView = (session, currentSessionId) => ({
+  sessionId: session._id.toString(),
+  device: session.device?.name ?? describeDevice(session.device?.userAgent),
+  ip: session.device?.ip ?? null,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: session._id.toString() === currentSessionId,
+});
+
+export const SessionService = {
+  /**
+   * create()
+   * -------------------
+   * Opens a session for a freshly authenticated device.
+   *
+   * @param {Object} payload
+   * @param {string} payload.userID
+   * @param {string} [payload.userAgent]
+   * @param {string} [payload.ip]
+   * @param {string} [payload.deviceName] - Client-chosen label, e.g. "Work laptop"
+   * @returns {Promise<{sessionId: string, refreshToken: string}>}
+   */
+  create: async ({ userID, userAgent, ip, deviceName }) => {
+    const userIdObj = toId(userID);
+    const name = typeof deviceName === 'string' && deviceName.trim()
+      ? deviceName.trim().slice(0, DEVICE_NAME_MAX_LENGTH)
+      : describeDevice(userAgent);
+
+    const session = new Session({
+      userID: userIdObj,
+      device: { name, userAgent, ip },
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    });
+    const { token, secretHash } = generateRefreshToken(session._id.toString());
+    session.refreshTokenHash = secretHash;
+    await session.save();
+
+    // Keep the most recently used sessions within the cap
+    const stale = await Session.find({ userID: userIdObj, ...activeFilter() })
+      .sort({ lastUsedAt: -1 })
+      .skip(MAX_SESSIONS_PER_USER)
+      .select('_id')
+      .lean();
+    if (stale.length) {
+      await Session.updateMany(
+        { _id: { $in: stale.map((s) => s._id) } },
+        { $set: { revokedAt: new Date(), revokedReason: SESSION_REVOKE_REASONS.SESSION_LIMIT } }
+      );
+      logger.info(`Revoked ${stale.length} oldest session(s) for user ${userID}`);
+    }
+
+    return { sessionId: session._id.toString(), refreshToken: token };
+  },
+
+  /**
+   * rotate()
+   * -------------------
+   * Exchanges a refresh token for a new one and extends the session.
+   * A rotated (already used) token revokes the session: either the
+   * token leaked or an attacker raced the device.
+   *
+   * @param {Object} payload
+   * @param {string} payload.refreshToken
+   * @param {string} [payload.ip]
+   * @returns {Promise<{session: Object, refreshToken: string}>}
+   */
+  rotate: async ({ refreshToken, ip }) => {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) throw new Error(ERRORS.INVALID_REFRESH_TOKEN);
+
+    const now = new Date();
+    const next = generateRefreshToken(parsed.sessionId);
+
+    const session = await Session.findOneAndUpdate(
+      { _id: parsed.sessionId, refreshTokenHash: parsed.secretHash, ...activeFilter() },
+      {
+        $set: {
+          refreshTokenHash: next.secretHash,
+          lastUsedAt: now,
+          expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+          ...(ip && { 'device.ip': ip }),
+        },
+        $push: { rotatedTokenHashes: { $each: [parsed.secretHash], $slice: -ROTATED_HASHES_KEPT } },
+      },
+      { new: true }
+    ).exec();
+
+    if (session) return { session, refreshToken: next.token };
+
+    const reused = await Session.findOneAndUpdate(
+      { _id: parsed.sessionId, rotatedTokenHashes: parsed.secretHash, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: SESSION_REVOKE_REASONS.REUSE_DETECTED } }
+    ).exec();
+
+    if (reused) {
+      logger.warn(`Refresh token reuse detected: session ${parsed.sessionId} of user ${reused.userID} revoked`);
+      throw new Error(ERRORS.REFRESH_TOKEN_REUSED);
+    }
+
+    throw new Error(ERRORS.INVALID_REFRESH_TOKEN);
+  },
+
+  /**
+   * listSessions()
+   * -------------------
+   * Active sessions, most recently used first.
+   *
+   * @param {Object} payload
+   * @param {string} payload.userID
+   * @param {string} [payload.currentSessionId] - Flagged as `current`
+   * @returns {Object}
+   */
+  listSessions: async ({ userID, currentSessionId }) => {
+    const sessions = await Session.find({ userID: toId(userID), ...activeFilter() })
+      .sort({ lastUsedAt: -1 })
+      .exec();
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Sessions retrieved.',
+      data: { sessions: sessions.map((s) => toSessionView(s, currentSessionId)) },
+    };
+  },
+
+  /**
+   * revokeSession()
+   * -------------------
+   * Signs one device out. Its access tokens stop working immediately.
+   *
+   * @param {Object} payload
+   * @param {string} payload.userID
+   * @param {string} payload.sessionId
+   * @param {string} [payload.reason='revoked']
+   * @returns {Object}
+   */
+  revokeSession: async ({ userID, sessionId, reason = SESSION_REVOKE_REASONS.REVOKED }) => {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) throw new Error(ERRORS.SESSION_NOT_FOUND);
+
+    const { matchedCount } = await Session.updateOne(
+      { _id: sessionId, userID: toId(userID), ...activeFilter() },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    if (!matchedCount) throw new Error(ERRORS.SESSION_NOT_FOUND);
+
+    logger.info(`Session ${sessionId} of user ${userID} revoked (${reason})`);
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Session revoked.',
+      data: { sessionId },
+    };
+  },
+
+  /**
+   * revokeAllSessions()
+   * -------------------
+   * Signs every device out, e.g. after a password reset.
+   *
+   * @param {Object} payload
+   * @param {string} payload.userID
+   * @param {string} payload.reason - SESSION_REVOKE_REASONS value
+   * @returns {Promise<number>} Sessions revoked
+   */
+  revokeAllSessions: async ({ userID, reason }) => {
+    const { modifiedCount } = await Session.updateMany(
+      { userID: toId(userID), ...activeFilter() },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    if (modifiedCount) logger.info(`Revoked ${modifiedCount} session(s) for user ${userID} (${reason})`);
+    return modifiedCount;
+  },
+};
+
+export default SessionService;
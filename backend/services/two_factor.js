@@ -0,0 +1,301 @@
+/**
+ * TwoFactorService Module
+ * -------------------
+ * Optional TOTP two-factor authentication:
+ *  - Enrollment: a pending secret (shown as an otpauth:// URI) becomes
+ *    active once the user confirms it with a first code
+ *  - One-time recovery codes, stored hashed
+ *  - Second-factor checks for the two-step login, with replay protection
+ *  - Admins can require 2FA for an account
+ */
+
+import mongoose from 'mongoose';
+import User from '../models/user.js';
+import { SESSION_REVOKE_REASONS } from '../models/session.js';
+import { SessionService } from './session.js';
+import { logger } from '../config/index.js';
+import { STATUS } from '../utils/chat_helpers.js';
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpAuthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+} from '../utils/totp.js';
+
+// --- Constants ---
+const TOTP_ISSUER = process.env.TOTP_ISSUER ?? 'Diagnosy';
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodeHashes';
+
+const ERRORS = {
+  USER_NOT_FOUND: 'User not found.',
+  ALREADY_ENABLED: 'Two-factor authentication is already enabled.',
+  NOT_ENABLED: 'Two-factor authentication is not enabled.',
+  SETUP_NOT_STARTED: 'Start two-factor setup first.',
+  MISSING_CODE: 'Authentication code is required.',
+  INVALID_CODE: 'Invalid authentication code.',
+  INCORRECT_PASSWORD: 'Incorrect password.',
+  REQUIRED_BY_ADMIN: 'Two-factor authentication is required for this account.',
+  INVALID_REQUIRED: 'Required must be true or false.',
+};
+
+const loadUser = async (userId) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) throw new Error(ERRORS.USER_NOT_FOUND);
+  const user = await User.findById(userId).select(SECRET_FIELDS).exec();
+  if (!user) throw new Error(ERRORS.USER_NOT_FOUND);
+  return user;
+};
+
+/**
+ * Accepts a TOTP code once per time step: the step is claimed atomically,
+ * so the same code cannot complete two logins.
+ * @returns {Promise<boolean>}
+ */
+const acceptTotp = async (user, secret, code) => {
+  const step = verifyTotp(secret, code, { afterStep: user.twoFactor.lastUsedStep ?? -1 });
+  if (step === null) return false;
+
+  const { modifiedCount } = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }],
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  ).exec();
+  return modifiedCount === 1;
+};
+
+/**
+ * Consumes a recovery code (each works once).
+ * @returns {Promise<boolean>}
+ */
+const acceptRecoveryCode = async (user, code) => {
+  const hash = hashRecoveryCode(code);
+  const { modifiedCount } = await User.updateOne(
+    { _id: user._id, 'twoFactor.recoveryCodeHashes': hash },
+    { $pull: { 'twoFactor.recoveryCodeHashes': hash } }
+  ).exec();
+  return modifiedCount === 1;
+};
+
+const isTotpFormat = (code) => /^\d{6}$/.test(String(code).replace(/\s/g, ''));
+
+export const TwoFactorService = {
+  /**
+   * verifySecondFactor()
+   * -------------------
+   * Checks a six-digit TOTP code or, failing that shape, a recovery code.
+   *
+   * @param {Object} user - User document loaded with SECRET_FIELDS or by loadForLogin()
+   * @param {string} code
+   * @returns {Promise<{method: 'totp'|'recovery_code'}>}
+   */
+  verifySecondFactor: async (user, code) => {
+    if (!code || typeof code !== 'string') throw new Error(ERRORS.MISSING_CODE);
+    if (!user.twoFactor?.enabled) throw new Error(ERRORS.NOT_ENABLED);
+
+    if (isTotpFormat(code)) {
+      if (await acceptTotp(user, user.twoFactor.secret, code)) return { method: 'totp' };
+    } else if (await acceptRecoveryCode(user, code)) {
+      logger.warn(`Recovery code used by user ${user._id}`);
+      return { method: 'recovery_code' };
+    }
+
+    throw new Error(ERRORS.INVALID_CODE);
+  },
+
+  /**
+   * loadForLogin()
+   * @param {string} userId
+   * @returns {Promise<Object>} User document including 2FA secrets
+   */
+  loadForLogin: loadUser,
+
+  /**
+   * beginSetup()
+   * -------------------
+   * Creates a pending secret. Calling again replaces it.
+   *
+   * @param {Object} payload
+   * @param {string} payload.userId
+   * @returns {Object} data: { secret, otpauthUri }
+   */
+  beginSetup: async ({ userId }) => {
+    const user = await loadUser(userId);
+    if (user.twoFactor?.enabled) throw new Error(ERRORS.ALREADY_ENABLED);
+
+    const secret = generateTotpSecret();
+    user.set('twoFactor.pendingSecret', secret);
+    await user.save();
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code.',
+      data: {
+        secret,
+        otpauthUri: buildOtpAuthUri({ secret, accountName: user.username, issuer: TOTP_ISSUER }),
+      },
+    };
+  },
+
+  /**
+   * confirmSetup()
+   * -------------------
+   * Activates the pending secret once a code from it checks out, and
+   * returns the recovery codes (the only time they are shown).
+   *
+   * @param {Object} payload
+   * @param {string} payload.userId
+   * @param {string} payload.code
+   * @returns {Object} data: { recoveryCodes }
+   */
+  confirmSetup: async ({ userId, code }) => {
+    if (!code) throw new Error(ERRORS.MISSING_CODE);
+
+    const user = await loadUser(userId);
+    if (user.twoFactor?.enabled) throw new Error(ERRORS.ALREADY_ENABLED);
+
+    const pendingSecret = user.twoFactor?.pendingSecret;
+    if (!pendingSecret) throw new Error(ERRORS.SETUP_NOT_STARTED);
+
+    const step = verifyTotp(pendingSecret, code);
+    if (step === null) throw new Error(ERRORS.INVALID_CODE);
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.set({
+      'twoFactor.enabled': true,
+      'twoFactor.secret': pendingSecret,
+      'twoFactor.pendingSecret': undefined,
+      'twoFactor.recoveryCodeHashes': hashes,
+      'twoFactor.lastUsedStep': step,
+      'twoFactor.enabledAt': new Date(),
+    });
+    await user.save();
+
+    logger.info(`Two-factor authentication enabled: ${user._id}`);
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+      data: { recoveryCodes: codes },
+    };
+  },
+
+  /**
+   * disable()
+   * -------------------
+   * Turns 2FA off after re-checking the password and a code.
+   * Not allowed while an admin requires 2FA for the account.
+   *
+   * @param {Object} payload
+   * @param {string} payload.userId
+   * @param {string} payload.password
+   * @param {string} payload.code - TOTP or recovery code
+   * @returns {Object}
+   */
+  disable: async ({ userId, password, code }) => {
+    const user = await loadUser(userId);
+    if (!user.twoFactor?.enabled) throw new Error(ERRORS.NOT_ENABLED);
+    if (user.twoFactor.required) throw new Error(ERRORS.REQUIRED_BY_ADMIN);
+
+    if (!password || !(await user.comparePassword(password))) throw new Error(ERRORS.INCORRECT_PASSWORD);
+    await TwoFactorService.verifySecondFactor(user, code);
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { 'twoFactor.enabled': false },
+        $unset: {
+          'twoFactor.secret': 1,
+          'twoFactor.pendingSecret': 1,
+          'twoFactor.recoveryCodeHashes': 1,
+          'twoFactor.lastUsedStep': 1,
+          'twoFactor.enabledAt': 1,
+        },
+      }
+    ).exec();
+
+    logger.info(`Two-factor authentication disabled: ${user._id}`);
+
+    return { status: STATUS.SUCCESS, message: 'Two-factor authentication disabled.' };
+  },
+
+  /**
+   * regenerateRecoveryCodes()
+   * -------------------
+   * Replaces all recovery codes; needs a current TOTP code.
+   *
+   * @param {Object} payload
+   * @param {string} payload.userId
+   * @param {string} payload.code - TOTP code
+   * @returns {Object} data: { recoveryCodes }
+   */
+  regenerateRecoveryCodes: async ({ userId, code }) => {
+    if (!code) throw new Error(ERRORS.MISSING_CODE);
+
+    const user = await loadUser(userId);
+    if (!user.twoFactor?.enabled) throw new Error(ERRORS.NOT_ENABLED);
+    if (!isTotpFormat(code) || !(await acceptTotp(user, user.twoFactor.secret, code))) {
+      throw new Error(ERRORS.INVALID_CODE);
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodeHashes': hashes } }).exec();
+
+    logger.info(`Recovery codes regenerated: ${user._id}`);
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'New recovery codes generated. The old ones no longer work.',
+      data: { recoveryCodes: codes },
+    };
+  },
+
+  /**
+   * setRequired()
+   * -------------------
+   * Admin: require (or stop requiring) 2FA for an account. Requiring it
+   * for a user who has not enrolled signs their devices out, so their
+   * next login goes through enrollment.
+   *
+   * @param {Object} payload
+   * @param {string} payload.userId
+   * @param {boolean} payload.required
+   * @param {string} payload.adminId
+   * @returns {Object}
+   */
+  setRequired: async ({ userId, required, adminId }) => {
+    if (typeof required !== 'boolean') throw new Error(ERRORS.INVALID_REQUIRED);
+    if (!mongoose.Types.ObjectId.isValid(userId)) throw new Error(ERRORS.USER_NOT_FOUND);
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $set: { 'twoFactor.required': required } },
+      { new: true }
+    )
+      .select('twoFactor.enabled twoFactor.required')
+      .exec();
+    if (!user) throw new Error(ERRORS.USER_NOT_FOUND);
+
+    if (required && !user.twoFactor.enabled) {
+      await SessionService.revokeAllSessions({
+        userID: user._id,
+        reason: SESSION_REVOKE_REASONS.TWO_FACTOR_REQUIRED,
+      });
+    }
+
+    logger.info(`Admin ${adminId} set two-factor requirement for ${userId} to ${required}`);
+
+    return {
+      status: STATUS.SUCCESS,
+      message: required ? 'Two-factor authentication is now required.' : 'Two-factor authentication is now optional.',
+      data: {
+        userId: user._id.toString(),
+        twoFactorRequired: user.twoFactor.required,
+        twoFactorEnabled: user.twoFactor.enabled,
+      },
+    };
+  },
+};
+
+export default TwoFactorService;
@@ -0,0 +1,306 @@
+/**
+ * UsageService Module
+ * -------------------
+ * LLM token accounting and daily quotas:
+ *  - record() adds one model call to the user's day (LLMService calls it)
+ *  - getStatus() tells ChatService whether the user is over their allowance
+ *  - warningAfter() reports the reply that pushed a user past the warning line
+ *  - getUsage() / getReport() back GET /me/usage and the admin report
+ *  - setPlan() moves a user to another plan tier
+ */
+
+import mongoose from 'mongoose';
+import User from '../models/user.js';
+import TokenUsage, { USAGE_PURPOSES } from '../models/token_usage.js';
+import { logger } from '../config/index.js';
+import { STATUS, toId } from '../utils/chat_helpers.js';
+import {
+  PLANS,
+  QUOTA_STATES,
+  isValidPlan,
+  usageDay,
+  formatUsageDay,
+  parseUsageDay,
+  lastUsageDays,
+  quotaStatus,
+} from '../utils/usage_quota.js';
+
+// --- Constants ---
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_HISTORY_DAYS = 7;
+const MAX_HISTORY_DAYS = 30;
+const DEFAULT_REPORT_DAYS = 7;
+const MAX_REPORT_DAYS = 90;
+const DEFAULT_TOP_USERS = 20;
+const MAX_TOP_USERS = 100;
+
+const ERRORS = {
+  INVALID_DATE: 'Dates must be in YYYY-MM-DD format.',
+  INVALID_RANGE: `The report covers 1-${MAX_REPORT_DAYS} days; "from" must not be after "to".`,
+  INVALID_PLAN: `Plan must be one of: ${Object.values(PLANS).join(', ')}.`,
+  USER_NOT_FOUND: 'User not found.',
+};
+
+const WARNINGS = {
+  [QUOTA_STATES.WARNING]: 'You are close to your daily chat allowance. It resets at midnight UTC.',
+  [QUOTA_STATES.EXCEEDED]: 'You have used your daily chat allowance. It resets at midnight UTC.',
+};
+
+/* ───────────── Helpers ───────────── */
+
+const clamp = (value, fallback, max) => {
+  const n = Number.parseInt(value, 10);
+  return Number.isInteger(n) && n >= 1 ? Math.min(n, max) : fallback;
+};
+
+const toCounts = (doc) => {
+  const inputTokens = doc?.inputTokens ?? 0;
+  const outputTokens = doc?.outputTokens ?? 0;
+  return { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens, calls: doc?.calls ?? 0 };
+};
+
+const byPurposeOf = (doc) =>
+  Object.fromEntries(Object.values(USAGE_PURPOSES).map((purpose) => [purpose, toCounts(doc?.byPurpose?.[purpose])]));
+
+/**
+ * Shapes a quota status for clients.
+ */
+const toQuotaView = (status) => ({
+  plan: status.plan,
+  used: status.used,
+  limit: status.limit,
+  remaining: status.remaining,
+  warningAt: status.warningAt,
+  state: status.state,
+  resetsAt: status.resetsAt.toISOString(),
+});
+
+// $group accumulators totalling each counter
+const sumCounters = () => ({
+  inputTokens: { $sum: { $ifNull: ['$inputTokens', 0] } },
+  outputTokens: { $sum: { $ifNull: ['$outputTokens', 0] } },
+  calls: { $sum: { $ifNull: ['$calls', 0] } },
+  estimatedCalls: { $sum: { $ifNull: ['$estimatedCalls', 0] } },
+});
+
+export const UsageService = {
+  /**
+   * record()
+   * -------------------
+   * Adds one model call to the user's usage for today. Never throws: a
+   * failed write is logged and the call goes uncounted.
+   *
+   * @param {Object} usage
+   * @param {string} usage.userID
+   * @param {string} usage.purpose - One of USAGE_PURPOSES
+   * @param {number} usage.inputTokens
+   * @param {number} usage.outputTokens
+   * @param {boolean} [usage.estimated] - Counts were estimated, not reported
+   * @returns {Promise<void>}
+   */
+  record: async ({ userID, purpose, inputTokens, outputTokens, estimated = false }) => {
+    try {
+      await TokenUsage.record({
+        userID: toId(userID),
+        day: usageDay(),
+        purpose: Object.values(USAGE_PURPOSES).includes(purpose) ? purpose : USAGE_PURPOSES.OTHER,
+        inputTokens: Math.max(0, Math.round(inputTokens) || 0),
+        outputTokens: Math.max(0, Math.round(outputTokens) || 0),
+        estimated,
+      });
+    } catch (err) {
+      logger.error(`Failed to record token usage for user ${userID}: ${err.message}`);
+    }
+  },
+
+  /**
+   * getStatus()
+   * -------------------
+   * Today's usage against the user's plan allowance.
+   *
+   * @param {string} userID
+   * @returns {Promise<Object>} See quotaStatus() in utils/usage_quota.js
+   */
+  getStatus: async (userID) => {
+    const [user, usage] = await Promise.all([
+      User.findById(userID).select('plan').lean(),
+      TokenUsage.findOne({ userID: toId(userID), day: usageDay() }).lean(),
+    ]);
+    return quotaStatus({ plan: user?.plan, used: toCounts(usage).totalTokens });
+  },
+
+  /**
+   * warningAfter()
+   * -------------------
+   * Called once a reply has been counted. Returns the warning to show
+   * when this reply took the user past the warning line (or the
+   * allowance), so each user is warned once a day. Never throws.
+   *
+   * @param {string} userID
+   * @param {Object|null} before - getStatus() result from before the reply
+   * @returns {Promise<Object|null>}
+   */
+  warningAfter: async (userID, before) => {
+    if (before?.state !== QUOTA_STATES.OK) return null;
+    try {
+      const after = await UsageService.getStatus(userID);
+      if (after.state === QUOTA_STATES.OK) return null;
+
+      return { message: WARNINGS[after.state], ...toQuotaView(after) };
+    } catch (err) {
+      logger.error(`Failed to check token usage for user ${userID}: ${err.message}`);
+      return null;
+    }
+  },
+
+  /**
+   * getUsage()
+   * -------------------
+   * The user's allowance for today and their usage over recent days.
+   *
+   * @param {Object} payload
+   * @param {string} payload.userID
+   * @param {number|string} [payload.days=7] - History length, 1-30
+   * @returns {Object}
+   */
+  getUsage: async ({ userID, days }) => {
+    const dayList = lastUsageDays(clamp(days, DEFAULT_HISTORY_DAYS, MAX_HISTORY_DAYS));
+
+    const [status, records] = await Promise.all([
+      UsageService.getStatus(userID),
+      TokenUsage.find({ userID: toId(userID), day: { $gte: dayList[0] } }).lean(),
+    ]);
+    const byDay = new Map(records.map((r) => [formatUsageDay(r.day), r]));
+    const today = byDay.get(formatUsageDay(dayList[dayList.length - 1]));
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Usage retrieved.',
+      data: {
+        quota: toQuotaView(status),
+        today: { ...toCounts(today), byPurpose: byPurposeOf(today) },
+        history: dayList.map((day) => ({ day: formatUsageDay(day), ...toCounts(byDay.get(formatUsageDay(day))) })),
+      },
+    };
+  },
+
+  /**
+   * getReport()
+   * -------------------
+   * Admin spend report over a range of days (default: the last 7):
+   * totals, per day, per purpose and the heaviest users.
+   *
+   * @param {Object} payload
+   * @param {string} [payload.from] - YYYY-MM-DD, inclusive
+   * @param {string} [payload.to] - YYYY-MM-DD, inclusive (default today)
+   * @param {number|string} [payload.limit=20] - Top users listed, 1-100
+   * @returns {Object}
+   */
+  getReport: async ({ from, to, limit }) => {
+    const end = to === undefined ? usageDay() : parseUsageDay(to);
+    if (!end) throw new Error(ERRORS.INVALID_DATE);
+    const start =
+      from === undefined ? new Date(end.getTime() - (DEFAULT_REPORT_DAYS - 1) * DAY_MS) : parseUsageDay(from);
+    if (!start) throw new Error(ERRORS.INVALID_DATE);
+
+    const spanDays = (end - start) / DAY_MS + 1;
+    if (spanDays < 1 || spanDays > MAX_REPORT_DAYS) throw new Error(ERRORS.INVALID_RANGE);
+
+    const top = clamp(limit, DEFAULT_TOP_USERS, MAX_TOP_USERS);
+    const purposeSums = Object.fromEntries(
+      Object.values(USAGE_PURPOSES).flatMap((purpose) =>
+        ['inputTokens', 'outputTokens', 'calls'].map((field) => [
+          `${purpose}_${field}`,
+          { $sum: { $ifNull: [`$byPurpose.${purpose}.${field}`, 0] } },
+        ])
+      )
+    );
+
+    const [result] = await TokenUsage.aggregate([
+      { $match: { day: { $gte: start, $lte: end } } },
+      {
+        $facet: {
+          totals: [{ $group: { _id: null, ...sumCounters(), ...purposeSums, users: { $addToSet: '$userID' } } }],
+          byDay: [{ $group: { _id: '$day', ...sumCounters() } }, { $sort: { _id: 1 } }],
+          topUsers: [
+            { $group: { _id: '$userID', ...sumCounters() } },
+            { $addFields: { totalTokens: { $add: ['$inputTokens', '$outputTokens'] } } },
+            { $sort: { totalTokens: -1 } },
+            { $limit: top },
+          ],
+        },
+      },
+    ]);
+
+    const totals = result.totals[0];
+    const users = await User.find({ _id: { $in: result.topUsers.map((u) => u._id) } })
+      .select('username plan')
+      .lean();
+    const userById = new Map(users.map((u) => [u._id.toString(), u]));
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Usage report retrieved.',
+      data: {
+        from: formatUsageDay(start),
+        to: formatUsageDay(end),
+        totals: {
+          ...toCounts(totals),
+          estimatedCalls: totals?.estimatedCalls ?? 0,
+          users: totals?.users.length ?? 0,
+        },
+        byPurpose: Object.fromEntries(
+          Object.values(USAGE_PURPOSES).map((purpose) => [
+            purpose,
+            toCounts({
+              inputTokens: totals?.[`${purpose}_inputTokens`],
+              outputTokens: totals?.[`${purpose}_outputTokens`],
+              calls: totals?.[`${purpose}_calls`],
+            }),
+          ])
+        ),
+        byDay: result.byDay.map((d) => ({ day: formatUsageDay(d._id), ...toCounts(d) })),
+        topUsers: result.topUsers.map((u) => {
+          const user = userById.get(u._id.toString());
+          return {
+            userId: u._id.toString(),
+            username: user?.username ?? null,
+            plan: user?.plan ?? null,
+            ...toCounts(u),
+          };
+        }),
+      },
+    };
+  },
+
+  /**
+   * setPlan()
+   * -------------------
+   * Moves a user to another plan; the new allowance applies immediately.
+   *
+   * @param {Object} payload
+   * @param {string} payload.userId
+   * @param {string} payload.plan
+   * @param {string} payload.adminId
+   * @returns {Object}
+   */
+  setPlan: async ({ userId, plan, adminId }) => {
+    if (!isValidPlan(plan)) throw new Error(ERRORS.INVALID_PLAN);
+    if (!mongoose.Types.ObjectId.isValid(userId)) throw new Error(ERRORS.USER_NOT_FOUND);
+
+    const user = await User.findByIdAndUpdate(userId, { $set: { plan } }, { new: true })
+      .select('username plan')
+      .lean();
+    if (!user) throw new Error(ERRORS.USER_NOT_FOUND);
+
+    logger.info(`Admin ${adminId} set the plan of user ${userId} to ${plan}`);
+
+    return {
+      status: STATUS.SUCCESS,
+      message: 'Plan updated.',
+      data: { userId: user._id.toString(), username: user.username, plan: user.plan },
+    };
+  },
+};
+
+export default UsageService;
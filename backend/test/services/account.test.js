@@ -0,0 +1,74 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { logger } from '../../config/index.js';
+
+describe('AccountService', () => {
+  let User;
+  let accountQueue;
+  let AccountService;
+
+  before(async () => {
+    // Models encrypt with the master keys, which are read when first imported
+    process.env.ENCRYPTION_KEY_V1 ??= 'fake-key-v1-32bytes!!!!!!!!!!!';
+    process.env.ENCRYPTION_SALT_V1 ??= 'fake-salt-v1';
+
+    // The queues connect to Redis on import; close them so only stubs are used
+    const quiet = sinon.stub(logger, 'error');
+    ({ default: User } = await import('../../models/user.js'));
+    ({ accountQueue } = await import('../../jobs/queues/account_queue.js'));
+    const { reminderQueue } = await import('../../jobs/queues/reminder_queue.js');
+    const { emailQueue } = await import('../../jobs/queues/email_queue.js');
+    const { emailDeadLetterQueue } = await import('../../jobs/queues/email_dead_letter_queue.js');
+    ({ AccountService } = await import('../../services/account.js'));
+    await Promise.all([accountQueue, reminderQueue, emailQueue, emailDeadLetterQueue].map((queue) => queue.close()));
+    quiet.restore();
+  });
+
+  beforeEach(() => {
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'error');
+  });
+
+  afterEach(() => sinon.restore());
+
+  describe('checkDeletionCancel()', () => {
+    it('should look the account up without changing it', async () => {
+      const scheduledFor = new Date('2026-11-02T00:00:00Z');
+      const findOne = sinon.stub(User, 'findOne').returns({
+        select: () => ({ lean: sinon.stub().resolves({ _id: 'u1', deletion: { scheduledFor } }) }),
+      });
+      const update = sinon.stub(User, 'findOneAndUpdate');
+
+      const result = await AccountService.checkDeletionCancel({ token: 'abc' });
+
+      expect(findOne.firstCall.args[0]).to.deep.equal({ 'deletion.cancelToken': 'abc' });
+      expect(result.data).to.deep.equal({ scheduledFor });
+      expect(update.called).to.be.false;
+    });
+
+    it('should reject unknown or missing tokens', async () => {
+      sinon.stub(User, 'findOne').returns({ select: () => ({ lean: sinon.stub().resolves(null) }) });
+
+      for (const token of ['nope', undefined, { $ne: null }]) {
+        const err = await AccountService.checkDeletionCancel({ token }).catch((e) => e);
+        expect(err.message).to.equal('This cancellation link is invalid or has expired.');
+      }
+    });
+  });
+
+  describe('cancelDeletion()', () => {
+    it('should clear the schedule and remove the purge job', async () => {
+      const update = sinon.stub(User, 'findOneAndUpdate').returns({
+        select: () => ({ exec: sinon.stub().resolves({ _id: '64b000000000000000000001' }) }),
+      });
+      const job = { remove: sinon.stub().resolves() };
+      sinon.stub(accountQueue, 'getJob').resolves(job);
+
+      const result = await AccountService.cancelDeletion({ token: 'abc' });
+
+      expect(update.firstCall.args).to.deep.equal([{ 'deletion.cancelToken': 'abc' }, { $unset: { deletion: 1 } }]);
+      expect(job.remove.calledOnce).to.be.true;
+      expect(result.data).to.deep.equal({ userId: '64b000000000000000000001' });
+    });
+  });
+});
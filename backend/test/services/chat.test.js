@@ -0,0 +1,198 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import mongoose from 'mongoose';
+import { logger } from '../../config/index.js';
+import { M } from '../../utils/chat_helpers.js';
+import { resolveCrisisResources } from '../../utils/crisis_resources.js';
+
+const OWNER_ID = '64b000000000000000000001';
+const OTHER_USER_ID = '64b000000000000000000002';
+
+describe('ChatService', () => {
+  let Chat;
+  let TITLE_MAX_LENGTH;
+  let DEFAULT_TITLE;
+  let ChatService;
+  let RiskService;
+  let SafetyService;
+  let UsageService;
+  let MoodService;
+  let MemoryService;
+  let LLMService;
+
+  before(async () => {
+    // Models encrypt with the master keys, which are read when first imported
+    process.env.ENCRYPTION_KEY_V1 ??= 'fake-key-v1-32bytes!!!!!!!!!!!';
+    process.env.ENCRYPTION_SALT_V1 ??= 'fake-salt-v1';
+    ({ Chat, TITLE_MAX_LENGTH, DEFAULT_TITLE } = await import('../../models/chat.js'));
+    ({ ChatService } = await import('../../services/chat.js'));
+    ({ RiskService } = await import('../../services/risk.js'));
+    ({ SafetyService } = await import('../../services/safety.js'));
+    ({ UsageService } = await import('../../services/usage.js'));
+    ({ MoodService } = await import('../../services/mood.js'));
+    ({ MemoryService } = await import('../../services/memory.js'));
+    ({ LLMService } = await import('../../services/llm.js'));
+  });
+
+  beforeEach(() => sinon.stub(logger, 'info'));
+
+  afterEach(() => sinon.restore());
+
+  /**
+   * Stubs Chat.findOne so only the owner's filter finds the conversation.
+   */
+  const storeChat = (fields = {}) => {
+    const chat = new Chat({ userID: OWNER_ID, title: 'Sleep', ...fields });
+    sinon.stub(chat, 'save').resolves(chat);
+    sinon.stub(Chat, 'findOne').callsFake((filter) => ({
+      exec: async () =>
+        String(filter._id) === String(chat._id) && String(filter.userID) === String(chat.userID) ? chat : null,
+    }));
+    return chat;
+  };
+
+  describe('ownership', () => {
+    it("should not return another user's conversation", async () => {
+      const chat = storeChat();
+
+      const err = await ChatService.getChat({ userID: OTHER_USER_ID, chatId: chat._id.toString() }).catch((e) => e);
+      const own = await ChatService.getChat({ userID: OWNER_ID, chatId: chat._id.toString() });
+
+      expect(err.message).to.equal(M.CHAT_NOT_FOUND);
+      expect(own.data.chat.chatId).to.equal(chat._id.toString());
+    });
+
+    it("should refuse to continue another user's conversation before assessing the message", async () => {
+      const chat = storeChat();
+      const assess = sinon.stub(RiskService, 'assess');
+
+      const err = await ChatService.handleChat({
+        userID: OTHER_USER_ID,
+        chatId: chat._id.toString(),
+        message: 'hello',
+      }).catch((e) => e);
+
+      expect(err.message).to.equal(M.CHAT_NOT_FOUND);
+      expect(assess.called).to.be.false;
+    });
+
+    it("should refuse to rename or delete another user's conversation", async () => {
+      const chat = storeChat();
+      const deleteWithMessages = sinon.stub(Chat, 'deleteWithMessages');
+
+      const renamed = await ChatService.updateChat({ userID: OTHER_USER_ID, chatId: chat._id.toString(), title: 'Mine' })
+        .catch((e) => e);
+      const deleted = await ChatService.deleteChat({ userID: OTHER_USER_ID, chatId: chat._id.toString() })
+        .catch((e) => e);
+
+      expect(renamed.message).to.equal(M.CHAT_NOT_FOUND);
+      expect(deleted.message).to.equal(M.CHAT_NOT_FOUND);
+      expect(chat.save.called).to.be.false;
+      expect(deleteWithMessages.called).to.be.false;
+    });
+
+    it('should treat malformed IDs as not found', async () => {
+      const err = await ChatService.getChat({ userID: OWNER_ID, chatId: 'not-an-id' }).catch((e) => e);
+
+      expect(err.message).to.equal(M.CHAT_NOT_FOUND);
+    });
+  });
+
+  describe('listChats()', () => {
+    let find;
+
+    beforeEach(() => {
+      const query = { sort: () => query, skip: () => query, limit: () => query, exec: sinon.stub().resolves([]) };
+      find = sinon.stub(Chat, 'find').returns(query);
+      sinon.stub(Chat, 'countDocuments').resolves(0);
+    });
+
+    it("should list only the user's active conversations by default", async () => {
+      await ChatService.listChats({ userID: OWNER_ID, baseUrl: 'http://localhost/api/chats' });
+
+      const [filter] = find.firstCall.args;
+      expect(String(filter.userID)).to.equal(OWNER_ID);
+      expect(filter.archived).to.equal(false);
+    });
+
+    it('should list archived conversations only when asked', async () => {
+      await ChatService.listChats({ userID: OWNER_ID, archived: true, baseUrl: 'http://localhost/api/chats' });
+
+      expect(find.firstCall.args[0].archived).to.equal(true);
+    });
+  });
+
+  describe('titles', () => {
+    beforeEach(() => {
+      sinon.stub(Chat, 'create').callsFake(async (fields) => new Chat(fields));
+    });
+
+    it('should trim titles', async () => {
+      const { data } = await ChatService.createChat({ userID: OWNER_ID, title: '  Work stress  ' });
+
+      expect(data.chat.title).to.equal('Work stress');
+    });
+
+    it('should default the title when none is given', async () => {
+      const { data } = await ChatService.createChat({ userID: OWNER_ID });
+
+      expect(data.chat.title).to.equal(DEFAULT_TITLE);
+    });
+
+    it('should reject empty, too long or non-string titles', async () => {
+      for (const title of ['   ', 'x'.repeat(TITLE_MAX_LENGTH + 1), 42]) {
+        const err = await ChatService.createChat({ userID: OWNER_ID, title }).catch((e) => e);
+        expect(err.message).to.equal(`Conversation title must be 1-${TITLE_MAX_LENGTH} characters.`);
+      }
+    });
+
+    it('should validate titles on rename too', async () => {
+      const chat = storeChat();
+
+      const err = await ChatService.updateChat({ userID: OWNER_ID, chatId: chat._id.toString(), title: '' })
+        .catch((e) => e);
+
+      expect(err.message).to.equal(`Conversation title must be 1-${TITLE_MAX_LENGTH} characters.`);
+      expect(chat.save.called).to.be.false;
+    });
+  });
+
+  describe('first message without a chatId', () => {
+    it('should open a new session without loading any conversation', async () => {
+      const findOne = sinon.stub(Chat, 'findOne');
+      const buildContext = sinon.stub(MemoryService, 'buildContext');
+      sinon.stub(RiskService, 'assess').resolves({ level: 'none', classification: 'SAFE' });
+      sinon.stub(SafetyService, 'record').resolves(null);
+      sinon.stub(UsageService, 'getStatus').resolves(null);
+      sinon.stub(MoodService, 'recentTrend').resolves(null);
+      sinon.stub(LLMService, 'stream').returns((async function* tokens() {})());
+
+      const result = await ChatService.handleChat({ userID: OWNER_ID, message: 'I cannot sleep' });
+
+      expect(result.metadata).to.include({ isNewSession: true, chatId: undefined });
+      expect(findOne.called).to.be.false;
+      expect(buildContext.called).to.be.false;
+    });
+
+    it('should save it to a new conversation titled after the message', async () => {
+      const chat = new Chat({ userID: OWNER_ID, title: 'I cannot sleep' });
+      const addMessage = sinon.stub(chat, 'addMessage').resolves({ _id: new mongoose.Types.ObjectId() });
+      const create = sinon.stub(Chat, 'create').resolves(chat);
+      sinon.stub(Chat, 'updateOne').resolves();
+      sinon.stub(SafetyService, 'crisisResourcesFor').resolves(resolveCrisisResources());
+      sinon.stub(SafetyService, 'linkMessage').resolves();
+      sinon.stub(MemoryService, 'scheduleRefresh');
+      sinon.stub(UsageService, 'warningAfter').resolves(null);
+
+      const result = await ChatService.finalizeResponse({
+        userID: OWNER_ID,
+        input: 'I cannot   sleep',
+        aiResponse: 'That sounds hard.',
+      });
+
+      expect(create.firstCall.args[0]).to.include({ title: 'I cannot sleep' });
+      expect(addMessage.firstCall.args.slice(0, 2)).to.deep.equal(['user', 'I cannot   sleep']);
+      expect(result.data).to.include({ chatId: chat._id.toString(), isNewSession: true, isContinued: false });
+    });
+  });
+});
@@ -0,0 +1,232 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { logger } from '../../config/index.js';
+import { SmtpTransport } from '../../utils/mail_transports.js';
+import { TEMPLATE_IDS } from '../../utils/email_message.js';
+
+const resetData = { username: 'sam', resetUrl: 'https://example.com/reset/abc', expiresInMinutes: 60 };
+
+const createFailedJob = (overrides = {}) => ({
+  id: 7,
+  data: { to: 'sam@example.com', template: TEMPLATE_IDS.PASSWORD_RESET, data: resetData },
+  opts: { attempts: 5, jobId: 'passwordReset:key' },
+  attemptsMade: 5,
+  isDiscarded: () => false,
+  remove: sinon.stub().resolves(),
+  ...overrides,
+});
+
+const createDeadJob = (idempotencyJobId = 'passwordReset:key') => ({
+  id: 'dead:7',
+  data: {
+    email: { to: 'sam@example.com', template: TEMPLATE_IDS.PASSWORD_RESET, data: resetData },
+    idempotencyJobId,
+  },
+  remove: sinon.stub().resolves(),
+});
+
+describe('EmailService', () => {
+  let emailQueue;
+  let emailDeadLetterQueue;
+  let EmailService;
+
+  before(async () => {
+    // The queues connect to Redis on import; close them so only stubs are used
+    const quiet = sinon.stub(logger, 'error');
+    ({ emailQueue } = await import('../../jobs/queues/email_queue.js'));
+    ({ emailDeadLetterQueue } = await import('../../jobs/queues/email_dead_letter_queue.js'));
+    ({ EmailService } = await import('../../services/email.js'));
+    await Promise.all([emailQueue.close(), emailDeadLetterQueue.close()]);
+    quiet.restore();
+  });
+
+  beforeEach(() => {
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'warn');
+    sinon.stub(logger, 'error');
+  });
+
+  afterEach(() => sinon.restore());
+
+  describe('send()', () => {
+    it("should queue with the template's retry policy", async () => {
+      const add = sinon.stub(emailQueue, 'add').resolves({ id: 1 });
+
+      await EmailService.send({
+        to: 'sam@example.com',
+        template: TEMPLATE_IDS.CHECK_IN_REMINDER,
+        data: { username: 'sam', checkInUrl: 'https://example.com/check-in', unsubscribeUrl: 'https://example.com/u/abc' },
+      });
+
+      const options = add.firstCall.args[2];
+      expect(options).to.include({ attempts: 3, removeOnFail: false });
+      expect(options.backoff).to.deep.equal({ type: 'exponential', delay: 60000 });
+      expect(options).to.not.have.property('jobId');
+    });
+
+    it('should hash the idempotency key into the job ID', async () => {
+      sinon.stub(emailQueue, 'getJob').resolves(null);
+      const add = sinon.stub(emailQueue, 'add').resolves({ id: 1 });
+
+      await EmailService.send({
+        to: 'sam@example.com',
+        template: TEMPLATE_IDS.PASSWORD_RESET,
+        data: resetData,
+        idempotencyKey: 'secret-token',
+      });
+
+      const { jobId, attempts } = add.firstCall.args[2];
+      expect(attempts).to.equal(5);
+      expect(jobId).to.match(/^passwordReset:[0-9a-f]{32}$/);
+      expect(jobId).to.not.include('secret-token');
+    });
+
+    it('should free an idempotency key still held by a failed job', async () => {
+      const stale = { getState: sinon.stub().resolves('failed'), remove: sinon.stub().resolves() };
+      sinon.stub(emailQueue, 'getJob').resolves(stale);
+      const add = sinon.stub(emailQueue, 'add').resolves({ id: 2 });
+
+      await EmailService.send({
+        to: 'sam@example.com',
+        template: TEMPLATE_IDS.PASSWORD_RESET,
+        data: resetData,
+        idempotencyKey: 'secret-token',
+      });
+
+      expect(stale.remove.calledOnce).to.be.true;
+      expect(stale.remove.calledBefore(add)).to.be.true;
+    });
+
+    it('should reject invalid template data without queueing', async () => {
+      const add = sinon.stub(emailQueue, 'add');
+
+      const err = await EmailService.send({
+        to: 'sam@example.com',
+        template: TEMPLATE_IDS.PASSWORD_RESET,
+        data: { username: 'sam' },
+      }).catch((e) => e);
+
+      expect(err).to.be.an('error');
+      expect(add.called).to.be.false;
+    });
+  });
+
+  describe('deliver()', () => {
+    it('should mark 5xx SMTP replies as permanent', async () => {
+      sinon.stub(SmtpTransport, 'send').rejects(Object.assign(new Error('Mailbox unavailable'), { responseCode: 550 }));
+
+      const err = await EmailService.deliver({ to: 'sam@example.com', template: TEMPLATE_IDS.PASSWORD_RESET, data: resetData })
+        .catch((e) => e);
+
+      expect(err.permanent).to.be.true;
+    });
+
+    it('should leave temporary SMTP failures retryable', async () => {
+      sinon.stub(SmtpTransport, 'send').rejects(Object.assign(new Error('Try again later'), { responseCode: 421 }));
+
+      const err = await EmailService.deliver({ to: 'sam@example.com', template: TEMPLATE_IDS.PASSWORD_RESET, data: resetData })
+        .catch((e) => e);
+
+      expect(err.permanent).to.be.false;
+    });
+
+    it('should mark invalid template data as permanent', async () => {
+      const send = sinon.stub(SmtpTransport, 'send').resolves();
+
+      const err = await EmailService.deliver({ to: 'sam@example.com', template: TEMPLATE_IDS.PASSWORD_RESET, data: {} })
+        .catch((e) => e);
+
+      expect(err.permanent).to.be.true;
+      expect(send.called).to.be.false;
+    });
+  });
+
+  describe('deadLetter()', () => {
+    it('should leave jobs with attempts left alone', async () => {
+      const add = sinon.stub(emailDeadLetterQueue, 'add');
+      const job = createFailedJob({ attemptsMade: 2 });
+
+      await EmailService.deadLetter(job, new Error('timeout'));
+
+      expect(add.called).to.be.false;
+      expect(job.remove.called).to.be.false;
+    });
+
+    it('should move exhausted jobs to the dead-letter queue, then remove them', async () => {
+      const add = sinon.stub(emailDeadLetterQueue, 'add').resolves();
+      const job = createFailedJob();
+
+      await EmailService.deadLetter(job, new Error('timeout'));
+
+      const [, data, options] = add.firstCall.args;
+      expect(data).to.include({ idempotencyJobId: 'passwordReset:key', failedReason: 'timeout', attemptsMade: 5 });
+      expect(options).to.deep.equal({ jobId: 'dead:7' });
+      expect(job.remove.calledAfter(add)).to.be.true;
+    });
+
+    it('should dead-letter discarded jobs straight away', async () => {
+      const add = sinon.stub(emailDeadLetterQueue, 'add').resolves();
+
+      await EmailService.deadLetter(createFailedJob({ attemptsMade: 1, isDiscarded: () => true }), new Error('550'));
+
+      expect(add.calledOnce).to.be.true;
+    });
+
+    it('should keep the job if the dead-letter copy fails', async () => {
+      sinon.stub(emailDeadLetterQueue, 'add').rejects(new Error('redis down'));
+      const job = createFailedJob();
+
+      await EmailService.deadLetter(job, new Error('timeout'));
+
+      expect(job.remove.called).to.be.false;
+      expect(logger.error.calledOnce).to.be.true;
+    });
+  });
+
+  describe('retryFailed()', () => {
+    it('should queue the email again under its idempotency job ID', async () => {
+      const deadJob = createDeadJob();
+      sinon.stub(emailDeadLetterQueue, 'getJob').resolves(deadJob);
+      sinon.stub(emailQueue, 'getJob').resolves(null);
+      const add = sinon.stub(emailQueue, 'add').resolves({ id: 'passwordReset:key' });
+
+      const result = await EmailService.retryFailed({ id: 'dead:7', adminId: 'admin' });
+
+      expect(add.firstCall.args[2]).to.include({ jobId: 'passwordReset:key', attempts: 5 });
+      expect(deadJob.remove.calledOnce).to.be.true;
+      expect(result.message).to.equal('Email queued again.');
+    });
+
+    it('should remove a failed job still holding the idempotency job ID first', async () => {
+      const stale = { getState: sinon.stub().resolves('failed'), remove: sinon.stub().resolves() };
+      sinon.stub(emailDeadLetterQueue, 'getJob').resolves(createDeadJob());
+      sinon.stub(emailQueue, 'getJob').withArgs('passwordReset:key').resolves(stale);
+      const add = sinon.stub(emailQueue, 'add').resolves({ id: 'passwordReset:key' });
+
+      await EmailService.retryFailed({ id: 'dead:7', adminId: 'admin' });
+
+      expect(stale.remove.calledBefore(add)).to.be.true;
+    });
+
+    it('should refuse when the email has been queued again since', async () => {
+      const deadJob = createDeadJob();
+      sinon.stub(emailDeadLetterQueue, 'getJob').resolves(deadJob);
+      sinon.stub(emailQueue, 'getJob').resolves({ getState: sinon.stub().resolves('completed') });
+      const add = sinon.stub(emailQueue, 'add');
+
+      const err = await EmailService.retryFailed({ id: 'dead:7', adminId: 'admin' }).catch((e) => e);
+
+      expect(err.message).to.equal('This email has already been queued or sent again.');
+      expect(add.called).to.be.false;
+      expect(deadJob.remove.called).to.be.false;
+    });
+
+    it('should report a missing dead-letter job', async () => {
+      sinon.stub(emailDeadLetterQueue, 'getJob').resolves(null);
+
+      const err = await EmailService.retryFailed({ id: 'dead:404', adminId: 'admin' }).catch((e) => e);
+
+      expect(err.message).to.equal('Failed email not found.');
+    });
+  });
+});
@@ -0,0 +1,101 @@
+import { expect } from 'chai';
+import { createLocalProvider } from '../../services/local_llm.js';
+import { CHAT_PROMPT } from '../../utils/chat_helpers.js';
+
+const collect = async (iterable) => {
+  let text = '';
+  for await (const token of iterable) text += token;
+  return text;
+};
+
+describe('Local LLM provider', () => {
+  describe('generate()', () => {
+    it('should answer with the matching built-in rule', async () => {
+      const provider = createLocalProvider();
+      const reply = await provider.generate([{ role: 'user', content: 'I cannot sleep at night' }]);
+
+      expect(reply).to.match(/Sleep troubles/);
+    });
+
+    it('should unwrap CHAT_PROMPT before matching rules', async () => {
+      const provider = createLocalProvider();
+      const reply = await provider.generate([{ role: 'user', content: CHAT_PROMPT('I feel so anxious') }]);
+
+      expect(reply).to.match(/slow things down/);
+    });
+
+    it('should fall back when no rule matches', async () => {
+      const provider = createLocalProvider({ script: { rules: [], fallback: 'fallback reply' } });
+
+      expect(await provider.generate([{ role: 'user', content: 'hello' }])).to.equal('fallback reply');
+    });
+
+    it('should replay scripted responses in order and cycle', async () => {
+      const provider = createLocalProvider({ script: { responses: ['one', 'two'] } });
+      const messages = [{ role: 'user', content: 'anything' }];
+
+      expect(await provider.generate(messages)).to.equal('one');
+      expect(await provider.generate(messages)).to.equal('two');
+      expect(await provider.generate(messages)).to.equal('one');
+    });
+
+    it('should match scripted rules case-insensitively', async () => {
+      const provider = createLocalProvider({
+        script: { rules: [{ pattern: 'exam', reply: 'Exams are tough.' }] },
+      });
+
+      expect(await provider.generate([{ role: 'user', content: 'My EXAM is tomorrow' }])).to.equal('Exams are tough.');
+    });
+  });
+
+  describe('stream()', () => {
+    it('should stream the same text generate() would return', async () => {
+      const provider = createLocalProvider({ script: { responses: ['Take a slow breath with me.'] } });
+      const tokens = [];
+      for await (const token of provider.stream([{ role: 'user', content: 'hi' }])) tokens.push(token);
+
+      expect(tokens.length).to.be.greaterThan(1);
+      expect(tokens.join('')).to.equal('Take a slow breath with me.');
+    });
+
+    it('should honour the configured token delay', async () => {
+      const provider = createLocalProvider({ script: { responses: ['a b'] }, delayMs: 5 });
+      const start = Date.now();
+      const text = await collect(provider.stream([{ role: 'user', content: 'hi' }]));
+
+      expect(text).to.equal('a b');
+      expect(Date.now() - start).to.be.at.least(8);
+    });
+
+    it('should stop streaming once the signal aborts', async () => {
+      const provider = createLocalProvider({ script: { responses: ['one two three four'] }, delayMs: 1 });
+      const controller = new AbortController();
+      const tokens = [];
+
+      for await (const token of provider.stream([{ role: 'user', content: 'hi' }], { signal: controller.signal })) {
+        tokens.push(token);
+        if (tokens.length === 2) controller.abort();
+      }
+
+      expect(tokens.join('')).to.equal('one two ');
+    });
+
+    it('should yield nothing when the signal is already aborted', async () => {
+      const provider = createLocalProvider({ script: { responses: ['one two'] } });
+      const controller = new AbortController();
+      controller.abort();
+
+      expect(await collect(provider.stream([], { signal: controller.signal }))).to.equal('');
+    });
+  });
+
+  describe('classify()', () => {
+    it('should classify blocked, crisis and safe messages', async () => {
+      const provider = createLocalProvider();
+
+      expect(await provider.classify('Tell me a joke')).to.equal('OFF_TOPIC');
+      expect(await provider.classify('I want to die')).to.equal('CRISIS');
+      expect(await provider.classify('I feel stressed')).to.equal('SAFE');
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { logger } from '../../config/index.js';
+
+describe('MemoryService', () => {
+  let Chat;
+  let Message;
+  let MemoryService;
+  let LLMService;
+
+  before(async () => {
+    // Models encrypt with the master keys, which are read when first imported
+    process.env.ENCRYPTION_KEY_V1 ??= 'fake-key-v1-32bytes!!!!!!!!!!!';
+    process.env.ENCRYPTION_SALT_V1 ??= 'fake-salt-v1';
+    ({ Chat, Message } = await import('../../models/chat.js'));
+    ({ MemoryService } = await import('../../services/memory.js'));
+    ({ LLMService } = await import('../../services/llm.js'));
+  });
+
+  afterEach(() => sinon.restore());
+
+  describe('buildContext()', () => {
+    it('should give the model decrypted history', async () => {
+      const chat = new Chat({ userID: '64b000000000000000000001' });
+      const stored = [
+        new Message({ chatId: chat._id, userID: chat.userID, role: 'assistant', content: 'How did that feel?' }),
+        new Message({ chatId: chat._id, userID: chat.userID, role: 'user', content: 'Work has been stressful' }),
+      ];
+      expect(stored[0].get('content', null, { getters: false })).to.not.include('How did that feel?');
+
+      // Lean results carry the stored (encrypted) values
+      const query = {
+        sort: () => query,
+        skip: () => query,
+        limit: () => query,
+        lean: sinon.stub().resolves(stored.map((m) => m.toObject({ getters: false }))),
+        exec: sinon.stub().resolves(stored),
+      };
+      sinon.stub(Message, 'find').returns(query);
+
+      const context = await MemoryService.buildContext(chat, 'And now I cannot sleep');
+
+      expect(context).to.deep.equal([
+        { role: 'user', content: 'Work has been stressful' },
+        { role: 'assistant', content: 'How did that feel?' },
+        { role: 'user', content: 'And now I cannot sleep' },
+      ]);
+    });
+  });
+
+  describe('refreshSummary()', () => {
+    let chat;
+    let query;
+    let find;
+
+    const storedMessages = (count, timestamp) =>
+      Array.from({ length: count }, (_, i) =>
+        new Message({ chatId: chat._id, userID: chat.userID, role: i % 2 ? 'assistant' : 'user', content: `m${i}`, timestamp })
+      );
+
+    beforeEach(() => {
+      chat = new Chat({ userID: '64b000000000000000000001' });
+      sinon.stub(chat, 'save').resolves(chat);
+      sinon.stub(Chat, 'findById').returns({ exec: sinon.stub().resolves(chat) });
+      query = { sort: sinon.stub().returnsThis(), limit: sinon.stub().returnsThis(), exec: sinon.stub().resolves([]) };
+      find = sinon.stub(Message, 'find').returns(query);
+      sinon.stub(LLMService, 'generate').resolves(' Summary so far. ');
+      sinon.stub(logger, 'info');
+    });
+
+    it('should load a bounded number of messages, oldest first', async () => {
+      await MemoryService.refreshSummary(chat._id);
+
+      expect(query.sort.firstCall.args[0]).to.deep.equal({ timestamp: 1, _id: 1 });
+      expect(query.limit.calledOnce).to.be.true;
+      expect(query.limit.firstCall.args[0]).to.be.a('number').and.be.at.most(1000);
+    });
+
+    it('should remember the last message folded in by timestamp and _id', async () => {
+      const sameMillisecond = new Date('2026-10-01T10:00:00.000Z');
+      const messages = storedMessages(40, sameMillisecond);
+      query.exec.resolves(messages);
+
+      expect(await MemoryService.refreshSummary(chat._id)).to.be.true;
+
+      const last = messages[19];
+      expect(chat.summary).to.equal('Summary so far.');
+      expect(chat.summarizedUntil.getTime()).to.equal(sameMillisecond.getTime());
+      expect(String(chat.summarizedUntilId)).to.equal(String(last._id));
+    });
+
+    it('should pick up messages sharing the last folded timestamp', async () => {
+      const until = new Date('2026-10-01T10:00:00.000Z');
+      chat.summarizedUntil = until;
+      chat.summarizedUntilId = storedMessages(1, until)[0]._id;
+
+      await MemoryService.refreshSummary(chat._id);
+
+      expect(find.firstCall.args[0]).to.deep.equal({
+        chatId: chat._id,
+        $or: [{ timestamp: { $gt: until } }, { timestamp: until, _id: { $gt: chat.summarizedUntilId } }],
+      });
+    });
+
+    it('should wait until enough messages have aged out', async () => {
+      query.exec.resolves(storedMessages(25, new Date()));
+
+      expect(await MemoryService.refreshSummary(chat._id)).to.be.false;
+      expect(LLMService.generate.called).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,148 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { logger } from '../../config/index.js';
+
+describe('ReminderService', () => {
+  let Reminder;
+  let reminderQueue;
+  let ReminderService;
+
+  before(async () => {
+    // Models encrypt with the master keys, which are read when first imported
+    process.env.ENCRYPTION_KEY_V1 ??= 'fake-key-v1-32bytes!!!!!!!!!!!';
+    process.env.ENCRYPTION_SALT_V1 ??= 'fake-salt-v1';
+
+    // The queues connect to Redis on import; close them so only stubs are used
+    const quiet = sinon.stub(logger, 'error');
+    ({ default: Reminder } = await import('../../models/reminder.js'));
+    ({ reminderQueue } = await import('../../jobs/queues/reminder_queue.js'));
+    const { emailQueue } = await import('../../jobs/queues/email_queue.js');
+    const { emailDeadLetterQueue } = await import('../../jobs/queues/email_dead_letter_queue.js');
+    ({ ReminderService } = await import('../../services/reminder.js'));
+    await Promise.all([reminderQueue.close(), emailQueue.close(), emailDeadLetterQueue.close()]);
+    quiet.restore();
+  });
+
+  afterEach(() => sinon.restore());
+
+  describe('updateReminder()', () => {
+    let reminder;
+
+    beforeEach(() => {
+      sinon.stub(logger, 'error');
+      reminder = new Reminder({
+        userID: '64b000000000000000000001',
+        frequency: 'daily',
+        time: '09:00',
+        timezone: 'UTC',
+        cron: '0 9 * * *',
+      });
+      sinon.stub(reminder, 'save').resolves(reminder);
+      sinon.stub(Reminder, 'findOne').returns({ exec: sinon.stub().resolves(reminder) });
+    });
+
+    const update = (changes) =>
+      ReminderService.updateReminder({ userID: reminder.userID.toString(), reminderId: reminder._id.toString(), ...changes });
+
+    it('should add the new job before removing the old one', async () => {
+      const add = sinon.stub(reminderQueue, 'add').resolves();
+      const remove = sinon.stub(reminderQueue, 'removeRepeatable').resolves();
+
+      await update({ time: '18:30' });
+
+      expect(add.firstCall.args[2].repeat).to.deep.equal({ cron: '30 18 * * *', tz: 'UTC' });
+      expect(remove.calledOnce).to.be.true;
+      expect(remove.firstCall.args[1]).to.include({ cron: '0 9 * * *', tz: 'UTC' });
+      expect(remove.calledAfter(reminder.save)).to.be.true;
+    });
+
+    it('should keep the old job when scheduling the new one fails', async () => {
+      sinon.stub(reminderQueue, 'add').rejects(new Error('redis down'));
+      const remove = sinon.stub(reminderQueue, 'removeRepeatable').resolves();
+
+      const err = await update({ time: '18:30' }).catch((e) => e);
+
+      expect(err.message).to.equal('Could not schedule the reminder. Please try again later.');
+      expect(remove.called).to.be.false;
+      expect(reminder.save.called).to.be.false;
+    });
+
+    it('should drop the new job and keep the old one when saving fails', async () => {
+      sinon.stub(reminderQueue, 'add').resolves();
+      const remove = sinon.stub(reminderQueue, 'removeRepeatable').resolves();
+      reminder.save.rejects(new Error('mongo down'));
+
+      const err = await update({ time: '18:30' }).catch((e) => e);
+
+      expect(err.message).to.equal('mongo down');
+      expect(remove.calledOnce).to.be.true;
+      expect(remove.firstCall.args[1]).to.include({ cron: '30 18 * * *' });
+    });
+
+    it('should not remove the job when the schedule is unchanged', async () => {
+      sinon.stub(reminderQueue, 'add').resolves();
+      const remove = sinon.stub(reminderQueue, 'removeRepeatable').resolves();
+
+      await update({ channels: { email: false } });
+
+      expect(remove.called).to.be.false;
+    });
+
+    it('should remove the job when the reminder is disabled', async () => {
+      const add = sinon.stub(reminderQueue, 'add').resolves();
+      const remove = sinon.stub(reminderQueue, 'removeRepeatable').resolves();
+
+      await update({ enabled: false });
+
+      expect(add.called).to.be.false;
+      expect(remove.calledOnce).to.be.true;
+      expect(reminder.cron).to.be.undefined;
+    });
+  });
+
+  describe('checkUnsubscribe() / unsubscribe()', () => {
+    let reminder;
+
+    beforeEach(() => {
+      sinon.stub(logger, 'info');
+      sinon.stub(logger, 'error');
+      reminder = new Reminder({
+        userID: '64b000000000000000000001',
+        frequency: 'daily',
+        time: '09:00',
+        timezone: 'UTC',
+        cron: '0 9 * * *',
+      });
+      sinon.stub(reminder, 'save').resolves(reminder);
+      sinon.stub(Reminder, 'findOne').returns({ exec: sinon.stub().resolves(reminder) });
+    });
+
+    it('should look the reminder up without changing it', async () => {
+      const remove = sinon.stub(reminderQueue, 'removeRepeatable').resolves();
+
+      const result = await ReminderService.checkUnsubscribe({ token: reminder.unsubscribeToken });
+
+      expect(result.data).to.deep.equal({ reminderId: reminder._id.toString(), enabled: true });
+      expect(reminder.save.called).to.be.false;
+      expect(remove.called).to.be.false;
+    });
+
+    it('should disable the reminder and remove its job', async () => {
+      const remove = sinon.stub(reminderQueue, 'removeRepeatable').resolves();
+
+      await ReminderService.unsubscribe({ token: reminder.unsubscribeToken });
+
+      expect(reminder.enabled).to.be.false;
+      expect(reminder.save.calledOnce).to.be.true;
+      expect(remove.firstCall.args[1]).to.include({ cron: '0 9 * * *' });
+    });
+
+    it('should reject unknown tokens', async () => {
+      Reminder.findOne.returns({ exec: sinon.stub().resolves(null) });
+
+      const err = await ReminderService.checkUnsubscribe({ token: 'nope' }).catch((e) => e);
+
+      expect(err.message).to.equal('This unsubscribe link is invalid.');
+    });
+  });
+});
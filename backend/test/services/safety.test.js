@@ -0,0 +1,56 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+// Query stub answering both .exec() (documents) and .lean() (stored values)
+const queryOf = (doc) => {
+  const query = {
+    sort: () => query,
+    exec: sinon.stub().resolves(doc),
+    lean: sinon.stub().resolves(doc?.toObject({ getters: false }) ?? null),
+  };
+  return query;
+};
+
+describe('SafetyService', () => {
+  let Message;
+  let SafetyEvent;
+  let SafetyService;
+
+  before(async () => {
+    // Models encrypt with the master keys, which are read when first imported
+    process.env.ENCRYPTION_KEY_V1 ??= 'fake-key-v1-32bytes!!!!!!!!!!!';
+    process.env.ENCRYPTION_SALT_V1 ??= 'fake-salt-v1';
+    ({ Message } = await import('../../models/chat.js'));
+    ({ default: SafetyEvent } = await import('../../models/safety_event.js'));
+    ({ SafetyService } = await import('../../services/safety.js'));
+  });
+
+  afterEach(() => sinon.restore());
+
+  describe('getEvent()', () => {
+    it('should show reviewers the flagged exchange decrypted', async () => {
+      const userID = '64b000000000000000000001';
+      const chatId = '64b000000000000000000002';
+      const flagged = new Message({ chatId, userID, role: 'user', content: 'I feel hopeless', riskLevel: 'elevated' });
+      const reply = new Message({ chatId, userID, role: 'assistant', content: 'I am here with you.' });
+      const event = new SafetyEvent({
+        userID,
+        chatId,
+        messageId: flagged._id,
+        source: 'chat',
+        riskLevel: 'elevated',
+      });
+
+      sinon.stub(SafetyEvent, 'findById').returns(queryOf(event));
+      sinon.stub(Message, 'findById').returns(queryOf(flagged));
+      sinon.stub(Message, 'findOne').returns(queryOf(reply));
+
+      const result = await SafetyService.getEvent({ eventId: event._id.toString() });
+
+      expect(result.data.exchange.map((m) => [m.role, m.content])).to.deep.equal([
+        ['user', 'I feel hopeless'],
+        ['assistant', 'I am here with you.'],
+      ]);
+    });
+  });
+});
@@ -0,0 +1,208 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import mongoose from 'mongoose';
+import Session, {
+  MAX_SESSIONS_PER_USER,
+  ROTATED_HASHES_KEPT,
+  SESSION_REVOKE_REASONS,
+} from '../../models/session.js';
+import { logger } from '../../config/index.js';
+import { parseRefreshToken } from '../../utils/sessions.js';
+import { SessionService } from '../../services/session.js';
+
+const USER_ID = '64b000000000000000000001';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Minimal in-memory stand-in for the Session queries the service runs.
+ */
+const createFakeSessions = () => {
+  const docs = [];
+
+  const matches = (doc, filter) =>
+    Object.entries(filter).every(([key, cond]) => {
+      const value = doc[key];
+      if (cond === null) return value == null;
+      if (cond?.$in) return cond.$in.some((id) => String(id) === String(value));
+      if (cond?.$gt) return value > cond.$gt;
+      if (Array.isArray(value)) return value.includes(cond);
+      return String(value) === String(cond);
+    });
+
+  const apply = (doc, { $set = {}, $push = {} }) => {
+    Object.entries($set).forEach(([path, value]) => {
+      const [field, nested] = path.split('.');
+      if (nested) doc[field] = { ...doc[field], [nested]: value };
+      else doc[field] = value;
+    });
+    Object.entries($push).forEach(([field, { $each, $slice }]) => {
+      doc[field] = [...(doc[field] ?? []), ...$each].slice($slice);
+    });
+  };
+
+  sinon.stub(Session.prototype, 'save').callsFake(async function save() {
+    docs.push(this.toObject());
+    return this;
+  });
+
+  sinon.stub(Session, 'findOneAndUpdate').callsFake((filter, update) => ({
+    exec: async () => {
+      const doc = docs.find((d) => matches(d, filter));
+      if (!doc) return null;
+      apply(doc, update);
+      return { ...doc };
+    },
+  }));
+
+  sinon.stub(Session, 'updateMany').callsFake(async (filter, update) => {
+    const matched = docs.filter((d) => matches(d, filter));
+    matched.forEach((d) => apply(d, update));
+    return { matchedCount: matched.length, modifiedCount: matched.length };
+  });
+
+  sinon.stub(Session, 'find').callsFake((filter) => {
+    let results = docs.filter((d) => matches(d, filter));
+    const query = {
+      sort: (spec) => {
+        const [[field, order]] = Object.entries(spec);
+        results = [...results].sort((a, b) => (a[field] - b[field]) * order);
+        return query;
+      },
+      skip: (n) => {
+        results = results.slice(n);
+        return query;
+      },
+      select: () => query,
+      lean: async () => results.map((d) => ({ ...d })),
+      exec: async () => results,
+    };
+    return query;
+  });
+
+  return {
+    docs,
+    byId: (id) => docs.find((d) => String(d._id) === String(id)),
+    insert: (fields) => {
+      const doc = {
+        _id: new mongoose.Types.ObjectId(),
+        userID: new mongoose.Types.ObjectId(USER_ID),
+        refreshTokenHash: 'hash',
+        rotatedTokenHashes: [],
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + DAY_MS),
+        revokedAt: null,
+        ...fields,
+      };
+      docs.push(doc);
+      return doc;
+    },
+  };
+};
+
+describe('SessionService', () => {
+  let sessions;
+
+  beforeEach(() => {
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'warn');
+    sessions = createFakeSessions();
+  });
+
+  afterEach(() => sinon.restore());
+
+  describe('create()', () => {
+    it('should store only a hash of the refresh token', async () => {
+      const { sessionId, refreshToken } = await SessionService.create({ userID: USER_ID, userAgent: 'Firefox/120' });
+
+      const parsed = parseRefreshToken(refreshToken);
+      expect(parsed.sessionId).to.equal(sessionId);
+      expect(sessions.byId(sessionId).refreshTokenHash).to.equal(parsed.secretHash);
+      expect(JSON.stringify(sessions.docs)).to.not.include(refreshToken.split('.')[1]);
+    });
+
+    it('should revoke the least recently used sessions over the cap', async () => {
+      const existing = Array.from({ length: MAX_SESSIONS_PER_USER }, (_, i) =>
+        sessions.insert({ lastUsedAt: new Date(Date.now() - (i + 1) * DAY_MS) })
+      );
+
+      await SessionService.create({ userID: USER_ID });
+
+      const oldest = existing[existing.length - 1];
+      expect(sessions.byId(oldest._id)).to.include({ revokedReason: SESSION_REVOKE_REASONS.SESSION_LIMIT });
+      expect(sessions.docs.filter((d) => !d.revokedAt)).to.have.length(MAX_SESSIONS_PER_USER);
+    });
+
+    it('should revoke nothing under the cap', async () => {
+      sessions.insert({});
+
+      await SessionService.create({ userID: USER_ID });
+
+      expect(Session.updateMany.called).to.be.false;
+    });
+  });
+
+  describe('rotate()', () => {
+    let first;
+
+    beforeEach(async () => {
+      first = await SessionService.create({ userID: USER_ID });
+    });
+
+    it('should exchange the refresh token for a new one', async () => {
+      const { refreshToken } = await SessionService.rotate({ refreshToken: first.refreshToken, ip: '10.0.0.2' });
+
+      const stored = sessions.byId(first.sessionId);
+      expect(refreshToken).to.not.equal(first.refreshToken);
+      expect(stored.refreshTokenHash).to.equal(parseRefreshToken(refreshToken).secretHash);
+      expect(stored.rotatedTokenHashes).to.deep.equal([parseRefreshToken(first.refreshToken).secretHash]);
+      expect(stored.device.ip).to.equal('10.0.0.2');
+    });
+
+    it('should revoke the session when a rotated token is replayed', async () => {
+      const { refreshToken: second } = await SessionService.rotate({ refreshToken: first.refreshToken });
+
+      const replay = await SessionService.rotate({ refreshToken: first.refreshToken }).catch((e) => e);
+      const afterwards = await SessionService.rotate({ refreshToken: second }).catch((e) => e);
+
+      expect(replay.message).to.equal('Refresh token reuse detected. Please log in again.');
+      expect(sessions.byId(first.sessionId)).to.include({ revokedReason: SESSION_REVOKE_REASONS.REUSE_DETECTED });
+      expect(afterwards.message).to.equal('Invalid or expired refresh token. Please log in again.');
+    });
+
+    it('should reject an expired session', async () => {
+      sessions.byId(first.sessionId).expiresAt = new Date(Date.now() - 1000);
+
+      const err = await SessionService.rotate({ refreshToken: first.refreshToken }).catch((e) => e);
+
+      expect(err.message).to.equal('Invalid or expired refresh token. Please log in again.');
+    });
+
+    it('should reject a revoked session', async () => {
+      sessions.byId(first.sessionId).revokedAt = new Date();
+
+      const err = await SessionService.rotate({ refreshToken: first.refreshToken }).catch((e) => e);
+
+      expect(err.message).to.equal('Invalid or expired refresh token. Please log in again.');
+    });
+
+    it('should reject malformed tokens without a lookup', async () => {
+      const err = await SessionService.rotate({ refreshToken: 'not-a-token' }).catch((e) => e);
+
+      expect(err.message).to.equal('Invalid or expired refresh token. Please log in again.');
+      expect(Session.findOneAndUpdate.called).to.be.false;
+    });
+
+    it(`should keep only the last ${ROTATED_HASHES_KEPT} rotated hashes`, async () => {
+      const used = [first.refreshToken];
+      for (let i = 0; i < ROTATED_HASHES_KEPT + 2; i += 1) {
+        const { refreshToken } = await SessionService.rotate({ refreshToken: used[used.length - 1] });
+        used.push(refreshToken);
+      }
+
+      const { rotatedTokenHashes } = sessions.byId(first.sessionId);
+      expect(rotatedTokenHashes).to.have.length(ROTATED_HASHES_KEPT);
+      expect(rotatedTokenHashes).to.not.include(parseRefreshToken(used[0]).secretHash);
+      expect(rotatedTokenHashes[ROTATED_HASHES_KEPT - 1]).to.equal(parseRefreshToken(used[used.length - 2]).secretHash);
+    });
+  });
+});
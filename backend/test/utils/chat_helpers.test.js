@@ -4,14 +4,15 @@ import mongoose from 'mongoose';
 import {
   STATUS,
   M,
-  DISCLAIMER,
-  CRISIS_RESPONSE,
   CLASSIFICATION_PROMPT,
   CHAT_PROMPT,
   CONTINUE_PROMPT,
+  SUMMARY_PROMPT,
+  MEMORY_PROMPT,
   toId,
   isCrisis,
   isBlocked,
+  parseClassification,
 } from '../../utils/chat_helpers.js';
 
 describe('Chat Helpers', () => {
@@ -41,18 +42,6 @@ describe('Chat Helpers', () => {
         REFUSAL: "I specialize in stress, anxiety, and emotional well-being. Please share how you're feeling.",
       });
     });
-
-    it('should export DISCLAIMER correctly', () => {
-      expect(DISCLAIMER).to.equal(
-        "I'm not a therapist or doctor, but I can help give you first aid before you see a doctor. For crisis or suicidal thoughts, please contact +234 800 2255 6362 for proper direction."
-      );
-    });
-
-    it('should export CRISIS_RESPONSE correctly', () => {
-      expect(CRISIS_RESPONSE).to.equal(
-        "I'm really concerned about what you just shared. **Please reach out for immediate help**: Call +234 800 2255 6362 to direct you to nearest help available. You're not alone."
-      );
-    });
   });
 
   describe('Prompt Generators', () => {
@@ -89,7 +78,25 @@ Crisis Response: "I'm really concerned about what you just shared. **Please reac
 
 User: "I can’t sleep"
 `.trim();
-      expect(CONTINUE_PROMPT(recentHistory, input)).to.equal(expected);
+      const crisisResponse = "I'm really concerned about what you just shared. **Please reach out for immediate help**: Call +234 800 2255 6362 to direct you to nearest help available. You're not alone.";
+      expect(CONTINUE_PROMPT(recentHistory, input, crisisResponse)).to.equal(expected);
+    });
+  });
+
+  describe('Memory Prompts', () => {
+    it('should include the previous summary and transcript in SUMMARY_PROMPT', () => {
+      const prompt = SUMMARY_PROMPT('The user struggles with sleep.', 'user: still awake at 3am');
+
+      expect(prompt).to.include('Current summary: "The user struggles with sleep."');
+      expect(prompt).to.include('user: still awake at 3am');
+    });
+
+    it('should mark a missing summary in SUMMARY_PROMPT', () => {
+      expect(SUMMARY_PROMPT(undefined, 'user: hi')).to.include('Current summary: "None yet."');
+    });
+
+    it('should wrap the summary in MEMORY_PROMPT', () => {
+      expect(MEMORY_PROMPT('The user is stressed at work.')).to.match(/Summary of earlier parts[\s\S]*The user is stressed at work\.$/);
     });
   });
 
@@ -158,5 +165,18 @@ User: "I can’t sleep"
         });
       });
     });
+
+    describe('parseClassification', () => {
+      it('should map classifier replies to tags', () => {
+        expect(parseClassification('OFF_TOPIC')).to.equal('OFF_TOPIC');
+        expect(parseClassification(' crisis\n')).to.equal('CRISIS');
+        expect(parseClassification('[SAFE]')).to.equal('SAFE');
+      });
+
+      it('should default to SAFE for unrecognised or empty replies', () => {
+        expect(parseClassification('I am not sure')).to.equal('SAFE');
+        expect(parseClassification(undefined)).to.equal('SAFE');
+      });
+    });
   });
 });
@@ -0,0 +1,108 @@
+import { expect } from 'chai';
+import {
+  CRISIS_RESOURCES,
+  HELPLINE_DIRECTORY_URL,
+  resolveCrisisResources,
+  crisisResponse,
+  disclaimer,
+  isValidRegion,
+  isValidLocale,
+} from '../../utils/crisis_resources.js';
+
+const NIGERIAN_HOTLINE = '+234 800 2255 6362';
+
+describe('Crisis Resources', () => {
+  describe('resolveCrisisResources()', () => {
+    it('should use the user region first', () => {
+      const resources = resolveCrisisResources({ region: 'gb', locale: 'en-NG' });
+
+      expect(resources.region).to.equal('GB');
+      expect(resources.emergency).to.equal('999');
+      expect(resources.hotlines).to.deep.equal(CRISIS_RESOURCES.GB.hotlines);
+    });
+
+    it('should fall back to the region part of the locale', () => {
+      expect(resolveCrisisResources({ locale: 'en-KE' }).region).to.equal('KE');
+      expect(resolveCrisisResources({ locale: 'fr_CA' }).region).to.equal('CA');
+    });
+
+    it('should return international resources for unknown regions', () => {
+      const resources = resolveCrisisResources({ region: 'ZZ' });
+
+      expect(resources.region).to.be.null;
+      expect(resources.emergency).to.be.null;
+      expect(resources.hotlines).to.be.empty;
+      expect(resources.directory).to.equal(HELPLINE_DIRECTORY_URL);
+    });
+
+    it('should pick a supported language and default to English', () => {
+      expect(resolveCrisisResources({ locale: 'fr-FR' }).language).to.equal('fr');
+      expect(resolveCrisisResources({ locale: 'sw-KE' }).language).to.equal('en');
+      expect(resolveCrisisResources().language).to.equal('en');
+    });
+  });
+
+  describe('crisisResponse()', () => {
+    it('should list the local hotline, text line and emergency number', () => {
+      const text = crisisResponse(resolveCrisisResources({ region: 'GB' }));
+
+      expect(text).to.include('call Samaritans on 116 123');
+      expect(text).to.include('text SHOUT to 85258');
+      expect(text).to.include('dial 999 in an emergency');
+    });
+
+    it('should never give the Nigerian hotline outside Nigeria', () => {
+      ['GH', 'GB', 'US', 'ZZ', undefined].forEach((region) => {
+        const resources = resolveCrisisResources({ region });
+        expect(crisisResponse(resources)).to.not.include(NIGERIAN_HOTLINE);
+        expect(disclaimer(resources)).to.not.include(NIGERIAN_HOTLINE);
+      });
+    });
+
+    it('should keep the Nigerian hotline for Nigerian users', () => {
+      expect(crisisResponse(resolveCrisisResources({ region: 'NG' }))).to.include(NIGERIAN_HOTLINE);
+    });
+
+    it('should point to the helpline directory when there is no local hotline', () => {
+      const text = crisisResponse(resolveCrisisResources({ region: 'GH' }));
+
+      expect(text).to.include(HELPLINE_DIRECTORY_URL);
+      expect(text).to.include('dial 112 in an emergency');
+    });
+
+    it('should write the message in the user language', () => {
+      const text = crisisResponse(resolveCrisisResources({ locale: 'fr-FR' }));
+
+      expect(text).to.include('appelez le numéro national de prévention du suicide au 3114');
+      expect(text).to.include("composez le 112 en cas d'urgence");
+    });
+  });
+
+  describe('disclaimer()', () => {
+    it('should include the local contacts', () => {
+      const text = disclaimer(resolveCrisisResources({ region: 'US' }));
+
+      expect(text).to.match(/^I'm not a therapist or doctor/);
+      expect(text).to.include('call the 988 Suicide & Crisis Lifeline on 988');
+      expect(text).to.include('dial 911 in an emergency');
+    });
+
+    it('should ask unknown regions to contact local emergency services', () => {
+      expect(disclaimer(resolveCrisisResources())).to.include('contact your local emergency number');
+    });
+  });
+
+  describe('validation', () => {
+    it('should accept two-letter regions only', () => {
+      expect(isValidRegion('gh')).to.be.true;
+      expect(isValidRegion('GHA')).to.be.false;
+      expect(isValidRegion(undefined)).to.be.false;
+    });
+
+    it('should accept simple locales only', () => {
+      expect(isValidLocale('en')).to.be.true;
+      expect(isValidLocale('en-GB')).to.be.true;
+      expect(isValidLocale('english')).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,124 @@
+import { expect } from 'chai';
+import zlib from 'zlib';
+import {
+  createTarGz,
+  slugify,
+  conversationToMarkdown,
+  conversationFileName,
+  summaryToMarkdown,
+} from '../../utils/data_export.js';
+
+/**
+ * Minimal ustar reader: returns [{name, content, header}] from a tar buffer.
+ */
+const readTar = (tar) => {
+  const entries = [];
+  let offset = 0;
+  while (offset + 512 <= tar.length) {
+    const header = tar.subarray(offset, offset + 512);
+    if (header.every((b) => b === 0)) break;
+    const name = header.subarray(0, 100).toString('utf8').replace(/\0.*$/s, '');
+    const size = parseInt(header.subarray(124, 136).toString('ascii'), 8);
+    const content = tar.subarray(offset + 512, offset + 512 + size).toString('utf8');
+    entries.push({ name, content, header });
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  return entries;
+};
+
+const emptyData = {
+  exportedAt: new Date('2026-03-01T10:00:00Z'),
+  profile: { username: 'ada', email: 'ada@example.com', emailVerified: true, createdAt: new Date('2025-01-01T00:00:00Z') },
+  conversations: [],
+  moodEntries: [],
+  assessments: [],
+  exerciseSessions: [],
+  reminders: [],
+};
+
+describe('Data Export Helpers', () => {
+  describe('createTarGz()', () => {
+    it('should produce a gzipped tar with each file and its contents', () => {
+      const archive = createTarGz([
+        { name: 'export.json', content: '{"a":1}' },
+        { name: 'conversations/001-hello.md', content: '# Héllo\n' },
+      ]);
+
+      const entries = readTar(zlib.gunzipSync(archive));
+      expect(entries.map((e) => e.name)).to.deep.equal(['export.json', 'conversations/001-hello.md']);
+      expect(entries[0].content).to.equal('{"a":1}');
+      expect(entries[1].content).to.equal('# Héllo\n');
+    });
+
+    it('should write valid ustar headers with checksums', () => {
+      const [{ header }] = readTar(zlib.gunzipSync(createTarGz([{ name: 'a.txt', content: 'x' }])));
+
+      expect(header.subarray(257, 262).toString('ascii')).to.equal('ustar');
+      const stored = parseInt(header.subarray(148, 156).toString('ascii'), 8);
+      const blanked = Buffer.from(header);
+      blanked.fill(' ', 148, 156);
+      expect(stored).to.equal(blanked.reduce((sum, b) => sum + b, 0));
+    });
+
+    it('should end with two zero blocks and keep data 512-byte aligned', () => {
+      const tar = zlib.gunzipSync(createTarGz([{ name: 'a.txt', content: 'x'.repeat(600) }]));
+      expect(tar.length % 512).to.equal(0);
+      expect(tar.subarray(-1024).every((b) => b === 0)).to.be.true;
+    });
+
+    it('should reject paths longer than 100 bytes', () => {
+      expect(() => createTarGz([{ name: `${'a'.repeat(101)}.md`, content: '' }])).to.throw('Archive path too long');
+    });
+  });
+
+  describe('slugify() / conversationFileName()', () => {
+    it('should build short, safe file names', () => {
+      expect(slugify('Work stress!  (again)')).to.equal('work-stress-again');
+      expect(slugify('Café à Lagos')).to.equal('cafe-a-lagos');
+      expect(slugify('???')).to.equal('untitled');
+      expect(slugify('x'.repeat(80))).to.have.length(40);
+      expect(conversationFileName(2, 'Work stress')).to.equal('conversations/003-work-stress.md');
+    });
+  });
+
+  describe('conversationToMarkdown()', () => {
+    it('should render the summary and each message with its speaker', () => {
+      const md = conversationToMarkdown({
+        title: 'Sleep',
+        createdAt: new Date('2026-02-01T21:00:00Z'),
+        summary: 'Talked about\nbedtime routines.',
+        messages: [
+          { role: 'user', content: 'I cannot sleep.', timestamp: new Date('2026-02-01T21:00:00Z') },
+          { role: 'assistant', content: 'Let us try a breathing exercise.', timestamp: new Date('2026-02-01T21:01:00Z'), truncated: true },
+        ],
+      });
+
+      expect(md).to.match(/^# Sleep\n/);
+      expect(md).to.include('> **Summary of earlier messages:** Talked about bedtime routines.');
+      expect(md).to.include('### You — 2026-02-01 21:00 UTC\n\nI cannot sleep.');
+      expect(md).to.include('### Diagnosy — 2026-02-01 21:01 UTC\n\nLet us try a breathing exercise.');
+      expect(md).to.include('_(reply was cut short)_');
+    });
+  });
+
+  describe('summaryToMarkdown()', () => {
+    it('should list the profile and note empty sections', () => {
+      const md = summaryToMarkdown(emptyData);
+      expect(md).to.include('- Username: ada');
+      expect(md).to.include('- Email: ada@example.com (verified)');
+      expect(md).to.include('No check-ins.');
+      expect(md).to.include('No assessments.');
+      expect(md).to.include('No reminders.');
+    });
+
+    it('should render tables without letting user text break rows', () => {
+      const md = summaryToMarkdown({
+        ...emptyData,
+        moodEntries: [{ recordedAt: new Date('2026-02-02T08:00:00Z'), score: 7, tags: ['work'], note: 'ok | better\nnow' }],
+        assessments: [{ completedAt: new Date('2026-02-03T08:00:00Z'), instrument: 'phq9', total: 6, label: 'Mild' }],
+      });
+      expect(md).to.include('| 2026-02-02 08:00 UTC | 7 | work | ok \\| better now |');
+      expect(md).to.include('| 2026-02-03 08:00 UTC | phq9 | 6 | Mild |');
+    });
+  });
+});
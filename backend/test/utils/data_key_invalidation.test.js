@@ -0,0 +1,70 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { RedisConfig } from '../../config/index.js';
+
+describe('Data Key Invalidation', () => {
+  const ownerId = '64b000000000000000000001';
+  let client;
+  let subscriber;
+  let DataKeyCache;
+  let generateDataKey;
+  let DATA_KEY_INVALIDATION_CHANNEL;
+  let invalidateDataKey;
+  let subscribeToDataKeyInvalidation;
+
+  before(async () => {
+    // The master keys are read when utils/encryption.js is first imported
+    process.env.ENCRYPTION_KEY_V1 ??= 'fake-key-v1-32bytes!!!!!!!!!!!';
+    process.env.ENCRYPTION_SALT_V1 ??= 'fake-salt-v1';
+    ({ DataKeyCache, generateDataKey } = await import('../../utils/encryption.js'));
+    ({ DATA_KEY_INVALIDATION_CHANNEL, invalidateDataKey, subscribeToDataKeyInvalidation } = await import(
+      '../../utils/data_key_invalidation.js'
+    ));
+  });
+
+  beforeEach(() => {
+    subscriber = { on: sinon.stub(), connect: sinon.stub().resolves(), subscribe: sinon.stub().resolves() };
+    client = { publish: sinon.stub().resolves(2), duplicate: sinon.stub().returns(subscriber) };
+    sinon.stub(RedisConfig, 'getClient').returns(client);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+    DataKeyCache.delete(ownerId);
+  });
+
+  describe('invalidateDataKey()', () => {
+    it('should drop the local copy and tell other processes', async () => {
+      DataKeyCache.set(ownerId, generateDataKey());
+
+      await invalidateDataKey(ownerId);
+
+      expect(DataKeyCache.get(ownerId)).to.be.null;
+      expect(client.publish.calledOnceWith(DATA_KEY_INVALIDATION_CHANNEL, ownerId)).to.be.true;
+    });
+
+    it('should fail when the message cannot be published', async () => {
+      client.publish.rejects(new Error('connection lost'));
+
+      let error;
+      try {
+        await invalidateDataKey(ownerId);
+      } catch (err) {
+        error = err;
+      }
+      expect(error?.message).to.equal('connection lost');
+    });
+  });
+
+  describe('subscribeToDataKeyInvalidation()', () => {
+    it('should drop keys invalidated by another process', async () => {
+      await subscribeToDataKeyInvalidation();
+      expect(subscriber.subscribe.firstCall.args[0]).to.equal(DATA_KEY_INVALIDATION_CHANNEL);
+
+      DataKeyCache.set(ownerId, generateDataKey());
+      subscriber.subscribe.firstCall.args[1](ownerId);
+
+      expect(DataKeyCache.get(ownerId)).to.be.null;
+    });
+  });
+});
@@ -1,56 +1,109 @@
 import { expect } from 'chai';
-import generatePasswordResetEmail from '../../utils/email_message.js';
+import { DEFAULT_LOCALE, TEMPLATE_IDS, EMAIL_TEMPLATES, LAYOUTS } from '../../utils/email_message.js';
+import { renderEmail } from '../../utils/email_templates.js';
 
-describe('generatePasswordResetEmail', () => {
-    it('should return an object with subject and message properties', () => {
-        const host = 'example.com';
-        const token = 'abc123';
-        const result = generatePasswordResetEmail(host, token);
-
-        expect(result).to.be.an('object');
-        expect(result).to.have.property('subject').that.equals('Password Reset');
-        expect(result).to.have.property('message').that.is.a('string');
+describe('Email templates', () => {
+    it('should define every template in the default locale and in French', () => {
+        Object.values(TEMPLATE_IDS).forEach((id) => {
+            expect(EMAIL_TEMPLATES[id], id).to.be.an('object');
+            expect(EMAIL_TEMPLATES[id].locales).to.include.keys(DEFAULT_LOCALE, 'fr');
+            expect(LAYOUTS[EMAIL_TEMPLATES[id].layout], id).to.be.an('object');
+        });
     });
+});
 
-    it('should include the correct host and token in the reset link', () => {
-        const host = 'test.com';
-        const token = 'xyz789';
-        const result = generatePasswordResetEmail(host, token);
+describe('passwordReset', () => {
+    const data = {
+        username: 'ada',
+        resetUrl: 'https://app.example.com/reset-password?token=xyz789',
+        expiresInMinutes: 60,
+    };
 
-        expect(result.message).to.include(`http://${host}/reset/${token}`);
+    it('should include the reset link and its lifetime', () => {
+        const result = renderEmail(TEMPLATE_IDS.PASSWORD_RESET, data);
+
+        expect(result.subject).to.equal('Reset your password');
+        expect(result.text).to.match(/^Hi ada,/);
+        expect(result.text).to.include('https://app.example.com/reset-password?token=xyz789');
+        expect(result.text).to.include('expires in 60 minutes');
+        expect(result.html).to.include('href="https://app.example.com/reset-password?token=xyz789"');
     });
 
     it('should contain the correct email content structure', () => {
-        const host = 'example.com';
-        const token = 'abc123';
-        const result = generatePasswordResetEmail(host, token);
+        const result = renderEmail(TEMPLATE_IDS.PASSWORD_RESET, data);
+
+        expect(result.text).to.match(/You are receiving this because/);
+        expect(result.text).to.match(/If you did not request this/);
+    });
+});
+
+describe('checkInReminder', () => {
+    it('should greet the user and include the check-in and unsubscribe links', () => {
+        const result = renderEmail(TEMPLATE_IDS.CHECK_IN_REMINDER, {
+            username: 'ada',
+            checkInUrl: 'https://app.example.com/mood',
+            unsubscribeUrl: 'https://api.example.com/api/reminders/unsubscribe/tok123',
+        });
 
-        expect(result.message).to.match(/You are receiving this because/);
-        expect(result.message).to.match(/Please click on the following link/);
-        expect(result.message).to.match(/If you did not request this/);
+        expect(result.subject).to.equal('Time for your check-in');
+        expect(result.text).to.match(/^Hi ada,/);
+        expect(result.text).to.include('https://app.example.com/mood');
+        expect(result.text).to.include('https://api.example.com/api/reminders/unsubscribe/tok123');
     });
+});
+
+describe('emailVerification', () => {
+    it('should include the verification link and its lifetime', () => {
+        const result = renderEmail(TEMPLATE_IDS.EMAIL_VERIFICATION, {
+            username: 'ada',
+            verifyUrl: 'https://api.example.com/api/auth/verify-email?token=abc',
+            expiresInHours: 24,
+        });
 
-    it('should handle different host values correctly', () => {
-        const host1 = 'localhost:3000';
-        const host2 = 'api.example.com';
-        const token = 'testtoken';
+        expect(result.subject).to.equal('Confirm your email address');
+        expect(result.text).to.match(/^Hi ada,/);
+        expect(result.text).to.include('https://api.example.com/api/auth/verify-email?token=abc');
+        expect(result.text).to.include('expires in 24 hours');
+    });
+});
 
-        const result1 = generatePasswordResetEmail(host1, token);
-        const result2 = generatePasswordResetEmail(host2, token);
+describe('accountDeletionScheduled', () => {
+    it('should include the deletion date and the cancel link', () => {
+        const result = renderEmail(TEMPLATE_IDS.ACCOUNT_DELETION_SCHEDULED, {
+            username: 'ada',
+            scheduledFor: new Date('2026-02-01T12:00:00Z'),
+            cancelUrl: 'https://api.example.com/api/me/deletion/cancel/abc',
+        });
 
-        expect(result1.message).to.include(`http://${host1}/reset/${token}`);
-        expect(result2.message).to.include(`http://${host2}/reset/${token}`);
+        expect(result.subject).to.equal('Your account is scheduled for deletion');
+        expect(result.text).to.match(/^Hi ada,/);
+        expect(result.text).to.include('Sunday, February 1, 2026');
+        expect(result.text).to.include('UTC');
+        expect(result.text).to.include('https://api.example.com/api/me/deletion/cancel/abc');
     });
 
-    it('should handle different token values correctly', () => {
-        const host = 'example.com';
-        const token1 = 'token123';
-        const token2 = 'token456';
+    it('should format the date for the recipient locale', () => {
+        const result = renderEmail(
+            TEMPLATE_IDS.ACCOUNT_DELETION_SCHEDULED,
+            {
+                username: 'ada',
+                scheduledFor: '2026-02-01T12:00:00.000Z',
+                cancelUrl: 'https://api.example.com/api/me/deletion/cancel/abc',
+            },
+            { locale: 'fr-FR' }
+        );
+
+        expect(result.subject).to.equal('La suppression de votre compte est programmée');
+        expect(result.text).to.include('dimanche 1 février 2026');
+    });
+});
 
-        const result1 = generatePasswordResetEmail(host, token1);
-        const result2 = generatePasswordResetEmail(host, token2);
+describe('accountDeleted', () => {
+    it('should confirm the deletion', () => {
+        const result = renderEmail(TEMPLATE_IDS.ACCOUNT_DELETED, { username: 'ada' });
 
-        expect(result1.message).to.include(`http://${host}/reset/${token1}`);
-        expect(result2.message).to.include(`http://${host}/reset/${token2}`);
+        expect(result.subject).to.equal('Your account has been deleted');
+        expect(result.text).to.match(/^Hi ada,/);
+        expect(result.text).to.include('permanently deleted');
     });
 });
@@ -0,0 +1,136 @@
+import { expect } from 'chai';
+import { TEMPLATE_IDS } from '../../utils/email_message.js';
+import {
+  resolveLocale,
+  validateEmailData,
+  renderEmail,
+  buildEmailJob,
+  checkTemplates,
+} from '../../utils/email_templates.js';
+
+const resetData = {
+  username: 'ada',
+  resetUrl: 'https://app.example.com/reset-password?token=abc',
+  expiresInMinutes: 60,
+};
+
+describe('Email Template Engine', () => {
+  describe('resolveLocale()', () => {
+    const variants = { en: {}, fr: {}, 'fr-CA': {} };
+
+    it('should prefer the exact locale, then its language', () => {
+      expect(resolveLocale(variants, 'fr-CA')).to.equal('fr-CA');
+      expect(resolveLocale(variants, 'fr_ca')).to.equal('fr-CA');
+      expect(resolveLocale(variants, 'fr-BE')).to.equal('fr');
+      expect(resolveLocale(variants, 'FR')).to.equal('fr');
+    });
+
+    it('should fall back to the default locale', () => {
+      expect(resolveLocale(variants, 'de-DE')).to.equal('en');
+      expect(resolveLocale(variants, undefined)).to.equal('en');
+    });
+  });
+
+  describe('validateEmailData()', () => {
+    it('should accept complete, well-typed data', () => {
+      expect(() => validateEmailData(TEMPLATE_IDS.PASSWORD_RESET, resetData)).to.not.throw();
+    });
+
+    it('should reject unknown templates', () => {
+      expect(() => validateEmailData('nope', {})).to.throw('Unknown email template: nope');
+    });
+
+    it('should list every missing or mistyped variable', () => {
+      expect(() =>
+        validateEmailData(TEMPLATE_IDS.PASSWORD_RESET, { username: 'ada', resetUrl: 'javascript:alert(1)' })
+      ).to.throw(
+        'Invalid data for email template passwordReset: resetUrl must be a url; expiresInMinutes is required'
+      );
+      expect(() =>
+        validateEmailData(TEMPLATE_IDS.ACCOUNT_DELETION_SCHEDULED, {
+          username: 'ada',
+          scheduledFor: 'not a date',
+          cancelUrl: 'https://x.example/c',
+        })
+      ).to.throw('scheduledFor must be a date');
+    });
+  });
+
+  describe('renderEmail()', () => {
+    it('should return subject, HTML and plain text', () => {
+      const email = renderEmail(TEMPLATE_IDS.PASSWORD_RESET, resetData);
+
+      expect(email.locale).to.equal('en');
+      expect(email.html).to.match(/^<!DOCTYPE html>/);
+      expect(email.html).to.include('<html lang="en">');
+      expect(email.html).to.include('Choose a new password</a>');
+      expect(email.text).to.include('Choose a new password: https://app.example.com/reset-password?token=abc');
+      expect(email.text).to.not.include('<');
+    });
+
+    it('should wrap the body in the layout footer', () => {
+      const email = renderEmail(TEMPLATE_IDS.ACCOUNT_DELETED, { username: 'ada' });
+
+      expect(email.text).to.include('\n\n-- \nDiagnosy');
+      expect(email.html).to.include('replies are not read');
+    });
+
+    it('should escape variables in the HTML part only', () => {
+      const email = renderEmail(TEMPLATE_IDS.ACCOUNT_DELETED, { username: '<b>ada</b> & co' });
+
+      expect(email.html).to.include('&lt;b&gt;ada&lt;/b&gt; &amp; co');
+      expect(email.html).to.not.include('<b>ada</b>');
+      expect(email.text).to.include('Hi <b>ada</b> & co,');
+    });
+
+    it('should use the recipient locale and its layout', () => {
+      const email = renderEmail(TEMPLATE_IDS.PASSWORD_RESET, resetData, { locale: 'fr-CA' });
+
+      expect(email.locale).to.equal('fr');
+      expect(email.subject).to.equal('Réinitialisez votre mot de passe');
+      expect(email.text).to.match(/^Bonjour ada,/);
+      expect(email.text).to.include('les réponses ne sont pas lues');
+    });
+
+    it('should refuse to render invalid data', () => {
+      expect(() => renderEmail(TEMPLATE_IDS.ACCOUNT_DELETED, {})).to.throw('username is required');
+    });
+
+    it('should offer one-click unsubscribe from reminder emails', () => {
+      const email = renderEmail(TEMPLATE_IDS.CHECK_IN_REMINDER, {
+        username: 'ada',
+        checkInUrl: 'https://app.example.com/mood',
+        unsubscribeUrl: 'https://app.example.com/api/reminders/unsubscribe/abc',
+      });
+
+      expect(email.headers).to.deep.equal({
+        'List-Unsubscribe': '<https://app.example.com/api/reminders/unsubscribe/abc>',
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+      });
+      expect(renderEmail(TEMPLATE_IDS.PASSWORD_RESET, resetData).headers).to.deep.equal({});
+    });
+  });
+
+  describe('buildEmailJob()', () => {
+    it('should produce a template reference instead of rendered text', () => {
+      expect(
+        buildEmailJob({ to: 'ada@example.com', template: TEMPLATE_IDS.ACCOUNT_DELETED, data: { username: 'ada' } })
+      ).to.deep.equal({
+        to: 'ada@example.com',
+        template: 'accountDeleted',
+        locale: null,
+        data: { username: 'ada' },
+      });
+    });
+
+    it('should validate the data up front', () => {
+      expect(() => buildEmailJob({ to: 'ada@example.com', template: TEMPLATE_IDS.ACCOUNT_DELETED, data: {} })).to.throw();
+    });
+  });
+
+  describe('checkTemplates()', () => {
+    it('should pass for the registered templates', () => {
+      expect(() => checkTemplates()).to.not.throw();
+    });
+  });
+});
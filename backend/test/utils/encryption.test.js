@@ -8,6 +8,7 @@ describe('Encryption Utilities — AES-256-GCM with versioning', () => {
   let encryptText;
   let decryptText;
   let DERIVED_KEYS;
+  let mod;
 
   // Fake 32-byte keys for v1 and v2
   const mockKeyV1 = Buffer.alloc(32, 'a');
@@ -15,7 +16,7 @@ describe('Encryption Utilities — AES-256-GCM with versioning', () => {
 
   const loadModule = async () => {
     // Force fresh import by cache-busting the URL
-    const mod = await import(`../../utils/encryption.js?t=${Date.now()}`);
+    mod = await import(`../../utils/encryption.js?t=${Date.now()}${Math.random()}`);
     encryptText = mod.encryptText;
     decryptText = mod.decryptText;
     DERIVED_KEYS = mod.DERIVED_KEYS;
@@ -29,6 +30,7 @@ describe('Encryption Utilities — AES-256-GCM with versioning', () => {
     process.env.ENCRYPTION_SALT_V1 = 'fake-salt-v1';
     process.env.ENCRYPTION_KEY_V2 = 'fake-key-v2-32bytes!!!!!!!!!!!';
     process.env.ENCRYPTION_SALT_V2 = 'fake-salt-v2';
+    delete process.env.ENCRYPTION_CURRENT_VERSION;
 
     // Stub pbkdf2Sync so key derivation is deterministic
     sandbox.stub(crypto, 'pbkdf2Sync')
@@ -43,6 +45,7 @@ describe('Encryption Utilities — AES-256-GCM with versioning', () => {
 
   afterEach(() => {
     sandbox.restore();
+    delete process.env.ENCRYPTION_CURRENT_VERSION;
   });
 
   // ───────────────────────────────────────────────
@@ -168,4 +171,137 @@ describe('Encryption Utilities — AES-256-GCM with versioning', () => {
     const decrypted = decryptText(encrypted);
     expect(decrypted).to.equal(msg);
   });
+
+  // ───────────────────────────────────────────────
+  describe('key rotation', () => {
+    // Reloads the module with another active version, keeping the same keys
+    const reloadWithCurrent = async (version) => {
+      process.env.ENCRYPTION_CURRENT_VERSION = version;
+      crypto.pbkdf2Sync.resetHistory();
+      await loadModule();
+    };
+
+    it('reads the current version from ENCRYPTION_CURRENT_VERSION', async () => {
+      expect(mod.CURRENT_VERSION).to.equal('v1');
+      expect(mod.KEY_VERSIONS).to.deep.equal(['v1', 'v2']);
+
+      await reloadWithCurrent('v2');
+      expect(mod.CURRENT_VERSION).to.equal('v2');
+      expect(encryptText('hello').startsWith('v2:')).to.be.true;
+    });
+
+    it('refuses to start without a key for the current version', async () => {
+      process.env.ENCRYPTION_CURRENT_VERSION = 'v3';
+      crypto.pbkdf2Sync.resetHistory();
+      let error;
+      try {
+        await loadModule();
+      } catch (err) {
+        error = err;
+      }
+      expect(error?.message).to.equal('No encryption key configured for current version v3');
+    });
+
+    it('getKeyVersion() reads the version prefix', () => {
+      expect(mod.getKeyVersion(encryptText('hello'))).to.equal('v1');
+      expect(mod.getKeyVersion('plain text')).to.be.null;
+      expect(mod.getKeyVersion('x1:a:b:c')).to.be.null;
+      expect(mod.getKeyVersion(null)).to.be.null;
+    });
+
+    it('reencryptText() moves old ciphertext to the current key', async () => {
+      const old = encryptText('my secret');
+      await reloadWithCurrent('v2');
+
+      const { value, changed } = mod.reencryptText(old);
+      expect(changed).to.be.true;
+      expect(mod.getKeyVersion(value)).to.equal('v2');
+      expect(decryptText(value)).to.equal('my secret');
+    });
+
+    it('reencryptText() leaves current ciphertext unchanged', () => {
+      const current = encryptText('my secret');
+      expect(mod.reencryptText(current)).to.deep.equal({ value: current, changed: false });
+    });
+
+    it('reencryptText() throws instead of rewriting undecryptable data', () => {
+      const [version, iv, tag] = encryptText('my secret').split(':');
+      const tampered = [version, iv, tag, Buffer.from('garbage').toString('base64')].join(':');
+      expect(() => mod.reencryptText(tampered)).to.throw();
+      expect(() => mod.reencryptText('v9:a:b:c')).to.throw('Unknown encryption key version: v9');
+    });
+  });
+  // ───────────────────────────────────────────────
+  describe('per-user data keys', () => {
+    const ownerId = '64b000000000000000000001';
+
+    it('wraps and unwraps a data key with the master key', () => {
+      const dataKey = mod.generateDataKey();
+      const wrapped = mod.wrapDataKey(dataKey);
+
+      expect(mod.getKeyVersion(wrapped)).to.equal('v1');
+      expect(mod.unwrapDataKey(wrapped).equals(dataKey)).to.be.true;
+      expect(() => mod.unwrapDataKey(encryptText('too short'))).to.throw('Invalid data key');
+    });
+
+    it('encrypts with the data key and tags the owner', () => {
+      const dataKey = mod.generateDataKey();
+      const encrypted = mod.encryptWithDataKey('my secret', dataKey, ownerId);
+
+      expect(encrypted.startsWith(`u1:${ownerId}:`)).to.be.true;
+      expect(mod.getDataKeyOwner(encrypted)).to.equal(ownerId);
+      expect(mod.getKeyVersion(encrypted)).to.be.null;
+      expect(mod.decryptWithDataKey(encrypted, dataKey)).to.equal('my secret');
+    });
+
+    it('cannot decrypt without the right data key', () => {
+      const encrypted = mod.encryptWithDataKey('my secret', mod.generateDataKey(), ownerId);
+
+      expect(() => mod.decryptWithDataKey(encrypted, mod.generateDataKey())).to.throw();
+      expect(decryptText(encrypted)).to.equal('');
+    });
+
+    it('getDataKeyOwner() ignores master-key ciphertext', () => {
+      expect(mod.getDataKeyOwner(encryptText('hello'))).to.be.null;
+      expect(mod.getDataKeyOwner('plain text')).to.be.null;
+      expect(mod.getDataKeyOwner(undefined)).to.be.null;
+    });
+
+    it('DataKeyCache stores keys by owner', () => {
+      const dataKey = mod.generateDataKey();
+      mod.DataKeyCache.set(ownerId, dataKey);
+
+      expect(mod.DataKeyCache.get(ownerId)).to.equal(dataKey);
+      mod.DataKeyCache.delete(ownerId);
+      expect(mod.DataKeyCache.get(ownerId)).to.be.null;
+    });
+
+    it('DataKeyCache forgets keys once they expire, even when used', () => {
+      const clock = sandbox.useFakeTimers({ now: 0, toFake: ['Date'] });
+      mod.DataKeyCache.set(ownerId, mod.generateDataKey());
+
+      clock.tick(mod.DATA_KEY_CACHE_TTL_MS - 1);
+      expect(mod.DataKeyCache.get(ownerId)).to.not.be.null;
+
+      clock.tick(1);
+      expect(mod.DataKeyCache.get(ownerId)).to.be.null;
+    });
+
+    it('reencryptText() moves master-key ciphertext to the data key', () => {
+      const dataKey = mod.generateDataKey();
+      const { value, changed } = mod.reencryptText(encryptText('my secret'), { dataKey, ownerId });
+
+      expect(changed).to.be.true;
+      expect(mod.getDataKeyOwner(value)).to.equal(ownerId);
+      expect(mod.decryptWithDataKey(value, dataKey)).to.equal('my secret');
+      expect(mod.reencryptText(value, { dataKey, ownerId })).to.deep.equal({ value, changed: false });
+    });
+
+    it('reencryptText() throws for data-key ciphertext without its key', () => {
+      const encrypted = mod.encryptWithDataKey('my secret', mod.generateDataKey(), ownerId);
+
+      expect(() => mod.reencryptText(encrypted)).to.throw('Data key not available');
+      expect(() => mod.reencryptText(encrypted, { dataKey: mod.generateDataKey(), ownerId })).to.throw();
+    });
+  });
 });
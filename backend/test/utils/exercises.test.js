@@ -0,0 +1,96 @@
+import { expect } from 'chai';
+import {
+  getExercise,
+  listExercises,
+  normalizeResponses,
+  EXERCISE_PROMPT,
+  stripExerciseDirectives,
+} from '../../utils/exercises.js';
+
+const streamOf = async function* (tokens) {
+  for (const token of tokens) yield token;
+};
+
+const collect = async (tokens) => {
+  const directives = [];
+  let text = '';
+  for await (const chunk of stripExerciseDirectives(streamOf(tokens), (id) => directives.push(id))) {
+    text += chunk;
+  }
+  return { text, directives };
+};
+
+describe('Exercises', () => {
+  describe('library', () => {
+    it('should include the four core exercises', () => {
+      expect(listExercises().map((e) => e.id)).to.have.members([
+        'box_breathing',
+        'grounding_54321',
+        'progressive_muscle_relaxation',
+        'thought_record',
+      ]);
+      expect(listExercises('cbt').map((e) => e.id)).to.deep.equal(['thought_record']);
+      expect(getExercise('box_breathing').steps.every((s) => s.durationSec === 4)).to.be.true;
+      expect(getExercise('yoga')).to.be.null;
+    });
+
+    it('should list every directive in the model prompt', () => {
+      listExercises().forEach(({ id }) => expect(EXERCISE_PROMPT()).to.include(`[[exercise:${id}]]`));
+    });
+  });
+
+  describe('normalizeResponses()', () => {
+    const thoughtRecord = getExercise('thought_record');
+    const grounding = getExercise('grounding_54321');
+
+    it('should trim text and keep scales within range', () => {
+      expect(normalizeResponses(thoughtRecord, { situation: '  Exam results  ', emotionBefore: 70 })).to.deep.equal({
+        situation: 'Exam results',
+        emotionBefore: 70,
+      });
+      expect(normalizeResponses(thoughtRecord, { emotionBefore: 120 })).to.be.null;
+    });
+
+    it('should reject fields the exercise does not ask for', () => {
+      expect(normalizeResponses(thoughtRecord, { mood: 'ok' })).to.be.null;
+      expect(normalizeResponses(getExercise('box_breathing'), {})).to.deep.equal({});
+    });
+
+    it('should cap list inputs at their count', () => {
+      expect(normalizeResponses(grounding, { taste: ['coffee'] })).to.deep.equal({ taste: ['coffee'] });
+      expect(normalizeResponses(grounding, { taste: ['coffee', 'mint'] })).to.be.null;
+    });
+  });
+
+  describe('stripExerciseDirectives()', () => {
+    it('should pass ordinary text through unchanged', async () => {
+      const { text, directives } = await collect(['Take a ', 'breath [or two]. ', 'Arrays like a[[0]] too.']);
+      expect(text).to.equal('Take a breath [or two]. Arrays like a[[0]] too.');
+      expect(directives).to.deep.equal([]);
+    });
+
+    it('should remove a directive split across tokens', async () => {
+      const { text, directives } = await collect([
+        'Let us try this together.\n',
+        '[',
+        '[exer',
+        'cise:box_breat',
+        'hing]',
+        ']',
+      ]);
+      expect(text).to.equal('Let us try this together.');
+      expect(directives).to.deep.equal(['box_breathing']);
+    });
+
+    it('should drop unknown exercise directives without reporting them', async () => {
+      const { text, directives } = await collect(['Here: [[exercise:yoga]] done']);
+      expect(text).to.equal('Here: done');
+      expect(directives).to.deep.equal([]);
+    });
+
+    it('should flush an unfinished bracket at the end of the stream', async () => {
+      const { text } = await collect(['See [[note']);
+      expect(text).to.equal('See [[note');
+    });
+  });
+});
@@ -0,0 +1,82 @@
+import { expect } from 'chai';
+import {
+  getInstrument,
+  listInstruments,
+  describeInstrument,
+  isValidAnswerSet,
+  selfHarmRisk,
+  scoreAnswers,
+} from '../../utils/instruments.js';
+import { RISK_LEVELS } from '../../utils/risk_assessment.js';
+
+const phq9 = getInstrument('phq9');
+const gad7 = getInstrument('gad7');
+
+describe('Instruments', () => {
+  describe('getInstrument()', () => {
+    it('should return the latest version by default', () => {
+      expect(phq9).to.include({ id: 'phq9', version: 1 });
+      expect(phq9.items).to.have.lengthOf(9);
+      expect(gad7.items).to.have.lengthOf(7);
+    });
+
+    it('should look up a specific version', () => {
+      expect(getInstrument('gad7', 1)).to.equal(gad7);
+      expect(getInstrument('gad7', '1')).to.equal(gad7);
+      expect(getInstrument('gad7', 2)).to.be.null;
+      expect(getInstrument('beck')).to.be.null;
+    });
+
+    it('should list each instrument once', () => {
+      expect(listInstruments().map((i) => i.id)).to.deep.equal(['phq9', 'gad7']);
+    });
+
+    it('should describe the maximum score without internal fields', () => {
+      const view = describeInstrument(phq9);
+      expect(view.maxScore).to.equal(27);
+      expect(view).to.not.have.property('selfHarmItem');
+      expect(describeInstrument(gad7).maxScore).to.equal(21);
+    });
+  });
+
+  describe('isValidAnswerSet()', () => {
+    it('should require one option value per item', () => {
+      expect(isValidAnswerSet(gad7, [0, 1, 2, 3, 0, 1, 2])).to.be.true;
+      expect(isValidAnswerSet(gad7, [0, 1, 2])).to.be.false;
+      expect(isValidAnswerSet(gad7, [0, 1, 2, 3, 0, 1, 4])).to.be.false;
+      expect(isValidAnswerSet(gad7, [0, 1, 2, 3, 0, 1, '2'])).to.be.false;
+      expect(isValidAnswerSet(gad7, null)).to.be.false;
+    });
+  });
+
+  describe('scoreAnswers()', () => {
+    it('should band PHQ-9 totals', () => {
+      expect(scoreAnswers(phq9, [0, 0, 0, 0, 0, 0, 0, 0, 0])).to.include({ total: 0, severity: 'minimal' });
+      expect(scoreAnswers(phq9, [2, 2, 2, 2, 2, 0, 0, 0, 0])).to.include({ total: 10, severity: 'moderate' });
+      expect(scoreAnswers(phq9, [3, 3, 3, 3, 3, 2, 2, 0, 0])).to.include({
+        total: 19,
+        severity: 'moderately_severe',
+      });
+      expect(scoreAnswers(phq9, [3, 3, 3, 3, 3, 3, 3, 3, 3])).to.include({ total: 27, severity: 'severe' });
+    });
+
+    it('should band GAD-7 totals', () => {
+      expect(scoreAnswers(gad7, [1, 1, 1, 1, 1, 0, 0])).to.include({ total: 5, severity: 'mild' });
+      expect(scoreAnswers(gad7, [3, 3, 3, 3, 3, 0, 0])).to.include({ total: 15, severity: 'severe' });
+    });
+  });
+
+  describe('selfHarmRisk()', () => {
+    it('should escalate any positive answer to PHQ-9 item 9', () => {
+      const answers = (item9) => [1, 1, 1, 1, 1, 1, 1, 1, item9];
+      expect(selfHarmRisk(phq9, answers(0)).level).to.equal(RISK_LEVELS.NONE);
+      expect(selfHarmRisk(phq9, answers(1))).to.deep.equal({ level: RISK_LEVELS.ELEVATED, itemScore: 1 });
+      expect(selfHarmRisk(phq9, answers(3)).level).to.equal(RISK_LEVELS.IMMINENT);
+      expect(scoreAnswers(phq9, answers(2)).riskLevel).to.equal(RISK_LEVELS.IMMINENT);
+    });
+
+    it('should never escalate instruments without a self-harm item', () => {
+      expect(selfHarmRisk(gad7, [3, 3, 3, 3, 3, 3, 3])).to.deep.equal({ level: RISK_LEVELS.NONE, itemScore: null });
+    });
+  });
+});
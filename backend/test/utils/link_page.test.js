@@ -0,0 +1,55 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import express from 'express';
+import { sendLinkPage, wantsLinkPage } from '../../utils/link_page.js';
+
+const createFakeResponse = () => ({
+  status: sinon.stub().returnsThis(),
+  set: sinon.stub().returnsThis(),
+  type: sinon.stub().returnsThis(),
+  send: sinon.stub().returnsThis(),
+});
+
+describe('Email Link Pages', () => {
+  describe('sendLinkPage()', () => {
+    it('should render an uncached page that confirms with a POST', () => {
+      const res = createFakeResponse();
+
+      sendLinkPage(res, 200, { title: 'Check-in reminders', message: 'Stop this reminder?', button: 'Unsubscribe' });
+
+      expect(res.status.calledWith(200)).to.be.true;
+      expect(res.set.firstCall.args[0]).to.deep.equal({ 'Cache-Control': 'no-store', 'Referrer-Policy': 'no-referrer' });
+      expect(res.type.calledWith('html')).to.be.true;
+      expect(res.send.firstCall.args[0]).to.match(/<form method="post"><button type="submit"[^>]*>Unsubscribe<\/button><\/form>/);
+    });
+
+    it('should leave the form out of result pages', () => {
+      const res = createFakeResponse();
+
+      sendLinkPage(res, 404, { title: 'Check-in reminders', message: 'This unsubscribe link is invalid.' });
+
+      expect(res.send.firstCall.args[0]).to.not.include('<form');
+    });
+
+    it('should escape the text', () => {
+      const res = createFakeResponse();
+
+      sendLinkPage(res, 200, { title: 'A & B', message: '<script>alert(1)</script>' });
+
+      expect(res.send.firstCall.args[0]).to.include('&lt;script&gt;').and.not.include('<script>');
+    });
+  });
+
+  describe('wantsLinkPage()', () => {
+    const requestAccepting = (accept) => Object.assign(Object.create(express.request), { headers: { accept } });
+
+    it('should serve a page to browsers', () => {
+      expect(wantsLinkPage(requestAccepting('text/html,application/xhtml+xml,*/*;q=0.8'))).to.be.true;
+    });
+
+    it('should answer JSON to API and mail clients', () => {
+      expect(wantsLinkPage(requestAccepting('application/json'))).to.be.false;
+      expect(wantsLinkPage(requestAccepting('*/*'))).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,90 @@
+import { expect } from 'chai';
+import express from 'express';
+import { Writable } from 'stream';
+import { createLogger, format, transports } from 'winston';
+import { createRequestLogger } from '../../config/logger.js';
+import { REDACTED, redactUrl, redactQuery } from '../../utils/log_redaction.js';
+
+describe('Request Log Redaction', () => {
+  describe('redactUrl()', () => {
+    it('should redact the chat message', () => {
+      expect(redactUrl('/api/chats/abc/messages/stream?message=I%20feel%20low&x=1')).to.equal(
+        `/api/chats/abc/messages/stream?message=${REDACTED}&x=1`
+      );
+    });
+
+    it('should redact search terms', () => {
+      expect(redactUrl('/api/chats/search?q=panic+attack&page=2')).to.equal(`/api/chats/search?q=${REDACTED}&page=2`);
+    });
+
+    it('should redact array and encoded forms of a parameter', () => {
+      expect(redactUrl('/api/chats/abc/messages/stream?message%5B%5D=low&message[]=sad')).to.equal(
+        `/api/chats/abc/messages/stream?message%5B%5D=${REDACTED}&message[]=${REDACTED}`
+      );
+    });
+
+    it('should redact tokens in email link paths', () => {
+      expect(redactUrl('/api/reminders/unsubscribe/abc123?x=1')).to.equal(`/api/reminders/unsubscribe/${REDACTED}?x=1`);
+      expect(redactUrl('/api/me/deletion/cancel/abc123')).to.equal(`/api/me/deletion/cancel/${REDACTED}`);
+    });
+
+    it('should leave other URLs alone', () => {
+      expect(redactUrl('/api/chats?page=2&limit=10')).to.equal('/api/chats?page=2&limit=10');
+    });
+  });
+
+  describe('redactQuery()', () => {
+    it('should redact sensitive parameters only', () => {
+      expect(redactQuery({ message: 'low', page: '2' })).to.deep.equal({ message: REDACTED, page: '2' });
+    });
+  });
+
+  describe('createRequestLogger()', () => {
+    let lines;
+    let server;
+    let baseUrl;
+
+    beforeEach(async () => {
+      lines = [];
+      const stream = new Writable({
+        write: (chunk, _encoding, callback) => {
+          lines.push(chunk.toString());
+          callback();
+        },
+      });
+      const logger = createLogger({ format: format.json(), transports: [new transports.Stream({ stream })] });
+
+      const app = express();
+      app.use(createRequestLogger(logger));
+      app.get('/api/chats/:id/messages/stream', (req, res) => res.json({ ok: true }));
+      app.get('/api/chats/search', (req, res) => res.json({ ok: true }));
+
+      await new Promise((resolve) => {
+        server = app.listen(0, resolve);
+      });
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(() => new Promise((resolve) => server.close(resolve)));
+
+    it('should log no chat message text', async () => {
+      await fetch(`${baseUrl}/api/chats/abc/messages/stream?message=${encodeURIComponent('I want to hurt myself')}`);
+
+      expect(lines).to.have.length(1);
+      const [chat] = lines.map((line) => JSON.parse(line));
+      expect(chat.message).to.match(/^GET \/api\/chats\/abc\/messages\/stream\?message=\[REDACTED\] 200 \d+ms$/);
+      expect(chat.meta.req.query).to.deep.equal({ message: REDACTED });
+      expect(chat.meta.req.url).to.not.include('hurt');
+      expect(lines[0]).to.not.include('hurt');
+    });
+
+    it('should log no search terms', async () => {
+      await fetch(`${baseUrl}/api/chats/search?q=sleeping+pills`);
+
+      const [search] = lines.map((line) => JSON.parse(line));
+      expect(search.meta.req.url).to.equal(`/api/chats/search?q=${REDACTED}`);
+      expect(search.meta.req.query).to.deep.equal({ q: REDACTED });
+      expect(lines[0]).to.not.match(/sleeping|pills/);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+import { expect } from 'chai';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  OutboxTransport,
+  SmtpTransport,
+  getMailTransport,
+  isDevOutboxEnabled,
+  listOutbox,
+  readOutboxMessage,
+  clearOutbox,
+} from '../../utils/mail_transports.js';
+
+const mail = (subject) => ({
+  from: 'noreply@example.com',
+  to: 'ada@example.com',
+  subject,
+  text: 'Reset here: https://app.example.com/reset-password?token=abc',
+  html: '<p>Reset here</p>',
+});
+
+describe('Mail Transports', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'outbox-test-'));
+    process.env.MAIL_OUTBOX_DIR = dir;
+  });
+
+  afterEach(async () => {
+    delete process.env.MAIL_OUTBOX_DIR;
+    delete process.env.MAIL_TRANSPORT;
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  describe('getMailTransport()', () => {
+    it('should use SMTP by default', () => {
+      expect(getMailTransport()).to.equal(SmtpTransport);
+    });
+
+    it('should honour MAIL_TRANSPORT', () => {
+      process.env.MAIL_TRANSPORT = 'SMTP';
+      expect(getMailTransport()).to.equal(SmtpTransport);
+    });
+
+    it('should reject unknown transports', () => {
+      process.env.MAIL_TRANSPORT = 'carrier-pigeon';
+      expect(() => getMailTransport()).to.throw('Unknown MAIL_TRANSPORT "carrier-pigeon". Expected one of: smtp, outbox.');
+    });
+  });
+
+  describe('isDevOutboxEnabled()', () => {
+    const nodeEnv = process.env.NODE_ENV;
+
+    afterEach(() => {
+      process.env.NODE_ENV = nodeEnv;
+    });
+
+    it('should require the outbox to be chosen explicitly', () => {
+      process.env.NODE_ENV = 'development';
+      expect(isDevOutboxEnabled()).to.be.false;
+
+      process.env.MAIL_TRANSPORT = 'outbox';
+      expect(isDevOutboxEnabled()).to.be.true;
+    });
+
+    it('should stay off unless NODE_ENV is development or test', () => {
+      process.env.MAIL_TRANSPORT = 'outbox';
+      ['production', 'staging'].forEach((value) => {
+        process.env.NODE_ENV = value;
+        expect(isDevOutboxEnabled()).to.be.false;
+      });
+
+      delete process.env.NODE_ENV;
+      expect(isDevOutboxEnabled()).to.be.false;
+    });
+  });
+
+  describe('OutboxTransport', () => {
+    it('should write an .eml file and a summary', async () => {
+      const { id, messageId } = await OutboxTransport.send(mail('Reset your password'));
+
+      const raw = await fs.readFile(path.join(dir, `${id}.eml`), 'utf8');
+      expect(raw).to.include('Subject: Reset your password');
+      expect(raw).to.include('To: ada@example.com');
+      expect(raw).to.include('Content-Type: text/html');
+
+      const summary = await readOutboxMessage(id);
+      expect(summary).to.include({ id, messageId, to: 'ada@example.com', subject: 'Reset your password' });
+      expect(summary.html).to.equal('<p>Reset here</p>');
+      expect(await readOutboxMessage(id, { raw: true })).to.equal(raw);
+    });
+
+    it('should list the most recent messages first', async () => {
+      await OutboxTransport.send(mail('first'));
+      await new Promise((resolve) => setTimeout(resolve, 2));
+      await OutboxTransport.send(mail('second'));
+
+      const messages = await listOutbox(10);
+      expect(messages.map((m) => m.subject)).to.deep.equal(['second', 'first']);
+      expect(await listOutbox(1)).to.have.length(1);
+    });
+
+    it('should not read outside the outbox', async () => {
+      expect(await readOutboxMessage('../../package')).to.be.null;
+      expect(await readOutboxMessage('1700000000000-deadbeef')).to.be.null;
+    });
+
+    it('should treat a missing outbox as empty and clear messages', async () => {
+      await OutboxTransport.send(mail('one'));
+      expect(await clearOutbox()).to.equal(1);
+      expect(await listOutbox(10)).to.deep.equal([]);
+
+      process.env.MAIL_OUTBOX_DIR = path.join(dir, 'missing');
+      expect(await listOutbox(10)).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import { expect } from 'chai';
+import {
+  MOOD_STATS_CONSTANTS,
+  isValidTimeZone,
+  toDayKey,
+  computeStreaks,
+  topTags,
+  summarizeRecentMood,
+} from '../../utils/mood_stats.js';
+import { MOOD_CONTEXT_PROMPT } from '../../utils/chat_helpers.js';
+
+const { DAY_MS } = MOOD_STATS_CONSTANTS;
+const NOW = new Date('2025-03-15T12:00:00Z');
+const daysAgo = (n) => new Date(NOW.getTime() - n * DAY_MS);
+
+describe('Mood Stats', () => {
+  describe('toDayKey()', () => {
+    it('should use the calendar day of the given time zone', () => {
+      const lateEvening = new Date('2025-03-14T23:30:00Z');
+      expect(toDayKey(lateEvening)).to.equal('2025-03-14');
+      expect(toDayKey(lateEvening, 'Africa/Lagos')).to.equal('2025-03-15');
+    });
+
+    it('should validate IANA time zones', () => {
+      expect(isValidTimeZone('Africa/Nairobi')).to.be.true;
+      expect(isValidTimeZone('Mars/Olympus')).to.be.false;
+      expect(isValidTimeZone('')).to.be.false;
+    });
+  });
+
+  describe('computeStreaks()', () => {
+    it('should return zeros without entries', () => {
+      expect(computeStreaks([], '2025-03-15')).to.deep.equal({ current: 0, longest: 0, lastCheckIn: null });
+    });
+
+    it('should count the current streak back from today', () => {
+      const days = ['2025-03-13', '2025-03-15', '2025-03-14', '2025-03-14', '2025-03-10'];
+      expect(computeStreaks(days, '2025-03-15')).to.deep.equal({
+        current: 3,
+        longest: 3,
+        lastCheckIn: '2025-03-15',
+      });
+    });
+
+    it('should keep the streak alive until the user misses a whole day', () => {
+      const days = ['2025-03-13', '2025-03-14'];
+      expect(computeStreaks(days, '2025-03-15').current).to.equal(2);
+      expect(computeStreaks(days, '2025-03-16').current).to.equal(0);
+    });
+
+    it('should report the longest streak separately', () => {
+      const days = ['2025-02-01', '2025-02-02', '2025-02-03', '2025-02-04', '2025-03-15'];
+      const streak = computeStreaks(days, '2025-03-15');
+      expect(streak.current).to.equal(1);
+      expect(streak.longest).to.equal(4);
+    });
+  });
+
+  describe('topTags()', () => {
+    it('should rank tags by count, then alphabetically', () => {
+      const entries = [{ tags: ['tired', 'anxious'] }, { tags: ['anxious'] }, { tags: ['calm'] }, {}];
+      expect(topTags(entries, 2)).to.deep.equal([
+        { tag: 'anxious', count: 2 },
+        { tag: 'calm', count: 1 },
+      ]);
+    });
+  });
+
+  describe('summarizeRecentMood()', () => {
+    it('should return null without entries this week', () => {
+      expect(summarizeRecentMood([{ score: 5, recordedAt: daysAgo(10) }], NOW)).to.be.null;
+    });
+
+    it('should compare this week with the week before', () => {
+      const entries = [
+        { score: 3, tags: ['sad'], recordedAt: daysAgo(1) },
+        { score: 4, tags: ['sad', 'tired'], recordedAt: daysAgo(3) },
+        { score: 7, recordedAt: daysAgo(9) },
+      ];
+      const summary = summarizeRecentMood(entries, NOW);
+      expect(summary).to.include({ average: 3.5, previousAverage: 7, direction: 'down', count: 2 });
+      expect(summary.topTags[0]).to.deep.equal({ tag: 'sad', count: 2 });
+    });
+
+    it('should call small changes steady', () => {
+      const entries = [
+        { score: 6, recordedAt: daysAgo(2) },
+        { score: 5, recordedAt: daysAgo(4) },
+        { score: 6, recordedAt: daysAgo(8) },
+      ];
+      expect(summarizeRecentMood(entries, NOW).direction).to.equal('steady');
+    });
+  });
+
+  describe('MOOD_CONTEXT_PROMPT()', () => {
+    it('should be empty without a summary', () => {
+      expect(MOOD_CONTEXT_PROMPT(null)).to.equal('');
+    });
+
+    it('should describe the average, trend and common feelings', () => {
+      const prompt = MOOD_CONTEXT_PROMPT({
+        average: 3.5,
+        previousAverage: 7,
+        direction: 'down',
+        count: 2,
+        topTags: [{ tag: 'sad', count: 2 }],
+      });
+      expect(prompt).to.include('averaging 3.5/10 (down from 7 the week before)');
+      expect(prompt).to.include('Most common feelings: sad.');
+    });
+  });
+});
@@ -0,0 +1,156 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { RedisConfig } from '../../config/index.js';
+import {
+  RATE_LIMIT_POLICIES,
+  getRateLimitPolicy,
+  accountIdentity,
+  rateLimitKey,
+  toRateLimitResult,
+  rateLimitHeaders,
+  consumeRateLimit,
+} from '../../utils/rate_limit.js';
+
+describe('Rate Limiting', () => {
+  describe('getRateLimitPolicy()', () => {
+    it('should return the limits of a known policy', () => {
+      expect(getRateLimitPolicy('login')).to.equal(RATE_LIMIT_POLICIES.login);
+    });
+
+    it('should reject unknown policies', () => {
+      expect(() => getRateLimitPolicy('nope')).to.throw('Unknown rate limit policy: nope');
+    });
+  });
+
+  describe('accountIdentity()', () => {
+    it('should ignore case and surrounding spaces', () => {
+      expect(accountIdentity(' Ada@Example.com ')).to.equal(accountIdentity('ada@example.com'));
+    });
+
+    it('should not expose the account name', () => {
+      expect(accountIdentity('ada@example.com')).to.match(/^[a-f0-9]{32}$/);
+    });
+
+    it('should return null without a usable value', () => {
+      [undefined, null, '', '   ', 42, { $ne: null }].forEach((value) => {
+        expect(accountIdentity(value)).to.be.null;
+      });
+    });
+  });
+
+  describe('rateLimitKey()', () => {
+    it('should keep limits of different windows apart', () => {
+      const [minute, day] = RATE_LIMIT_POLICIES.chatMessage;
+      expect(rateLimitKey('chatMessage', minute, 'u1')).to.equal('rate_limit:chatMessage:user:60:u1');
+      expect(rateLimitKey('chatMessage', day, 'u1')).to.not.equal(rateLimitKey('chatMessage', minute, 'u1'));
+    });
+  });
+
+  describe('toRateLimitResult()', () => {
+    const limit = { by: 'ip', max: 5, windowSeconds: 3600 };
+
+    it('should report what is left and when a slot frees up', () => {
+      expect(toRateLimitResult(limit, [1, 2, 120500])).to.deep.equal({
+        allowed: true,
+        limit: 5,
+        remaining: 3,
+        windowSeconds: 3600,
+        resetSeconds: 121,
+      });
+    });
+
+    it('should never report a reset under one second', () => {
+      expect(toRateLimitResult(limit, [0, 5, 0])).to.include({ allowed: false, remaining: 0, resetSeconds: 1 });
+    });
+  });
+
+  describe('rateLimitHeaders()', () => {
+    const result = { allowed: true, limit: 10, remaining: 4, windowSeconds: 60, resetSeconds: 30 };
+
+    it('should describe the limit', () => {
+      expect(rateLimitHeaders(result)).to.deep.equal({
+        'RateLimit-Policy': '10;w=60',
+        'RateLimit-Limit': '10',
+        'RateLimit-Remaining': '4',
+        'RateLimit-Reset': '30',
+      });
+    });
+
+    it('should add Retry-After when refused', () => {
+      expect(rateLimitHeaders({ ...result, allowed: false, remaining: 0 })).to.include({ 'Retry-After': '30' });
+    });
+  });
+
+  describe('consumeRateLimit()', () => {
+    let client;
+
+    beforeEach(() => {
+      client = { eval: sinon.stub() };
+      sinon.stub(RedisConfig, 'getClient').returns(client);
+    });
+
+    afterEach(() => {
+      sinon.restore();
+      delete process.env.RATE_LIMIT_ENABLED;
+    });
+
+    it('should count against every limit that has an identity in one call', async () => {
+      client.eval.resolves([1, 0, 1, 900000, 8, 600000]);
+
+      const result = await consumeRateLimit('login', { ip: '10.0.0.1', account: 'abc' }, { now: 1000 });
+
+      expect(client.eval.callCount).to.equal(1);
+      const { keys, arguments: args } = client.eval.firstCall.args[1];
+      expect(keys).to.deep.equal(['rate_limit:login:ip:900:10.0.0.1', 'rate_limit:login:account:900:abc']);
+      expect(args[0]).to.equal('1000');
+      expect(args.slice(2)).to.deep.equal(['900000', '20', '900000', '10']);
+      // The per-account limit is closer to running out
+      expect(result).to.include({ allowed: true, limit: 10, remaining: 2, resetSeconds: 600 });
+    });
+
+    it('should skip limits without an identity', async () => {
+      client.eval.resolves([1, 0, 1, 900000]);
+
+      await consumeRateLimit('login', { ip: '10.0.0.1' });
+
+      expect(client.eval.firstCall.args[1].keys).to.deep.equal(['rate_limit:login:ip:900:10.0.0.1']);
+    });
+
+    it('should not call Redis when no limit has an identity', async () => {
+      expect(await consumeRateLimit('verifyEmailResend', {})).to.be.null;
+      expect(client.eval.called).to.be.false;
+    });
+
+    it('should report the first limit that refuses', async () => {
+      client.eval.resolves([0, 1, 10, 42000, 57, 3600000]);
+
+      const result = await consumeRateLimit('chatMessage', { user: 'u1' });
+
+      expect(result).to.include({ allowed: false, limit: 10, remaining: 0, resetSeconds: 42 });
+    });
+
+    it('should report a refusal by a later limit', async () => {
+      // 3 of 20 per IP, but the account has used all 10 attempts
+      client.eval.resolves([0, 2, 3, 700000, 10, 120000]);
+
+      const result = await consumeRateLimit('login', { ip: '10.0.0.1', account: 'abc' });
+
+      // Checked atomically: the IP window is not charged for the refusal
+      expect(client.eval.callCount).to.equal(1);
+      expect(result).to.include({ allowed: false, limit: 10, remaining: 0, windowSeconds: 900, resetSeconds: 120 });
+    });
+
+    it('should let requests through when Redis fails', async () => {
+      client.eval.rejects(new Error('connection lost'));
+
+      expect(await consumeRateLimit('login', { ip: '10.0.0.1' })).to.be.null;
+    });
+
+    it('should do nothing when disabled', async () => {
+      process.env.RATE_LIMIT_ENABLED = 'false';
+
+      expect(await consumeRateLimit('login', { ip: '10.0.0.1' })).to.be.null;
+      expect(client.eval.called).to.be.false;
+    });
+  });
+});
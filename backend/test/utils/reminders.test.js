@@ -0,0 +1,85 @@
+import { expect } from 'chai';
+import {
+  REMINDER_FREQUENCIES,
+  isValidTime,
+  buildCron,
+  localMinutes,
+  isQuietTime,
+  msUntilQuietHoursEnd,
+} from '../../utils/reminders.js';
+
+const OVERNIGHT = { start: '22:00', end: '07:00' };
+
+describe('Reminder Helpers', () => {
+  describe('isValidTime()', () => {
+    it('should accept 24-hour HH:mm times', () => {
+      expect(isValidTime('00:00')).to.be.true;
+      expect(isValidTime('23:59')).to.be.true;
+    });
+
+    it('should reject malformed or out-of-range times', () => {
+      ['24:00', '7:30', '12:60', '12-30', '', null, 730].forEach((t) => {
+        expect(isValidTime(t)).to.be.false;
+      });
+    });
+  });
+
+  describe('buildCron()', () => {
+    it('should fire every day for daily reminders', () => {
+      expect(buildCron({ frequency: REMINDER_FREQUENCIES.DAILY, time: '08:05' })).to.equal('5 8 * * *');
+    });
+
+    it('should fire on the given weekday for weekly reminders', () => {
+      expect(buildCron({ frequency: REMINDER_FREQUENCIES.WEEKLY, time: '20:30', dayOfWeek: 0 })).to.equal('30 20 * * 0');
+    });
+  });
+
+  describe('localMinutes()', () => {
+    it('should use the wall clock of the given time zone', () => {
+      const date = new Date('2025-03-15T23:30:00Z');
+      expect(localMinutes(date, 'UTC')).to.equal(23 * 60 + 30);
+      expect(localMinutes(date, 'Africa/Lagos')).to.equal(30);
+    });
+  });
+
+  describe('isQuietTime()', () => {
+    it('should handle quiet hours that wrap past midnight', () => {
+      expect(isQuietTime(new Date('2025-03-15T23:00:00Z'), OVERNIGHT, 'UTC')).to.be.true;
+      expect(isQuietTime(new Date('2025-03-15T06:59:00Z'), OVERNIGHT, 'UTC')).to.be.true;
+      expect(isQuietTime(new Date('2025-03-15T07:00:00Z'), OVERNIGHT, 'UTC')).to.be.false;
+      expect(isQuietTime(new Date('2025-03-15T12:00:00Z'), OVERNIGHT, 'UTC')).to.be.false;
+    });
+
+    it('should handle quiet hours within one day', () => {
+      const afternoon = { start: '13:00', end: '15:00' };
+      expect(isQuietTime(new Date('2025-03-15T14:00:00Z'), afternoon, 'UTC')).to.be.true;
+      expect(isQuietTime(new Date('2025-03-15T15:00:00Z'), afternoon, 'UTC')).to.be.false;
+    });
+
+    it('should evaluate quiet hours in the reminder time zone', () => {
+      // 21:30 UTC is 22:30 in Lagos
+      expect(isQuietTime(new Date('2025-03-15T21:30:00Z'), OVERNIGHT, 'Africa/Lagos')).to.be.true;
+      expect(isQuietTime(new Date('2025-03-15T21:30:00Z'), OVERNIGHT, 'UTC')).to.be.false;
+    });
+
+    it('should treat missing or empty quiet hours as none', () => {
+      const date = new Date('2025-03-15T23:00:00Z');
+      expect(isQuietTime(date, null, 'UTC')).to.be.false;
+      expect(isQuietTime(date, { start: '22:00', end: '22:00' }, 'UTC')).to.be.false;
+    });
+  });
+
+  describe('msUntilQuietHoursEnd()', () => {
+    it('should count forward to the end time, across midnight', () => {
+      const date = new Date('2025-03-15T23:15:30Z');
+      const expected = (7 * 60 + 45) * 60 * 1000 - 30 * 1000;
+      expect(msUntilQuietHoursEnd(date, OVERNIGHT, 'UTC')).to.equal(expected);
+    });
+
+    it('should count in the reminder time zone', () => {
+      // 05:00 UTC is 06:00 in Lagos, one hour before quiet hours end
+      const date = new Date('2025-03-15T05:00:00Z');
+      expect(msUntilQuietHoursEnd(date, OVERNIGHT, 'Africa/Lagos')).to.equal(60 * 60 * 1000);
+    });
+  });
+});
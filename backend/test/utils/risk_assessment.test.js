@@ -0,0 +1,105 @@
+import { expect } from 'chai';
+import {
+  RISK_LEVELS,
+  maxRisk,
+  isAtLeast,
+  scoreMessage,
+  assessTrajectory,
+  combineRisk,
+} from '../../utils/risk_assessment.js';
+
+const { NONE, LOW, ELEVATED, IMMINENT } = RISK_LEVELS;
+
+describe('Risk Assessment', () => {
+  describe('level helpers', () => {
+    it('should order levels from none to imminent', () => {
+      expect(maxRisk(LOW, IMMINENT, NONE)).to.equal(IMMINENT);
+      expect(maxRisk()).to.equal(NONE);
+      expect(isAtLeast(ELEVATED, LOW)).to.be.true;
+      expect(isAtLeast(LOW, ELEVATED)).to.be.false;
+    });
+  });
+
+  describe('scoreMessage()', () => {
+    it('should not flag ordinary uses of "end it"', () => {
+      expect(scoreMessage('I want to end it with my boyfriend').level).to.equal(NONE);
+      expect(scoreMessage("Let's end it for today").level).to.equal(NONE);
+    });
+
+    it('should catch passive ideation the old keywords missed', () => {
+      expect(scoreMessage("I don't want to wake up tomorrow").level).to.equal(ELEVATED);
+      expect(scoreMessage('Everyone would be better off without me').level).to.equal(ELEVATED);
+    });
+
+    it('should ignore negated phrases', () => {
+      expect(scoreMessage("I'm not suicidal, just tired").level).to.equal(NONE);
+      expect(scoreMessage('I would never kill myself').level).to.equal(NONE);
+      expect(scoreMessage("I don't want to die").level).to.equal(NONE);
+    });
+
+    it('should keep a phrase negated only within its clause', () => {
+      expect(scoreMessage("I'm not okay, I want to die").level).to.equal(ELEVATED);
+    });
+
+    it('should grade hopelessness as low', () => {
+      const result = scoreMessage('Everything feels hopeless');
+      expect(result.level).to.equal(LOW);
+      expect(result.matches).to.include('hopeless');
+    });
+
+    it('should grade explicit intent as imminent', () => {
+      expect(scoreMessage("I'm going to kill myself").level).to.equal(IMMINENT);
+    });
+
+    it('should raise ideation with timing or means to imminent', () => {
+      const result = scoreMessage('I want to die, I have the pills ready tonight');
+      expect(result.level).to.equal(IMMINENT);
+      expect(result.modifiers).to.have.members(['timing', 'means']);
+    });
+
+    it('should not treat modifiers alone as risk', () => {
+      expect(scoreMessage('I took my pills tonight').level).to.equal(NONE);
+    });
+  });
+
+  describe('assessTrajectory()', () => {
+    it('should keep the turn after an elevated message at least low', () => {
+      expect(assessTrajectory([ELEVATED, NONE], NONE).level).to.equal(LOW);
+    });
+
+    it('should escalate repeated distress', () => {
+      const result = assessTrajectory([LOW, LOW, NONE], LOW);
+      expect(result.level).to.equal(ELEVATED);
+      expect(result.escalating).to.be.true;
+    });
+
+    it('should return none for a calm conversation', () => {
+      expect(assessTrajectory([NONE, NONE], NONE).level).to.equal(NONE);
+      expect(assessTrajectory([], LOW).level).to.equal(NONE);
+    });
+  });
+
+  describe('combineRisk()', () => {
+    const calm = { level: NONE };
+
+    it('should take the highest signal', () => {
+      const result = combineRisk({ lexicon: { level: NONE }, classification: 'CRISIS', trajectory: calm });
+      expect(result).to.deep.equal({ level: ELEVATED, degraded: false });
+    });
+
+    it('should keep imminent lexicon risk regardless of the classifier', () => {
+      expect(combineRisk({ lexicon: { level: IMMINENT }, classification: 'SAFE', trajectory: calm }).level)
+        .to.equal(IMMINENT);
+    });
+
+    it('should fail safe when the classifier is unavailable', () => {
+      const result = combineRisk({ lexicon: { level: LOW }, classification: null, trajectory: calm });
+      expect(result).to.deep.equal({ level: ELEVATED, degraded: true });
+    });
+
+    it('should not raise a calm message when the classifier is unavailable', () => {
+      expect(combineRisk({ lexicon: { level: NONE }, classification: null, trajectory: calm }).level)
+        .to.equal(NONE);
+    });
+  });
+});
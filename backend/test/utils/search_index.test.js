@@ -0,0 +1,96 @@
+import { expect } from 'chai';
+import {
+  MAX_TOKENS_PER_MESSAGE,
+  MAX_QUERY_TOKENS,
+  isSearchEnabled,
+  tokenize,
+  hashToken,
+  buildSearchIndex,
+  buildQueryIndex,
+} from '../../utils/search_index.js';
+
+const OWNER = '64b000000000000000000001';
+const OTHER_OWNER = '64b000000000000000000002';
+
+describe('Search Index Utilities', () => {
+  let savedKey;
+
+  beforeEach(() => {
+    savedKey = process.env.SEARCH_INDEX_KEY;
+    process.env.SEARCH_INDEX_KEY = 'test-search-index-key';
+  });
+
+  afterEach(() => {
+    if (savedKey === undefined) delete process.env.SEARCH_INDEX_KEY;
+    else process.env.SEARCH_INDEX_KEY = savedKey;
+  });
+
+  describe('tokenize()', () => {
+    it('should lower-case, strip accents and punctuation, and dedupe', () => {
+      expect(tokenize("I can't SLEEP; sleep, café!")).to.deep.equal(['can', 'sleep', 'cafe']);
+    });
+
+    it('should drop words that are too short or too long', () => {
+      expect(tokenize(`a ok ${'x'.repeat(41)}`)).to.deep.equal(['ok']);
+    });
+
+    it('should return an empty array for non-strings', () => {
+      expect(tokenize(null)).to.deep.equal([]);
+      expect(tokenize('!!!')).to.deep.equal([]);
+    });
+  });
+
+  describe('hashToken()', () => {
+    it('should be deterministic per owner and differ between owners', () => {
+      expect(hashToken('sleep', OWNER)).to.equal(hashToken('sleep', OWNER));
+      expect(hashToken('sleep', OWNER)).to.not.equal(hashToken('sleep', OTHER_OWNER));
+      expect(hashToken('sleep', OWNER)).to.not.include('sleep');
+    });
+
+    it('should depend on the index key', () => {
+      const before = hashToken('sleep', OWNER);
+      process.env.SEARCH_INDEX_KEY = 'another-key';
+      expect(hashToken('sleep', OWNER)).to.not.equal(before);
+    });
+  });
+
+  describe('buildSearchIndex()', () => {
+    it('should hash every word of the message', () => {
+      const index = buildSearchIndex('Exams make me anxious', OWNER);
+      expect(index).to.have.length(4);
+      expect(index).to.include(hashToken('anxious', OWNER));
+    });
+
+    it('should cap the number of hashes', () => {
+      const text = Array.from({ length: MAX_TOKENS_PER_MESSAGE + 10 }, (_, i) => `w${i}`).join(' ');
+      expect(buildSearchIndex(text, OWNER)).to.have.length(MAX_TOKENS_PER_MESSAGE);
+    });
+
+    it('should return undefined without a key or an owner', () => {
+      expect(buildSearchIndex('hello there', null)).to.be.undefined;
+      delete process.env.SEARCH_INDEX_KEY;
+      expect(isSearchEnabled()).to.be.false;
+      expect(buildSearchIndex('hello there', OWNER)).to.be.undefined;
+    });
+  });
+
+  describe('buildQueryIndex()', () => {
+    it('should produce hashes that are a subset of a matching message index', () => {
+      const index = buildSearchIndex("I couldn't sleep before the exam", OWNER);
+      const query = buildQueryIndex('EXAM sleep', OWNER);
+      expect(query).to.have.length(2);
+      query.forEach((hash) => expect(index).to.include(hash));
+    });
+
+    it('should not match another user\'s index', () => {
+      const index = buildSearchIndex('exam', OWNER);
+      expect(index).to.not.include(buildQueryIndex('exam', OTHER_OWNER)[0]);
+    });
+
+    it('should limit the number of query words', () => {
+      const query = Array.from({ length: MAX_QUERY_TOKENS + 4 }, (_, i) => `q${i}`).join(' ');
+      expect(buildQueryIndex(query, OWNER)).to.have.length(MAX_QUERY_TOKENS);
+      expect(buildQueryIndex('?!', OWNER)).to.deep.equal([]);
+    });
+  });
+});
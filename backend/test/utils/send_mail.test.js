@@ -2,6 +2,7 @@ import { expect } from 'chai';
 import sinon from 'sinon';
 import nodemailer from 'nodemailer';
 import sendMail from '../../utils/send_mail.js';
+import { SmtpTransport } from '../../utils/mail_transports.js';
 
 describe('sendMail', () => {
   let createTransportStub;
@@ -10,6 +11,7 @@ describe('sendMail', () => {
 
   beforeEach(() => {
     // Mock environment variables
+    process.env.MAIL_TRANSPORT = 'smtp';
     process.env.SMTP_HOST = 'smtp.example.com';
     process.env.SMTP_PORT = '587';
     process.env.SMTP_SERVICE = 'gmail';
@@ -24,7 +26,9 @@ describe('sendMail', () => {
 
   afterEach(() => {
     // Restore stubs and environment variables
+    SmtpTransport.close();
     sinon.restore();
+    delete process.env.MAIL_TRANSPORT;
     delete process.env.SMTP_HOST;
     delete process.env.SMTP_PORT;
     delete process.env.SMTP_SERVICE;
@@ -43,6 +47,7 @@ describe('sendMail', () => {
 
     expect(createTransportStub.calledOnce).to.be.true;
     expect(createTransportStub.calledWith({
+      pool: true,
       host: process.env.SMTP_HOST,
       port: process.env.SMTP_PORT,
       secure: false,
@@ -54,6 +59,20 @@ describe('sendMail', () => {
     })).to.be.true;
   });
 
+  it('should create the pooled transporter once and reuse it', async () => {
+    const options = {
+      email: 'recipient@example.com',
+      subject: 'Test Subject',
+      message: 'Test Message',
+    };
+
+    await sendMail(options);
+    await sendMail(options);
+
+    expect(createTransportStub.calledOnce).to.be.true;
+    expect(sendMailStub.calledTwice).to.be.true;
+  });
+
   it('should call sendMail with correct mail options', async () => {
     const options = {
       email: 'recipient@example.com',
@@ -89,6 +108,33 @@ describe('sendMail', () => {
     })).to.be.true;
   });
 
+  it('should send the HTML alternative when given', async () => {
+    const options = {
+      email: 'recipient@example.com',
+      subject: 'Test Subject',
+      message: 'Test Message',
+      html: '<p>Test Message</p>',
+    };
+
+    await sendMail(options);
+
+    expect(sendMailStub.calledWith({
+      from: process.env.SMTP_MAIL,
+      to: options.email,
+      subject: options.subject,
+      text: options.message,
+      html: options.html,
+    })).to.be.true;
+  });
+
+  it('should send extra headers when given', async () => {
+    const headers = { 'List-Unsubscribe': '<https://example.com/unsubscribe/abc>' };
+
+    await sendMail({ email: 'recipient@example.com', subject: 'Test Subject', message: 'Test Message', headers });
+
+    expect(sendMailStub.firstCall.args[0].headers).to.deep.equal(headers);
+  });
+
   it('should throw an error if sendMail fails', async () => {
     const options = {
       email: 'recipient@example.com',
@@ -123,6 +169,7 @@ describe('sendMail', () => {
     await sendMail(options);
 
     expect(createTransportStub.calledWith({
+      pool: true,
       host: 'smtp.test.com',
       port: '465',
       secure: false,
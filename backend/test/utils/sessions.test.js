@@ -0,0 +1,56 @@
+import { expect } from 'chai';
+import {
+  hashTokenSecret,
+  generateRefreshToken,
+  parseRefreshToken,
+  describeDevice,
+} from '../../utils/sessions.js';
+
+const SESSION_ID = '64b7f0c2a1e4d3b2c1a09f8e';
+
+describe('Session Helpers', () => {
+  describe('generateRefreshToken()', () => {
+    it('should prefix the token with the session ID', () => {
+      const { token } = generateRefreshToken(SESSION_ID);
+      expect(token.startsWith(`${SESSION_ID}.`)).to.be.true;
+    });
+
+    it('should return the hash of the secret, not the secret', () => {
+      const { token, secretHash } = generateRefreshToken(SESSION_ID);
+      const secret = token.split('.')[1];
+      expect(secretHash).to.equal(hashTokenSecret(secret));
+      expect(secretHash).to.not.include(secret);
+    });
+
+    it('should create a different token each time', () => {
+      expect(generateRefreshToken(SESSION_ID).token).to.not.equal(generateRefreshToken(SESSION_ID).token);
+    });
+  });
+
+  describe('parseRefreshToken()', () => {
+    it('should round-trip a generated token', () => {
+      const { token, secretHash } = generateRefreshToken(SESSION_ID);
+      expect(parseRefreshToken(token)).to.deep.equal({ sessionId: SESSION_ID, secretHash });
+    });
+
+    it('should reject malformed tokens', () => {
+      [undefined, '', 'abc', `${SESSION_ID}.`, `not-an-id.${'a'.repeat(43)}`, `${SESSION_ID}.short`].forEach((t) => {
+        expect(parseRefreshToken(t)).to.be.null;
+      });
+    });
+  });
+
+  describe('describeDevice()', () => {
+    it('should name the browser and platform', () => {
+      const mac = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+      const iphone = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
+      expect(describeDevice(mac)).to.equal('Chrome on macOS');
+      expect(describeDevice(iphone)).to.equal('Safari on iOS');
+    });
+
+    it('should fall back for unknown or missing agents', () => {
+      expect(describeDevice(undefined)).to.equal('Unknown device');
+      expect(describeDevice('curl/8.0')).to.equal('Unknown device');
+    });
+  });
+});
@@ -0,0 +1,76 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { formatSSE, openEventStream } from '../../utils/sse.js';
+
+const fakeResponse = () => ({
+  status: sinon.stub().returnsThis(),
+  set: sinon.stub().returnsThis(),
+  flushHeaders: sinon.stub(),
+  write: sinon.stub(),
+  end: sinon.stub(),
+});
+
+describe('SSE Utilities', () => {
+  describe('formatSSE()', () => {
+    it('should format an event frame with JSON data', () => {
+      expect(formatSSE('chat_token', { token: 'Hi' })).to.equal(
+        'event: chat_token\ndata: {"token":"Hi"}\n\n'
+      );
+    });
+
+    it('should include the id line when given', () => {
+      expect(formatSSE('error', {}, 3)).to.equal('id: 3\nevent: error\ndata: {}\n\n');
+    });
+  });
+
+  describe('openEventStream()', () => {
+    let clock;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers();
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it('should send event-stream headers immediately', () => {
+      const res = fakeResponse();
+      openEventStream(res).close();
+
+      expect(res.status.calledWith(200)).to.be.true;
+      expect(res.set.firstCall.args[0]).to.include({
+        'Content-Type': 'text/event-stream',
+        'X-Accel-Buffering': 'no',
+      });
+      expect(res.flushHeaders.calledOnce).to.be.true;
+    });
+
+    it('should number events and ignore sends after close', () => {
+      const res = fakeResponse();
+      const events = openEventStream(res);
+
+      events.send('chat_token', { token: 'a' });
+      events.send('chat_token', { token: 'b' });
+      events.close();
+      events.send('chat_token', { token: 'c' });
+      events.close();
+
+      expect(res.write.args.map(([frame]) => frame.split('\n')[0])).to.deep.equal(['id: 1', 'id: 2']);
+      expect(res.end.calledOnce).to.be.true;
+    });
+
+    it('should write heartbeats until closed', () => {
+      const res = fakeResponse();
+      const events = openEventStream(res);
+
+      clock.tick(15000);
+      expect(res.write.calledWith(': keep-alive\n\n')).to.be.true;
+
+      events.close();
+      res.write.resetHistory();
+      clock.tick(30000);
+      expect(res.write.called).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,110 @@
+import { expect } from 'chai';
+import {
+  TOKEN_BUDGET_CONSTANTS,
+  estimateTokens,
+  estimateMessageTokens,
+  truncateToTokens,
+  fitHistoryToBudget,
+  allocateContext,
+} from '../../utils/token_budget.js';
+
+const msg = (role, length) => ({ role, content: 'x'.repeat(length) });
+
+describe('Token Budget Utilities', () => {
+  describe('estimateTokens()', () => {
+    it('should return 0 for empty or non-string input', () => {
+      expect(estimateTokens('')).to.equal(0);
+      expect(estimateTokens(null)).to.equal(0);
+      expect(estimateTokens(42)).to.equal(0);
+    });
+
+    it('should round up characters per token', () => {
+      expect(estimateTokens('abcd')).to.equal(1);
+      expect(estimateTokens('abcde')).to.equal(2);
+    });
+  });
+
+  describe('estimateMessageTokens()', () => {
+    it('should add per-message overhead', () => {
+      expect(estimateMessageTokens({ content: 'abcd' })).to.equal(1 + TOKEN_BUDGET_CONSTANTS.MESSAGE_OVERHEAD);
+    });
+  });
+
+  describe('truncateToTokens()', () => {
+    it('should leave short text untouched', () => {
+      expect(truncateToTokens('short', 10)).to.equal('short');
+    });
+
+    it('should cut long text and mark the truncation', () => {
+      const out = truncateToTokens('x'.repeat(100), 5);
+      expect(out).to.have.lengthOf(20);
+      expect(out.endsWith('…')).to.be.true;
+    });
+  });
+
+  describe('fitHistoryToBudget()', () => {
+    it('should keep the newest messages that fit, in chronological order', () => {
+      const history = [msg('user', 40), msg('assistant', 40), msg('user', 40)];
+      const cost = estimateMessageTokens(history[0]);
+
+      const kept = fitHistoryToBudget(history, cost * 2);
+
+      expect(kept).to.deep.equal(history.slice(1));
+    });
+
+    it('should stop at the first message that does not fit', () => {
+      const history = [msg('user', 4), msg('assistant', 400), msg('user', 4)];
+
+      const kept = fitHistoryToBudget(history, 20);
+
+      expect(kept).to.deep.equal([history[2]]);
+    });
+
+    it('should return nothing when the budget is exhausted', () => {
+      expect(fitHistoryToBudget([msg('user', 40)], 0)).to.deep.equal([]);
+    });
+  });
+
+  describe('allocateContext()', () => {
+    it('should include everything when it fits', () => {
+      const history = [msg('user', 40), msg('assistant', 40)];
+      const result = allocateContext({ summary: 'earlier', history, input: 'hi', budget: 1000 });
+
+      expect(result.summary).to.equal('earlier');
+      expect(result.history).to.deep.equal(history);
+      expect(result.usedTokens).to.be.at.most(1000);
+    });
+
+    it('should cap the summary at half the budget', () => {
+      const result = allocateContext({ summary: 'x'.repeat(4000), history: [], input: 'hi', budget: 100 });
+
+      expect(estimateTokens(result.summary)).to.be.at.most(50);
+    });
+
+    it('should apply formatSummary to the kept summary', () => {
+      const result = allocateContext({
+        summary: 'notes',
+        history: [],
+        input: 'hi',
+        budget: 100,
+        formatSummary: (s) => `Summary: ${s}`,
+      });
+
+      expect(result.summary).to.equal('Summary: notes');
+    });
+
+    it('should drop older history before newer history', () => {
+      const history = [msg('user', 200), msg('assistant', 200), msg('user', 200)];
+      const result = allocateContext({ history, input: 'hi', budget: 100 });
+
+      expect(result.history).to.deep.equal([history[2]]);
+    });
+
+    it('should return no history when the input alone exceeds the budget', () => {
+      const result = allocateContext({ summary: 's', history: [msg('user', 4)], input: 'x'.repeat(400), budget: 10 });
+
+      expect(result.summary).to.equal('');
+      expect(result.history).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+import { expect } from 'chai';
+import {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  generateTotp,
+  verifyTotp,
+  timeStep,
+  buildOtpAuthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  RECOVERY_CODE_COUNT,
+} from '../../utils/totp.js';
+
+// RFC 6238 appendix B secret ("12345678901234567890")
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('TOTP Helpers', () => {
+  describe('base32Encode() / base32Decode()', () => {
+    it('should encode the RFC test secret', () => {
+      expect(base32Encode(Buffer.from('12345678901234567890'))).to.equal(RFC_SECRET);
+    });
+
+    it('should round-trip random bytes and ignore case and spaces', () => {
+      const secret = generateTotpSecret();
+      const spaced = secret.toLowerCase().replace(/(.{4})/g, '$1 ');
+      expect(base32Encode(base32Decode(spaced))).to.equal(secret);
+    });
+
+    it('should reject characters outside the alphabet', () => {
+      expect(() => base32Decode('ABC1')).to.throw('Invalid Base32 character');
+    });
+  });
+
+  describe('generateTotp()', () => {
+    it('should match the RFC 6238 SHA-1 test vectors (last six digits)', () => {
+      expect(generateTotp(RFC_SECRET, 59 * 1000)).to.equal('287082');
+      expect(generateTotp(RFC_SECRET, 1111111109 * 1000)).to.equal('081804');
+      expect(generateTotp(RFC_SECRET, 1234567890 * 1000)).to.equal('005924');
+    });
+  });
+
+  describe('verifyTotp()', () => {
+    const now = 1234567890 * 1000;
+
+    it('should return the matching time step', () => {
+      expect(verifyTotp(RFC_SECRET, '005924', { now })).to.equal(timeStep(now));
+    });
+
+    it('should tolerate one step of clock drift', () => {
+      const previous = generateTotp(RFC_SECRET, now - 30 * 1000);
+      expect(verifyTotp(RFC_SECRET, previous, { now })).to.equal(timeStep(now) - 1);
+      const older = generateTotp(RFC_SECRET, now - 90 * 1000);
+      expect(verifyTotp(RFC_SECRET, older, { now })).to.be.null;
+    });
+
+    it('should reject a step that was already used', () => {
+      expect(verifyTotp(RFC_SECRET, '005924', { now, afterStep: timeStep(now) })).to.be.null;
+    });
+
+    it('should reject malformed codes', () => {
+      ['', '12345', '1234567', 'abcdef', null].forEach((code) => {
+        expect(verifyTotp(RFC_SECRET, code, { now })).to.be.null;
+      });
+    });
+  });
+
+  describe('buildOtpAuthUri()', () => {
+    it('should build a provisioning URI for authenticator apps', () => {
+      const uri = buildOtpAuthUri({ secret: RFC_SECRET, accountName: 'ada', issuer: 'Diagnosy' });
+      expect(uri.startsWith('otpauth://totp/Diagnosy%3Aada?')).to.be.true;
+      const params = new URL(uri).searchParams;
+      expect(params.get('secret')).to.equal(RFC_SECRET);
+      expect(params.get('issuer')).to.equal('Diagnosy');
+      expect(params.get('digits')).to.equal('6');
+      expect(params.get('period')).to.equal('30');
+    });
+  });
+
+  describe('generateRecoveryCodes()', () => {
+    it('should return distinct codes and their hashes', () => {
+      const { codes, hashes } = generateRecoveryCodes();
+      expect(codes).to.have.length(RECOVERY_CODE_COUNT);
+      expect(new Set(codes).size).to.equal(RECOVERY_CODE_COUNT);
+      codes.forEach((code, i) => {
+        expect(code).to.match(/^[a-z2-9]{5}-[a-z2-9]{5}$/);
+        expect(hashes[i]).to.equal(hashRecoveryCode(code));
+      });
+    });
+
+    it('should hash codes regardless of case and separators', () => {
+      expect(hashRecoveryCode('ABCDE-FGHJK')).to.equal(hashRecoveryCode('abcde fghjk'));
+    });
+  });
+});
@@ -0,0 +1,115 @@
+import { expect } from 'chai';
+import {
+  PLANS,
+  QUOTA_STATES,
+  getPlanQuota,
+  parseUsageDay,
+  formatUsageDay,
+  lastUsageDays,
+  nextQuotaReset,
+  quotaStatus,
+  estimateCallUsage,
+} from '../../utils/usage_quota.js';
+
+describe('Usage Quotas', () => {
+  afterEach(() => {
+    delete process.env.TOKEN_QUOTA_FREE;
+    delete process.env.TOKEN_QUOTA_UNLIMITED;
+  });
+
+  describe('getPlanQuota()', () => {
+    it('should return the default allowance of a plan', () => {
+      expect(getPlanQuota(PLANS.FREE)).to.equal(50000);
+      expect(getPlanQuota(PLANS.UNLIMITED)).to.be.null;
+    });
+
+    it('should fall back to the default plan for unknown plans', () => {
+      expect(getPlanQuota('gold')).to.equal(getPlanQuota(PLANS.FREE));
+    });
+
+    it('should honour environment overrides', () => {
+      process.env.TOKEN_QUOTA_FREE = '1000';
+      process.env.TOKEN_QUOTA_UNLIMITED = '5000';
+      expect(getPlanQuota(PLANS.FREE)).to.equal(1000);
+      expect(getPlanQuota(PLANS.UNLIMITED)).to.equal(5000);
+
+      process.env.TOKEN_QUOTA_FREE = 'Unlimited';
+      expect(getPlanQuota(PLANS.FREE)).to.be.null;
+    });
+
+    it('should ignore invalid overrides', () => {
+      process.env.TOKEN_QUOTA_FREE = 'lots';
+      expect(getPlanQuota(PLANS.FREE)).to.equal(50000);
+    });
+  });
+
+  describe('parseUsageDay()', () => {
+    it('should return the start of the UTC day', () => {
+      expect(parseUsageDay('2026-03-01').toISOString()).to.equal('2026-03-01T00:00:00.000Z');
+    });
+
+    it('should reject malformed or impossible dates', () => {
+      ['2026-02-30', '2026-3-01', '01-03-2026', '', undefined, 20260301].forEach((value) => {
+        expect(parseUsageDay(value)).to.be.null;
+      });
+    });
+  });
+
+  describe('lastUsageDays()', () => {
+    it('should list the days ending today, oldest first', () => {
+      const days = lastUsageDays(3, new Date('2026-03-01T15:30:00Z')).map(formatUsageDay);
+      expect(days).to.deep.equal(['2026-02-27', '2026-02-28', '2026-03-01']);
+    });
+  });
+
+  describe('nextQuotaReset()', () => {
+    it('should be the next midnight UTC', () => {
+      expect(nextQuotaReset(new Date('2026-03-01T23:59:59Z')).toISOString()).to.equal('2026-03-02T00:00:00.000Z');
+    });
+  });
+
+  describe('quotaStatus()', () => {
+    const now = new Date('2026-03-01T12:00:00Z');
+
+    it('should report what is left', () => {
+      expect(quotaStatus({ plan: PLANS.FREE, used: 1000, now })).to.include({
+        plan: PLANS.FREE,
+        limit: 50000,
+        remaining: 49000,
+        warningAt: 40000,
+        state: QUOTA_STATES.OK,
+      });
+    });
+
+    it('should warn past the warning line', () => {
+      expect(quotaStatus({ plan: PLANS.FREE, used: 40000, now }).state).to.equal(QUOTA_STATES.WARNING);
+    });
+
+    it('should be exceeded once the allowance is used up', () => {
+      expect(quotaStatus({ plan: PLANS.FREE, used: 60000, now })).to.include({
+        remaining: 0,
+        state: QUOTA_STATES.EXCEEDED,
+      });
+    });
+
+    it('should never limit the unlimited plan', () => {
+      expect(quotaStatus({ plan: PLANS.UNLIMITED, used: 10000000, now })).to.include({
+        limit: null,
+        remaining: null,
+        state: QUOTA_STATES.OK,
+      });
+    });
+
+    it('should treat users without a plan as on the default plan', () => {
+      expect(quotaStatus({ used: 0, now }).plan).to.equal(PLANS.FREE);
+    });
+  });
+
+  describe('estimateCallUsage()', () => {
+    it('should estimate the prompt and the reply', () => {
+      const usage = estimateCallUsage([{ role: 'user', content: 'a'.repeat(40) }], 'b'.repeat(20));
+      expect(usage.inputTokens).to.be.greaterThan(usage.outputTokens);
+      expect(usage.outputTokens).to.be.greaterThan(0);
+    });
+  });
+});
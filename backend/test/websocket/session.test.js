@@ -0,0 +1,234 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { RedisConfig, logger } from '../../config/index.js';
+import { openSession } from '../../websocket/session.js';
+
+/**
+ * Minimal in-memory stand-in for the node-redis commands the session store uses.
+ */
+const createFakeRedis = () => {
+  const hashes = new Map();
+  const lists = new Map();
+  const strings = new Map();
+
+  const commands = {
+    hSet: (key, field, value) => {
+      const hash = hashes.get(key) ?? {};
+      if (typeof field === 'object') Object.assign(hash, field);
+      else hash[field] = value;
+      hashes.set(key, hash);
+    },
+    rPush: (key, value) => lists.set(key, [...(lists.get(key) ?? []), value]),
+    lTrim: (key, start) => lists.set(key, (lists.get(key) ?? []).slice(start)),
+    expire: () => {},
+    pExpire: () => {},
+  };
+
+  return {
+    hashes,
+    lists,
+    strings,
+    hGetAll: async (key) => ({ ...(hashes.get(key) ?? {}) }),
+    hGet: async (key, field) => hashes.get(key)?.[field] ?? null,
+    lRange: async (key) => [...(lists.get(key) ?? [])],
+    get: async (key) => strings.get(key) ?? null,
+    set: async (key, value, options) => {
+      if (options?.condition === 'NX' && strings.has(key)) return null;
+      strings.set(key, value);
+      return 'OK';
+    },
+    del: async (key) => Number(strings.delete(key)),
+    multi() {
+      const queued = [];
+      const chain = {
+        exec: async () => queued.forEach((fn) => fn()),
+      };
+      Object.keys(commands).forEach((name) => {
+        chain[name] = (...args) => {
+          queued.push(() => commands[name](...args));
+          return chain;
+        };
+      });
+      return chain;
+    },
+  };
+};
+
+const createFakeSocket = () => ({
+  OPEN: 1,
+  readyState: 1,
+  sent: [],
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  },
+  close: sinon.spy(),
+});
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('WebSocket sessions', () => {
+  let redis;
+
+  beforeEach(() => {
+    redis = createFakeRedis();
+    sinon.stub(RedisConfig, 'getClient').returns(redis);
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'warn');
+    sinon.stub(logger, 'error');
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should number every event with an increasing seq', async () => {
+    const ws = createFakeSocket();
+    const { session, resumed } = await openSession({ ws, userID: 'u1' });
+
+    session.send('chat_token', { token: 'a' });
+    session.send('chat_token', { token: 'b' });
+
+    expect(resumed).to.be.false;
+    expect(ws.sent.map((e) => e.seq)).to.deep.equal([1, 2]);
+    expect(ws.sent[0]).to.include({ type: 'chat_token', sessionId: session.id });
+  });
+
+  it('should replay events missed after lastSeq on resume', async () => {
+    const first = createFakeSocket();
+    const { session } = await openSession({ ws: first, userID: 'u1' });
+
+    session.send('chat_token', { token: 'a' });
+    session.detach(first);
+    session.send('chat_token', { token: 'b' });
+    session.send('session_complete', { chatId: 'c1' });
+    await flush();
+
+    const second = createFakeSocket();
+    const { resumed } = await openSession({ ws: second, userID: 'u1', resume: session.id, lastSeq: '1' });
+
+    expect(resumed).to.be.true;
+    expect(first.sent.map((e) => e.seq)).to.deep.equal([1]);
+    expect(second.sent.map((e) => [e.seq, e.type, e.replayed])).to.deep.equal([
+      [2, 'chat_token', true],
+      [3, 'session_complete', true],
+    ]);
+  });
+
+  it('should continue numbering live events after a resume', async () => {
+    const { session } = await openSession({ ws: createFakeSocket(), userID: 'u1' });
+    session.send('chat_token', { token: 'a' });
+    await flush();
+
+    const second = createFakeSocket();
+    await openSession({ ws: second, userID: 'u1', resume: session.id, lastSeq: 1 });
+    session.send('chat_token', { token: 'b' });
+
+    expect(second.sent.map((e) => e.seq)).to.deep.equal([2]);
+  });
+
+  it('should not let another user resume the session', async () => {
+    const { session } = await openSession({ ws: createFakeSocket(), userID: 'u1' });
+    session.send('chat_token', { token: 'secret' });
+    await flush();
+
+    const intruder = createFakeSocket();
+    const result = await openSession({ ws: intruder, userID: 'u2', resume: session.id, lastSeq: 0 });
+
+    expect(result.resumed).to.be.false;
+    expect(result.session.id).to.not.equal(session.id);
+    expect(intruder.sent).to.deep.equal([]);
+  });
+
+  it('should report a gap when the buffer no longer covers lastSeq', async () => {
+    const { session } = await openSession({ ws: createFakeSocket(), userID: 'u1' });
+    session.send('chat_token', { token: 'a' });
+    session.send('chat_token', { token: 'b' });
+    await flush();
+    redis.lists.set(`ws_session:${session.id}:events`, redis.lists.get(`ws_session:${session.id}:events`).slice(1));
+
+    const second = createFakeSocket();
+    await openSession({ ws: second, userID: 'u1', resume: session.id, lastSeq: 0 });
+
+    expect(second.sent.map((e) => e.type)).to.deep.equal(['replay_incomplete', 'chat_token']);
+  });
+
+  it('should close the previous socket when the session is resumed elsewhere', async () => {
+    const first = createFakeSocket();
+    const { session } = await openSession({ ws: first, userID: 'u1' });
+
+    await openSession({ ws: createFakeSocket(), userID: 'u1', resume: session.id, lastSeq: 0 });
+
+    expect(first.close.calledOnce).to.be.true;
+  });
+
+  describe('across processes', () => {
+    const storeForeignSession = (id, fields) => {
+      redis.hashes.set(`ws_session:${id}`, { userID: 'u1', lastSeq: '2', owner: 'other-process', ...fields });
+      redis.lists.set(`ws_session:${id}:events`, [
+        JSON.stringify({ type: 'chat_token', seq: 1, sessionId: id, payload: {} }),
+        JSON.stringify({ type: 'session_complete', seq: 2, sessionId: id, payload: {} }),
+      ]);
+    };
+
+    it('should take over an idle session owned by another process', async () => {
+      storeForeignSession('s-idle', { chatId: 'c9' });
+
+      const ws = createFakeSocket();
+      const { session, resumed } = await openSession({ ws, userID: 'u1', resume: 's-idle', lastSeq: 1 });
+      session.send('chat_token', { token: 'next' });
+
+      expect(resumed).to.be.true;
+      expect(session.chatId).to.equal('c9');
+      expect(redis.hashes.get('ws_session:s-idle').owner).to.not.equal('other-process');
+      expect(redis.strings.has('ws_session:s-idle:lock')).to.be.false;
+      expect(ws.sent.map((e) => e.seq)).to.deep.equal([2, 3]);
+    });
+
+    it('should refuse to resume a session that is replying on another process', async () => {
+      storeForeignSession('s-busy');
+      redis.strings.set('ws_session:s-busy:lock', 'other-process');
+
+      const ws = createFakeSocket();
+      const err = await openSession({ ws, userID: 'u1', resume: 's-busy', lastSeq: 1 }).catch((e) => e);
+
+      expect(err).to.be.an('error');
+      expect(err.closeCode).to.equal(1013);
+      expect(redis.hashes.get('ws_session:s-busy').owner).to.equal('other-process');
+      expect(ws.sent).to.deep.equal([]);
+    });
+
+    it('should hold the session lock while a reply is in flight', async () => {
+      const { session } = await openSession({ ws: createFakeSocket(), userID: 'u1' });
+
+      expect(await session.beginReply()).to.be.true;
+      expect(session.isProcessingChat).to.be.true;
+      expect(redis.strings.has(`ws_session:${session.id}:lock`)).to.be.true;
+
+      session.endReply();
+      await flush();
+
+      expect(session.isProcessingChat).to.be.false;
+      expect(redis.strings.has(`ws_session:${session.id}:lock`)).to.be.false;
+    });
+
+    it('should refuse a reply once the session has moved to another process', async () => {
+      const ws = createFakeSocket();
+      const { session } = await openSession({ ws, userID: 'u1' });
+      redis.hashes.get(`ws_session:${session.id}`).owner = 'other-process';
+
+      expect(await session.beginReply()).to.be.false;
+      expect(session.isProcessingChat).to.be.false;
+      expect(redis.strings.has(`ws_session:${session.id}:lock`)).to.be.false;
+      expect(ws.close.calledWith(4000)).to.be.true;
+    });
+
+    it('should persist the active chat for a resume elsewhere', async () => {
+      const { session } = await openSession({ ws: createFakeSocket(), userID: 'u1' });
+
+      session.setChatId('c1');
+      await flush();
+
+      expect(redis.hashes.get(`ws_session:${session.id}`).chatId).to.equal('c1');
+    });
+  });
+});
@@ -11,12 +11,6 @@ export const M = {
     "I specialize in stress, anxiety, and emotional well-being. Please share how you're feeling.",
 };
 
-export const DISCLAIMER =
-  "I'm not a therapist or doctor, but I can help give you first aid before you see a doctor. For crisis or suicidal thoughts, please contact +234 800 2255 6362 for proper direction.";
-
-export const CRISIS_RESPONSE =
-  "I'm really concerned about what you just shared. **Please reach out for immediate help**: Call +234 800 2255 6362 to direct you to nearest help available. You're not alone.";
-
 const CRISIS_KEYWORDS = [
   /kill myself/i,
   /end it/i,
@@ -34,6 +28,12 @@ const BLOCKED_PHRASES = [
   /code/i,
 ];
 
+export const CLASSIFICATION = {
+  OFF_TOPIC: "OFF_TOPIC",
+  CRISIS: "CRISIS",
+  SAFE: "SAFE",
+};
+
 // ────── Prompts ──────
 export const CLASSIFICATION_PROMPT = (input) => `
 Analyze the user's message below and respond with only one of these three tags, no other text: [OFF_TOPIC|CRISIS|SAFE].
@@ -50,16 +50,78 @@ You are a warm, supportive mental wellness companion.
 - User input: "${input}"
 `.trim();
 
-export const CONTINUE_PROMPT = (recentHistory, input) => `
+export const CONTINUE_PROMPT = (recentHistory, input, crisisResponse) => `
 Continue this mental health chat. Be warm, practical, and limit your response to 120 words.
 Previous Context (Role: Content | ...): ${recentHistory}
-Crisis Response: "${CRISIS_RESPONSE}"
+Crisis Response: "${crisisResponse}"
 
 User: "${input}"
 `.trim();
 
+const SAFETY_GUIDANCE = {
+  low: `
+System note: the user may be struggling. Respond with extra warmth, gently ask how they are coping,
+and whether they have someone they can lean on. Do not mention this note.
+`.trim(),
+  elevated: `
+System note: the user may be at risk of harming themselves. Put their safety first:
+acknowledge their feelings without judgement, ask directly whether they are safe right now,
+and encourage them to contact a crisis line or someone they trust today.
+Do not give medical instructions. Local crisis contacts will be appended by the system. Do not mention this note.
+`.trim(),
+};
+
+/**
+ * Returns model guidance for a risk level, or an empty string when none is needed.
+ */
+export const SAFETY_PROMPT = (riskLevel) => SAFETY_GUIDANCE[riskLevel] ?? "";
+
+export const SUMMARY_PROMPT = (previousSummary, transcript) => `
+You maintain the long-term memory of a mental wellness chat.
+Update the summary below with the new messages. Keep what matters for future support:
+feelings, recurring stressors, people and events mentioned, coping strategies tried and what helped.
+Write in third person ("The user..."), under 200 words, no advice, no preamble.
+Current summary: "${previousSummary || "None yet."}"
+New messages (Role: Content):
+${transcript}
+`.trim();
+
+export const MEMORY_PROMPT = (summary) => `
+Summary of earlier parts of this conversation, for context only (do not repeat it back):
+${summary}
+`.trim();
+
+/**
+ * Recent mood check-ins, for context only. Returns an empty string without a summary.
+ * @param {Object|null} summary - Result of summarizeRecentMood()
+ */
+export const MOOD_CONTEXT_PROMPT = (summary) => {
+  if (!summary) return "";
+  const trend = {
+    up: `up from ${summary.previousAverage} the week before`,
+    down: `down from ${summary.previousAverage} the week before`,
+    steady: "about the same as the week before",
+  }[summary.direction];
+  const tags = summary.topTags.map((t) => t.tag).join(", ");
+  return `
+System note: the user logged ${summary.count} mood check-in(s) this week, averaging ${summary.average}/10${trend ? ` (${trend})` : ""}.
+${tags ? `Most common feelings: ${tags}.\n` : ""}Let this inform your tone; mention it only if it is relevant. Do not mention this note.
+`.trim();
+};
+
 // ────── Helpers ──────
 export const toId = (id) => new mongoose.Types.ObjectId(id);
 export const isCrisis = (msg) => CRISIS_KEYWORDS.some((r) => r.test(msg));
 export const isBlocked = (msg) => BLOCKED_PHRASES.some((r) => r.test(msg));
 
+/**
+ * Maps a raw classifier reply to one of the CLASSIFICATION tags.
+ * Anything unrecognised is treated as SAFE.
+ */
+export const parseClassification = (text) => {
+  const upper = String(text ?? "").toUpperCase();
+  if (upper.includes(CLASSIFICATION.OFF_TOPIC)) return CLASSIFICATION.OFF_TOPIC;
+  if (upper.includes(CLASSIFICATION.CRISIS)) return CLASSIFICATION.CRISIS;
+  return CLASSIFICATION.SAFE;
+};
+
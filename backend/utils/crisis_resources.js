@@ -0,0 +1,213 @@
+/**
+ * ------------------------------------------------------------------
+ * Crisis Resource Registry
+ * ------------------------------------------------------------------
+ * Hotlines, text lines and emergency numbers keyed by ISO 3166-1 alpha-2
+ * country code, plus the crisis message and disclaimer wording keyed by
+ * language. A user's country comes from User.region, falling back to the
+ * region part of User.locale (e.g. "en-GB" → GB) and then to
+ * DEFAULT_CRISIS_REGION. Unknown countries get an international message
+ * that points to a helpline directory instead of any specific number.
+ */
+
+// --- Constants ---
+const DEFAULT_CRISIS_REGION = (process.env.DEFAULT_CRISIS_REGION ?? '').toUpperCase();
+const DEFAULT_LANGUAGE = 'en';
+export const HELPLINE_DIRECTORY_URL = 'https://findahelpline.com';
+
+/**
+ * @typedef {Object} CrisisContacts
+ * @property {string} country - Display name
+ * @property {string} emergency - Emergency services number
+ * @property {{name?: string, phone: string}[]} hotlines - Voice helplines
+ * @property {{name?: string, number: string, keyword?: string}[]} textLines - SMS helplines
+ */
+
+/** @type {Object<string, CrisisContacts>} */
+export const CRISIS_RESOURCES = {
+  NG: {
+    country: 'Nigeria',
+    emergency: '112',
+    hotlines: [{ phone: '+234 800 2255 6362' }],
+    textLines: [],
+  },
+  GH: {
+    country: 'Ghana',
+    emergency: '112',
+    hotlines: [],
+    textLines: [],
+  },
+  KE: {
+    country: 'Kenya',
+    emergency: '999',
+    hotlines: [
+      { name: 'Befrienders Kenya', phone: '+254 722 178 177' },
+      { name: 'Kenya Red Cross', phone: '1199' },
+    ],
+    textLines: [],
+  },
+  ZA: {
+    country: 'South Africa',
+    emergency: '112',
+    hotlines: [{ name: 'the SADAG Suicide Crisis Line', phone: '0800 567 567' }],
+    textLines: [{ name: 'SADAG', number: '31393' }],
+  },
+  GB: {
+    country: 'United Kingdom',
+    emergency: '999',
+    hotlines: [{ name: 'Samaritans', phone: '116 123' }],
+    textLines: [{ name: 'Shout', number: '85258', keyword: 'SHOUT' }],
+  },
+  IE: {
+    country: 'Ireland',
+    emergency: '112',
+    hotlines: [{ name: 'Samaritans', phone: '116 123' }],
+    textLines: [{ name: '50808', number: '50808', keyword: 'HELLO' }],
+  },
+  US: {
+    country: 'United States',
+    emergency: '911',
+    hotlines: [{ name: 'the 988 Suicide & Crisis Lifeline', phone: '988' }],
+    textLines: [{ name: 'Crisis Text Line', number: '741741', keyword: 'HOME' }],
+  },
+  CA: {
+    country: 'Canada',
+    emergency: '911',
+    hotlines: [{ name: '9-8-8 Suicide Crisis Helpline', phone: '988' }],
+    textLines: [{ number: '988' }],
+  },
+  AU: {
+    country: 'Australia',
+    emergency: '000',
+    hotlines: [{ name: 'Lifeline', phone: '13 11 14' }],
+    textLines: [{ name: 'Lifeline', number: '0477 13 11 14' }],
+  },
+  FR: {
+    country: 'France',
+    emergency: '112',
+    hotlines: [{ name: 'le numéro national de prévention du suicide', phone: '3114' }],
+    textLines: [],
+  },
+};
+
+/**
+ * Message wording per language. Each entry turns a list of contact
+ * phrases into the final text.
+ */
+const MESSAGES = {
+  en: {
+    call: ({ name, phone }) => (name ? `call ${name} on ${phone}` : `call ${phone}`),
+    text: ({ name, number, keyword }) =>
+      keyword ? `text ${keyword} to ${number}` : `text ${name ? `${name} on ` : ''}${number}`,
+    emergency: (number) => `dial ${number} in an emergency`,
+    directory: (url) => `find a helpline near you at ${url}`,
+    unknownEmergency: 'contact your local emergency number',
+    or: 'or',
+    crisisResponse: (contacts) =>
+      `I'm really concerned about what you just shared. **Please reach out for immediate help**: ${contacts}. You're not alone.`,
+    disclaimer: (contacts) =>
+      `I'm not a therapist or doctor, but I can help give you first aid before you see a doctor. For crisis or suicidal thoughts, please ${contacts}.`,
+  },
+  fr: {
+    call: ({ name, phone }) => (name ? `appelez ${name} au ${phone}` : `appelez le ${phone}`),
+    text: ({ name, number, keyword }) =>
+      keyword ? `envoyez ${keyword} par SMS au ${number}` : `écrivez par SMS ${name ? `à ${name} ` : ''}au ${number}`,
+    emergency: (number) => `composez le ${number} en cas d'urgence`,
+    directory: (url) => `trouvez une ligne d'écoute près de chez vous sur ${url}`,
+    unknownEmergency: "contactez le numéro d'urgence local",
+    or: 'ou',
+    crisisResponse: (contacts) =>
+      `Ce que vous venez de partager m'inquiète vraiment. **Veuillez demander de l'aide immédiatement** : ${contacts}. Vous n'êtes pas seul(e).`,
+    disclaimer: (contacts) =>
+      `Je ne suis ni thérapeute ni médecin, mais je peux vous apporter une première aide avant de consulter. En cas de crise ou de pensées suicidaires, ${contacts}.`,
+  },
+};
+
+export const SUPPORTED_LANGUAGES = Object.keys(MESSAGES);
+
+// --- Resolution ---
+const normalizeRegion = (region) => {
+  const code = typeof region === 'string' ? region.trim().toUpperCase() : '';
+  return /^[A-Z]{2}$/.test(code) ? code : null;
+};
+
+const parseLocale = (locale) => {
+  const [language = '', region = ''] = String(locale ?? '').trim().split(/[-_]/);
+  return { language: language.toLowerCase(), region: normalizeRegion(region) };
+};
+
+/**
+ * Returns true for a two-letter country code.
+ * @param {string} region
+ * @returns {boolean}
+ */
+export const isValidRegion = (region) => normalizeRegion(region) !== null;
+
+/**
+ * Returns true for a BCP 47-style locale such as "en", "en-GB" or "fr_CA".
+ * @param {string} locale
+ * @returns {boolean}
+ */
+export const isValidLocale = (locale) =>
+  typeof locale === 'string' && /^[A-Za-z]{2,3}([-_][A-Za-z]{2})?$/.test(locale.trim());
+
+/**
+ * Resolves the crisis contacts and language for a user.
+ *
+ * @param {Object} [user]
+ * @param {string} [user.region] - ISO country code (e.g. "GH")
+ * @param {string} [user.locale] - Locale (e.g. "en-GB")
+ * @returns {{region: string|null, language: string, emergency: string|null,
+ *   hotlines: Object[], textLines: Object[], directory: string}}
+ */
+export const resolveCrisisResources = ({ region, locale } = {}) => {
+  const fromLocale = parseLocale(locale);
+  const country =
+    [normalizeRegion(region), fromLocale.region, normalizeRegion(DEFAULT_CRISIS_REGION)].find(
+      (code) => code && CRISIS_RESOURCES[code]
+    ) ?? null;
+  const entry = country ? CRISIS_RESOURCES[country] : null;
+
+  return {
+    region: country,
+    language: MESSAGES[fromLocale.language] ? fromLocale.language : DEFAULT_LANGUAGE,
+    emergency: entry?.emergency ?? null,
+    hotlines: entry?.hotlines ?? [],
+    textLines: entry?.textLines ?? [],
+    directory: HELPLINE_DIRECTORY_URL,
+  };
+};
+
+/**
+ * Joins the contact phrases for a resolved resource set.
+ * Without local hotlines the helpline directory is offered instead.
+ */
+const contactPhrase = (resources) => {
+  const t = MESSAGES[resources.language] ?? MESSAGES[DEFAULT_LANGUAGE];
+  const parts = [
+    ...resources.hotlines.map(t.call),
+    ...resources.textLines.map(t.text),
+  ];
+  if (parts.length === 0) parts.push(t.directory(resources.directory));
+  parts.push(resources.emergency ? t.emergency(resources.emergency) : t.unknownEmergency);
+
+  return parts.length > 1
+    ? `${parts.slice(0, -1).join(', ')} ${t.or} ${parts[parts.length - 1]}`
+    : parts[0];
+};
+
+/**
+ * Builds the crisis message shown instead of a model reply.
+ * @param {Object} resources - Result of resolveCrisisResources()
+ * @returns {string}
+ */
+export const crisisResponse = (resources) =>
+  (MESSAGES[resources.language] ?? MESSAGES[DEFAULT_LANGUAGE]).crisisResponse(contactPhrase(resources));
+
+/**
+ * Builds the disclaimer appended to the first complete reply of a conversation.
+ * @param {Object} resources - Result of resolveCrisisResources()
+ * @returns {string}
+ */
+export const disclaimer = (resources) =>
+  (MESSAGES[resources.language] ?? MESSAGES[DEFAULT_LANGUAGE]).disclaimer(contactPhrase(resources));
@@ -0,0 +1,184 @@
+/**
+ * ------------------------------------------------------------------
+ * Personal Data Export Helpers
+ * ------------------------------------------------------------------
+ * Builds the archive behind GET /api/me/export: a gzipped tar (readable
+ * with any archive tool, no extra dependencies) holding the full data as
+ * JSON plus human-readable Markdown for conversations and the rest.
+ */
+
+import zlib from 'zlib';
+
+// --- Constants ---
+const BLOCK_SIZE = 512;
+const NAME_MAX_BYTES = 100;
+const SLUG_MAX_LENGTH = 40;
+
+/* ───────────── Tar (ustar) ───────────── */
+
+const writeString = (buffer, value, offset, length) => {
+  buffer.write(value, offset, Math.min(Buffer.byteLength(value), length), 'utf8');
+};
+
+const writeOctal = (buffer, value, offset, length) => {
+  writeString(buffer, `${value.toString(8).padStart(length - 1, '0')}\0`, offset, length);
+};
+
+/**
+ * 512-byte ustar header for a regular file.
+ * @param {string} name - Path inside the archive (at most 100 bytes)
+ * @param {number} size - Content length in bytes
+ * @param {Date} mtime
+ * @returns {Buffer}
+ */
+const tarHeader = (name, size, mtime) => {
+  if (Buffer.byteLength(name) > NAME_MAX_BYTES) throw new Error(`Archive path too long: ${name}`);
+
+  const header = Buffer.alloc(BLOCK_SIZE);
+  writeString(header, name, 0, 100);
+  writeOctal(header, 0o644, 100, 8); // mode
+  writeOctal(header, 0, 108, 8); // uid
+  writeOctal(header, 0, 116, 8); // gid
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+  header.fill(' ', 148, 156); // checksum placeholder
+  header.write('0', 156); // regular file
+  writeString(header, 'ustar\0', 257, 6);
+  writeString(header, '00', 263, 2);
+
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  writeString(header, `${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8);
+  return header;
+};
+
+/**
+ * Packs files into a gzipped tar archive.
+ * @param {{name: string, content: string|Buffer}[]} files
+ * @param {Date} [mtime=new Date()]
+ * @returns {Buffer}
+ */
+export const createTarGz = (files, mtime = new Date()) => {
+  const parts = [];
+  files.forEach(({ name, content }) => {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    parts.push(tarHeader(name, data.length, mtime), data);
+    const padding = (BLOCK_SIZE - (data.length % BLOCK_SIZE)) % BLOCK_SIZE;
+    if (padding) parts.push(Buffer.alloc(padding));
+  });
+  parts.push(Buffer.alloc(BLOCK_SIZE * 2)); // end-of-archive marker
+  return zlib.gzipSync(Buffer.concat(parts));
+};
+
+/* ───────────── Markdown ───────────── */
+
+/**
+ * File-name-safe slug, e.g. "Work stress!" → "work-stress".
+ * @param {string} text
+ * @returns {string}
+ */
+export const slugify = (text) =>
+  String(text ?? '')
+    .normalize('NFKD')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, SLUG_MAX_LENGTH)
+    .replace(/-+$/, '') || 'untitled';
+
+const formatDate = (date) => (date ? new Date(date).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : '—');
+
+// Keeps user text from breaking table rows
+const cell = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+/**
+ * One conversation as Markdown.
+ * @param {Object} conversation
+ * @param {string} conversation.title
+ * @param {Date} conversation.createdAt
+ * @param {string} [conversation.summary]
+ * @param {{role: string, content: string, timestamp: Date, truncated?: boolean}[]} conversation.messages
+ * @returns {string}
+ */
+export const conversationToMarkdown = ({ title, createdAt, summary, messages }) => {
+  const lines = [`# ${title}`, '', `Started ${formatDate(createdAt)}`, ''];
+  if (summary) lines.push('> **Summary of earlier messages:** ' + summary.replace(/\r?\n/g, ' '), '');
+
+  messages.forEach((message) => {
+    const speaker = message.role === 'user' ? 'You' : 'Diagnosy';
+    lines.push(`### ${speaker} — ${formatDate(message.timestamp)}`, '', message.content);
+    if (message.truncated) lines.push('', '_(reply was cut short)_');
+    lines.push('');
+  });
+
+  return lines.join('\n');
+};
+
+/**
+ * Overview of everything except conversations, as Markdown.
+ * @param {Object} data - The export.json payload
+ * @returns {string}
+ */
+export const summaryToMarkdown = (data) => {
+  const { profile, moodEntries, assessments, exerciseSessions, reminders, conversations } = data;
+  const lines = [
+    '# Your Diagnosy data',
+    '',
+    `Exported ${formatDate(data.exportedAt)}. \`export.json\` holds everything below in machine-readable form;`,
+    'each conversation is also in `conversations/`.',
+    '',
+    '## Profile',
+    '',
+    `- Username: ${profile.username}`,
+    `- Email: ${profile.email}${profile.emailVerified ? ' (verified)' : ''}`,
+    `- Region: ${profile.region ?? '—'}`,
+    `- Locale: ${profile.locale ?? '—'}`,
+    `- Member since: ${formatDate(profile.createdAt)}`,
+    `- Conversations: ${conversations.length}`,
+    '',
+    '## Mood journal',
+    '',
+  ];
+
+  if (moodEntries.length) {
+    lines.push('| Date | Score | Tags | Note |', '| --- | --- | --- | --- |');
+    moodEntries.forEach((e) => {
+      lines.push(`| ${formatDate(e.recordedAt)} | ${e.score} | ${cell(e.tags.join(', '))} | ${cell(e.note)} |`);
+    });
+  } else lines.push('No check-ins.');
+
+  lines.push('', '## Self-assessments', '');
+  if (assessments.length) {
+    lines.push('| Date | Questionnaire | Score | Severity |', '| --- | --- | --- | --- |');
+    assessments.forEach((a) => {
+      lines.push(`| ${formatDate(a.completedAt)} | ${cell(a.instrument)} | ${a.total ?? '—'} | ${cell(a.label)} |`);
+    });
+  } else lines.push('No assessments.');
+
+  lines.push('', '## Guided exercises', '');
+  if (exerciseSessions.length) {
+    lines.push('| Started | Exercise | Status | Rating |', '| --- | --- | --- | --- |');
+    exerciseSessions.forEach((s) => {
+      lines.push(`| ${formatDate(s.startedAt)} | ${cell(s.exerciseId)} | ${s.status} | ${s.rating ?? '—'} |`);
+    });
+  } else lines.push('No exercises.');
+
+  lines.push('', '## Check-in reminders', '');
+  if (reminders.length) {
+    reminders.forEach((r) => {
+      const day = r.dayOfWeek === null || r.dayOfWeek === undefined ? '' : ` (day ${r.dayOfWeek})`;
+      lines.push(`- ${r.frequency}${day} at ${r.time} ${r.timezone}${r.enabled ? '' : ' — disabled'}`);
+    });
+  } else lines.push('No reminders.');
+
+  lines.push('');
+  return lines.join('\n');
+};
+
+/**
+ * Archive path for a conversation, e.g. "conversations/003-work-stress.md".
+ * @param {number} index - Zero-based position
+ * @param {string} title
+ * @returns {string}
+ */
+export const conversationFileName = (index, title) =>
+  `conversations/${String(index + 1).padStart(3, '0')}-${slugify(title)}.md`;
@@ -0,0 +1,53 @@
+/**
+ * ------------------------------------------------------------------
+ * Data Key Invalidation
+ * ------------------------------------------------------------------
+ * Every process keeps unwrapped data keys in its own DataKeyCache (see
+ * utils/encryption.js). When a user's data key is destroyed (account
+ * purge), the process destroying it publishes the owner ID on a Redis
+ * channel and every subscribed process drops its copy at once.
+ *
+ * Pub/sub does not queue messages: a process that is disconnected from
+ * Redis at that moment misses it, and forgets the key when its cache
+ * entry expires (DATA_KEY_CACHE_TTL_MS) instead.
+ */
+
+import { RedisConfig, logger } from '../config/index.js';
+import { DataKeyCache } from './encryption.js';
+
+// --- Constants ---
+export const DATA_KEY_INVALIDATION_CHANNEL = 'data_key:invalidate';
+
+const ERRORS = {
+  SUBSCRIBER: (msg) => `Data key invalidation subscriber error: ${msg}`,
+};
+
+let subscriber = null;
+
+/**
+ * Drops a user's data key from this process and tells every other process
+ * to do the same.
+ * @param {string} ownerId
+ * @returns {Promise<number>} Processes that received the message
+ * @throws {Error} If the message could not be published
+ */
+export const invalidateDataKey = async (ownerId) => {
+  DataKeyCache.delete(ownerId);
+  return RedisConfig.getClient().publish(DATA_KEY_INVALIDATION_CHANNEL, String(ownerId));
+};
+
+/**
+ * Makes this process drop data keys invalidated anywhere. Uses its own
+ * connection, since a subscribed client cannot run other commands.
+ * Call once, after RedisConfig.connect().
+ * @returns {Promise<void>}
+ */
+export const subscribeToDataKeyInvalidation = async () => {
+  if (subscriber) return;
+
+  subscriber = RedisConfig.getClient().duplicate();
+  subscriber.on('error', (err) => logger.error(ERRORS.SUBSCRIBER(err.message)));
+  await subscriber.connect();
+  await subscriber.subscribe(DATA_KEY_INVALIDATION_CHANNEL, (ownerId) => DataKeyCache.delete(ownerId));
+  logger.info('Subscribed to data key invalidations');
+};
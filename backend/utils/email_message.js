@@ -1,11 +1,179 @@
-const generatePasswordResetEmail = (host, token) => {
-    return {
-        subject: 'Password Reset',
-        message: `You are receiving this because you (or someone else) have requested the reset of the password for your account.\n\n
-        Please click on the following link, or paste this into your browser to complete the process:\n\n
-        http://${host}/reset/${token}\n\n
-        If you did not request this, please ignore this email and your password will remain unchanged.\n`
-    };
+/**
+ * ------------------------------------------------------------------
+ * Email Templates
+ * ------------------------------------------------------------------
+ * Every email the app sends, rendered by utils/email_templates.js into
+ * HTML and plain text inside a layout. Each template declares the
+ * variables it needs and their types; its wording is given per locale
+ * ("en", "fr", or a regional variant such as "en-GB"), with DEFAULT_LOCALE
+ * always present as the fallback.
+ *
+ * Body blocks:
+ *   { text }          paragraph
+ *   { button, url }   call-to-action link
+ *   { note }          small print (e.g. unsubscribe)
+ * Strings may use {{variable}} placeholders.
+ *
+ * Variable types: string, number, url (http/https), date (Date or ISO string).
+ *
+ * `listUnsubscribe` names a url variable sent as the List-Unsubscribe
+ * header, with one-click unsubscribe (a POST to that URL, RFC 8058).
+ */
+
+export const DEFAULT_LOCALE = 'en';
+
+export const TEMPLATE_IDS = {
+  PASSWORD_RESET: 'passwordReset',
+  EMAIL_VERIFICATION: 'emailVerification',
+  CHECK_IN_REMINDER: 'checkInReminder',
+  ACCOUNT_DELETION_SCHEDULED: 'accountDeletionScheduled',
+  ACCOUNT_DELETED: 'accountDeleted',
 };
 
-export default generatePasswordResetEmail;
+/**
+ * Shared chrome around every message, per locale.
+ */
+export const LAYOUTS = {
+  default: {
+    en: {
+      footer: 'Diagnosy — support for stress, anxiety and emotional well-being.',
+      automated: 'This is an automated message; replies are not read.',
+    },
+    fr: {
+      footer: 'Diagnosy — un soutien face au stress, à l’anxiété et pour le bien-être émotionnel.',
+      automated: 'Ceci est un message automatique ; les réponses ne sont pas lues.',
+    },
+  },
+};
+
+export const EMAIL_TEMPLATES = {
+  [TEMPLATE_IDS.PASSWORD_RESET]: {
+    layout: 'default',
+    variables: { username: 'string', resetUrl: 'url', expiresInMinutes: 'number' },
+    locales: {
+      en: {
+        subject: 'Reset your password',
+        body: [
+          { text: 'Hi {{username}},' },
+          { text: 'You are receiving this because you (or someone else) requested a password reset for your account.' },
+          { button: 'Choose a new password', url: '{{resetUrl}}' },
+          { text: 'The link expires in {{expiresInMinutes}} minutes.' },
+          { note: 'If you did not request this, please ignore this email and your password will remain unchanged.' },
+        ],
+      },
+      fr: {
+        subject: 'Réinitialisez votre mot de passe',
+        body: [
+          { text: 'Bonjour {{username}},' },
+          { text: 'Vous recevez ce message car vous (ou quelqu’un d’autre) avez demandé la réinitialisation du mot de passe de votre compte.' },
+          { button: 'Choisir un nouveau mot de passe', url: '{{resetUrl}}' },
+          { text: 'Le lien expire dans {{expiresInMinutes}} minutes.' },
+          { note: 'Si vous n’êtes pas à l’origine de cette demande, ignorez ce message : votre mot de passe restera inchangé.' },
+        ],
+      },
+    },
+  },
+
+  [TEMPLATE_IDS.EMAIL_VERIFICATION]: {
+    layout: 'default',
+    variables: { username: 'string', verifyUrl: 'url', expiresInHours: 'number' },
+    locales: {
+      en: {
+        subject: 'Confirm your email address',
+        body: [
+          { text: 'Hi {{username}},' },
+          { text: 'Please confirm that this is your email address.' },
+          { button: 'Confirm email address', url: '{{verifyUrl}}' },
+          { text: 'The link expires in {{expiresInHours}} hours.' },
+          { note: 'If you did not create an account, you can ignore this email.' },
+        ],
+      },
+      fr: {
+        subject: 'Confirmez votre adresse e-mail',
+        body: [
+          { text: 'Bonjour {{username}},' },
+          { text: 'Merci de confirmer qu’il s’agit bien de votre adresse e-mail.' },
+          { button: 'Confirmer l’adresse e-mail', url: '{{verifyUrl}}' },
+          { text: 'Le lien expire dans {{expiresInHours}} heures.' },
+          { note: 'Si vous n’avez pas créé de compte, vous pouvez ignorer ce message.' },
+        ],
+      },
+    },
+  },
+
+  [TEMPLATE_IDS.CHECK_IN_REMINDER]: {
+    layout: 'default',
+    variables: { username: 'string', checkInUrl: 'url', unsubscribeUrl: 'url' },
+    listUnsubscribe: 'unsubscribeUrl',
+    locales: {
+      en: {
+        subject: 'Time for your check-in',
+        body: [
+          { text: 'Hi {{username}},' },
+          { text: 'How are you feeling today? Taking a minute to check in can help you notice patterns in your mood.' },
+          { button: 'Log your check-in', url: '{{checkInUrl}}' },
+          { note: 'You are receiving this because you scheduled check-in reminders. To stop this reminder, visit {{unsubscribeUrl}}' },
+        ],
+      },
+      fr: {
+        subject: 'C’est l’heure de votre point du jour',
+        body: [
+          { text: 'Bonjour {{username}},' },
+          { text: 'Comment vous sentez-vous aujourd’hui ? Prendre une minute pour faire le point peut vous aider à repérer des tendances dans votre humeur.' },
+          { button: 'Faire le point', url: '{{checkInUrl}}' },
+          { note: 'Vous recevez ce message car vous avez programmé des rappels. Pour arrêter ce rappel, rendez-vous sur {{unsubscribeUrl}}' },
+        ],
+      },
+    },
+  },
+
+  [TEMPLATE_IDS.ACCOUNT_DELETION_SCHEDULED]: {
+    layout: 'default',
+    variables: { username: 'string', scheduledFor: 'date', cancelUrl: 'url' },
+    locales: {
+      en: {
+        subject: 'Your account is scheduled for deletion',
+        body: [
+          { text: 'Hi {{username}},' },
+          { text: 'We received a request to delete your account. Your conversations and all other data will be permanently erased on {{scheduledFor}}.' },
+          { text: 'Until then you can change your mind.' },
+          { button: 'Keep my account', url: '{{cancelUrl}}' },
+          { note: 'If you did not ask for this, use the link above and then change your password.' },
+        ],
+      },
+      fr: {
+        subject: 'La suppression de votre compte est programmée',
+        body: [
+          { text: 'Bonjour {{username}},' },
+          { text: 'Nous avons reçu une demande de suppression de votre compte. Vos conversations et toutes vos autres données seront définitivement effacées le {{scheduledFor}}.' },
+          { text: 'D’ici là, vous pouvez changer d’avis.' },
+          { button: 'Conserver mon compte', url: '{{cancelUrl}}' },
+          { note: 'Si vous n’êtes pas à l’origine de cette demande, utilisez le lien ci-dessus puis changez votre mot de passe.' },
+        ],
+      },
+    },
+  },
+
+  [TEMPLATE_IDS.ACCOUNT_DELETED]: {
+    layout: 'default',
+    variables: { username: 'string' },
+    locales: {
+      en: {
+        subject: 'Your account has been deleted',
+        body: [
+          { text: 'Hi {{username}},' },
+          { text: 'Your account and all the data associated with it have now been permanently deleted.' },
+          { text: 'Thank you for having used Diagnosy. Take care of yourself.' },
+        ],
+      },
+      fr: {
+        subject: 'Votre compte a été supprimé',
+        body: [
+          { text: 'Bonjour {{username}},' },
+          { text: 'Votre compte et toutes les données associées ont été définitivement supprimés.' },
+          { text: 'Merci d’avoir utilisé Diagnosy. Prenez soin de vous.' },
+        ],
+      },
+    },
+  },
+};
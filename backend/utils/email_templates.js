@@ -0,0 +1,213 @@
+/**
+ * ------------------------------------------------------------------
+ * Email Template Engine
+ * ------------------------------------------------------------------
+ * Renders the templates in utils/email_message.js:
+ *  - Picks the closest locale variant ("fr-CA" → "fr-CA", "fr", then
+ *    DEFAULT_LOCALE)
+ *  - Validates the data against the template's declared variables
+ *  - Fills {{variable}} placeholders (HTML-escaped in the HTML part) and
+ *    wraps the body in its layout, producing HTML and plain text
+ *
+ * The email queue carries {to, template, locale, data}; the worker renders
+ * just before sending, so the wording is never frozen in the queue.
+ */
+
+import { DEFAULT_LOCALE, EMAIL_TEMPLATES, LAYOUTS } from './email_message.js';
+
+// --- Constants ---
+const PLACEHOLDER = /{{\s*(\w+)\s*}}/g;
+export const BRAND = 'Diagnosy';
+export const COLORS = { accent: '#4f7cac', text: '#2d3748', muted: '#718096', background: '#f4f6f8' };
+
+const ERRORS = {
+  UNKNOWN_TEMPLATE: (id) => `Unknown email template: ${id}`,
+  INVALID_DATA: (id, problems) => `Invalid data for email template ${id}: ${problems.join('; ')}`,
+};
+
+/* ───────────── Helpers ───────────── */
+
+export const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const isPresent = (value) => value !== undefined && value !== null && value !== '';
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  url: (value) => typeof value === 'string' && /^https?:\/\/\S+$/i.test(value),
+  date: (value) =>
+    (value instanceof Date || typeof value === 'string') && !Number.isNaN(new Date(value).getTime()),
+};
+
+/**
+ * Locale variant to use for a template: exact match, then the language,
+ * then DEFAULT_LOCALE.
+ * @param {Object} variants - Keyed by locale
+ * @param {string} [locale] - e.g. "fr-CA" or "fr_CA"
+ * @returns {string}
+ */
+export const resolveLocale = (variants, locale) => {
+  const requested = String(locale ?? '').trim().replace('_', '-');
+  const [language = '', region = ''] = requested.split('-');
+  const candidates = [`${language.toLowerCase()}-${region.toUpperCase()}`, language.toLowerCase()];
+  return candidates.find((candidate) => variants[candidate]) ?? DEFAULT_LOCALE;
+};
+
+/**
+ * Checks data against a template's declared variables.
+ * @param {string} id - Template ID
+ * @param {Object} data
+ * @throws {Error} When the template is unknown or data is missing/invalid
+ */
+export const validateEmailData = (id, data = {}) => {
+  const template = EMAIL_TEMPLATES[id];
+  if (!template) throw new Error(ERRORS.UNKNOWN_TEMPLATE(id));
+
+  const problems = Object.entries(template.variables).flatMap(([name, type]) => {
+    if (!isPresent(data?.[name])) return [`${name} is required`];
+    return TYPE_CHECKS[type](data[name]) ? [] : [`${name} must be a ${type}`];
+  });
+  if (problems.length) throw new Error(ERRORS.INVALID_DATA(id, problems));
+};
+
+/**
+ * Formats variable values for display in the chosen locale.
+ */
+const formatValues = (variables, data, locale) =>
+  Object.fromEntries(
+    Object.entries(variables).map(([name, type]) => {
+      if (type === 'date') {
+        const formatted = new Intl.DateTimeFormat(locale, {
+          dateStyle: 'full',
+          timeStyle: 'short',
+          timeZone: 'UTC',
+        }).format(new Date(data[name]));
+        return [name, `${formatted} UTC`];
+      }
+      if (type === 'number') return [name, new Intl.NumberFormat(locale).format(data[name])];
+      return [name, String(data[name])];
+    })
+  );
+
+const fill = (template, values, escape = (v) => v) =>
+  template.replace(PLACEHOLDER, (_, name) => escape(values[name]));
+
+const renderHtmlBlock = (block, values) => {
+  if (block.button) {
+    return `<p style="margin:24px 0;"><a href="${fill(block.url, values, escapeHtml)}" style="background:${COLORS.accent};color:#ffffff;padding:12px 20px;border-radius:6px;text-decoration:none;display:inline-block;">${fill(block.button, values, escapeHtml)}</a></p>`;
+  }
+  if (block.note) {
+    return `<p style="margin:16px 0;font-size:13px;color:${COLORS.muted};">${fill(block.note, values, escapeHtml)}</p>`;
+  }
+  return `<p style="margin:16px 0;">${fill(block.text, values, escapeHtml)}</p>`;
+};
+
+const renderTextBlock = (block, values) => {
+  if (block.button) return `${fill(block.button, values)}: ${fill(block.url, values)}`;
+  return fill(block.note ?? block.text, values);
+};
+
+const wrapHtml = ({ subject, content, chrome, locale }) => `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(subject)}</title>
+</head>
+<body style="margin:0;padding:0;background:${COLORS.background};font-family:Helvetica,Arial,sans-serif;color:${COLORS.text};line-height:1.5;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:${COLORS.background};padding:24px 0;">
+<tr><td align="center">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:560px;background:#ffffff;border-radius:8px;padding:32px;">
+<tr><td style="font-size:20px;font-weight:bold;color:${COLORS.accent};padding-bottom:8px;">${BRAND}</td></tr>
+<tr><td style="font-size:15px;">
+${content}
+</td></tr>
+</table>
+<p style="max-width:560px;font-size:12px;color:${COLORS.muted};margin:16px auto 0;">${escapeHtml(chrome.footer)}<br>${escapeHtml(chrome.automated)}</p>
+</td></tr>
+</table>
+</body>
+</html>`;
+
+/**
+ * Renders an email.
+ * @param {string} id - Template ID (see TEMPLATE_IDS)
+ * @param {Object} data - Template variables
+ * @param {{locale?: string}} [options] - Recipient locale
+ * @returns {{subject: string, html: string, text: string, locale: string, headers: Object}}
+ * @throws {Error} When the template is unknown or data is invalid
+ */
+export const renderEmail = (id, data, { locale } = {}) => {
+  validateEmailData(id, data);
+
+  const template = EMAIL_TEMPLATES[id];
+  const chosen = resolveLocale(template.locales, locale);
+  const variant = template.locales[chosen];
+  const layout = LAYOUTS[template.layout];
+  const chrome = layout[resolveLocale(layout, chosen)];
+  const values = formatValues(template.variables, data, chosen);
+
+  const subject = fill(variant.subject, values);
+  const content = variant.body.map((block) => renderHtmlBlock(block, values)).join('\n');
+  const text = [
+    ...variant.body.map((block) => renderTextBlock(block, values)),
+    `-- \n${chrome.footer}\n${chrome.automated}`,
+  ].join('\n\n');
+
+  const headers = template.listUnsubscribe
+    ? {
+        'List-Unsubscribe': `<${data[template.listUnsubscribe]}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+      }
+    : {};
+
+  return { subject, html: wrapHtml({ subject, content, chrome, locale: chosen }), text, locale: chosen, headers };
+};
+
+/**
+ * Email queue payload for a template; the data is validated now so a bad
+ * call fails at the caller rather than in the worker.
+ * @param {Object} params
+ * @param {string} params.to
+ * @param {string} params.template - Template ID
+ * @param {string} [params.locale]
+ * @param {Object} params.data
+ * @returns {{to: string, template: string, locale: string|null, data: Object}}
+ */
+export const buildEmailJob = ({ to, template, locale, data }) => {
+  validateEmailData(template, data);
+  return { to, template, locale: locale ?? null, data };
+};
+
+/**
+ * Verifies every template: the default locale exists, the layout exists,
+ * and placeholders only name declared variables. Run at load, so a broken
+ * template stops the app instead of failing at send time.
+ * @throws {Error}
+ */
+export const checkTemplates = () => {
+  Object.entries(EMAIL_TEMPLATES).forEach(([id, template]) => {
+    if (!template.locales[DEFAULT_LOCALE]) throw new Error(`Email template ${id} has no ${DEFAULT_LOCALE} variant`);
+    if (!LAYOUTS[template.layout]?.[DEFAULT_LOCALE]) throw new Error(`Email template ${id} uses unknown layout ${template.layout}`);
+    if (template.listUnsubscribe && template.variables[template.listUnsubscribe] !== 'url') {
+      throw new Error(`Email template ${id} needs a url variable ${template.listUnsubscribe} for List-Unsubscribe`);
+    }
+
+    Object.entries(template.locales).forEach(([locale, variant]) => {
+      const strings = [variant.subject, ...variant.body.flatMap((b) => [b.text, b.button, b.url, b.note])];
+      strings.filter(Boolean).forEach((str) => {
+        for (const [, name] of str.matchAll(PLACEHOLDER)) {
+          if (!template.variables[name]) throw new Error(`Email template ${id} (${locale}) uses undeclared variable ${name}`);
+        }
+      });
+    });
+  });
+};
+
+checkTemplates();
@@ -5,31 +5,36 @@ import { logger } from '../config/index.js';
  * ----------------------------------
  * KEY MANAGEMENT & VERSION CONTROL
  * ----------------------------------
- * Encryption keys (and their salts) are stored by version.
- * - v1: Old key (deprecated)
- * - v2: Current key used for all new encryptions
+ * Encryption keys (and their salts) are stored by version and read from
+ * ENCRYPTION_KEY_V<n> / ENCRYPTION_SALT_V<n> environment variables, e.g.
+ *   ENCRYPTION_KEY_V1, ENCRYPTION_SALT_V1  → v1
+ *   ENCRYPTION_KEY_V2, ENCRYPTION_SALT_V2  → v2
  *
- * In production, these MUST come from environment variables.
  * Each version allows us to:
  *   • Rotate keys without breaking old encrypted data
  *   • Decrypt legacy records using their original key
+ *
+ * A key is retired by removing its variables once no ciphertext uses it
+ * any more (see services/key_rotation.js).
  */
-const RAW_KEYS = {
-  v1: {
-    key: process.env.ENCRYPTION_KEY_V1,
-    salt: process.env.ENCRYPTION_SALT_V1,
-  },
-  v2: {
-    key: process.env.ENCRYPTION_KEY_V2,
-    salt: process.env.ENCRYPTION_SALT_V2,
-  }
-};
+const RAW_KEYS = {};
+Object.keys(process.env)
+  .map((name) => name.match(/^ENCRYPTION_KEY_V(\d+)$/)?.[1])
+  .filter(Boolean)
+  .sort((a, b) => Number(a) - Number(b))
+  .forEach((n) => {
+    const key = process.env[`ENCRYPTION_KEY_V${n}`];
+    const salt = process.env[`ENCRYPTION_SALT_V${n}`];
+    if (key && salt) RAW_KEYS[`v${n}`] = { key, salt };
+  });
 
 /**
- * The version that will be used for ALL new encryptions.
- * Updating this is how you rotate keys system-wide.
+ * The version that will be used for ALL new encryptions, from
+ * ENCRYPTION_CURRENT_VERSION (default v1).
+ * Updating this is how you rotate keys system-wide; the rotation job then
+ * re-encrypts existing records under it.
  */
-const CURRENT_VERSION = 'v1';
+export const CURRENT_VERSION = process.env.ENCRYPTION_CURRENT_VERSION || 'v1';
 
 /**
  * ----------------------------------
@@ -69,6 +74,13 @@ Object.keys(RAW_KEYS).forEach((version) => {
   );
 });
 
+if (!DERIVED_KEYS[CURRENT_VERSION]) {
+  throw new Error(`No encryption key configured for current version ${CURRENT_VERSION}`);
+}
+
+/** Versions with a configured key, oldest first */
+export const KEY_VERSIONS = Object.keys(DERIVED_KEYS);
+
 /**
  * -----------------------------------------------------------
  * ENCRYPT TEXT (AES-256-GCM)
@@ -86,7 +98,6 @@ export const encryptText = (text) => {
   const key = DERIVED_KEYS[CURRENT_VERSION];
   const iv = crypto.randomBytes(IV_LENGTH);
   const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
-  console.log(cipher);
 
   const encryptedBuffer = Buffer.concat([
     cipher.update(text, 'utf8'),
@@ -111,40 +122,189 @@ export const encryptText = (text) => {
  * If decryption fails (wrong version, corrupted data, etc.),
  * we return an empty string and log the error for debugging.
  */
-export const decryptText = (encryptedString, context = {}) => {
-  if (!encryptedString || typeof encryptedString !== 'string') return '';
+const decryptStrict = (encryptedString) => {
+  // Expected format: version:iv:authTag:data
+  const parts = encryptedString.split(':');
 
-  try {
-    // Expected format: version:iv:authTag:data
-    const parts = encryptedString.split(':');
+  if (parts.length !== 4) {
+    // Could handle legacy formats here (e.g., old CBC mode)
+    throw new Error('Invalid encrypted string format');
+  }
 
-    if (parts.length !== 4) {
-      // Could handle legacy formats here (e.g., old CBC mode)
-      throw new Error('Invalid encrypted string format');
-    }
+  const [version, ivBase64, tagBase64, dataBase64] = parts;
 
-    const [version, ivBase64, tagBase64, dataBase64] = parts;
+  // Look up derived key by version
+  const key = DERIVED_KEYS[version];
+  if (!key) throw new Error(`Unknown encryption key version: ${version}`);
 
-    // Look up derived key by version
-    const key = DERIVED_KEYS[version];
-    if (!key) throw new Error(`Unknown encryption key version: ${version}`);
+  const iv = Buffer.from(ivBase64, 'base64');
+  const authTag = Buffer.from(tagBase64, 'base64');
+  const encrypted = Buffer.from(dataBase64, 'base64');
 
-    const iv = Buffer.from(ivBase64, 'base64');
-    const authTag = Buffer.from(tagBase64, 'base64');
-    const encrypted = Buffer.from(dataBase64, 'base64');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(authTag);
 
-    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
-    decipher.setAuthTag(authTag);
+  const decrypted = Buffer.concat([
+    decipher.update(encrypted),
+    decipher.final()
+  ]);
 
-    const decrypted = Buffer.concat([
-      decipher.update(encrypted),
-      decipher.final()
-    ]);
+  return decrypted.toString('utf8');
+};
 
-    return decrypted.toString('utf8');
+// Non-throwing wrapper used by the model getters
+export const decryptText = (encryptedString, context = {}) => {
+  if (!encryptedString || typeof encryptedString !== 'string') return '';
 
+  try {
+    return decryptStrict(encryptedString);
   } catch (err) {
     logger.error('Decryption failed', { error: err.message, context });
     return '';
   }
 };
+
+/**
+ * -----------------------------------------------------------
+ * KEY VERSION OF A CIPHERTEXT
+ * -----------------------------------------------------------
+ * Returns the version prefix ("v1", "v2", ...) of an encrypted string,
+ * or null for anything that is not in version:iv:authTag:data form.
+ */
+export const getKeyVersion = (encryptedString) => {
+  if (typeof encryptedString !== 'string') return null;
+  const parts = encryptedString.split(':');
+  return parts.length === 4 && /^v\d+$/.test(parts[0]) ? parts[0] : null;
+};
+
+/**
+ * ----------------------------------
+ * PER-USER DATA KEYS (ENVELOPE ENCRYPTION)
+ * ----------------------------------
+ * A user's personal data is encrypted with their own random 256-bit data
+ * key. The data key is stored on the User document wrapped (encrypted) by
+ * the master key above, so:
+ *   • One leaked data key exposes one user, not everyone
+ *   • Master key rotation only rewraps data keys
+ *   • Deleting the wrapped key makes that user's ciphertext unreadable
+ *     everywhere, backups included (crypto-shredding)
+ *
+ * Output format (the owner ID tells the reader which key to load):
+ *    u1:ownerId:iv:authTag:encryptedData
+ */
+const ENVELOPE_VERSION = 'u1';
+const DATA_KEY_LENGTH = 32;
+const DATA_KEY_CACHE_SIZE = 10000;
+// A process that misses an invalidation (see utils/data_key_invalidation.js)
+// still forgets a destroyed key within this time
+export const DATA_KEY_CACHE_TTL_MS = 5 * 60 * 1000;
+
+export const generateDataKey = () => crypto.randomBytes(DATA_KEY_LENGTH);
+
+/** Encrypts a data key with the current master key for storage */
+export const wrapDataKey = (dataKey) => encryptText(dataKey.toString('base64'));
+
+/** Recovers a stored data key; throws if it cannot be decrypted */
+export const unwrapDataKey = (wrappedKey) => {
+  const dataKey = Buffer.from(decryptStrict(wrappedKey), 'base64');
+  if (dataKey.length !== DATA_KEY_LENGTH) throw new Error('Invalid data key');
+  return dataKey;
+};
+
+export const encryptWithDataKey = (text, dataKey, ownerId) => {
+  if (typeof text !== 'string' || !text) return '';
+
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, dataKey, iv);
+  const encryptedBuffer = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+
+  return `${ENVELOPE_VERSION}:${ownerId}:${iv.toString('base64')}:${authTag.toString('base64')}:${encryptedBuffer.toString('base64')}`;
+};
+
+/** Throws on a wrong key or tampered data */
+export const decryptWithDataKey = (encryptedString, dataKey) => {
+  const [version, , ivBase64, tagBase64, dataBase64] = encryptedString.split(':');
+  if (version !== ENVELOPE_VERSION) throw new Error('Invalid encrypted string format');
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, dataKey, Buffer.from(ivBase64, 'base64'));
+  decipher.setAuthTag(Buffer.from(tagBase64, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(dataBase64, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+};
+
+/**
+ * Owner ID of data-key ciphertext, or null for master-key ciphertext
+ * and anything else.
+ */
+export const getDataKeyOwner = (encryptedString) => {
+  if (typeof encryptedString !== 'string') return null;
+  const parts = encryptedString.split(':');
+  return parts.length === 5 && parts[0] === ENVELOPE_VERSION ? parts[1] : null;
+};
+
+/**
+ * Unwrapped data keys by owner ID. Mongoose getters and setters are
+ * synchronous, so keys are loaded ahead of time (see models/chat.js) and
+ * read from here. Least recently used keys are dropped first, and every
+ * key expires DATA_KEY_CACHE_TTL_MS after it was loaded, used or not.
+ */
+const dataKeyCache = new Map();
+
+export const DataKeyCache = {
+  get: (ownerId) => {
+    const entry = dataKeyCache.get(String(ownerId));
+    if (!entry) return null;
+
+    dataKeyCache.delete(String(ownerId));
+    if (entry.expiresAt <= Date.now()) return null;
+    dataKeyCache.set(String(ownerId), entry);
+    return entry.dataKey;
+  },
+
+  set: (ownerId, dataKey) => {
+    dataKeyCache.delete(String(ownerId));
+    dataKeyCache.set(String(ownerId), { dataKey, expiresAt: Date.now() + DATA_KEY_CACHE_TTL_MS });
+    if (dataKeyCache.size > DATA_KEY_CACHE_SIZE) dataKeyCache.delete(dataKeyCache.keys().next().value);
+  },
+
+  delete: (ownerId) => {
+    dataKeyCache.delete(String(ownerId));
+  },
+};
+
+/**
+ * -----------------------------------------------------------
+ * RE-ENCRYPT UNDER THE CURRENT KEYS
+ * -----------------------------------------------------------
+ * Used by the key rotation job. Unlike decryptText(), failures throw, so
+ * a record that cannot be decrypted is never overwritten:
+ *   1) Decrypt (master key by version, or the owner's data key)
+ *   2) Data-key ciphertext, or master ciphertext on CURRENT_VERSION with
+ *      no data key to move to → verified, returned unchanged
+ *   3) Otherwise encrypt with the data key when given, else the current
+ *      master key, and decrypt the result to compare before returning it
+ *
+ * @param {string} encryptedString
+ * @param {{dataKey?: Buffer, ownerId?: string}} [owner] - Moves master-key
+ *   ciphertext to this data key
+ * @returns {{value: string, changed: boolean}}
+ */
+export const reencryptText = (encryptedString, { dataKey, ownerId } = {}) => {
+  if (getDataKeyOwner(encryptedString)) {
+    if (!dataKey || getDataKeyOwner(encryptedString) !== String(ownerId)) throw new Error('Data key not available');
+    decryptWithDataKey(encryptedString, dataKey);
+    return { value: encryptedString, changed: false };
+  }
+
+  const plaintext = decryptStrict(encryptedString);
+  if (!dataKey && getKeyVersion(encryptedString) === CURRENT_VERSION) return { value: encryptedString, changed: false };
+
+  const value = dataKey ? encryptWithDataKey(plaintext, dataKey, ownerId) : encryptText(plaintext);
+  const check = dataKey ? decryptWithDataKey(value, dataKey) : decryptStrict(value);
+  if (!value || check !== plaintext) throw new Error('Re-encryption check failed');
+  return { value, changed: true };
+};
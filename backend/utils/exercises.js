@@ -0,0 +1,247 @@
+/**
+ * ------------------------------------------------------------------
+ * Guided Exercise Library
+ * ------------------------------------------------------------------
+ * Structured exercises the chat can deliver as an interactive widget
+ * (`exercise` event) instead of a wall of text. Each step has an
+ * instruction and, where it applies, a timing (`durationSec`), a
+ * breathing cue, or an input the user fills in.
+ *
+ * The model suggests an exercise by ending its reply with a directive
+ * such as [[exercise:box_breathing]]. stripExerciseDirectives() removes
+ * the directive from the token stream before the user sees it.
+ */
+
+// --- Constants ---
+export const EXERCISE_CATEGORIES = {
+  BREATHING: 'breathing',
+  GROUNDING: 'grounding',
+  RELAXATION: 'relaxation',
+  CBT: 'cbt',
+};
+
+export const RESPONSE_MAX_LENGTH = 1000;
+
+const DIRECTIVE_PATTERN = /\[\[exercise:([a-z0-9_]+)\]\]/;
+const DIRECTIVE_OPEN = '[[';
+// Longest possible directive; anything longer after "[[" is ordinary text
+const DIRECTIVE_MAX_LENGTH = 48;
+
+/**
+ * @typedef {Object} ExerciseStep
+ * @property {string} id
+ * @property {string} instruction
+ * @property {number} [durationSec] - How long the step lasts
+ * @property {string} [cue] - Breathing cue: inhale | hold | exhale
+ * @property {{type: string, field: string, count?: number, min?: number, max?: number}} [input]
+ *   Something the user records: text, a list of `count` items, or a scale from min to max
+ */
+
+/**
+ * @typedef {Object} Exercise
+ * @property {string} id
+ * @property {number} version
+ * @property {string} title
+ * @property {string} category
+ * @property {string} summary
+ * @property {number} estimatedMinutes
+ * @property {number} [rounds] - How many times the steps repeat
+ * @property {ExerciseStep[]} steps
+ */
+
+/** @type {Exercise[]} */
+const EXERCISES = [
+  {
+    id: 'box_breathing',
+    version: 1,
+    title: 'Box breathing',
+    category: EXERCISE_CATEGORIES.BREATHING,
+    summary: 'Slow, even breaths in four equal counts to calm the body quickly.',
+    estimatedMinutes: 2,
+    rounds: 4,
+    steps: [
+      { id: 'inhale', instruction: 'Breathe in slowly through your nose.', durationSec: 4, cue: 'inhale' },
+      { id: 'hold_in', instruction: 'Hold your breath gently.', durationSec: 4, cue: 'hold' },
+      { id: 'exhale', instruction: 'Breathe out slowly through your mouth.', durationSec: 4, cue: 'exhale' },
+      { id: 'hold_out', instruction: 'Hold with your lungs empty.', durationSec: 4, cue: 'hold' },
+    ],
+  },
+  {
+    id: 'grounding_54321',
+    version: 1,
+    title: '5-4-3-2-1 grounding',
+    category: EXERCISE_CATEGORIES.GROUNDING,
+    summary: 'Use your senses to bring your attention back to the present moment.',
+    estimatedMinutes: 5,
+    steps: [
+      { id: 'see', instruction: 'Name 5 things you can see.', input: { type: 'list', field: 'see', count: 5 } },
+      { id: 'touch', instruction: 'Name 4 things you can touch.', input: { type: 'list', field: 'touch', count: 4 } },
+      { id: 'hear', instruction: 'Name 3 things you can hear.', input: { type: 'list', field: 'hear', count: 3 } },
+      { id: 'smell', instruction: 'Name 2 things you can smell.', input: { type: 'list', field: 'smell', count: 2 } },
+      { id: 'taste', instruction: 'Name 1 thing you can taste.', input: { type: 'list', field: 'taste', count: 1 } },
+    ],
+  },
+  {
+    id: 'progressive_muscle_relaxation',
+    version: 1,
+    title: 'Progressive muscle relaxation',
+    category: EXERCISE_CATEGORIES.RELAXATION,
+    summary: 'Tense and release each muscle group to let go of physical tension.',
+    estimatedMinutes: 8,
+    steps: [
+      { id: 'hands', instruction: 'Clench your fists tightly, then let them go loose.', durationSec: 15 },
+      { id: 'arms', instruction: 'Bend your arms and tense your biceps, then relax them.', durationSec: 15 },
+      { id: 'shoulders', instruction: 'Raise your shoulders to your ears, then let them drop.', durationSec: 15 },
+      { id: 'face', instruction: 'Scrunch your face, then soften your forehead, jaw and eyes.', durationSec: 15 },
+      { id: 'stomach', instruction: 'Tighten your stomach muscles, then release.', durationSec: 15 },
+      { id: 'legs', instruction: 'Press your thighs together and point your toes, then relax.', durationSec: 15 },
+      { id: 'feet', instruction: 'Curl your toes, then let them spread and rest.', durationSec: 15 },
+      { id: 'body', instruction: 'Notice how your whole body feels now. Breathe slowly.', durationSec: 30 },
+    ],
+  },
+  {
+    id: 'thought_record',
+    version: 1,
+    title: 'Thought record',
+    category: EXERCISE_CATEGORIES.CBT,
+    summary: 'Write down a difficult thought, weigh the evidence and find a more balanced view.',
+    estimatedMinutes: 10,
+    steps: [
+      { id: 'situation', instruction: 'What happened? Where were you, and who were you with?', input: { type: 'text', field: 'situation' } },
+      { id: 'thought', instruction: 'What went through your mind?', input: { type: 'text', field: 'thought' } },
+      { id: 'emotion', instruction: 'What did you feel, and how strongly (0-100)?', input: { type: 'scale', field: 'emotionBefore', min: 0, max: 100 } },
+      { id: 'evidence_for', instruction: 'What supports the thought?', input: { type: 'text', field: 'evidenceFor' } },
+      { id: 'evidence_against', instruction: 'What does not support it?', input: { type: 'text', field: 'evidenceAgainst' } },
+      { id: 'balanced', instruction: 'What is a more balanced way to see it?', input: { type: 'text', field: 'balancedThought' } },
+      { id: 'rerate', instruction: 'How strong is the feeling now (0-100)?', input: { type: 'scale', field: 'emotionAfter', min: 0, max: 100 } },
+    ],
+  },
+];
+
+// --- Lookup ---
+
+/**
+ * @param {string} id
+ * @returns {Exercise|null}
+ */
+export const getExercise = (id) => EXERCISES.find((e) => e.id === id) ?? null;
+
+/**
+ * @param {string} [category]
+ * @returns {Exercise[]}
+ */
+export const listExercises = (category) =>
+  category ? EXERCISES.filter((e) => e.category === category) : [...EXERCISES];
+
+/**
+ * Validates and normalizes what the user recorded during an exercise.
+ * Only fields the exercise asks for are kept: text as a trimmed string,
+ * lists as up to `count` strings, scales as integers within range.
+ *
+ * @param {Exercise} exercise
+ * @param {Object} [responses]
+ * @returns {Object|null} Normalized responses, or null when invalid
+ */
+export const normalizeResponses = (exercise, responses = {}) => {
+  if (responses === null || typeof responses !== 'object' || Array.isArray(responses)) return null;
+
+  const inputs = exercise.steps.map((s) => s.input).filter(Boolean);
+  const known = new Set(inputs.map((i) => i.field));
+  if (Object.keys(responses).some((field) => !known.has(field))) return null;
+
+  const isText = (v) => typeof v === 'string' && v.trim().length <= RESPONSE_MAX_LENGTH;
+  const normalized = {};
+
+  for (const { type, field, count, min, max } of inputs) {
+    const value = responses[field];
+    if (value === undefined) continue;
+
+    if (type === 'text') {
+      if (!isText(value)) return null;
+      normalized[field] = value.trim();
+    } else if (type === 'list') {
+      if (!Array.isArray(value) || value.length > count || !value.every(isText)) return null;
+      normalized[field] = value.map((v) => v.trim());
+    } else if (type === 'scale') {
+      if (!Number.isInteger(value) || value < min || value > max) return null;
+      normalized[field] = value;
+    }
+  }
+
+  return normalized;
+};
+
+// --- Model directives ---
+
+/**
+ * Guidance telling the model which exercises it can offer and how.
+ * @returns {string}
+ */
+export const EXERCISE_PROMPT = () => `
+System note: when a guided exercise would clearly help, you may offer one by ending your reply with
+its directive on its own line. The app shows it as an interactive widget, so do not list the steps yourself.
+Available: ${EXERCISES.map((e) => `[[exercise:${e.id}]] (${e.title})`).join(', ')}.
+Offer at most one exercise per reply. Do not mention this note.
+`.trim();
+
+/**
+ * Removes [[exercise:<id>]] directives from a token stream.
+ * Text that could be the start of a directive is held back until it is
+ * complete or clearly ordinary text, so no directive reaches the user.
+ *
+ * @param {AsyncIterable<string>} source - Model token stream
+ * @param {(exerciseId: string) => void} onDirective - Called for each known exercise ID
+ * @returns {AsyncGenerator<string>}
+ */
+export async function* stripExerciseDirectives(source, onDirective) {
+  let pending = '';
+
+  // Returns the text that is safe to emit now and keeps the rest pending
+  const drain = (final = false) => {
+    let out = '';
+    for (;;) {
+      const start = pending.indexOf(DIRECTIVE_OPEN);
+
+      if (start === -1) {
+        // A trailing "[" may be the first half of "[[", and trailing
+        // whitespace may only separate the reply from a directive
+        const keep = final ? 0 : /\s*\[?$/.exec(pending)[0].length;
+        out += pending.slice(0, pending.length - keep);
+        pending = pending.slice(pending.length - keep);
+        return out;
+      }
+
+      // Whitespace just before a directive goes with it
+      const lead = /\s*$/.exec(pending.slice(0, start))[0].length;
+      const candidate = pending.slice(start);
+
+      const match = DIRECTIVE_PATTERN.exec(candidate);
+      if (match && match.index === 0) {
+        if (getExercise(match[1])) onDirective(match[1]);
+        out += pending.slice(0, start - lead);
+        pending = candidate.slice(match[0].length);
+        continue;
+      }
+
+      const closes = candidate.includes(']]');
+      if (!final && !closes && candidate.length < DIRECTIVE_MAX_LENGTH) {
+        out += pending.slice(0, start - lead);
+        pending = pending.slice(start - lead);
+        return out;
+      }
+
+      // Not a directive: emit up to the opening bracket and keep scanning
+      out += pending.slice(0, start + 1);
+      pending = pending.slice(start + 1);
+    }
+  };
+
+  for await (const token of source) {
+    pending += token;
+    const text = drain();
+    if (text) yield text;
+  }
+
+  const rest = drain(true);
+  if (rest.trim()) yield rest.replace(/\s+$/, '');
+}
@@ -1,9 +1,12 @@
 import * as chatHelpers from "./chat_helpers.js";
 import responseHandler from "./response_handler.js";
-import generatePasswordResetEmail from "./email_message.js";
+import { TEMPLATE_IDS } from "./email_message.js";
+import { renderEmail, buildEmailJob } from "./email_templates.js";
 
 export {
     responseHandler,
-    generatePasswordResetEmail,
+    TEMPLATE_IDS,
+    renderEmail,
+    buildEmailJob,
     chatHelpers
 };
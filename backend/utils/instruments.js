@@ -0,0 +1,190 @@
+/**
+ * ------------------------------------------------------------------
+ * Self-Assessment Instruments
+ * ------------------------------------------------------------------
+ * Versioned definitions of standardized questionnaires and the pure
+ * helpers that score them. Scoring always happens server-side so the
+ * stored total and severity band can be trusted.
+ *
+ * A definition never changes once published: wording or banding changes
+ * ship as a new version, and stored results keep the version they were
+ * scored with.
+ */
+
+import { RISK_LEVELS } from './risk_assessment.js';
+
+// --- Constants ---
+
+/** Shared answer scale of the PHQ and GAD families (past two weeks) */
+const FREQUENCY_OPTIONS = [
+  { value: 0, label: 'Not at all' },
+  { value: 1, label: 'Several days' },
+  { value: 2, label: 'More than half the days' },
+  { value: 3, label: 'Nearly every day' },
+];
+
+const FREQUENCY_PROMPT = 'Over the last 2 weeks, how often have you been bothered by any of the following problems?';
+
+const DISCLAIMER =
+  'This questionnaire is a screening tool, not a diagnosis. Please discuss your results with a health professional.';
+
+/**
+ * @typedef {Object} Instrument
+ * @property {string} id - Stable identifier, e.g. "phq9"
+ * @property {number} version
+ * @property {string} name
+ * @property {string} prompt
+ * @property {{value: number, label: string}[]} options
+ * @property {{id: string, text: string}[]} items
+ * @property {{min: number, max: number, severity: string, label: string}[]} bands - Inclusive total ranges
+ * @property {string} [selfHarmItem] - Item whose positive answer escalates to the crisis flow
+ */
+
+/** @type {Instrument[]} */
+const INSTRUMENTS = [
+  {
+    id: 'phq9',
+    version: 1,
+    name: 'PHQ-9 (Patient Health Questionnaire)',
+    description: 'Screens for depression and measures its severity.',
+    prompt: FREQUENCY_PROMPT,
+    options: FREQUENCY_OPTIONS,
+    items: [
+      { id: 'phq9_1', text: 'Little interest or pleasure in doing things' },
+      { id: 'phq9_2', text: 'Feeling down, depressed, or hopeless' },
+      { id: 'phq9_3', text: 'Trouble falling or staying asleep, or sleeping too much' },
+      { id: 'phq9_4', text: 'Feeling tired or having little energy' },
+      { id: 'phq9_5', text: 'Poor appetite or overeating' },
+      { id: 'phq9_6', text: 'Feeling bad about yourself — or that you are a failure or have let yourself or your family down' },
+      { id: 'phq9_7', text: 'Trouble concentrating on things, such as reading the newspaper or watching television' },
+      { id: 'phq9_8', text: 'Moving or speaking so slowly that other people could have noticed? Or the opposite — being so fidgety or restless that you have been moving around a lot more than usual' },
+      { id: 'phq9_9', text: 'Thoughts that you would be better off dead or of hurting yourself in some way' },
+    ],
+    bands: [
+      { min: 0, max: 4, severity: 'minimal', label: 'Minimal depression' },
+      { min: 5, max: 9, severity: 'mild', label: 'Mild depression' },
+      { min: 10, max: 14, severity: 'moderate', label: 'Moderate depression' },
+      { min: 15, max: 19, severity: 'moderately_severe', label: 'Moderately severe depression' },
+      { min: 20, max: 27, severity: 'severe', label: 'Severe depression' },
+    ],
+    selfHarmItem: 'phq9_9',
+  },
+  {
+    id: 'gad7',
+    version: 1,
+    name: 'GAD-7 (Generalized Anxiety Disorder scale)',
+    description: 'Screens for generalized anxiety and measures its severity.',
+    prompt: FREQUENCY_PROMPT,
+    options: FREQUENCY_OPTIONS,
+    items: [
+      { id: 'gad7_1', text: 'Feeling nervous, anxious, or on edge' },
+      { id: 'gad7_2', text: 'Not being able to stop or control worrying' },
+      { id: 'gad7_3', text: 'Worrying too much about different things' },
+      { id: 'gad7_4', text: 'Trouble relaxing' },
+      { id: 'gad7_5', text: "Being so restless that it's hard to sit still" },
+      { id: 'gad7_6', text: 'Becoming easily annoyed or irritable' },
+      { id: 'gad7_7', text: 'Feeling afraid as if something awful might happen' },
+    ],
+    bands: [
+      { min: 0, max: 4, severity: 'minimal', label: 'Minimal anxiety' },
+      { min: 5, max: 9, severity: 'mild', label: 'Mild anxiety' },
+      { min: 10, max: 14, severity: 'moderate', label: 'Moderate anxiety' },
+      { min: 15, max: 21, severity: 'severe', label: 'Severe anxiety' },
+    ],
+  },
+];
+
+// --- Lookup ---
+
+/**
+ * Returns an instrument definition, the latest version unless one is given.
+ * @param {string} id
+ * @param {number} [version]
+ * @returns {Instrument|null}
+ */
+export const getInstrument = (id, version) => {
+  const versions = INSTRUMENTS.filter((i) => i.id === id);
+  if (version !== undefined) return versions.find((i) => i.version === Number(version)) ?? null;
+  return versions.reduce((latest, i) => (!latest || i.version > latest.version ? i : latest), null);
+};
+
+/**
+ * Latest version of every instrument.
+ * @returns {Instrument[]}
+ */
+export const listInstruments = () =>
+  [...new Set(INSTRUMENTS.map((i) => i.id))].map((id) => getInstrument(id));
+
+/**
+ * Public view of a definition (what clients render).
+ * @param {Instrument} instrument
+ * @returns {Object}
+ */
+export const describeInstrument = ({ id, version, name, description, prompt, options, items, bands }) => ({
+  id,
+  version,
+  name,
+  description,
+  prompt,
+  options,
+  items,
+  bands,
+  maxScore: items.length * Math.max(...options.map((o) => o.value)),
+  disclaimer: DISCLAIMER,
+});
+
+// --- Scoring ---
+
+/**
+ * True when `answers` holds one valid option value per item, in item order.
+ * @param {Instrument} instrument
+ * @param {number[]} answers
+ * @returns {boolean}
+ */
+export const isValidAnswerSet = (instrument, answers) => {
+  const values = instrument.options.map((o) => o.value);
+  return (
+    Array.isArray(answers) &&
+    answers.length === instrument.items.length &&
+    answers.every((a) => Number.isInteger(a) && values.includes(a))
+  );
+};
+
+/**
+ * Risk level implied by the self-harm item: any positive answer is
+ * elevated, "more than half the days" or more is imminent.
+ *
+ * @param {Instrument} instrument
+ * @param {number[]} answers - A valid answer set
+ * @returns {{level: string, itemScore: number|null}}
+ */
+export const selfHarmRisk = (instrument, answers) => {
+  const index = instrument.items.findIndex((item) => item.id === instrument.selfHarmItem);
+  if (index === -1) return { level: RISK_LEVELS.NONE, itemScore: null };
+
+  const itemScore = answers[index];
+  let level = RISK_LEVELS.NONE;
+  if (itemScore >= 1) level = RISK_LEVELS.ELEVATED;
+  if (itemScore >= 2) level = RISK_LEVELS.IMMINENT;
+
+  return { level, itemScore };
+};
+
+/**
+ * Scores a valid answer set.
+ *
+ * @param {Instrument} instrument
+ * @param {number[]} answers - Validated with isValidAnswerSet()
+ * @returns {{total: number, severity: string, label: string, riskLevel: string}}
+ */
+export const scoreAnswers = (instrument, answers) => {
+  const total = answers.reduce((sum, value) => sum + value, 0);
+  const band = instrument.bands.find((b) => total >= b.min && total <= b.max);
+
+  return {
+    total,
+    severity: band.severity,
+    label: band.label,
+    riskLevel: selfHarmRisk(instrument, answers).level,
+  };
+};
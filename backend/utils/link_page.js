@@ -0,0 +1,56 @@
+/**
+ * ------------------------------------------------------------------
+ * Email Link Pages
+ * ------------------------------------------------------------------
+ * Links in emails (reminder unsubscribe, deletion cancellation) must not
+ * change anything when opened: mail scanners and link previews follow
+ * them. GET serves a page whose button confirms with a POST to the same
+ * URL; the POST answers that form with a page too, and API clients (or a
+ * mail client's one-click unsubscribe) with JSON.
+ */
+
+import { BRAND, COLORS, escapeHtml } from './email_templates.js';
+
+/* ───────────── Helpers ───────────── */
+
+const renderLinkPage = ({ title, message, button }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)}</title>
+</head>
+<body style="margin:0;padding:24px;background:${COLORS.background};font-family:Helvetica,Arial,sans-serif;color:${COLORS.text};line-height:1.5;">
+<main style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:32px;">
+<p style="font-size:20px;font-weight:bold;color:${COLORS.accent};margin:0 0 8px;">${BRAND}</p>
+<h1 style="font-size:18px;margin:0 0 16px;">${escapeHtml(title)}</h1>
+<p style="margin:0 0 24px;">${escapeHtml(message)}</p>
+${button ? `<form method="post"><button type="submit" style="background:${COLORS.accent};color:#ffffff;border:0;padding:12px 20px;border-radius:6px;font-size:15px;cursor:pointer;">${escapeHtml(button)}</button></form>` : ''}
+</main>
+</body>
+</html>`;
+
+/**
+ * True when the request prefers an HTML page to JSON (a browser form).
+ * @param {Object} req
+ * @returns {boolean}
+ */
+export const wantsLinkPage = (req) => req.accepts(['json', 'html']) === 'html';
+
+/**
+ * Sends an email link page. The URL carries a token, so the page is
+ * neither cached nor leaked through the Referer header.
+ * @param {Object} res
+ * @param {number} status
+ * @param {Object} page
+ * @param {string} page.title
+ * @param {string} page.message
+ * @param {string} [page.button] - Confirmation button; omitted on result pages
+ */
+export const sendLinkPage = (res, status, page) =>
+  res
+    .status(status)
+    .set({ 'Cache-Control': 'no-store', 'Referrer-Policy': 'no-referrer' })
+    .type('html')
+    .send(renderLinkPage(page));
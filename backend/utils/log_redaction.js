@@ -0,0 +1,86 @@
+/**
+ * ------------------------------------------------------------------
+ * Request Log Redaction
+ * ------------------------------------------------------------------
+ * Request logs are kept for 14 days, so nothing the rest of the app
+ * encrypts or hashes may appear in them. Before a request is logged:
+ *  - sensitive query parameters (the streamed chat message, search terms)
+ *    are replaced with REDACTED
+ *  - tokens carried in the path of email links are replaced the same way
+ */
+
+// --- Constants ---
+export const REDACTED = '[REDACTED]';
+
+const SENSITIVE_QUERY_PARAMS = new Set([
+  'message', // GET /chats/:id/messages/stream
+  'q', // GET /chats/search (matched through the blind index only)
+]);
+
+// Prefix kept, the segment after it redacted
+const SENSITIVE_PATHS = [
+  /(\/reminders\/unsubscribe\/)[^/?#]+/, // Reminder email unsubscribe link
+  /(\/me\/deletion\/cancel\/)[^/?#]+/, // Deletion email cancellation link
+];
+
+/* ───────────── Helpers ───────────── */
+
+const decodeKey = (key) => {
+  try {
+    return decodeURIComponent(key.replace(/\+/g, ' '));
+  } catch {
+    return key;
+  }
+};
+
+// "q[]" or "q[0]" are parsed into the same value as "q"
+const isSensitiveParam = (key) => SENSITIVE_QUERY_PARAMS.has(decodeKey(key).replace(/\[.*$/, ''));
+
+/**
+ * Redacts sensitive path segments and query parameters of a request URL.
+ * @param {string} url - e.g. req.originalUrl
+ * @returns {string}
+ */
+export const redactUrl = (url) => {
+  if (typeof url !== 'string') return url;
+
+  const queryStart = url.indexOf('?');
+  const path = queryStart === -1 ? url : url.slice(0, queryStart);
+  const redactedPath = SENSITIVE_PATHS.reduce((p, pattern) => p.replace(pattern, `$1${REDACTED}`), path);
+  if (queryStart === -1) return redactedPath;
+
+  const query = url
+    .slice(queryStart + 1)
+    .split('&')
+    .map((pair) => {
+      const [key] = pair.split('=');
+      return isSensitiveParam(key) ? `${key}=${REDACTED}` : pair;
+    })
+    .join('&');
+  return `${redactedPath}?${query}`;
+};
+
+/**
+ * Redacts sensitive parameters of a parsed query object.
+ * @param {Object} query - req.query
+ * @returns {Object}
+ */
+export const redactQuery = (query) => {
+  if (!query || typeof query !== 'object') return query;
+  return Object.fromEntries(
+    Object.entries(query).map(([key, value]) => [key, isSensitiveParam(key) ? REDACTED : value])
+  );
+};
+
+/**
+ * express-winston requestFilter: the logged url, originalUrl and query
+ * are redacted; every other property is logged as is.
+ * @param {Object} req
+ * @param {string} propName
+ * @returns {*}
+ */
+export const redactRequestField = (req, propName) => {
+  if (propName === 'url' || propName === 'originalUrl') return redactUrl(req[propName]);
+  if (propName === 'query') return redactQuery(req[propName]);
+  return req[propName];
+};
@@ -0,0 +1,196 @@
+/**
+ * ------------------------------------------------------------------
+ * Mail Transports
+ * ------------------------------------------------------------------
+ * Where outgoing email goes, chosen by MAIL_TRANSPORT:
+ *  - smtp   — a pooled nodemailer SMTP connection, created on first use
+ *             (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_SERVICE, SMTP_USER,
+ *             SMTP_PASS, SMTP_FROM)
+ *  - outbox — nothing leaves the machine: each message is written to
+ *             MAIL_OUTBOX_DIR (default "outbox") as an .eml file plus a
+ *             .json summary, and can be read back through /api/dev/outbox
+ *
+ * SMTP is the default everywhere; the outbox is only used when chosen
+ * with MAIL_TRANSPORT=outbox, so a host with a missing or unexpected
+ * NODE_ENV still delivers mail.
+ *
+ * Every transport implements:
+ *  - send(mail) → Promise<{messageId: string}>  (mail: nodemailer message)
+ *  - close()    → releases connections, if any
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+// --- Constants ---
+const DEFAULT_TRANSPORT = 'smtp';
+// NODE_ENV values (set explicitly) under which the outbox may be browsed
+const DEV_OUTBOX_ENVS = ['development', 'test'];
+const DEFAULT_OUTBOX_DIR = 'outbox';
+const MAX_OUTBOX_MESSAGES = 200; // oldest are pruned
+const OUTBOX_ID = /^\d{13}-[a-f0-9]{8}$/;
+
+const ERRORS = {
+  UNKNOWN_TRANSPORT: (name, names) => `Unknown MAIL_TRANSPORT "${name}". Expected one of: ${names.join(', ')}.`,
+};
+
+/* ───────────── SMTP ───────────── */
+
+let smtpTransporter = null;
+
+export const SmtpTransport = {
+  name: 'smtp',
+
+  send: async (mail) => {
+    smtpTransporter ??= nodemailer.createTransport({
+      pool: true,
+      host: process.env.SMTP_HOST,
+      port: process.env.SMTP_PORT,
+      secure: process.env.SMTP_SECURE === 'true',
+      service: process.env.SMTP_SERVICE,
+      auth: {
+        user: process.env.SMTP_USER ?? process.env.SMTP_MAIL,
+        pass: process.env.SMTP_PASS ?? process.env.SMTP_PASSWORD,
+      },
+    });
+    return smtpTransporter.sendMail(mail);
+  },
+
+  close: () => {
+    smtpTransporter?.close?.();
+    smtpTransporter = null;
+  },
+};
+
+/* ───────────── Outbox ───────────── */
+
+const outboxDir = () => process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR;
+
+// Builds the raw RFC 822 message without sending it anywhere
+const messageBuilder = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+const listOutboxIds = async () => {
+  const files = await fs.readdir(outboxDir()).catch((err) => {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  });
+  return files
+    .filter((file) => file.endsWith('.json'))
+    .map((file) => file.slice(0, -'.json'.length))
+    .filter((id) => OUTBOX_ID.test(id))
+    .sort()
+    .reverse();
+};
+
+const pruneOutbox = async () => {
+  const stale = (await listOutboxIds()).slice(MAX_OUTBOX_MESSAGES);
+  await Promise.all(
+    stale.flatMap((id) => ['.json', '.eml'].map((ext) => fs.rm(path.join(outboxDir(), `${id}${ext}`), { force: true })))
+  );
+};
+
+export const OutboxTransport = {
+  name: 'outbox',
+
+  send: async (mail) => {
+    const { message, messageId } = await messageBuilder.sendMail(mail);
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const summary = {
+      id,
+      messageId,
+      from: mail.from ?? null,
+      to: mail.to,
+      subject: mail.subject,
+      text: mail.text ?? null,
+      html: mail.html ?? null,
+      createdAt: new Date().toISOString(),
+    };
+
+    await fs.mkdir(outboxDir(), { recursive: true });
+    await fs.writeFile(path.join(outboxDir(), `${id}.eml`), message);
+    await fs.writeFile(path.join(outboxDir(), `${id}.json`), JSON.stringify(summary, null, 2));
+    await pruneOutbox();
+
+    return { messageId, id };
+  },
+
+  close: () => {},
+};
+
+/**
+ * Most recent outbox messages, newest first.
+ * @param {number} limit
+ * @returns {Promise<Object[]>} Summaries as written by OutboxTransport.send
+ */
+export const listOutbox = async (limit) => {
+  const ids = (await listOutboxIds()).slice(0, limit);
+  const summaries = await Promise.all(ids.map((id) => readOutboxMessage(id)));
+  return summaries.filter(Boolean);
+};
+
+/**
+ * One outbox message.
+ * @param {string} id
+ * @param {{raw?: boolean}} [options] - raw: return the .eml source instead
+ * @returns {Promise<Object|string|null>} null when there is no such message
+ */
+export const readOutboxMessage = async (id, { raw = false } = {}) => {
+  if (!OUTBOX_ID.test(String(id))) return null;
+  try {
+    const content = await fs.readFile(path.join(outboxDir(), `${id}.${raw ? 'eml' : 'json'}`), 'utf8');
+    return raw ? content : JSON.parse(content);
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+};
+
+/**
+ * Deletes every outbox message.
+ * @returns {Promise<number>} Messages removed
+ */
+export const clearOutbox = async () => {
+  const ids = await listOutboxIds();
+  await Promise.all(
+    ids.flatMap((id) => ['.json', '.eml'].map((ext) => fs.rm(path.join(outboxDir(), `${id}${ext}`), { force: true })))
+  );
+  return ids.length;
+};
+
+/* ───────────── Selection ───────────── */
+
+export const MAIL_TRANSPORTS = {
+  smtp: SmtpTransport,
+  outbox: OutboxTransport,
+};
+
+/**
+ * Name of the configured transport (read on every call, so tests can
+ * switch it).
+ * @returns {string}
+ */
+export const getMailTransportName = () => (process.env.MAIL_TRANSPORT || DEFAULT_TRANSPORT).toLowerCase();
+
+/**
+ * Whether the unauthenticated /api/dev/outbox routes may be mounted: only
+ * when NODE_ENV is explicitly development or test and MAIL_TRANSPORT
+ * explicitly selects the outbox. Captured emails hold live reset and
+ * verification links, so every other setup keeps them unreachable.
+ * @returns {boolean}
+ */
+export const isDevOutboxEnabled = () =>
+  DEV_OUTBOX_ENVS.includes(process.env.NODE_ENV) && process.env.MAIL_TRANSPORT?.toLowerCase() === 'outbox';
+
+/**
+ * Resolves the configured transport.
+ * @returns {Object}
+ * @throws {Error} If MAIL_TRANSPORT names an unknown transport
+ */
+export const getMailTransport = () => {
+  const name = getMailTransportName();
+  const transport = MAIL_TRANSPORTS[name];
+  if (!transport) throw new Error(ERRORS.UNKNOWN_TRANSPORT(name, Object.keys(MAIL_TRANSPORTS)));
+  return transport;
+};
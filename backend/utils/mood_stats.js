@@ -0,0 +1,133 @@
+/**
+ * ------------------------------------------------------------------
+ * Mood Statistics Helpers
+ * ------------------------------------------------------------------
+ * Pure helpers behind the mood trends API and the chat's mood context:
+ * calendar-day keys in the user's time zone, check-in streaks, and a
+ * short summary of the last week compared with the week before.
+ */
+
+// --- Constants ---
+export const MOOD_STATS_CONSTANTS = {
+  DAY_MS: 24 * 60 * 60 * 1000,
+  RECENT_DAYS: 7,
+  TOP_TAGS: 5,
+  // Change in weekly average (points) that counts as a real shift
+  TREND_THRESHOLD: 1,
+};
+
+/**
+ * True when the string is an IANA time zone known to the runtime.
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (_) {
+    return false;
+  }
+};
+
+/**
+ * Formats a date as a YYYY-MM-DD calendar day in the given time zone.
+ * @param {Date} date
+ * @param {string} [timeZone='UTC']
+ * @returns {string}
+ */
+export const toDayKey = (date, timeZone = 'UTC') =>
+  new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(date);
+
+const dayNumber = (key) => Math.round(Date.parse(`${key}T00:00:00Z`) / MOOD_STATS_CONSTANTS.DAY_MS);
+
+/**
+ * Computes check-in streaks from the days that have at least one entry.
+ * The current streak counts back from today, or from yesterday when the
+ * user has not checked in yet today.
+ *
+ * @param {string[]} dayKeys - YYYY-MM-DD days with entries (any order, duplicates allowed)
+ * @param {string} todayKey - Today as YYYY-MM-DD in the user's time zone
+ * @returns {{current: number, longest: number, lastCheckIn: string|null}}
+ */
+export const computeStreaks = (dayKeys = [], todayKey) => {
+  const days = [...new Set(dayKeys)].map(dayNumber).sort((a, b) => a - b);
+  if (days.length === 0) return { current: 0, longest: 0, lastCheckIn: null };
+
+  let longest = 1;
+  let run = 1;
+  for (let i = 1; i < days.length; i += 1) {
+    run = days[i] === days[i - 1] + 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  }
+
+  const today = dayNumber(todayKey);
+  const last = days[days.length - 1];
+  let current = 0;
+  if (last === today || last === today - 1) {
+    current = 1;
+    for (let i = days.length - 1; i > 0 && days[i] === days[i - 1] + 1; i -= 1) current += 1;
+  }
+
+  return {
+    current,
+    longest,
+    lastCheckIn: new Date(last * MOOD_STATS_CONSTANTS.DAY_MS).toISOString().slice(0, 10),
+  };
+};
+
+/**
+ * Counts tags and returns the most common ones.
+ * @param {{tags?: string[]}[]} entries
+ * @param {number} [limit]
+ * @returns {{tag: string, count: number}[]}
+ */
+export const topTags = (entries = [], limit = MOOD_STATS_CONSTANTS.TOP_TAGS) => {
+  const counts = new Map();
+  entries.forEach(({ tags = [] }) => tags.forEach((tag) => counts.set(tag, (counts.get(tag) ?? 0) + 1)));
+  return [...counts.entries()]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+    .slice(0, limit);
+};
+
+const average = (entries) =>
+  entries.length ? Math.round((entries.reduce((sum, e) => sum + e.score, 0) / entries.length) * 10) / 10 : null;
+
+/**
+ * Summarizes the last RECENT_DAYS of check-ins against the period before.
+ *
+ * @param {{score: number, tags?: string[], recordedAt: Date}[]} entries - Entries from the last 2 × RECENT_DAYS
+ * @param {Date} [now]
+ * @returns {{average: number, previousAverage: number|null, direction: 'up'|'down'|'steady'|null,
+ *   count: number, topTags: {tag: string, count: number}[]}|null} null when there are no recent entries
+ */
+export const summarizeRecentMood = (entries = [], now = new Date()) => {
+  const { DAY_MS, RECENT_DAYS, TREND_THRESHOLD } = MOOD_STATS_CONSTANTS;
+  const cutoff = now.getTime() - RECENT_DAYS * DAY_MS;
+  const recent = entries.filter((e) => new Date(e.recordedAt).getTime() >= cutoff);
+  const previous = entries.filter((e) => new Date(e.recordedAt).getTime() < cutoff);
+  if (recent.length === 0) return null;
+
+  const current = average(recent);
+  const before = average(previous);
+  let direction = null;
+  if (before !== null) {
+    const delta = current - before;
+    direction = Math.abs(delta) < TREND_THRESHOLD ? 'steady' : delta > 0 ? 'up' : 'down';
+  }
+
+  return {
+    average: current,
+    previousAverage: before,
+    direction,
+    count: recent.length,
+    topTags: topTags(recent, 3),
+  };
+};
@@ -0,0 +1,220 @@
+/**
+ * ------------------------------------------------------------------
+ * Rate Limiting
+ * ------------------------------------------------------------------
+ * Sliding-window limits kept in Redis. Each window is a sorted set of
+ * request timestamps: entries older than the window are dropped and a
+ * request is let in while fewer than `max` remain. All the limits of a
+ * policy are checked, and the request added to each, in one Lua script,
+ * so concurrent requests (from any process) cannot both take the last
+ * slot. Refused requests are not recorded in any window.
+ *
+ * A policy is a list of limits, each counted per IP, per user (the
+ * authenticated caller) or per account (the username/email a request
+ * targets, hashed). A request must fit in every limit of its policy.
+ *
+ * Used by the rateLimiter middleware and by the websocket handler. When
+ * Redis fails the request is let through: an outage of the limiter must
+ * not take login down with it.
+ */
+
+import crypto from 'crypto';
+import { RedisConfig, logger } from '../config/index.js';
+
+// --- Constants ---
+const MINUTE = 60;
+const HOUR = 60 * MINUTE;
+const KEY_PREFIX = 'rate_limit';
+
+export const RATE_LIMIT_SCOPES = {
+  IP: 'ip',
+  USER: 'user',
+  ACCOUNT: 'account',
+};
+
+const { IP, USER, ACCOUNT } = RATE_LIMIT_SCOPES;
+
+/**
+ * Limits per policy. `windowSeconds` is the length of the sliding window
+ * and `max` the number of requests it allows.
+ */
+export const RATE_LIMIT_POLICIES = {
+  // Credential stuffing comes from one IP across many usernames; a
+  // distributed attack on one account hits the per-account limit
+  login: [
+    { by: IP, max: 20, windowSeconds: 15 * MINUTE },
+    { by: ACCOUNT, max: 10, windowSeconds: 15 * MINUTE },
+  ],
+  twoFactorLogin: [{ by: IP, max: 10, windowSeconds: 5 * MINUTE }],
+  register: [{ by: IP, max: 5, windowSeconds: HOUR }],
+  forgotPassword: [
+    { by: IP, max: 5, windowSeconds: HOUR },
+    { by: ACCOUNT, max: 3, windowSeconds: HOUR },
+  ],
+  resetPassword: [{ by: IP, max: 10, windowSeconds: HOUR }],
+  verifyEmail: [{ by: IP, max: 20, windowSeconds: HOUR }],
+  verifyEmailResend: [{ by: USER, max: 5, windowSeconds: HOUR }],
+  refresh: [{ by: IP, max: 60, windowSeconds: 15 * MINUTE }],
+  // Every chat message is a model call; shared by the websocket and REST
+  chatMessage: [
+    { by: USER, max: 10, windowSeconds: MINUTE },
+    { by: USER, max: 200, windowSeconds: 24 * HOUR },
+  ],
+};
+
+const ERRORS = {
+  UNKNOWN_POLICY: (name) => `Unknown rate limit policy: ${name}`,
+  CHECK_FAILED: (name, msg) => `Rate limit check for ${name} failed, allowing request: ${msg}`,
+};
+
+/**
+ * KEYS: one window key per limit.
+ * ARGV: now (ms), unique member, then window (ms) and max of each key.
+ * The request is added to every window only when all of them have room.
+ * Returns {allowed (0/1), 1-based index of the first refusing key (0 when
+ * allowed), then per key: requests in window, ms until the oldest leaves}.
+ */
+const SLIDING_WINDOW_SCRIPT = `
+local now = tonumber(ARGV[1])
+local counts = {}
+local refused = 0
+
+for i, key in ipairs(KEYS) do
+  local window = tonumber(ARGV[2 * i + 1])
+  local max = tonumber(ARGV[2 * i + 2])
+  redis.call('ZREMRANGEBYSCORE', key, '-inf', now - window)
+  counts[i] = redis.call('ZCARD', key)
+  if refused == 0 and counts[i] >= max then refused = i end
+end
+
+local reply = {refused == 0 and 1 or 0, refused}
+for i, key in ipairs(KEYS) do
+  local window = tonumber(ARGV[2 * i + 1])
+  if refused == 0 then
+    redis.call('ZADD', key, now, ARGV[2])
+    redis.call('PEXPIRE', key, window)
+    counts[i] = counts[i] + 1
+  end
+
+  local oldest = redis.call('ZRANGE', key, 0, 0, 'WITHSCORES')
+  local resetMs = window
+  if oldest[2] then resetMs = tonumber(oldest[2]) + window - now end
+  table.insert(reply, counts[i])
+  table.insert(reply, resetMs)
+end
+return reply
+`;
+
+/* ───────────── Helpers ───────────── */
+
+/**
+ * Whether limits are enforced (RATE_LIMIT_ENABLED, on unless "false").
+ * @returns {boolean}
+ */
+export const isRateLimitEnabled = () => process.env.RATE_LIMIT_ENABLED !== 'false';
+
+/**
+ * Looks up a policy.
+ * @param {string} name - Key of RATE_LIMIT_POLICIES
+ * @returns {Object[]} Its limits
+ * @throws {Error} If there is no such policy
+ */
+export const getRateLimitPolicy = (name) => {
+  const policy = RATE_LIMIT_POLICIES[name];
+  if (!policy) throw new Error(ERRORS.UNKNOWN_POLICY(name));
+  return policy;
+};
+
+/**
+ * Account identity for per-account limits: case and surrounding spaces are
+ * ignored, and the value is hashed so addresses never appear in Redis keys.
+ * @param {*} value - Username or email from the request
+ * @returns {string|null}
+ */
+export const accountIdentity = (value) => {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  return crypto.createHash('sha256').update(value.trim().toLowerCase()).digest('hex').slice(0, 32);
+};
+
+/**
+ * Redis key of one limit's window for one identity.
+ * @param {string} policyName
+ * @param {{by: string, windowSeconds: number}} limit
+ * @param {string} identity
+ * @returns {string}
+ */
+export const rateLimitKey = (policyName, limit, identity) =>
+  `${KEY_PREFIX}:${policyName}:${limit.by}:${limit.windowSeconds}:${identity}`;
+
+/**
+ * Shapes a script reply into a limit result.
+ * @param {{max: number, windowSeconds: number}} limit
+ * @param {Array<number>} reply - [allowed, count, resetMs]
+ * @returns {{allowed: boolean, limit: number, remaining: number, windowSeconds: number, resetSeconds: number}}
+ */
+export const toRateLimitResult = (limit, [allowed, count, resetMs]) => ({
+  allowed: Number(allowed) === 1,
+  limit: limit.max,
+  remaining: Math.max(0, limit.max - Number(count)),
+  windowSeconds: limit.windowSeconds,
+  resetSeconds: Math.max(1, Math.ceil(Number(resetMs) / 1000)),
+});
+
+/**
+ * Response headers for a result: the RateLimit-* fields of the IETF
+ * draft, plus Retry-After when the request was refused.
+ * @param {Object} result - From consumeRateLimit
+ * @returns {Object<string, string>}
+ */
+export const rateLimitHeaders = (result) => ({
+  'RateLimit-Policy': `${result.limit};w=${result.windowSeconds}`,
+  'RateLimit-Limit': String(result.limit),
+  'RateLimit-Remaining': String(result.remaining),
+  'RateLimit-Reset': String(result.resetSeconds),
+  ...(!result.allowed && { 'Retry-After': String(result.resetSeconds) }),
+});
+
+/**
+ * Counts one request against every limit of a policy, or against none of
+ * them when one refuses it. Limits whose scope has no identity (e.g.
+ * per-account without a username) are skipped.
+ *
+ * @param {string} policyName
+ * @param {{ip?: string, user?: string, account?: string}} identities
+ * @param {{now?: number}} [options]
+ * @returns {Promise<Object|null>} The refusing limit's result, else the one
+ *   closest to running out; null when nothing was counted
+ */
+export const consumeRateLimit = async (policyName, identities, { now = Date.now() } = {}) => {
+  const policy = getRateLimitPolicy(policyName);
+  if (!isRateLimitEnabled()) return null;
+
+  const checked = policy
+    .map((limit) => ({ limit, identity: identities[limit.by] }))
+    .filter(({ identity }) => identity);
+  if (!checked.length) return null;
+
+  try {
+    const [allowed, refused, ...windows] = await RedisConfig.getClient().eval(SLIDING_WINDOW_SCRIPT, {
+      keys: checked.map(({ limit, identity }) => rateLimitKey(policyName, limit, identity)),
+      arguments: [
+        String(now),
+        `${now}-${crypto.randomBytes(4).toString('hex')}`,
+        ...checked.flatMap(({ limit }) => [String(limit.windowSeconds * 1000), String(limit.max)]),
+      ],
+    });
+    const results = checked.map(({ limit }, i) =>
+      toRateLimitResult(limit, [allowed, windows[2 * i], windows[2 * i + 1]])
+    );
+
+    if (Number(refused) > 0) {
+      const { limit, identity } = checked[refused - 1];
+      logger.warn(`Rate limit ${policyName} (${limit.by}) exceeded for ${identity}`);
+      return results[refused - 1];
+    }
+    return results.reduce((tightest, result) => (result.remaining < tightest.remaining ? result : tightest));
+  } catch (err) {
+    logger.error(ERRORS.CHECK_FAILED(policyName, err.message));
+    return null;
+  }
+};
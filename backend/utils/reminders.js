@@ -0,0 +1,94 @@
+/**
+ * ------------------------------------------------------------------
+ * Check-in Reminder Scheduling Helpers
+ * ------------------------------------------------------------------
+ * Pure helpers behind ReminderService: cron expressions for Bull
+ * repeatable jobs, and quiet-hours checks in the reminder's time zone.
+ * Times are "HH:mm" strings on a 24-hour clock.
+ */
+
+// --- Constants ---
+export const REMINDER_FREQUENCIES = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+};
+
+const MINUTES_PER_DAY = 24 * 60;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * True for a 24-hour "HH:mm" time.
+ * @param {string} time
+ * @returns {boolean}
+ */
+export const isValidTime = (time) => typeof time === 'string' && TIME_PATTERN.test(time);
+
+const toMinutes = (time) => {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+/**
+ * Cron expression for a reminder (evaluated by Bull in the reminder's time zone).
+ *
+ * @param {Object} schedule
+ * @param {string} schedule.frequency - daily | weekly
+ * @param {string} schedule.time - "HH:mm"
+ * @param {number} [schedule.dayOfWeek] - 0 (Sunday) to 6, weekly only
+ * @returns {string}
+ */
+export const buildCron = ({ frequency, time, dayOfWeek }) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const day = frequency === REMINDER_FREQUENCIES.WEEKLY ? dayOfWeek : '*';
+  return `${minutes} ${hours} * * ${day}`;
+};
+
+/**
+ * Minutes since local midnight in the given time zone.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {number}
+ */
+export const localMinutes = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const value = (type) => Number(parts.find((p) => p.type === type).value);
+  return value('hour') * 60 + value('minute');
+};
+
+/**
+ * True when `date` falls inside the quiet hours in the given time zone.
+ * Quiet hours may wrap past midnight (e.g. 22:00-07:00); equal start and
+ * end times mean no quiet hours.
+ *
+ * @param {Date} date
+ * @param {{start: string, end: string}|null} quietHours
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export const isQuietTime = (date, quietHours, timeZone) => {
+  if (!quietHours?.start || !quietHours?.end) return false;
+
+  const now = localMinutes(date, timeZone);
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+
+  if (start === end) return false;
+  return start < end ? now >= start && now < end : now >= start || now < end;
+};
+
+/**
+ * Milliseconds from `date` until the quiet hours end.
+ * @param {Date} date - A time inside the quiet hours
+ * @param {{start: string, end: string}} quietHours
+ * @param {string} timeZone
+ * @returns {number}
+ */
+export const msUntilQuietHoursEnd = (date, quietHours, timeZone) => {
+  const minutes = (toMinutes(quietHours.end) - localMinutes(date, timeZone) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  return minutes * 60 * 1000 - date.getSeconds() * 1000 - date.getMilliseconds();
+};
@@ -0,0 +1,177 @@
+/**
+ * ------------------------------------------------------------------
+ * Crisis Risk Scoring
+ * ------------------------------------------------------------------
+ * Pure helpers that grade a user message as none / low / elevated /
+ * imminent risk from three signals:
+ *  1. Lexicon    — weighted phrases with negation handling and
+ *                  intent/timing/means/farewell modifiers
+ *  2. Classifier — the LLM's OFF_TOPIC / CRISIS / SAFE tag for the turn
+ *  3. Trajectory — risk levels of the user's previous messages
+ *
+ * RiskService (services/risk.js) gathers the signals; this module only
+ * combines them so the rules stay deterministic and testable.
+ */
+
+import { CLASSIFICATION } from './chat_helpers.js';
+
+// --- Constants ---
+export const RISK_LEVELS = {
+  NONE: 'none',
+  LOW: 'low',
+  ELEVATED: 'elevated',
+  IMMINENT: 'imminent',
+};
+
+const RISK_ORDER = [RISK_LEVELS.NONE, RISK_LEVELS.LOW, RISK_LEVELS.ELEVATED, RISK_LEVELS.IMMINENT];
+
+// How many previous user messages the trajectory looks at
+export const TRAJECTORY_WINDOW = 5;
+
+// Words that cancel a phrase when they appear just before it in the same clause
+const NEGATORS = /\b(not|never|no|don'?t|do not|won'?t|wouldn'?t|isn'?t|aren'?t|wasn'?t|without)\b/i;
+const NEGATION_WINDOW_WORDS = 4;
+
+/**
+ * Weighted phrases. `negatable: false` marks phrases whose meaning already
+ * contains a negation ("don't want to wake up"), so no negation check runs.
+ * Severity: 1 = low, 2 = elevated, 3 = imminent.
+ */
+const LEXICON = [
+  // Explicit intent or plan
+  { id: 'intent', severity: 3, pattern: /\b(going|gonna|planning|plan|about|ready|decided)\s+to\s+(kill myself|end (it all|my (own )?life)|take my (own )?life|commit suicide)\b/i },
+
+  // Suicidal ideation and self-harm
+  { id: 'self_harm_act', severity: 2, pattern: /\b(kill|hang|hurt|harm|cut|starve)(ing)?\s+myself\b/i },
+  { id: 'suicide', severity: 2, pattern: /\bsuicid(e|al)\b/i },
+  { id: 'want_to_die', severity: 2, pattern: /\b(want|wanna|wanted|wish|wishing)\s+(to\s+)?(die|be dead)\b/i },
+  { id: 'wish_dead', severity: 2, pattern: /\bwish(ing)?\s+i\s+((was|were)\s+dead|(wasn'?t|weren'?t)\s+(alive|born|here)|('?d| had)\s+never been born)\b/i },
+  { id: 'not_wake_up', severity: 2, negatable: false, pattern: /\b(don'?t|do not|didn'?t|never)\s+want\s+to\s+(wake up|be alive|live|exist|be here)\b/i },
+  { id: 'no_reason_to_live', severity: 2, negatable: false, pattern: /\bno\s+(point|reason)\s+(in\s+)?(living|to live|being alive|going on)\b/i },
+  { id: 'better_off', severity: 2, pattern: /\bbetter off\s+(dead|without me)\b/i },
+  { id: 'end_life', severity: 2, pattern: /\b(end (it all|my (own )?life)|take my (own )?life)\b/i },
+  { id: 'self_harm', severity: 2, pattern: /\bself[- ]?harm(ing)?\b/i },
+
+  // Hopelessness and distress
+  { id: 'end_it', severity: 1, pattern: /\bend it\b(?!\s+(with|between|off|for))/i },
+  { id: 'cant_go_on', severity: 1, pattern: /\bcan'?t\s+(go on|keep going|take (it|this) anymore|do this anymore)\b/i },
+  { id: 'hopeless', severity: 1, pattern: /\b(hopeless|worthless|pointless)\b/i },
+  { id: 'burden', severity: 1, pattern: /\b(i'?m|i am|feel like)\s+(such\s+)?a burden\b/i },
+  { id: 'nobody_cares', severity: 1, negatable: false, pattern: /\b(no ?one|nobody)\s+(would\s+)?(care|cares|miss me|notice)\b/i },
+  { id: 'trapped', severity: 1, pattern: /\b(trapped|no way out)\b/i },
+  { id: 'give_up', severity: 1, pattern: /\bgiv(e|ing) up on (life|everything)\b/i },
+  { id: 'disappear', severity: 1, pattern: /\b(disappear|vanish) (forever|for good)\b/i },
+  { id: 'whats_the_point', severity: 1, negatable: false, pattern: /\bwhat'?s the point\b/i },
+];
+
+/**
+ * Context that turns ideation into an imminent risk when it accompanies a
+ * severity-2 phrase (a time, a method, or saying goodbye).
+ */
+const MODIFIERS = [
+  { id: 'timing', pattern: /\b(tonight|today|right now|this (evening|weekend)|in an hour)\b/i },
+  { id: 'means', pattern: /\b(pills|overdose|rope|noose|gun|bridge|razor|blade|jump off)\b/i },
+  { id: 'farewell', pattern: /\b(say(ing)? goodbye|goodbye letter|suicide note|wrote (a|my) (note|letter)|giv(e|ing|en) away my)\b/i },
+];
+
+// --- Level helpers ---
+const rank = (level) => Math.max(0, RISK_ORDER.indexOf(level));
+const fromRank = (value) => RISK_ORDER[Math.min(Math.max(value, 0), RISK_ORDER.length - 1)];
+
+/**
+ * Returns the highest of the given levels.
+ * @param {...string} levels
+ * @returns {string}
+ */
+export const maxRisk = (...levels) => fromRank(Math.max(0, ...levels.map(rank)));
+
+/**
+ * True when `level` is at or above `threshold`.
+ * @param {string} level
+ * @param {string} threshold
+ * @returns {boolean}
+ */
+export const isAtLeast = (level, threshold) => rank(level) >= rank(threshold);
+
+// --- Signals ---
+
+/**
+ * True when a negator appears in the few words before `index` in the same clause.
+ */
+const isNegated = (text, index) => {
+  const clause = text.slice(0, index).split(/[.!?;,]|\bbut\b/i).pop();
+  const words = clause.trim().split(/\s+/).slice(-NEGATION_WINDOW_WORDS).join(' ');
+  return NEGATORS.test(words);
+};
+
+/**
+ * Scores a single message against the lexicon.
+ *
+ * @param {string} text
+ * @returns {{level: string, matches: string[], modifiers: string[]}}
+ */
+export const scoreMessage = (text) => {
+  const input = String(text ?? '');
+  const matches = [];
+  let severity = 0;
+
+  LEXICON.forEach(({ id, severity: weight, pattern, negatable = true }) => {
+    const match = pattern.exec(input);
+    if (!match) return;
+    if (negatable && isNegated(input, match.index)) return;
+    matches.push(id);
+    severity = Math.max(severity, weight);
+  });
+
+  const modifiers = severity >= 2 ? MODIFIERS.filter((m) => m.pattern.test(input)).map((m) => m.id) : [];
+  if (modifiers.length > 0) severity = 3;
+
+  return { level: fromRank(severity), matches, modifiers };
+};
+
+/**
+ * Minimum level implied by the conversation so far.
+ * - A recent elevated/imminent message keeps the next turn at least low
+ * - Repeated low-level distress escalates a further low message to elevated
+ *
+ * @param {string[]} previousLevels - Levels of earlier user messages, newest first
+ * @param {string} currentLevel - Lexicon level of the current message
+ * @returns {{level: string, escalating: boolean}}
+ */
+export const assessTrajectory = (previousLevels = [], currentLevel = RISK_LEVELS.NONE) => {
+  const recent = previousLevels.slice(0, TRAJECTORY_WINDOW);
+  const distressed = recent.filter((level) => isAtLeast(level, RISK_LEVELS.LOW)).length;
+  const recentHigh = recent.slice(0, 2).some((level) => isAtLeast(level, RISK_LEVELS.ELEVATED));
+  const escalating = isAtLeast(currentLevel, RISK_LEVELS.LOW) && distressed >= 2;
+
+  let level = RISK_LEVELS.NONE;
+  if (recentHigh || distressed >= 3) level = RISK_LEVELS.LOW;
+  if (escalating) level = RISK_LEVELS.ELEVATED;
+
+  return { level, escalating };
+};
+
+/**
+ * Combines the lexicon, classifier and trajectory signals into one level.
+ * When the classifier is unavailable, a low lexicon hit is treated as
+ * elevated rather than trusting the lexicon alone.
+ *
+ * @param {Object} signals
+ * @param {{level: string}} signals.lexicon - Result of scoreMessage()
+ * @param {string|null} signals.classification - CLASSIFICATION tag, or null if the classifier failed
+ * @param {{level: string}} signals.trajectory - Result of assessTrajectory()
+ * @returns {{level: string, degraded: boolean}}
+ */
+export const combineRisk = ({ lexicon, classification, trajectory }) => {
+  const degraded = classification === null;
+  let lexiconLevel = lexicon.level;
+
+  if (degraded && lexiconLevel === RISK_LEVELS.LOW) lexiconLevel = RISK_LEVELS.ELEVATED;
+
+  const classifierLevel = classification === CLASSIFICATION.CRISIS ? RISK_LEVELS.ELEVATED : RISK_LEVELS.NONE;
+
+  return {
+    level: maxRisk(lexiconLevel, classifierLevel, trajectory.level),
+    degraded,
+  };
+};
@@ -0,0 +1,86 @@
+/**
+ * ------------------------------------------------------------------
+ * Blind Index for Encrypted Message Search
+ * ------------------------------------------------------------------
+ * Message content is stored encrypted, so it cannot be searched
+ * directly. Instead, each message keeps a list of keyed hashes of its
+ * normalized words: HMAC-SHA256 with SEARCH_INDEX_KEY (kept apart from
+ * the encryption keys), scoped to the owner so the same word yields
+ * different hashes for different users. A query is hashed the same way
+ * and matched against the list; no plaintext is ever stored.
+ */
+
+import crypto from 'crypto';
+
+// --- Constants ---
+export const MIN_TOKEN_LENGTH = 2;
+export const MAX_TOKEN_LENGTH = 40;
+export const MAX_TOKENS_PER_MESSAGE = 500;
+export const MAX_QUERY_TOKENS = 8;
+
+const HASH_LENGTH = 22; // base64url characters, ~128 bits
+
+/**
+ * True when SEARCH_INDEX_KEY is configured. Without it messages are stored
+ * unindexed and search is unavailable.
+ * @returns {boolean}
+ */
+export const isSearchEnabled = () => Boolean(process.env.SEARCH_INDEX_KEY);
+
+/**
+ * Splits text into unique, normalized words: lower case, accents removed,
+ * letters and digits only, between MIN_TOKEN_LENGTH and MAX_TOKEN_LENGTH.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const tokenize = (text) => {
+  if (typeof text !== 'string') return [];
+
+  const words = text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) ?? [];
+
+  return [...new Set(words)].filter(
+    (word) => word.length >= MIN_TOKEN_LENGTH && word.length <= MAX_TOKEN_LENGTH
+  );
+};
+
+/**
+ * Keyed hash of one token for one owner.
+ * @param {string} token
+ * @param {string} ownerId
+ * @returns {string}
+ */
+export const hashToken = (token, ownerId) =>
+  crypto
+    .createHmac('sha256', process.env.SEARCH_INDEX_KEY)
+    .update(`${ownerId}:${token}`)
+    .digest('base64url')
+    .slice(0, HASH_LENGTH);
+
+/**
+ * Blind index of a message, to store alongside its ciphertext.
+ * @param {string} text - Plaintext message content
+ * @param {string|ObjectId} ownerId
+ * @returns {string[]|undefined} undefined when search is not configured
+ */
+export const buildSearchIndex = (text, ownerId) => {
+  if (!isSearchEnabled() || !ownerId) return undefined;
+  return tokenize(text)
+    .slice(0, MAX_TOKENS_PER_MESSAGE)
+    .map((token) => hashToken(token, String(ownerId)));
+};
+
+/**
+ * Hashes of the words of a search query; a message matches when its index
+ * contains all of them.
+ * @param {string} query
+ * @param {string|ObjectId} ownerId
+ * @returns {string[]} Empty when the query has no searchable words
+ */
+export const buildQueryIndex = (query, ownerId) =>
+  tokenize(query)
+    .slice(0, MAX_QUERY_TOKENS)
+    .map((token) => hashToken(token, String(ownerId)));
@@ -1,25 +1,26 @@
-import nodemailer from "nodemailer";
+import { getMailTransport } from "./mail_transports.js";
 
+/**
+ * Sends one email through the configured transport (see mail_transports.js).
+ * @param {Object} options
+ * @param {string} options.email - Recipient
+ * @param {string} options.subject
+ * @param {string} options.message - Plain-text body
+ * @param {string} [options.html] - HTML alternative
+ * @param {Object} [options.headers] - Extra headers, e.g. List-Unsubscribe
+ */
 const sendMail = async (options) => {
-  const transporter = nodemailer.createTransport({
-    host: process.env.SMTP_HOST,
-    port: process.env.SMTP_PORT,
-    secure: false,
-    service: process.env.SMTP_SERVICE,
-    auth: {
-      user: process.env.SMTP_MAIL,
-      pass: process.env.SMTP_PASSWORD
-    },
-  });
-
   const mailOptions = {
-    from: process.env.SMTP_MAIL,
+    from: process.env.SMTP_FROM ?? process.env.SMTP_MAIL,
     to: options.email,
     subject: options.subject,
     text: options.message,
+    // HTML alternative; clients that cannot show it fall back to the text
+    ...(options.html && { html: options.html }),
+    ...(options.headers && Object.keys(options.headers).length && { headers: options.headers }),
   };
 
-  await transporter.sendMail(mailOptions);
+  return getMailTransport().send(mailOptions);
 };
 
 export default sendMail;
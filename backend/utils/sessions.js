@@ -0,0 +1,71 @@
+/**
+ * ------------------------------------------------------------------
+ * Device Session Helpers
+ * ------------------------------------------------------------------
+ * Refresh tokens have the form "<sessionId>.<secret>". Only a SHA-256
+ * hash of the secret is stored, so a leaked database cannot be used to
+ * mint access tokens. Device labels are derived from the User-Agent.
+ */
+
+import crypto from 'crypto';
+
+// --- Constants ---
+const SECRET_BYTES = 32;
+const REFRESH_TOKEN_PATTERN = /^([a-f0-9]{24})\.([A-Za-z0-9_-]{43})$/;
+
+const BROWSERS = [
+  ['Edge', /Edg\//],
+  ['Opera', /OPR\//],
+  ['Chrome', /Chrome\//],
+  ['Firefox', /Firefox\//],
+  ['Safari', /Safari\//],
+];
+
+const PLATFORMS = [
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/],
+];
+
+/**
+ * SHA-256 hex digest of a refresh-token secret.
+ * @param {string} secret
+ * @returns {string}
+ */
+export const hashTokenSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Creates a refresh token for a session.
+ * @param {string} sessionId - Session ObjectId as hex
+ * @returns {{token: string, secretHash: string}}
+ */
+export const generateRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(SECRET_BYTES).toString('base64url');
+  return { token: `${sessionId}.${secret}`, secretHash: hashTokenSecret(secret) };
+};
+
+/**
+ * Splits a refresh token into its session ID and secret hash.
+ * @param {string} token
+ * @returns {{sessionId: string, secretHash: string}|null} null when malformed
+ */
+export const parseRefreshToken = (token) => {
+  const match = typeof token === 'string' ? REFRESH_TOKEN_PATTERN.exec(token) : null;
+  if (!match) return null;
+  return { sessionId: match[1], secretHash: hashTokenSecret(match[2]) };
+};
+
+/**
+ * Short device label from a User-Agent header, e.g. "Chrome on macOS".
+ * @param {string} [userAgent]
+ * @returns {string}
+ */
+export const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+  const browser = BROWSERS.find(([, re]) => re.test(userAgent))?.[0];
+  const platform = PLATFORMS.find(([, re]) => re.test(userAgent))?.[0];
+  if (browser && platform) return `${browser} on ${platform}`;
+  return browser ?? platform ?? 'Unknown device';
+};
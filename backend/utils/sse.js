@@ -0,0 +1,57 @@
+/**
+ * @constant {Object} SSE_CONSTANTS
+ * @property {number} HEARTBEAT_MS - Interval of comment lines that keep proxies from closing idle streams
+ */
+export const SSE_CONSTANTS = {
+  HEARTBEAT_MS: 15000,
+};
+
+/**
+ * Formats a single Server-Sent Event frame.
+ * @param {string} type - Event name (the client's `addEventListener` type)
+ * @param {object} payload - JSON-serializable event data
+ * @param {number} [id] - Optional event id (sent as `id:`)
+ * @returns {string}
+ */
+export const formatSSE = (type, payload, id) =>
+  `${id !== undefined ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(payload ?? {})}\n\n`;
+
+/**
+ * Switches an Express response into an SSE stream.
+ * Sends headers immediately and starts a heartbeat until the stream closes.
+ *
+ * @param {Object} res - Express response
+ * @returns {{send: (type: string, payload: object) => void, close: () => void}}
+ */
+export const openEventStream = (res) => {
+  let nextId = 1;
+  let closed = false;
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders?.();
+
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(': keep-alive\n\n');
+  }, SSE_CONSTANTS.HEARTBEAT_MS);
+  heartbeat.unref?.();
+
+  return {
+    send: (type, payload) => {
+      if (closed) return;
+      res.write(formatSSE(type, payload, nextId));
+      nextId += 1;
+    },
+    close: () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      res.end();
+    },
+  };
+};
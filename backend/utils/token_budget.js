@@ -0,0 +1,91 @@
+/**
+ * @constant {Object} TOKEN_BUDGET_CONSTANTS
+ * @property {number} CHARS_PER_TOKEN - Rough characters-per-token ratio used for estimates
+ * @property {number} MESSAGE_OVERHEAD - Tokens added per message for role/formatting
+ * @property {number} MAX_SUMMARY_SHARE - Largest fraction of the budget the summary may take
+ */
+export const TOKEN_BUDGET_CONSTANTS = {
+  CHARS_PER_TOKEN: 4,
+  MESSAGE_OVERHEAD: 4,
+  MAX_SUMMARY_SHARE: 0.5,
+};
+
+/**
+ * Estimates the token count of a piece of text.
+ * Provider-agnostic heuristic (~4 characters per token for English text).
+ * @param {string} text
+ * @returns {number}
+ */
+export const estimateTokens = (text) => {
+  if (typeof text !== 'string' || text.length === 0) return 0;
+  return Math.ceil(text.length / TOKEN_BUDGET_CONSTANTS.CHARS_PER_TOKEN);
+};
+
+/**
+ * Estimates the tokens a chat message costs, including per-message overhead.
+ * @param {{content: string}} message
+ * @returns {number}
+ */
+export const estimateMessageTokens = (message) =>
+  estimateTokens(message?.content) + TOKEN_BUDGET_CONSTANTS.MESSAGE_OVERHEAD;
+
+/**
+ * Truncates text so that it fits within the given number of tokens.
+ * @param {string} text
+ * @param {number} maxTokens
+ * @returns {string}
+ */
+export const truncateToTokens = (text, maxTokens) => {
+  if (typeof text !== 'string') return '';
+  const maxChars = Math.max(0, maxTokens) * TOKEN_BUDGET_CONSTANTS.CHARS_PER_TOKEN;
+  return text.length > maxChars ? `${text.slice(0, Math.max(0, maxChars - 1))}…` : text;
+};
+
+/**
+ * Keeps the most recent messages that fit within the budget.
+ * @param {{role: string, content: string}[]} history - Messages in chronological (ASC) order
+ * @param {number} budget - Available tokens
+ * @returns {{role: string, content: string}[]} Newest messages that fit, still in ASC order
+ */
+export const fitHistoryToBudget = (history, budget) => {
+  const kept = [];
+  let used = 0;
+
+  for (let i = history.length - 1; i >= 0; i -= 1) {
+    const cost = estimateMessageTokens(history[i]);
+    if (used + cost > budget) break;
+    kept.unshift(history[i]);
+    used += cost;
+  }
+
+  return kept;
+};
+
+/**
+ * Decides how much summary and raw history accompany the new input.
+ * The input is always included; the summary is reserved next (capped at
+ * MAX_SUMMARY_SHARE of the budget); remaining tokens go to the newest history.
+ *
+ * @param {Object} params
+ * @param {string} [params.summary] - Rolling summary of older messages
+ * @param {{role: string, content: string}[]} params.history - Messages in ASC order
+ * @param {string} params.input - The new user message
+ * @param {number} params.budget - Total token budget for the prompt
+ * @param {(summary: string) => string} [params.formatSummary] - Wraps the summary into a message
+ * @returns {{summary: string, history: Array, usedTokens: number}}
+ */
+export const allocateContext = ({ summary = '', history = [], input, budget, formatSummary = (s) => s }) => {
+  let remaining = budget - estimateMessageTokens({ content: input });
+
+  let summaryText = '';
+  if (summary && remaining > 0) {
+    const cap = Math.floor(budget * TOKEN_BUDGET_CONSTANTS.MAX_SUMMARY_SHARE);
+    summaryText = formatSummary(truncateToTokens(summary, Math.min(cap, remaining)));
+    remaining -= estimateMessageTokens({ content: summaryText });
+  }
+
+  const kept = remaining > 0 ? fitHistoryToBudget(history, remaining) : [];
+  const usedTokens = budget - remaining + kept.reduce((sum, m) => sum + estimateMessageTokens(m), 0);
+
+  return { summary: summaryText, history: kept, usedTokens };
+};
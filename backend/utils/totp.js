@@ -0,0 +1,178 @@
+/**
+ * ------------------------------------------------------------------
+ * TOTP (RFC 6238) and Recovery Code Helpers
+ * ------------------------------------------------------------------
+ * Six-digit, 30-second, HMAC-SHA1 codes: the defaults every
+ * authenticator app understands. Secrets are Base32 (RFC 4648).
+ * Recovery codes are random one-time codes; only their SHA-256
+ * hashes are stored.
+ */
+
+import crypto from 'crypto';
+
+// --- Constants ---
+export const TOTP_DIGITS = 6;
+export const TOTP_PERIOD_SECONDS = 30;
+export const RECOVERY_CODE_COUNT = 10;
+
+const SECRET_BYTES = 20; // 160 bits, as recommended by RFC 4226
+const DEFAULT_WINDOW = 1; // accept one step either side for clock drift
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const RECOVERY_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789'; // no look-alikes
+const RECOVERY_CODE_LENGTH = 10;
+
+/**
+ * Base32-encodes bytes without padding.
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+};
+
+/**
+ * Decodes Base32, ignoring case, spaces and padding.
+ * @param {string} input
+ * @returns {Buffer}
+ */
+export const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error(`Invalid Base32 character: ${char}`);
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * New random Base32 secret.
+ * @returns {string}
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+/**
+ * HOTP value (RFC 4226) for a counter.
+ * @param {string} secret - Base32
+ * @param {number} counter
+ * @returns {string} Zero-padded code
+ */
+export const generateHotp = (secret, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Time step for a timestamp.
+ * @param {number} [now=Date.now()] - Milliseconds
+ * @returns {number}
+ */
+export const timeStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * Current TOTP code.
+ * @param {string} secret - Base32
+ * @param {number} [now=Date.now()]
+ * @returns {string}
+ */
+export const generateTotp = (secret, now = Date.now()) => generateHotp(secret, timeStep(now));
+
+/**
+ * Checks a code against the steps around `now`.
+ *
+ * @param {string} secret - Base32
+ * @param {string} code - As typed (spaces allowed)
+ * @param {Object} [options]
+ * @param {number} [options.now=Date.now()]
+ * @param {number} [options.window=1] - Steps accepted either side
+ * @param {number} [options.afterStep] - Reject steps at or before this one (replay protection)
+ * @returns {number|null} The matching time step, or null
+ */
+export const verifyTotp = (secret, code, { now = Date.now(), window = DEFAULT_WINDOW, afterStep = -1 } = {}) => {
+  const normalized = typeof code === 'string' ? code.replace(/\s/g, '') : '';
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null;
+
+  const current = timeStep(now);
+  for (let step = current - window; step <= current + window; step += 1) {
+    if (step <= afterStep) continue;
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
+  }
+  return null;
+};
+
+/**
+ * otpauth:// URI for authenticator apps; clients render it as a QR code.
+ * @param {Object} params
+ * @param {string} params.secret - Base32
+ * @param {string} params.accountName - e.g. the username
+ * @param {string} params.issuer - e.g. "Diagnosy"
+ * @returns {string}
+ */
+export const buildOtpAuthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Canonical form of a recovery code: lower case, no separators.
+ * @param {string} code
+ * @returns {string}
+ */
+export const normalizeRecoveryCode = (code) =>
+  typeof code === 'string' ? code.toLowerCase().replace(/[\s-]/g, '') : '';
+
+/**
+ * SHA-256 hex digest of a recovery code (codes are random, so no salt is needed).
+ * @param {string} code
+ * @returns {string}
+ */
+export const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+/**
+ * New set of recovery codes, formatted "xxxxx-xxxxx".
+ * @param {number} [count=RECOVERY_CODE_COUNT]
+ * @returns {{codes: string[], hashes: string[]}}
+ */
+export const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => {
+  const codes = Array.from({ length: count }, () => {
+    let code = '';
+    for (let i = 0; i < RECOVERY_CODE_LENGTH; i += 1) {
+      code += RECOVERY_CODE_ALPHABET[crypto.randomInt(RECOVERY_CODE_ALPHABET.length)];
+    }
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
@@ -0,0 +1,145 @@
+/**
+ * ------------------------------------------------------------------
+ * LLM Token Quotas
+ * ------------------------------------------------------------------
+ * Every model call is counted against its user for the current UTC day
+ * (see models/token_usage.js). Each plan has a daily allowance of input
+ * plus output tokens:
+ *  - past WARNING_SHARE of it the user is warned once
+ *  - once it is used up, chat messages are refused until 00:00 UTC
+ *
+ * Allowances default to DEFAULT_PLAN_QUOTAS; TOKEN_QUOTA_<PLAN> overrides
+ * one (e.g. TOKEN_QUOTA_FREE=100000, or "unlimited").
+ */
+
+import { estimateTokens, estimateMessageTokens } from './token_budget.js';
+
+// --- Constants ---
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_FORMAT = /^\d{4}-\d{2}-\d{2}$/;
+const UNLIMITED = 'unlimited';
+
+export const PLANS = {
+  FREE: 'free',
+  PLUS: 'plus',
+  UNLIMITED: 'unlimited',
+};
+
+export const DEFAULT_PLAN = PLANS.FREE;
+
+// Tokens per UTC day; null = no limit
+const DEFAULT_PLAN_QUOTAS = {
+  [PLANS.FREE]: 50000,
+  [PLANS.PLUS]: 250000,
+  [PLANS.UNLIMITED]: null,
+};
+
+export const WARNING_SHARE = 0.8;
+
+export const QUOTA_STATES = {
+  OK: 'ok',
+  WARNING: 'warning',
+  EXCEEDED: 'exceeded',
+};
+
+/* ───────────── Helpers ───────────── */
+
+/**
+ * @param {*} plan
+ * @returns {boolean}
+ */
+export const isValidPlan = (plan) => Object.values(PLANS).includes(plan);
+
+/**
+ * Daily token allowance of a plan. Unknown plans get the default plan's.
+ * @param {string} [plan]
+ * @returns {number|null} null when unlimited
+ */
+export const getPlanQuota = (plan) => {
+  const name = isValidPlan(plan) ? plan : DEFAULT_PLAN;
+  const override = process.env[`TOKEN_QUOTA_${name.toUpperCase()}`]?.trim().toLowerCase();
+  if (override === UNLIMITED) return null;
+
+  const value = Number.parseInt(override, 10);
+  return Number.isInteger(value) && value >= 0 ? value : DEFAULT_PLAN_QUOTAS[name];
+};
+
+/**
+ * Start (00:00 UTC) of the usage day containing a moment.
+ * @param {Date|number} [date]
+ * @returns {Date}
+ */
+export const usageDay = (date = new Date()) => {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+
+/**
+ * @param {Date} day
+ * @returns {string} YYYY-MM-DD
+ */
+export const formatUsageDay = (day) => day.toISOString().slice(0, 10);
+
+/**
+ * Parses a YYYY-MM-DD day.
+ * @param {*} value
+ * @returns {Date|null} Start of that UTC day, or null when invalid
+ */
+export const parseUsageDay = (value) => {
+  if (typeof value !== 'string' || !DAY_FORMAT.test(value)) return null;
+  const day = new Date(`${value}T00:00:00.000Z`);
+  return Number.isNaN(day.getTime()) || formatUsageDay(day) !== value ? null : day;
+};
+
+/**
+ * The `count` usage days ending with the one containing `now`, oldest first.
+ * @param {number} count
+ * @param {Date|number} [now]
+ * @returns {Date[]}
+ */
+export const lastUsageDays = (count, now = new Date()) => {
+  const today = usageDay(now).getTime();
+  return Array.from({ length: count }, (_, i) => new Date(today - (count - 1 - i) * DAY_MS));
+};
+
+/**
+ * When the allowance of the day containing `now` resets.
+ * @param {Date|number} [now]
+ * @returns {Date}
+ */
+export const nextQuotaReset = (now = new Date()) => new Date(usageDay(now).getTime() + DAY_MS);
+
+/**
+ * Where a user stands against their plan's allowance.
+ * @param {{plan?: string, used: number, now?: Date}} params
+ * @returns {{plan: string, used: number, limit: number|null, remaining: number|null,
+ *   warningAt: number|null, state: string, resetsAt: Date}}
+ */
+export const quotaStatus = ({ plan, used, now = new Date() }) => {
+  const name = isValidPlan(plan) ? plan : DEFAULT_PLAN;
+  const limit = getPlanQuota(name);
+  const resetsAt = nextQuotaReset(now);
+
+  if (limit === null) {
+    return { plan: name, used, limit, remaining: null, warningAt: null, state: QUOTA_STATES.OK, resetsAt };
+  }
+
+  const warningAt = Math.floor(limit * WARNING_SHARE);
+  let state = QUOTA_STATES.OK;
+  if (used >= limit) state = QUOTA_STATES.EXCEEDED;
+  else if (used >= warningAt) state = QUOTA_STATES.WARNING;
+
+  return { plan: name, used, limit, remaining: Math.max(0, limit - used), warningAt, state, resetsAt };
+};
+
+/**
+ * Estimated token counts of a call whose provider reported none (the
+ * local provider, or a stream cut short).
+ * @param {{role: string, content: string}[]} messages - Prompt
+ * @param {string} output - Generated text
+ * @returns {{inputTokens: number, outputTokens: number}}
+ */
+export const estimateCallUsage = (messages, output) => ({
+  inputTokens: messages.reduce((sum, message) => sum + estimateMessageTokens(message), 0),
+  outputTokens: estimateTokens(output),
+});
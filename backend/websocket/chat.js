@@ -2,60 +2,80 @@ import { ChatService } from '../services/chat.js';
 import { logger } from '../config/index.js';
 
 /**
- * Safely sends a structured JSON message over WebSocket.
- * @param {WebSocket} ws - Active WebSocket connection.
+ * Sends a structured event through the client's resumable session.
+ * The session sequences and buffers it, so it survives a dropped socket.
+ * @param {Session} session - Client session (see websocket/session.js).
  * @param {string} type - Event type identifier.
  * @param {object} payload - Additional payload object.
  */
-const sendWSMessage = (ws, type, payload) => {
-  if (ws.readyState === ws.OPEN) {
-    ws.send(JSON.stringify({ type, payload }));
-  }
-};
+const sendWSMessage = (session, type, payload) => session.send(type, payload);
 
 /**
  * Handles inbound WebSocket chat traffic:
  * 1. Validates and processes the user’s message.
  * 2. Initiates streaming response from the AI model.
  * 3. Sends tokens live to the client.
- * 4. Finalizes and saves the conversation on completion.
+ * 4. Finalizes and saves the conversation on completion, sending an
+ *    `exercise` event when the model suggested a guided exercise.
+ * 5. On cancellation (signal aborted), saves the partial reply flagged as
+ *    truncated and emits `chat_cancelled` instead of `session_complete`.
+ * 6. Emits `usage_warning` once the reply takes the user close to their
+ *    daily token allowance, and `quota_exceeded` when a message is refused
+ *    because it is used up.
  *
- * @param {WebSocket} ws - Active WebSocket connection.
- * @param {object} enrichedPayload -   { userID, message, chatId }
+ * @param {Session} session - Client session the events are sent through.
+ * @param {object} enrichedPayload -   { userID, message, chatId, signal }
+ * @returns {Promise<string|undefined>} ID of the conversation the exchange was saved to
  */
-export const handleChatMessage = async (ws, enrichedPayload) => {
-  const { userID, message, chatId } = enrichedPayload;
+export const handleChatMessage = async (session, enrichedPayload) => {
+  const { userID, message, chatId, signal } = enrichedPayload;
   let result;
 
   try {
     // Primary chat handler (classification, context building, streaming)
-    result = await ChatService.handleChat({ userID, message, chatId });
+    result = await ChatService.handleChat({ userID, message, chatId, signal });
   } catch (error) {
     logger.error(`Chat service error for user ${userID}: ${error.message}`);
 
-    const statusMessage = error.message.includes('Chat not found')
+    if (error.usage) {
+      return sendWSMessage(session, 'quota_exceeded', { message: error.message, ...error.usage });
+    }
+
+    const statusMessage = error.message.includes('No active conversation')
       ? 'No active conversation found or invalid ID provided.'
       : error.message;
 
-    return sendWSMessage(ws, 'error', { message: statusMessage });
+    return sendWSMessage(session, 'error', { message: statusMessage });
   }
 
   /**
-   * CASE 1 — Non streaming response (e.g. crisis detection or refusal)
+   * CASE 1 — Non streaming response (imminent risk: crisis resources, already saved)
    */
   if (result.data?.advice) {
-    const { advice, isCrisis = false, isContinued = false } = result.data;
+    const { advice, isCrisis = false, isContinued = false, crisisResources, riskLevel } = result.data;
 
-    return sendWSMessage(ws, 'chat_response', {
+    sendWSMessage(session, 'chat_response', {
       advice,
       isCrisis,
       isContinued,
       isStreaming: false,
+      riskLevel,
+      ...(isCrisis && { crisisResources }),
     });
+    return result.data.chatId ?? chatId;
   }
 
   /**
-   * CASE 2 — Streaming AI response
+   * CASE 2 — Cancelled before the model started streaming
+   */
+  if (signal?.aborted) {
+    logger.info(`Chat cancelled before streaming for user ${userID}`);
+    sendWSMessage(session, 'chat_cancelled', { chatId: chatId ?? null, saved: false, truncated: true });
+    return chatId;
+  }
+
+  /**
+   * CASE 3 — Streaming AI response
    */
   const { stream, metadata } = result;
   let fullResponse = '';
@@ -64,48 +84,87 @@ export const handleChatMessage = async (ws, enrichedPayload) => {
   const isContinued = !metadata.isNewSession;
 
   // Notify UI that streaming is about to start
-  sendWSMessage(ws, 'chat_response', {
+  sendWSMessage(session, 'chat_response', {
     isStreaming: true,
     isContinued,
   });
 
   try {
     /**
-     * Stream tokens to the UI in real time
+     * Stream tokens to the UI in real time (stops as soon as the user cancels)
      */
     for await (const token of stream) {
+      if (signal?.aborted) break;
       fullResponse += token;
-      sendWSMessage(ws, 'chat_token', { token });
+      sendWSMessage(session, 'chat_token', { token });
+    }
+
+    const wasCancelled = !!signal?.aborted;
+
+    /**
+     * Cancelled with nothing generated yet: there is no reply to keep
+     */
+    if (wasCancelled && !fullResponse.trim()) {
+      logger.info(`Chat cancelled for user ${userID} before any tokens arrived`);
+      sendWSMessage(session, 'chat_cancelled', { chatId: metadata.chatId ?? null, saved: false, truncated: true });
+      return metadata.chatId;
     }
 
-    logger.info(`Stream completed for user ${userID}. Saving conversation...`);
+    logger.info(
+      `Stream ${wasCancelled ? 'cancelled' : 'completed'} for user ${userID}. Saving conversation...`
+    );
 
     /**
-     * Finalize: Save user input + AI output
+     * Finalize: Save user input + AI output (partial output when cancelled)
      */
     const finalResult = await ChatService.finalizeResponse({
       userID,
       input: message,
       aiResponse: fullResponse,
       chatId: metadata.chatId, // undefined for new session → correctly handled
+      truncated: wasCancelled,
+      riskLevel: metadata.riskLevel,
+      safetyEventId: metadata.safetyEventId,
+      suggestedExercise: metadata.suggestedExercises[0],
+      usage: metadata.usage,
     });
 
-    const { chatId: finalChatId, isCrisis, advice } = finalResult.data;
+    const { chatId: finalChatId, isCrisis, advice, crisisResources, riskLevel, exercise, usageWarning } =
+      finalResult.data;
+
+    if (wasCancelled) {
+      sendWSMessage(session, 'chat_cancelled', {
+        message: 'Response cancelled. The partial reply was saved.',
+        chatId: finalChatId,
+        saved: true,
+        truncated: true,
+      });
+      return finalChatId;
+    }
+
+    // Structured exercise widget, rendered after the reply
+    if (exercise) sendWSMessage(session, 'exercise', exercise);
 
     // Notify client that session is complete
-    sendWSMessage(ws, 'session_complete', {
+    sendWSMessage(session, 'session_complete', {
       message: 'Conversation session saved.',
       chatId: finalChatId,
       isCrisis,
+      riskLevel,
+      ...(isCrisis && { crisisResources }),
       isDisclaimer: advice?.includes('disclaimer') || false,
     });
 
+    if (usageWarning) sendWSMessage(session, 'usage_warning', usageWarning);
+
+    return finalChatId;
+
   } catch (streamError) {
     logger.error(
       `Stream processing or finalization error for user ${userID}: ${streamError.message}`
     );
 
-    sendWSMessage(ws, 'error', {
+    sendWSMessage(session, 'error', {
       message: 'A critical error occurred while generating or saving the response.',
     });
   }
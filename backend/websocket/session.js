@@ -0,0 +1,403 @@
+import crypto from 'crypto';
+import { RedisConfig, logger } from '../config/index.js';
+
+/**
+ * ------------------------------------------------------------------
+ * Resumable WebSocket Sessions
+ * ------------------------------------------------------------------
+ * Every server → client event is wrapped as
+ *   { type, seq, sessionId, payload }
+ * where `seq` increases by one per event within a session.
+ *
+ * Recent events are buffered in Redis so a client that reconnects with
+ * ?resume=<sessionId>&lastSeq=N receives everything after N — missed
+ * stream tokens or the final session_complete — before live events resume.
+ *
+ * Chat state (active chatId, in-flight request, abort controller) lives on
+ * the session rather than the socket, so a reply keeps streaming into the
+ * buffer while the client is offline and a resumed socket picks it up.
+ *
+ * A reply streams from the process that started it, so running several
+ * instances requires sticky routing (e.g. by the `resume` query parameter).
+ * The process owning a session is recorded in Redis: an idle session can be
+ * resumed anywhere and moves to the new process, but resuming elsewhere
+ * while a reply is in flight is refused with close code 1013 so the client
+ * reconnects instead of forking the sequence.
+ */
+
+// --- Constants ---
+const SESSION_TTL_SECONDS = 600; // 10 minutes after the last event
+const MAX_BUFFERED_EVENTS = 500;
+const REPLY_LOCK_TTL_MS = 2 * 60 * 1000; // Slid by every event of the reply
+const CLAIM_LOCK_TTL_MS = 5 * 1000;
+
+// Identifies this process as a session owner
+const PROCESS_ID = crypto.randomUUID();
+
+const KEYS = {
+  session: (id) => `ws_session:${id}`,
+  events: (id) => `ws_session:${id}:events`,
+  lock: (id) => `ws_session:${id}:lock`,
+};
+
+const ERRORS = {
+  BUSY_ELSEWHERE: 'This session is still replying on another server. Reconnect in a moment.',
+};
+
+// "Try Again Later"
+const BUSY_CLOSE_CODE = 1013;
+
+// Sessions currently owned by this process
+const sessions = new Map();
+
+/**
+ * Redis persistence for session ownership and buffered events.
+ * Failures are logged and never interrupt live delivery.
+ */
+const SessionStore = {
+  /**
+   * Loads session metadata.
+   * @param {string} sessionId
+   * @returns {Promise<{userID: string, lastSeq: number, owner: string|null, chatId: string|null}|null>}
+   */
+  load: async (sessionId) => {
+    const data = await RedisConfig.getClient().hGetAll(KEYS.session(sessionId));
+    if (!data?.userID) return null;
+    return {
+      userID: data.userID,
+      lastSeq: parseInt(data.lastSeq ?? '0', 10) || 0,
+      owner: data.owner || null,
+      chatId: data.chatId || null,
+    };
+  },
+
+  /**
+   * Creates or refreshes session metadata.
+   * @param {string} sessionId
+   * @param {object} fields - Any of userID, lastSeq, owner, chatId
+   */
+  save: async (sessionId, fields) => {
+    const values = Object.fromEntries(Object.entries(fields).map(([key, value]) => [key, String(value ?? '')]));
+    await RedisConfig.getClient()
+      .multi()
+      .hSet(KEYS.session(sessionId), values)
+      .expire(KEYS.session(sessionId), SESSION_TTL_SECONDS)
+      .exec();
+  },
+
+  /**
+   * Appends an event to the replay buffer and slides the TTLs, including the
+   * reply lock while a reply is streaming.
+   * @param {string} sessionId
+   * @param {object} event
+   * @param {boolean} replying
+   */
+  append: async (sessionId, event, replying) => {
+    const transaction = RedisConfig.getClient()
+      .multi()
+      .rPush(KEYS.events(sessionId), JSON.stringify(event))
+      .lTrim(KEYS.events(sessionId), -MAX_BUFFERED_EVENTS, -1)
+      .hSet(KEYS.session(sessionId), 'lastSeq', String(event.seq))
+      .expire(KEYS.events(sessionId), SESSION_TTL_SECONDS)
+      .expire(KEYS.session(sessionId), SESSION_TTL_SECONDS);
+    if (replying) transaction.pExpire(KEYS.lock(sessionId), REPLY_LOCK_TTL_MS);
+    await transaction.exec();
+  },
+
+  /**
+   * Takes the session lock for this process. It is held for the whole of a
+   * reply, and briefly while another process takes the session over.
+   * @param {string} sessionId
+   * @param {number} ttlMs
+   * @returns {Promise<boolean>} false if it is already held
+   */
+  lock: async (sessionId, ttlMs) => {
+    const reply = await RedisConfig.getClient().set(KEYS.lock(sessionId), PROCESS_ID, {
+      condition: 'NX',
+      expiration: { type: 'PX', value: ttlMs },
+    });
+    return reply === 'OK';
+  },
+
+  /**
+   * Releases the session lock if this process still holds it.
+   * @param {string} sessionId
+   */
+  unlock: async (sessionId) => {
+    const client = RedisConfig.getClient();
+    if ((await client.get(KEYS.lock(sessionId))) === PROCESS_ID) {
+      await client.del(KEYS.lock(sessionId));
+    }
+  },
+
+  /**
+   * Returns the process that currently owns the session.
+   * @param {string} sessionId
+   * @returns {Promise<string|null>}
+   */
+  owner: async (sessionId) => (await RedisConfig.getClient().hGet(KEYS.session(sessionId), 'owner')) || null,
+
+  /**
+   * Returns buffered events with seq greater than lastSeq, oldest first.
+   * @param {string} sessionId
+   * @param {number} lastSeq
+   * @returns {Promise<object[]>}
+   */
+  eventsAfter: async (sessionId, lastSeq) => {
+    const raw = await RedisConfig.getClient().lRange(KEYS.events(sessionId), 0, -1);
+    return raw
+      .map((entry) => {
+        try {
+          return JSON.parse(entry);
+        } catch (_) {
+          return null;
+        }
+      })
+      .filter((event) => event && event.seq > lastSeq);
+  },
+};
+
+/**
+ * A single resumable session. Owns the sequence counter and the socket
+ * currently attached to it (null while the client is disconnected).
+ */
+class Session {
+  constructor(id, userID, lastSeq = 0) {
+    this.id = id;
+    this.userID = userID;
+    this.seq = lastSeq;
+    this.ws = null;
+    this.replaying = false;
+    this.pending = [];
+    this.expiryTimer = null;
+
+    // Chat state shared by every socket that attaches to this session
+    this.chatId = null;
+    this.isProcessingChat = false;
+    this.abortController = null;
+  }
+
+  /**
+   * Sequences, buffers and delivers an event.
+   * @param {string} type
+   * @param {object} payload
+   */
+  send(type, payload = {}) {
+    this.seq += 1;
+    const event = { type, seq: this.seq, sessionId: this.id, payload };
+
+    SessionStore.append(this.id, event, this.isProcessingChat).catch((err) =>
+      logger.error(`Failed to buffer WS event ${event.seq} for session ${this.id}: ${err.message}`)
+    );
+
+    if (this.replaying) {
+      this.pending.push(event);
+      return;
+    }
+    this.deliver(event);
+  }
+
+  /**
+   * Writes an event to the attached socket, if it is open.
+   * @param {object} event
+   */
+  deliver(event) {
+    const { ws } = this;
+    if (ws && ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify(event));
+    }
+  }
+
+  /**
+   * Attaches a socket, replaying every buffered event after lastSeq first.
+   * Live events produced during the replay are queued and flushed after it.
+   * @param {WebSocket} ws
+   * @param {number|null} lastSeq - null for a brand-new attachment (no replay)
+   */
+  async attach(ws, lastSeq) {
+    clearTimeout(this.expiryTimer);
+    if (this.ws && this.ws !== ws) this.ws.close(4000, 'Session resumed on another connection.');
+    this.ws = ws;
+    if (lastSeq === null) return;
+
+    const seqAtAttach = this.seq;
+    this.replaying = true;
+    try {
+      const missed = await SessionStore.eventsAfter(this.id, lastSeq);
+
+      // The buffer was trimmed/expired past the client's position
+      if (lastSeq < seqAtAttach && (missed.length === 0 || missed[0].seq > lastSeq + 1)) {
+        this.deliver({
+          type: 'replay_incomplete',
+          seq: lastSeq,
+          sessionId: this.id,
+          payload: { message: 'Some events are no longer available. Reload the conversation history.' },
+        });
+      }
+
+      let replayedUpTo = lastSeq;
+      missed.forEach((event) => {
+        this.deliver({ ...event, replayed: true });
+        replayedUpTo = event.seq;
+      });
+
+      this.pending
+        .filter((event) => event.seq > replayedUpTo)
+        .forEach((event) => this.deliver(event));
+      logger.info(`Session ${this.id} resumed after seq ${lastSeq} (${missed.length} events replayed)`);
+    } catch (err) {
+      logger.error(`Replay failed for session ${this.id}: ${err.message}`);
+      this.pending.forEach((event) => this.deliver(event));
+    } finally {
+      this.pending = [];
+      this.replaying = false;
+    }
+  }
+
+  /**
+   * Marks a reply as in flight. The session lock keeps other processes from
+   * taking the session over until endReply(); if the session has already
+   * moved to another process, the reply is refused and the socket closed.
+   * Redis failures are logged and the reply allowed, as for buffering.
+   * @returns {Promise<boolean>} true if the reply may start
+   */
+  async beginReply() {
+    this.isProcessingChat = true;
+    this.abortController = new AbortController();
+    try {
+      const locked = await SessionStore.lock(this.id, REPLY_LOCK_TTL_MS);
+      const owner = locked ? await SessionStore.owner(this.id) : null;
+      if (locked && (!owner || owner === PROCESS_ID)) return true;
+      if (locked) await SessionStore.unlock(this.id);
+    } catch (err) {
+      logger.error(`Failed to lock session ${this.id}: ${err.message}`);
+      return true;
+    }
+
+    logger.warn(`Session ${this.id} is owned by another process; closing the stale socket.`);
+    this.isProcessingChat = false;
+    this.abortController = null;
+    sessions.delete(this.id);
+    this.ws?.close(4000, 'Session resumed on another connection.');
+    return false;
+  }
+
+  /**
+   * Clears the in-flight reply and releases the session lock.
+   */
+  endReply() {
+    this.isProcessingChat = false;
+    this.abortController = null;
+    SessionStore.unlock(this.id).catch((err) =>
+      logger.error(`Failed to unlock session ${this.id}: ${err.message}`)
+    );
+    if (!this.ws) this.scheduleExpiry();
+  }
+
+  /**
+   * Switches the active conversation and records it for resumes elsewhere.
+   * @param {string|null} chatId
+   */
+  setChatId(chatId) {
+    this.chatId = chatId ?? null;
+    SessionStore.save(this.id, { chatId: this.chatId }).catch((err) =>
+      logger.error(`Failed to persist chat for session ${this.id}: ${err.message}`)
+    );
+  }
+
+  /**
+   * Detaches a closed socket and schedules cleanup of idle sessions.
+   * @param {WebSocket} ws
+   */
+  detach(ws) {
+    if (this.ws !== ws) return;
+    this.ws = null;
+    this.scheduleExpiry();
+  }
+
+  /**
+   * Forgets the in-memory session once it is idle and unattached for the TTL.
+   */
+  scheduleExpiry() {
+    clearTimeout(this.expiryTimer);
+    this.expiryTimer = setTimeout(() => {
+      if (!this.ws && !this.isProcessingChat && sessions.get(this.id) === this) sessions.delete(this.id);
+    }, SESSION_TTL_SECONDS * 1000);
+    this.expiryTimer.unref?.();
+  }
+}
+
+/**
+ * Moves a stored session to this process. Refused while the session lock is
+ * held, i.e. while its owner is streaming a reply.
+ *
+ * @param {string} sessionId
+ * @param {object} stored - Metadata from SessionStore.load()
+ * @returns {Promise<Session>}
+ */
+const takeOver = async (sessionId, stored) => {
+  if (!(await SessionStore.lock(sessionId, CLAIM_LOCK_TTL_MS))) {
+    throw Object.assign(new Error(ERRORS.BUSY_ELSEWHERE), { closeCode: BUSY_CLOSE_CODE });
+  }
+  try {
+    await SessionStore.save(sessionId, { owner: PROCESS_ID });
+  } finally {
+    await SessionStore.unlock(sessionId);
+  }
+
+  const stale = sessions.get(sessionId);
+  if (stale) {
+    clearTimeout(stale.expiryTimer);
+    stale.ws?.close(4000, 'Session resumed on another connection.');
+  }
+
+  const session = new Session(sessionId, stored.userID, stored.lastSeq);
+  session.chatId = stored.chatId;
+  return session;
+};
+
+/**
+ * Opens a new session or resumes an existing one for the user.
+ * A session owned by another process is taken over unless it is replying,
+ * in which case an error carrying `closeCode` is thrown.
+ *
+ * @param {Object} params
+ * @param {WebSocket} params.ws - Newly connected socket
+ * @param {string} params.userID - Authenticated user
+ * @param {string} [params.resume] - Session ID the client wants to resume
+ * @param {string|number} [params.lastSeq] - Last seq the client processed
+ * @returns {Promise<{session: Session, resumed: boolean}>}
+ */
+export const openSession = async ({ ws, userID, resume, lastSeq }) => {
+  if (resume) {
+    const parsedSeq = Math.max(0, parseInt(lastSeq ?? '0', 10) || 0);
+    let session = sessions.get(resume);
+    const stored = await SessionStore.load(resume).catch((err) => {
+      logger.error(`Failed to load session ${resume}: ${err.message}`);
+      return null;
+    });
+
+    const ownedHere = !stored?.owner || stored.owner === PROCESS_ID;
+    if (stored && stored.userID === String(userID) && (!session || !ownedHere)) {
+      session = await takeOver(resume, stored);
+    }
+
+    if (session && session.userID === String(userID)) {
+      sessions.set(session.id, session);
+      await session.attach(ws, parsedSeq);
+      return { session, resumed: true };
+    }
+
+    logger.warn(`User ${userID} could not resume session ${resume}; starting a new one.`);
+  }
+
+  const session = new Session(crypto.randomUUID(), String(userID));
+  sessions.set(session.id, session);
+  await SessionStore.save(session.id, { userID: session.userID, lastSeq: 0, owner: PROCESS_ID }).catch((err) =>
+    logger.error(`Failed to persist session ${session.id}: ${err.message}`)
+  );
+  await session.attach(ws, null);
+  return { session, resumed: false };
+};
+
+export default openSession;
@@ -1,27 +1,32 @@
 import { logger } from '../config/index.js';
 import { handleChatMessage } from './chat.js';
 import { parse } from 'url';
-import { verifyTokenCore } from '../middleware/tokenization.js';
+import { verifyTokenCore, ensureEmailVerified } from '../middleware/tokenization.js';
+import { ChatService } from '../services/chat.js';
+import { ExerciseService } from '../services/exercise.js';
+import { openSession } from './session.js';
+import { consumeRateLimit } from '../utils/rate_limit.js';
 
 /**
- * Sends a structured error response to a WebSocket client.
- * @param {WebSocket} ws
+ * Sends a structured error response through the client's session.
+ * @param {Session} session
  * @param {string} message
  */
-const sendError = (ws, message) => {
-  if (ws.readyState === ws.OPEN) {
-    ws.send(JSON.stringify({ type: 'error', payload: { message } }));
-  }
-};
+const sendError = (session, message) => session.send('error', { message });
 
 /**
  * Handles a newly established WebSocket connection.
  * Responsibilities:
  * - Authenticate connection via token (?token=...)
- * - Track user session info (userID, chatId, processing state)
+ * - Open a new resumable session, or resume one (?resume=<sessionId>&lastSeq=N)
+ * - Track session info (userID, active chatId, processing state)
+ * - Switch between the user's conversations (select_chat / new_chat)
+ * - Start and complete guided exercises (start_exercise / complete_exercise)
  * - Route incoming chat messages to the chat handler
- * - Forward session updates back to the client
+ * - Forward session updates back to the client (sequenced, replayable)
  * - Enforce single active chat request at a time
+ * - Rate limit chat messages per user ("rate_limited" with retryAfter)
+ * - Cancel the active request on {"command":"cancel"}
  * - Provide graceful error handling & cleanup on close
  *
  * @param {WebSocket} ws
@@ -39,25 +44,38 @@ export const handleWebSocketConnection = (ws, req) => {
   }
 
   /**
-   * STEP 1 — Authenticate the connection
+   * STEP 1 — Authenticate the connection and open (or resume) its session
    */
   verifyTokenCore(token)
-    .then((decoded) => {
+    .then(async (decoded) => {
       const userID = decoded.id;
-
-      // Attach to WebSocket session
+      await ensureEmailVerified(userID);
       ws.userID = userID;
-      ws.isProcessingChat = false; // Prevents overlapping stream requests
-      ws.chatId = null;
 
-      logger.info(`New WebSocket connection established for user: ${ws.userID}`);
+      const { session, resumed } = await openSession({
+        ws,
+        userID,
+        resume: query.resume,
+        lastSeq: query.lastSeq,
+      });
+
+      logger.info(
+        `WebSocket connection ${resumed ? 'resumed' : 'established'} for user ${userID} (session ${session.id})`
+      );
+
+      session.send('session_started', {
+        sessionId: session.id,
+        resumed,
+        chatId: session.chatId,
+        isProcessingChat: session.isProcessingChat,
+      });
 
       /**
        * STEP 2 — Handle incoming messages from the client
        */
       ws.on('message', (message) => {
         if (!ws.userID) {
-          return sendError(ws, 'Session unauthorized. Please reconnect.');
+          return sendError(session, 'Session unauthorized. Please reconnect.');
         }
 
         let data;
@@ -65,74 +83,143 @@ export const handleWebSocketConnection = (ws, req) => {
           data = JSON.parse(message.toString());
         } catch (err) {
           logger.error(`Invalid WS payload for ${ws.userID}: ${err.message}`);
-          return sendError(ws, 'Invalid message format (must be valid JSON).');
+          return sendError(session, 'Invalid message format (must be valid JSON).');
+        }
+
+        /**
+         * CLIENT COMMAND: Cancel the in-flight reply. The stream handler
+         * saves the partial reply and emits "chat_cancelled".
+         */
+        if (data.command === 'cancel') {
+          if (!session.isProcessingChat || !session.abortController) {
+            return sendError(session, 'There is no response in progress to cancel.');
+          }
+          if (!session.abortController.signal.aborted) {
+            logger.info(`User ${ws.userID} cancelled the in-flight response`);
+            session.abortController.abort();
+          }
+          return;
+        }
+
+        /**
+         * CLIENT COMMAND: Start a fresh conversation with the next message
+         * (clear_chat is kept as an alias for older clients)
+         */
+        if (data.command === 'new_chat' || data.command === 'clear_chat') {
+          session.setChatId(null);
+          return session.send('chat_selected', { chatId: null });
+        }
+
+        /**
+         * CLIENT COMMAND: Switch to one of the user's existing conversations
+         */
+        if (data.command === 'select_chat') {
+          ChatService.getChat({ userID: ws.userID, chatId: data.chatId })
+            .then(({ data: { chat } }) => {
+              session.setChatId(chat.chatId);
+              session.send('chat_selected', chat);
+            })
+            .catch((err) => {
+              logger.warn(`select_chat failed for ${ws.userID}: ${err.message}`);
+              sendError(session, err.message);
+            });
+          return;
+        }
+
+        /**
+         * CLIENT COMMAND: Start a guided exercise. The widget arrives as an
+         * "exercise" event, the same one the model's suggestions produce.
+         */
+        if (data.command === 'start_exercise') {
+          ExerciseService.start({ userID: ws.userID, exerciseId: data.exerciseId, chatId: session.chatId })
+            .then(({ data: exercise }) => session.send('exercise', exercise))
+            .catch((err) => {
+              logger.warn(`start_exercise failed for ${ws.userID}: ${err.message}`);
+              sendError(session, err.message);
+            });
+          return;
         }
 
         /**
-         * CLIENT COMMAND: Clear current chat session
+         * CLIENT COMMAND: Record that an exercise was finished
          */
-        if (data.command === 'clear_chat') {
-          ws.chatId = null;
-          return sendError(ws, 'Chat cleared successfully.');
+        if (data.command === 'complete_exercise') {
+          ExerciseService.complete({
+            userID: ws.userID,
+            sessionId: data.sessionId,
+            responses: data.responses,
+            rating: data.rating,
+          })
+            .then(({ data: { session: completed } }) => session.send('exercise_completed', completed))
+            .catch((err) => {
+              logger.warn(`complete_exercise failed for ${ws.userID}: ${err.message}`);
+              sendError(session, err.message);
+            });
+          return;
         }
 
         /**
-         * CLIENT COMMAND: Chat message from the user
+         * CLIENT COMMAND: Chat message from the user.
+         * An explicit chatId targets that conversation; otherwise the
+         * active one is continued (or a new one started if none).
          */
         if (data.message) {
-          if (ws.isProcessingChat) {
+          if (session.isProcessingChat) {
             return sendError(
-              ws,
+              session,
               'A chat request is already being processed. Please wait.'
             );
           }
 
-          ws.isProcessingChat = true;
-
-          const enrichedPayload = {
-            userID: ws.userID,
-            chatId: ws.chatId,
-            isContinued: !!ws.chatId,
-            message: data.message,
-          };
-
-          /**
-           * Patch ws.send temporarily to capture "session_complete"
-           * messages so we can update ws.chatId dynamically.
-           */
-          const originalSend = ws.send;
-          ws.send = (jsonMessage) => {
-            try {
-              const parsed = JSON.parse(jsonMessage);
-              if (parsed.type === 'session_complete' && parsed.payload.chatId) {
-                ws.chatId = parsed.payload.chatId;
-              }
-            } catch (_) {
-              /* ignore parse failures — don't break sending */
-            }
-            originalSend.call(ws, jsonMessage);
-          };
+          const chatId = data.chatId ?? session.chatId;
 
           /**
-           * Handle the chat (streaming + finalization)
+           * Lock the session for the reply (refused if it has moved to
+           * another server), check the user's message allowance (shared with
+           * the REST chat routes), then handle the chat (streaming +
+           * finalization) and remember the conversation it was saved to for
+           * follow-up messages. The reply keeps streaming into the session
+           * buffer if the socket drops.
            */
-          handleChatMessage(ws, enrichedPayload).finally(() => {
-            ws.isProcessingChat = false;
-            ws.send = originalSend; // Restore original send
-          });
+          session
+            .beginReply()
+            .then((started) => {
+              if (!started) return null;
+              const enrichedPayload = {
+                userID: ws.userID,
+                chatId,
+                isContinued: !!chatId,
+                message: data.message,
+                signal: session.abortController.signal,
+              };
+              return consumeRateLimit('chatMessage', { user: ws.userID }).then((limit) => {
+                if (limit && !limit.allowed) {
+                  return session.send('rate_limited', {
+                    message: `Too many messages. Please try again in ${limit.resetSeconds} seconds.`,
+                    retryAfter: limit.resetSeconds,
+                    limit: limit.limit,
+                    windowSeconds: limit.windowSeconds,
+                  });
+                }
+                return handleChatMessage(session, enrichedPayload).then((savedChatId) => {
+                  if (savedChatId) session.setChatId(savedChatId);
+                });
+              }).finally(() => session.endReply());
+            });
 
           return;
         }
 
         // Invalid structure
-        sendError(ws, 'Invalid message payload. Expected {"message": "..."}');
+        sendError(session, 'Invalid message payload. Expected {"message": "...", "chatId"?: "..."}');
       });
 
       /**
-       * STEP 3 — Handle WebSocket disconnection
+       * STEP 3 — Handle WebSocket disconnection (session stays resumable)
        */
       ws.on('close', () => {
-        logger.info(`WebSocket connection closed for user: ${ws.userID}`);
+        session.detach(ws);
+        logger.info(`WebSocket connection closed for user: ${ws.userID} (session ${session.id})`);
       });
 
       /**
@@ -144,10 +231,10 @@ export const handleWebSocketConnection = (ws, req) => {
     })
 
     /**
-     * TOKEN AUTH FAILURE
+     * TOKEN AUTH / SESSION FAILURE
      */
     .catch((err) => {
-      ws.close(1008, err.message);
+      ws.close(err.closeCode ?? 1008, err.message);
       logger.error(`WS connection denied: ${err.message}`);
     });
 };